@@ -0,0 +1,109 @@
+import jwt from 'jsonwebtoken';
+import { records } from '../storage/db.js';
+import { isPlanActive } from '../services/billing.js';
+import { chooseMembership, roleAtLeast } from '../services/workspaces.js';
+import { KEY_PREFIX, findApiKey, requiredScope, hasScope } from '../services/api-keys.js';
+import { createRateLimiter, setRateLimitHeaders } from '../services/rate-limit.js';
+
+export const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+const apiKeyLimiter = createRateLimiter({ windowMs: 60 * 1000 });
+
+// Users, memberships and API keys are looked up one by one (storage/records.js)
+// rather than by loading the whole database on every request
+export const authenticate = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = req.headers['x-api-key'] || authHeader?.split(' ')[1];
+  if (!token) return res.status(401).json({ error: 'No token provided' });
+
+  try {
+    if (token.startsWith(KEY_PREFIX)) return await authenticateApiKey(token, req, res, next);
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    const user = await records.findOne('users', { id: decoded.id });
+    if (!user) return res.status(401).json({ error: 'User not found' });
+
+    // Act inside the user's active workspace — req.userId is the workspace
+    // account its records are stored under (see services/workspaces.js)
+    const memberships = await records.find('workspace_members', { user_id: user.id });
+    const workspaces = await records.find('workspaces', { id: memberships.map(m => m.workspace_id) });
+    const membership = chooseMembership(user, memberships, workspaces);
+    const workspace = membership && workspaces.find(w => w.id === membership.workspace_id);
+    if (!workspace) return res.status(403).json({ error: 'You are not a member of any workspace' });
+
+    req.memberId = user.id;
+    req.workspaceId = workspace.id;
+    req.role = membership.role;
+    req.userId = workspace.account_id;
+    next();
+  } catch (error) {
+    console.error('❌ Authentication error:', error.message);
+    res.status(500).json({ error: 'Could not check your credentials' });
+  }
+};
+
+// API keys (services/api-keys.js): bound to one workspace, limited to their scopes and rate
+async function authenticateApiKey(secret, req, res, next) {
+  const key = await findApiKey(secret);
+  if (!key) return res.status(401).json({ error: 'Invalid or revoked API key' });
+
+  const workspace = await records.findOne('workspaces', { id: key.workspace_id });
+  const membership = key.kind === 'personal'
+    ? await records.findOne('workspace_members', { workspace_id: key.workspace_id, user_id: key.created_by })
+    : null;
+  if (!workspace || (key.kind === 'personal' && !membership)) {
+    return res.status(401).json({ error: 'This API key\'s owner is no longer in the workspace' });
+  }
+
+  const limit = apiKeyLimiter.hit(`key:${key.id}`, key.rate_limit_per_minute);
+  setRateLimitHeaders(res, limit);
+  if (!limit.allowed) return res.status(429).json({ error: 'Rate limit exceeded for this API key' });
+
+  const scope = requiredScope(req.method, req.baseUrl, req.route?.path || '');
+  if (!scope) return res.status(403).json({ error: 'This endpoint can\'t be used with an API key' });
+  if (!hasScope(key, scope)) return res.status(403).json({ error: `This API key is missing the "${scope}" scope` });
+
+  // Record use at most once a minute
+  if (!key.last_used_at || Date.now() - Date.parse(key.last_used_at) > 60 * 1000) {
+    key.last_used_at = new Date().toISOString();
+    await records.update('api_keys', key);
+  }
+
+  req.apiKey = key;
+  req.memberId = membership ? key.created_by : null;
+  req.workspaceId = workspace.id;
+  req.role = membership ? membership.role : 'admin';
+  req.userId = workspace.account_id;
+  next();
+}
+
+// Middleware: only workspace members with at least this role (after authenticate)
+export const requireRole = (minimum) => {
+  const guard = (req, res, next) => {
+    if (!roleAtLeast(req.role, minimum)) {
+      return res.status(403).json({ error: `This requires the ${minimum} role in your workspace` });
+    }
+    next();
+  };
+  guard.minimumRole = minimum; // read by the API docs (services/openapi.js)
+  return guard;
+};
+
+// Middleware: block access if plan expired
+export const requireActivePlan = async (req, res, next) => {
+  const user = await records.findOne('users', { id: req.userId });
+  if (!user) return res.status(401).json({ error: 'User not found' });
+  if (!isPlanActive(user)) {
+    return res.status(402).json({
+      error: 'plan_expired',
+      message: 'Your free trial has expired. Please upgrade to continue.',
+      upgrade_url: '/billing'
+    });
+  }
+  next();
+};
@@ -1,18 +1,278 @@
 import express from 'express';
-import { db } from '../config/database.js';
-import { authenticateToken } from './auth.js';
+import { db } from '../storage/db.js';
+import { authenticate } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Get dashboard analytics
-router.get('/dashboard', authenticateToken, async (req, res) => {
-  try {
-    const analytics = await db.getAnalytics(req.userId);
-    res.json(analytics);
-  } catch (error) {
-    console.error('Get analytics error:', error);
-    res.status(500).json({ error: 'Failed to get analytics' });
+// Dashboard totals, intent breakdown and sequence performance
+router.get('/dashboard', authenticate, async (req, res) => {
+  await db.read();
+  const days = parseInt(req.query.days) || 30;
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - days);
+
+  const allUserLeads = db.data.leads.filter(l => l.user_id === req.userId);
+  const userLeads = allUserLeads.filter(l => {
+    if (!l.created_at) return true;
+    return new Date(l.created_at) >= cutoffDate;
+  });
+  const userSequences = db.data.sequences.filter(s => s.user_id === req.userId);
+
+  const totalLeads = userLeads.length;
+  const repliesReceived = userLeads.filter(l => l.last_reply_date).length;
+  const replyRate = totalLeads > 0 ? Math.round((repliesReceived / totalLeads) * 100) : 0;
+
+  const funnel = {};
+  userLeads.forEach(lead => {
+    funnel[lead.status] = (funnel[lead.status] || 0) + 1;
+  });
+
+  const intentDistribution = { INTERESTED: 0, NOT_NOW: 0, OBJECTION: 0, GHOSTING: 0, DEAD: 0 };
+  userLeads.forEach(lead => {
+    if (lead.ai_intent && intentDistribution[lead.ai_intent] !== undefined) {
+      intentDistribution[lead.ai_intent]++;
+    }
+  });
+
+  const hotLeads = userLeads.filter(l => l.ai_intent === 'INTERESTED');
+
+  // Recovered this month = INTERESTED leads updated this calendar month
+  const now = new Date();
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const recoveredThisMonth = allUserLeads.filter(l =>
+    l.ai_intent === 'INTERESTED' && l.updated_at && new Date(l.updated_at) >= monthStart
+  ).length;
+
+  // Avg time to reply (lead reply date - draft sent date)
+  const sentDrafts = db.data.ai_drafts.filter(d => d.user_id === req.userId && d.status === 'sent' && d.sent_at);
+  let avgTimeToReplyHours = null;
+  if (sentDrafts.length > 0) {
+    let totalHours = 0;
+    let count = 0;
+    for (const d of sentDrafts) {
+      const lead = db.data.leads.find(l => l.id === d.lead_id);
+      if (lead && lead.last_reply_date) {
+        const hours = Math.abs(new Date(lead.last_reply_date) - new Date(d.sent_at)) / (1000 * 60 * 60);
+        totalHours += hours;
+        count++;
+      }
+    }
+    avgTimeToReplyHours = count > 0 ? Math.round((totalHours / count) * 10) / 10 : null;
   }
+
+  // Manual vs AI Mode comparison
+  //
+  // Manual = user wrote and sent the email themselves
+  //   source: email_history where email_type === 'initial'
+  //
+  // AI = system-generated emails (sequences + auto follow-ups + auto-replies)
+  //   source: email_interactions where sequence_id is set and direction === 'sent'  (sequence steps)
+  //         + email_history where email_type === 'follow_up'                        (follow_up jobs auto-send)
+  //         + ai_drafts where status === 'sent'                                     (AI reply drafts)
+  //
+  // Root cause of 100% bug:
+  //   Sequence emails are written to email_interactions (not email_history or ai_drafts).
+  //   The old code never read email_interactions, so sequence-contacted leads were completely
+  //   invisible to the mode comparison. If only 1 lead appeared in a bucket and they replied,
+  //   the denominator was 1 and the rate became 100% even though other leads were contacted
+  //   via sequences and hadn't replied.
+
+  const manualEmailRecords = (db.data.email_history || []).filter(h =>
+    h.user_id === req.userId && h.email_type === 'initial'
+  );
+  const aiDraftsSent = (db.data.ai_drafts || []).filter(d =>
+    d.user_id === req.userId && d.status === 'sent' && d.sent_at
+  );
+  const aiFollowUpRecords = (db.data.email_history || []).filter(h =>
+    h.user_id === req.userId && h.email_type === 'follow_up'
+  );
+  // Sequence step emails — automated sends, belong in AI bucket.
+  // These are stored in email_interactions (not email_history), which is why
+  // they were previously invisible and caused the inflated 100% reply rate.
+  const userSequenceIds = userSequences.map(s => s.id);
+  const sequenceSentRecords = (db.data.email_interactions || []).filter(i =>
+    i.sequence_id != null &&
+    userSequenceIds.includes(i.sequence_id) &&
+    i.direction === 'sent'
+  );
+
+  const manualSentCount = manualEmailRecords.length;
+  const aiSentCount = aiDraftsSent.length + aiFollowUpRecords.length + sequenceSentRecords.length;
+
+  const manualLeadIds = [...new Set(manualEmailRecords.map(e => e.lead_id))];
+  const aiLeadIds = [...new Set([
+    ...aiDraftsSent.map(d => d.lead_id),
+    ...aiFollowUpRecords.map(h => h.lead_id),
+    ...sequenceSentRecords.map(i => i.lead_id)
+  ])];
+
+  // Returns the timestamp (ms) of the most recently sent record for a given lead
+  // from a list of records that each have a lead_id and sent_at field.
+  const latestSentMs = (records, lid) => {
+    let max = 0;
+    for (const r of records) {
+      if (r.lead_id === lid && r.sent_at) {
+        const t = new Date(r.sent_at).getTime();
+        if (t > max) max = t;
+      }
+    }
+    return max;
+  };
+
+  // A lead is counted as "replied to mode X" only if their last_reply_date
+  // is AFTER the most recent email sent to them in mode X.
+  const manualReplied = manualLeadIds.filter(lid => {
+    const lead = allUserLeads.find(l => l.id === lid);
+    if (!lead || !lead.last_reply_date) return false;
+    const latest = latestSentMs(manualEmailRecords, lid);
+    return latest > 0 && new Date(lead.last_reply_date).getTime() > latest;
+  }).length;
+
+  const aiReplied = aiLeadIds.filter(lid => {
+    const lead = allUserLeads.find(l => l.id === lid);
+    if (!lead || !lead.last_reply_date) return false;
+    const latest = Math.max(
+      latestSentMs(aiDraftsSent, lid),
+      latestSentMs(aiFollowUpRecords, lid),
+      latestSentMs(sequenceSentRecords, lid)
+    );
+    return latest > 0 && new Date(lead.last_reply_date).getTime() > latest;
+  }).length;
+
+  // INTERESTED means the lead replied with positive intent — same date-check logic applies.
+  const manualInterested = manualLeadIds.filter(lid => {
+    const lead = allUserLeads.find(l => l.id === lid);
+    if (!lead || lead.ai_intent !== 'INTERESTED' || !lead.last_reply_date) return false;
+    const latest = latestSentMs(manualEmailRecords, lid);
+    return latest > 0 && new Date(lead.last_reply_date).getTime() > latest;
+  }).length;
+
+  const aiInterested = aiLeadIds.filter(lid => {
+    const lead = allUserLeads.find(l => l.id === lid);
+    if (!lead || lead.ai_intent !== 'INTERESTED' || !lead.last_reply_date) return false;
+    const latest = Math.max(
+      latestSentMs(aiDraftsSent, lid),
+      latestSentMs(aiFollowUpRecords, lid),
+      latestSentMs(sequenceSentRecords, lid)
+    );
+    return latest > 0 && new Date(lead.last_reply_date).getTime() > latest;
+  }).length;
+
+  const modeComparison = {
+    manual: {
+      sent: manualSentCount,
+      leads_contacted: manualLeadIds.length,
+      replies: manualReplied,
+      reply_rate: manualLeadIds.length > 0 ? Math.round((manualReplied / manualLeadIds.length) * 100) : 0,
+      interested: manualInterested,
+      conversion_rate: manualLeadIds.length > 0 ? Math.round((manualInterested / manualLeadIds.length) * 100) : 0
+    },
+    ai: {
+      sent: aiSentCount,
+      leads_contacted: aiLeadIds.length,
+      replies: aiReplied,
+      reply_rate: aiLeadIds.length > 0 ? Math.round((aiReplied / aiLeadIds.length) * 100) : 0,
+      interested: aiInterested,
+      conversion_rate: aiLeadIds.length > 0 ? Math.round((aiInterested / aiLeadIds.length) * 100) : 0
+    }
+  };
+
+  // Sequence step performance — computed from email_interactions (the real sent log)
+  const sequenceSteps = (db.data.sequence_steps || [])
+    .filter(s => userSequenceIds.includes(s.sequence_id))
+    .sort((a, b) => a.sequence_id - b.sequence_id || a.step_number - b.step_number);
+
+  // All outbound sequence interactions for this user's sequences
+  const allSeqInteractions = (db.data.email_interactions || []).filter(i =>
+    i.sequence_id != null && userSequenceIds.includes(i.sequence_id) && i.direction === 'sent'
+  );
+
+  // Open/click events from the tracking pixel and link redirects, keyed by the sent interaction.
+  // Bot/prefetch events (Apple MPP, image proxies, link scanners) are not engagement.
+  const sequenceEvents = (db.data.email_events || []).filter(e =>
+    e.sequence_id != null && userSequenceIds.includes(e.sequence_id) && ['open', 'click'].includes(e.event_type) && !e.bot
+  );
+
+  const sequences = sequenceSteps.map(step => {
+    const stepNum = step.step_number;
+    const seqId = step.sequence_id;
+
+    // All sent records for this specific step
+    const stepSentInteractions = allSeqInteractions.filter(i =>
+      i.sequence_id === seqId && i.step_number === stepNum
+    );
+    const sentCount = stepSentInteractions.length;
+
+    // Leads that received this step — check if they replied at any point after enrollment
+    const leadIdsSentThisStep = new Set(stepSentInteractions.map(i => i.lead_id));
+    const repliesCount = allUserLeads.filter(l =>
+      leadIdsSentThisStep.has(l.id) && !!l.last_reply_date
+    ).length;
+
+    // Messages of this step opened / clicked at least once
+    const stepEvents = sequenceEvents.filter(e => e.sequence_id === seqId && e.step_number === stepNum);
+    const uniqueMessages = (type) => new Set(stepEvents.filter(e => e.event_type === type).map(e => e.interaction_id)).size;
+
+    return {
+      step: stepNum,
+      sequence_id: seqId,
+      sequence_name: userSequences.find(s => s.id === seqId)?.name || `Sequence ${seqId}`,
+      name: step.subject || `Step ${stepNum}`,
+      sent: sentCount,
+      opens: uniqueMessages('open'),
+      clicks: uniqueMessages('click'),
+      replies: repliesCount
+    };
+  });
+
+  // Daily reply rate trend (last 7 days)
+  const replyRateTrend = [];
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  for (let i = 6; i >= 0; i--) {
+    const date = new Date();
+    date.setDate(date.getDate() - i);
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+    const dayLeads = allUserLeads.filter(l => {
+      if (!l.created_at) return false;
+      const created = new Date(l.created_at);
+      return created >= dayStart && created < dayEnd;
+    });
+    const dayReplies = dayLeads.filter(l => l.last_reply_date).length;
+    const rate = dayLeads.length > 0 ? Math.round((dayReplies / dayLeads.length) * 100) : 0;
+    replyRateTrend.push({ day: dayNames[date.getDay()], rate });
+  }
+
+  const upcomingAppointments = (db.data.appointments || [])
+    .filter(a => a.user_id === req.userId && a.status === 'scheduled')
+    .map(apt => {
+      const lead = db.data.leads.find(l => l.id === apt.lead_id);
+      return {
+        ...apt,
+        lead: lead
+          ? { id: lead.id, first_name: lead.first_name, last_name: lead.last_name, email: lead.email, company: lead.company }
+          : null
+      };
+    })
+    .sort((a, b) => new Date(`${a.date}T${a.time}`) - new Date(`${b.date}T${b.time}`));
+
+  res.json({
+    overview: {
+      total_leads: totalLeads,
+      reply_rate: replyRate,
+      recovered_this_month: recoveredThisMonth,
+      active_sequences: userSequences.filter(s => s.is_active).length,
+      avg_time_to_reply_hours: avgTimeToReplyHours
+    },
+    hot_leads: hotLeads,
+    upcoming_appointments: upcomingAppointments,
+    funnel,
+    intent_distribution: intentDistribution,
+    mode_comparison: modeComparison,
+    sequences,
+    reply_rate_trend: replyRateTrend
+  });
 });
 
 export default router;
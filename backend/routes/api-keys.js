@@ -0,0 +1,118 @@
+import express from 'express';
+import { db } from '../storage/db.js';
+import { authenticate } from '../middleware/auth.js';
+import { roleAtLeast } from '../services/workspaces.js';
+import {
+  SCOPES, API_KEY_KINDS, validateApiKeyOptions, createApiKey, publicApiKey
+} from '../services/api-keys.js';
+
+const router = express.Router();
+
+// Your personal keys in this workspace, plus the workspace keys for admins
+const canManage = (key, req) =>
+  key.workspace_id === req.workspaceId &&
+  (key.kind === 'personal' ? key.created_by === req.memberId : roleAtLeast(req.role, 'admin'));
+
+const findKey = (req) => db.data.api_keys.find(k => String(k.id) === String(req.params.id) && canManage(k, req));
+
+// List the keys you can manage, and the scopes a key can have
+router.get('/', authenticate, async (req, res) => {
+  await db.read();
+  const keys = db.data.api_keys
+    .filter(k => canManage(k, req))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .map(publicApiKey);
+  res.json({ api_keys: keys, scopes: SCOPES });
+});
+
+// Create a key: { name, scopes, kind: 'personal' | 'workspace', rate_limit_per_minute }.
+// The response is the only time the key itself is shown.
+router.post('/', authenticate, async (req, res) => {
+  const { name, scopes, rate_limit_per_minute } = req.body;
+  const kind = req.body.kind || 'personal';
+  if (!API_KEY_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of ${API_KEY_KINDS.join(', ')}` });
+  if (kind === 'workspace' && !roleAtLeast(req.role, 'admin')) {
+    return res.status(403).json({ error: 'Only admins can create workspace keys' });
+  }
+  const error = validateApiKeyOptions(req.body);
+  if (error) return res.status(400).json({ error });
+
+  await db.read();
+  const { key, secret } = await createApiKey({
+    userId: req.userId,
+    workspaceId: req.workspaceId,
+    createdBy: req.memberId,
+    kind,
+    name,
+    scopes,
+    rateLimit: rate_limit_per_minute
+  });
+  await db.write();
+
+  console.log(`🔑 Created ${kind} API key ${key.id} for workspace ${req.workspaceId}`);
+  res.json({ api_key: publicApiKey(key), key: secret });
+});
+
+// Rename a key or change its scopes or rate limit
+router.patch('/:id', authenticate, async (req, res) => {
+  const error = validateApiKeyOptions(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+
+  await db.read();
+  const key = findKey(req);
+  if (!key || key.revoked_at) return res.status(404).json({ error: 'API key not found' });
+
+  if (req.body.name !== undefined) key.name = req.body.name.trim();
+  if (req.body.scopes !== undefined) key.scopes = [...new Set(req.body.scopes)];
+  if (req.body.rate_limit_per_minute != null) key.rate_limit_per_minute = req.body.rate_limit_per_minute;
+  key.updated_at = new Date().toISOString();
+  await db.write();
+  res.json({ api_key: publicApiKey(key) });
+});
+
+// Replace a key with a new secret. The old one stops working now, or after
+// { grace_minutes } (up to a week) so integrations can be switched over.
+router.post('/:id/rotate', authenticate, async (req, res) => {
+  const graceMinutes = req.body.grace_minutes ?? 0;
+  if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes > 7 * 24 * 60) {
+    return res.status(400).json({ error: 'grace_minutes must be a whole number from 0 to 10080' });
+  }
+
+  await db.read();
+  const old = findKey(req);
+  if (!old || old.revoked_at) return res.status(404).json({ error: 'API key not found' });
+
+  const { key, secret } = await createApiKey({
+    userId: old.user_id,
+    workspaceId: old.workspace_id,
+    createdBy: old.kind === 'personal' ? old.created_by : req.memberId,
+    kind: old.kind,
+    name: old.name,
+    scopes: old.scopes,
+    rateLimit: old.rate_limit_per_minute,
+    rotatedFrom: old.id
+  });
+  if (graceMinutes > 0) {
+    old.expires_at = new Date(Date.now() + graceMinutes * 60 * 1000).toISOString();
+  } else {
+    old.revoked_at = new Date().toISOString();
+  }
+  old.replaced_by = key.id;
+  await db.write();
+
+  console.log(`🔑 Rotated API key ${old.id} → ${key.id}`);
+  res.json({ api_key: publicApiKey(key), key: secret, previous: publicApiKey(old) });
+});
+
+// Revoke a key — it stops working immediately
+router.delete('/:id', authenticate, async (req, res) => {
+  await db.read();
+  const key = findKey(req);
+  if (!key) return res.status(404).json({ error: 'API key not found' });
+
+  key.revoked_at = key.revoked_at || new Date().toISOString();
+  await db.write();
+  res.json({ success: true, api_key: publicApiKey(key) });
+});
+
+export default router;
@@ -0,0 +1,267 @@
+import express from 'express';
+import { db, ids } from '../storage/db.js';
+import { authenticate } from '../middleware/auth.js';
+import { sendEmail } from '../services/email.js';
+import { mailboxForLead } from '../services/mailboxes.js';
+import { emitEvent, leadSummary } from '../services/outbound-webhooks.js';
+
+const router = express.Router();
+
+// POST /api/appointments — book appointment for an interested lead
+router.post('/', authenticate, async (req, res) => {
+  const { lead_id, date, time, timezone, duration_minutes, appointment_type, meeting_link, notes } = req.body;
+  if (!lead_id || !date || !time) {
+    return res.status(400).json({ error: 'lead_id, date, and time are required' });
+  }
+
+  await db.read();
+  const lead = db.data.leads.find(l => String(l.id) === String(lead_id) && l.user_id === req.userId);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+  const appointment = {
+    id: await ids.next('appointments'),
+    user_id: req.userId,
+    lead_id: lead.id, // use the actual stored id to keep type consistent
+    date,
+    time,
+    timezone: timezone || 'UTC',
+    duration_minutes: duration_minutes || 30,
+    appointment_type: appointment_type || 'call',
+    meeting_link: meeting_link || '',
+    notes: notes || '',
+    status: 'scheduled',
+    outcome: null,
+    reminder_24h_sent: false,
+    reminder_1h_sent: false,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  db.data.appointments.push(appointment);
+
+  const leadIdx = db.data.leads.findIndex(l => l.id === lead_id);
+  if (leadIdx !== -1) {
+    db.data.leads[leadIdx].status = 'appointment_scheduled';
+    db.data.leads[leadIdx].updated_at = new Date().toISOString();
+  }
+
+  await db.write();
+
+  // Send confirmation email to lead
+  const emailSettings = lead ? mailboxForLead(lead) : null;
+  if (emailSettings) {
+    try {
+      const dateObj = new Date(`${date}T${time}`);
+      const formattedDate = dateObj.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+      const confirmBody = `Hi ${lead.first_name || lead.email},\n\nYour appointment has been confirmed!\n\n📅 Date: ${formattedDate}\n⏰ Time: ${time} (${timezone || 'UTC'})\n⏱ Duration: ${duration_minutes || 30} minutes\n${meeting_link ? `🔗 Meeting Link: ${meeting_link}\n` : ''}${notes ? `📝 Notes: ${notes}\n` : ''}\nLooking forward to speaking with you!`;
+      await sendEmail(emailSettings, lead.email, 'Your Appointment is Confirmed', confirmBody);
+      console.log(`📅 Confirmation email sent to ${lead.email}`);
+    } catch (e) {
+      console.error('Appointment confirmation email failed:', e.message);
+    }
+  }
+
+  res.status(201).json({ appointment });
+});
+
+// GET /api/appointments — list all appointments for user
+router.get('/', authenticate, async (req, res) => {
+  await db.read();
+  const appointments = (db.data.appointments || [])
+    .filter(a => a.user_id === req.userId)
+    .map(apt => {
+      const lead = db.data.leads.find(l => l.id === apt.lead_id);
+      return {
+        ...apt,
+        lead: lead
+          ? { id: lead.id, first_name: lead.first_name, last_name: lead.last_name, email: lead.email, company: lead.company }
+          : null
+      };
+    })
+    .sort((a, b) => new Date(`${a.date}T${a.time}`) - new Date(`${b.date}T${b.time}`));
+
+  res.json({ appointments });
+});
+
+// PATCH /api/appointments/:id — reschedule or restore appointment
+router.patch('/:id', authenticate, async (req, res) => {
+  await db.read();
+  const aptId = parseInt(req.params.id);
+  const idx = db.data.appointments.findIndex(a => a.id === aptId && a.user_id === req.userId);
+  if (idx === -1) return res.status(404).json({ error: 'Appointment not found' });
+
+  const apt = db.data.appointments[idx];
+
+  // Allow restoring a cancelled appointment back to scheduled
+  if (req.body.status === 'scheduled' && apt.status === 'cancelled') {
+    apt.status = 'scheduled';
+    apt.updated_at = new Date().toISOString();
+    await db.write();
+    return res.json({ appointment: db.data.appointments[idx] });
+  }
+
+  const { date, time, timezone, duration_minutes, appointment_type, meeting_link, notes } = req.body;
+  const wasRescheduled = (date && date !== apt.date) || (time && time !== apt.time);
+
+  if (date) apt.date = date;
+  if (time) apt.time = time;
+  if (timezone) apt.timezone = timezone;
+  if (duration_minutes) apt.duration_minutes = duration_minutes;
+  if (appointment_type) apt.appointment_type = appointment_type;
+  if (meeting_link !== undefined) apt.meeting_link = meeting_link;
+  if (notes !== undefined) apt.notes = notes;
+  if (wasRescheduled) {
+    apt.reminder_24h_sent = false;
+    apt.reminder_1h_sent = false;
+    apt.reminders_sent = {}; // reset custom reminder tracking too
+  }
+  apt.updated_at = new Date().toISOString();
+
+  await db.write();
+
+  if (wasRescheduled) {
+    const lead = db.data.leads.find(l => l.id === apt.lead_id);
+    const emailSettings = lead ? mailboxForLead(lead) : null;
+    if (lead && emailSettings) {
+      try {
+        const dateObj = new Date(`${apt.date}T${apt.time}`);
+        const formattedDate = dateObj.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        const rescheduleBody = `Hi ${lead.first_name || lead.email},\n\nYour appointment has been rescheduled. Here are the updated details:\n\n📅 Date: ${formattedDate}\n⏰ Time: ${apt.time} (${apt.timezone})\n⏱ Duration: ${apt.duration_minutes} minutes\n${apt.meeting_link ? `🔗 Meeting Link: ${apt.meeting_link}\n` : ''}\nSee you then!`;
+        await sendEmail(emailSettings, lead.email, 'Your Appointment has been Rescheduled', rescheduleBody);
+      } catch (e) {
+        console.error('Reschedule email failed:', e.message);
+      }
+    }
+  }
+
+  res.json({ appointment: db.data.appointments[idx] });
+});
+
+// DELETE /api/appointments/:id — cancel appointment
+router.delete('/:id', authenticate, async (req, res) => {
+  await db.read();
+  const aptId = parseInt(req.params.id);
+  const idx = db.data.appointments.findIndex(a => a.id === aptId && a.user_id === req.userId);
+  if (idx === -1) return res.status(404).json({ error: 'Appointment not found' });
+
+  db.data.appointments[idx].status = 'cancelled';
+  db.data.appointments[idx].updated_at = new Date().toISOString();
+  await db.write();
+
+  res.json({ message: 'Appointment cancelled' });
+});
+
+// PATCH /api/appointments/:id/outcome — mark what happened after the appointment
+router.patch('/:id/outcome', authenticate, async (req, res) => {
+  const { outcome } = req.body;
+  const validOutcomes = ['won', 'needs_more_time', 'no_show', 'not_a_fit'];
+  if (!validOutcomes.includes(outcome)) {
+    return res.status(400).json({ error: 'Invalid outcome. Use: won, needs_more_time, no_show, not_a_fit' });
+  }
+
+  await db.read();
+  const aptId = parseInt(req.params.id);
+  const aptIdx = db.data.appointments.findIndex(a => a.id === aptId && a.user_id === req.userId);
+  if (aptIdx === -1) return res.status(404).json({ error: 'Appointment not found' });
+
+  const apt = db.data.appointments[aptIdx];
+  apt.outcome = outcome;
+  apt.status = 'completed';
+  apt.completed_at = new Date().toISOString();
+  apt.updated_at = new Date().toISOString();
+
+  const lead = db.data.leads.find(l => l.id === apt.lead_id);
+  const emailSettings = lead ? mailboxForLead(lead) : null;
+  const leadIdx = db.data.leads.findIndex(l => l.id === apt.lead_id);
+
+  if (outcome === 'won') {
+    if (leadIdx !== -1) {
+      db.data.leads[leadIdx].status = 'converted';
+      db.data.leads[leadIdx].sequence_paused = true;
+      db.data.leads[leadIdx].updated_at = new Date().toISOString();
+    }
+    if (lead && emailSettings) {
+      try {
+        const wonBody = `Hi ${lead.first_name || lead.email},\n\nGreat news — we're moving forward! 🎉\n\nThank you for your time on our call. I'm excited to have you on board.\n\nI'll be in touch shortly with the next steps. If you have any questions in the meantime, feel free to reply to this email.\n\nLooking forward to working with you!`;
+        await sendEmail(emailSettings, lead.email, 'Welcome aboard! Here are your next steps', wonBody);
+        console.log(`🎉 Won email sent to ${lead.email}`);
+      } catch (e) { console.error('Won email failed:', e.message); }
+    }
+  } else if (outcome === 'needs_more_time') {
+    if (leadIdx !== -1) {
+      db.data.leads[leadIdx].status = 'nurture';
+      db.data.leads[leadIdx].next_followup_at = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+      db.data.leads[leadIdx].sequence_paused = false;
+      db.data.leads[leadIdx].updated_at = new Date().toISOString();
+    }
+    if (lead && emailSettings) {
+      try {
+        const followUpBody = `Hi ${lead.first_name || lead.email},\n\nGreat speaking with you! I understand the timing isn't perfect right now.\n\nI'll check back in with you in about a week — but in the meantime, feel free to reach out whenever you're ready. I'm happy to help!\n\nTalk soon.`;
+        await sendEmail(emailSettings, lead.email, 'Great speaking with you!', followUpBody);
+        console.log(`⏰ Nurture email sent to ${lead.email}`);
+      } catch (e) { console.error('Nurture email failed:', e.message); }
+    }
+  } else if (outcome === 'no_show') {
+    if (leadIdx !== -1) {
+      db.data.leads[leadIdx].status = 'no_show';
+      db.data.leads[leadIdx].updated_at = new Date().toISOString();
+    }
+    if (lead && emailSettings) {
+      try {
+        const noShowBody = `Hi ${lead.first_name || lead.email},\n\nI noticed we missed each other for our scheduled call — no worries at all!\n\nI'd love to find another time that works better for you. Would you like to reschedule? Just reply with a few times that work and I'll get it sorted.\n\nLooking forward to connecting!`;
+        await sendEmail(emailSettings, lead.email, 'Missed our call — want to reschedule?', noShowBody);
+        console.log(`📞 No-show reschedule email sent to ${lead.email}`);
+      } catch (e) { console.error('No-show email failed:', e.message); }
+    }
+  } else if (outcome === 'not_a_fit') {
+    if (leadIdx !== -1) {
+      db.data.leads[leadIdx].status = 'dead';
+      db.data.leads[leadIdx].sequence_paused = true;
+      db.data.leads[leadIdx].updated_at = new Date().toISOString();
+    }
+  }
+
+  await db.write();
+  if (outcome === 'won') {
+    const wonLead = db.data.leads.find(l => l.id === apt.lead_id);
+    await emitEvent(req.userId, 'appointment.won', {
+      lead: wonLead ? leadSummary(wonLead) : null,
+      appointment: db.data.appointments[aptIdx]
+    });
+  }
+  res.json({
+    appointment: db.data.appointments[aptIdx],
+    lead: leadIdx !== -1 ? db.data.leads[leadIdx] : null
+  });
+});
+
+// GET /api/appointments/notifications — return unnotified AI-detected appointments, then mark them notified
+router.get('/notifications', authenticate, async (req, res) => {
+  await db.read();
+  const unnotified = (db.data.appointments || [])
+    .filter(a => a.user_id === req.userId && a.source === 'ai_detected' && a.notified === false);
+
+  // Enrich with lead data
+  const enriched = unnotified.map(apt => {
+    const lead = db.data.leads.find(l => l.id === apt.lead_id);
+    return {
+      ...apt,
+      lead: lead
+        ? { id: lead.id, first_name: lead.first_name, last_name: lead.last_name, email: lead.email, company: lead.company }
+        : null
+    };
+  });
+
+  // Mark all as notified
+  if (unnotified.length > 0) {
+    unnotified.forEach(apt => {
+      const idx = db.data.appointments.findIndex(a => a.id === apt.id);
+      if (idx !== -1) db.data.appointments[idx].notified = true;
+    });
+    await db.write();
+  }
+
+  res.json({ notifications: enriched });
+});
+
+export default router;
@@ -1,132 +1,191 @@
 import express from 'express';
-import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
 import { google } from 'googleapis';
-import { db } from '../config/database.js';
+import crypto from 'crypto';
+import { db, ids } from '../storage/db.js';
+import { JWT_SECRET, authenticate, requireRole } from '../middleware/auth.js';
+import { PLANS } from '../services/billing.js';
+import { createPersonalWorkspace, findInvitation, acceptInvitation, getWorkspace, workspaceMembers } from '../services/workspaces.js';
+import { newWarmup } from '../services/warmup.js';
+import { userMailboxes, defaultMailbox, mailboxByEmail, requestedMailbox, disconnectMailbox, publicMailbox } from '../services/mailboxes.js';
+import { oauth2Client, setupGmailPushNotifications } from '../services/gmail.js';
+import {
+  getOutlookAuthUrl, exchangeOutlookCode, getOutlookProfile,
+  canUseOutlookPush, setupOutlookSubscription, deleteOutlookSubscription
+} from '../services/outlook.js';
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
 
-// Google OAuth client
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI
-);
+// Free (personal) email domains — block on registration
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com','yahoo.com','hotmail.com','outlook.com','live.com',
+  'icloud.com','aol.com','protonmail.com','mail.com','yandex.com',
+  'gmx.com','zoho.com','yahoo.co.uk','yahoo.com.au','msn.com',
+  'me.com','mac.com','googlemail.com','yahoo.fr','yahoo.de'
+];
 
-// Register
 router.post('/register', async (req, res) => {
-  try {
-    const { email, password, company_name } = req.body;
+  const { email, password, company_name, invite_token } = req.body;
+  if (!email || !password) return res.status(400).json({ error: 'Email and password are required' });
 
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
-    }
-
-    // Check if user exists
-    const existingUser = await db.findUserByEmail(email);
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
-    }
+  // Allow any email domain (commented out to allow public signups)
+  // const emailDomain = email.split('@')[1]?.toLowerCase();
+  // if (!emailDomain || FREE_EMAIL_DOMAINS.includes(emailDomain)) {
+  //   return res.status(400).json({ error: 'Please use your business email address to sign up.' });
+  // }
 
-    // Hash password
-    const password_hash = await bcrypt.hash(password, 10);
+  await db.read();
 
-    // Create user
-    const user = await db.createUser({
-      email,
-      password_hash,
-      company_name: company_name || null
-    });
+  // Ensure all tables exist after read (in case db.json is empty on fresh deployments)
+  if (!db.data) db.data = {};
+  if (!db.data.users) db.data.users = [];
+  if (!db.data.leads) db.data.leads = [];
+  if (!db.data.sequences) db.data.sequences = [];
+  if (!db.data.sequence_steps) db.data.sequence_steps = [];
+  if (!db.data.email_settings) db.data.email_settings = [];
 
-    // Generate token
-    const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '7d' });
+  if ((db.data.users || []).find(u => u.email === email)) {
+    return res.status(400).json({ error: 'Email already exists' });
+  }
 
-    res.status(201).json({
-      message: 'User created successfully',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        company_name: user.company_name
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+  // Signing up from a team invitation joins that workspace
+  const invitation = invite_token ? findInvitation(invite_token) : null;
+  if (invite_token && !invitation) {
+    return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+  }
+  if (invitation && invitation.email !== email.trim().toLowerCase()) {
+    return res.status(400).json({ error: 'This invitation was sent to a different email address' });
   }
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const trialEnd = new Date(Date.now() + 14 * 24 * 60 * 60 * 1000); // 14 days
+  const user = {
+    id: await ids.next('users'),
+    email,
+    password: hashedPassword,
+    company_name: company_name || '',
+    created_at: new Date().toISOString(),
+    // Billing fields
+    plan: 'trial',
+    plan_status: 'trialing',
+    trial_ends_at: trialEnd.toISOString(),
+    stripe_customer_id: null,
+    stripe_subscription_id: null,
+    ai_generations_this_month: 0,
+    ai_generations_reset_at: new Date().toISOString()
+  };
+
+  db.data.users.push(user);
+  await createPersonalWorkspace(user);
+  if (invitation) await acceptInvitation(invitation, user);
+  await db.write();
+
+  const token = jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: '7d' });
+  res.json({ token, user: { id: user.id, email: user.email, company_name: user.company_name } });
 });
 
-// Login
 router.post('/login', async (req, res) => {
+  const { email, password } = req.body;
+  await db.read();
+  const user = (db.data.users || []).find(u => u.email === email);
+
+  if (!user || !await bcrypt.compare(password, user.password)) {
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+
+  const token = jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: '7d' });
+  res.json({ token, user: { id: user.id, email: user.email, company_name: user.company_name } });
+});
+
+// The signed-in user, their workspace and its plan usage
+router.get('/me', authenticate, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    await db.read();
 
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
-    }
+    // Ensure all tables exist after read
+    if (!db.data) db.data = {};
+    if (!db.data.users) db.data.users = [];
+    if (!db.data.leads) db.data.leads = [];
 
-    // Find user
-    const user = await db.findUserByEmail(email);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+    // The person signed in, and the workspace account that holds the plan
+    const user = (db.data.users || []).find(u => u.id === req.memberId);
+    const account = (db.data.users || []).find(u => u.id === req.userId);
+    if (!user || !account) return res.status(404).json({ error: 'User not found' });
+
+    // Calculate active leads for this user (safe with try/catch)
+    let activeLeads = 0;
+    try {
+      activeLeads = (db.data.leads || []).filter(l =>
+        l.user_id === req.userId &&
+        l.enrolled_sequence_id &&
+        !l.sequence_completed &&
+        l.status !== 'dead'
+      ).length;
+    } catch(e) { /* ignore lead count errors */ }
 
-    // Check password
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // Effective plan (trial expired → locked)
+    let effectivePlan = account.plan || 'trial';
+    let planStatus = account.plan_status || 'trialing';
+    if (effectivePlan === 'trial' && account.trial_ends_at && new Date() > new Date(account.trial_ends_at)) {
+      planStatus = 'expired';
     }
 
-    // Generate token
-    const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '7d' });
+    const planLimits = PLANS[effectivePlan] || PLANS.trial;
+    const workspace = getWorkspace(req.workspaceId);
 
     res.json({
-      message: 'Login successful',
-      token,
       user: {
         id: user.id,
         email: user.email,
-        company_name: user.company_name
+        company_name: account.company_name,
+        plan: effectivePlan,
+        plan_status: planStatus,
+        trial_ends_at: account.trial_ends_at || null,
+        ai_generations_this_month: account.ai_generations_this_month || 0,
+        ai_generations_limit: planLimits.ai_generations_limit,
+        active_leads_count: activeLeads,
+        active_leads_limit: planLimits.active_leads_limit,
+        sequences_limit: planLimits.sequences_limit
+      },
+      workspace: {
+        id: workspace.id,
+        name: workspace.name,
+        role: req.role,
+        members_count: workspaceMembers(workspace.id).length,
+        seats_limit: planLimits.seats_limit
       }
     });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+  } catch (err) {
+    console.error('/api/auth/me error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get current user
-router.get('/me', authenticateToken, async (req, res) => {
-  try {
-    const user = await db.findUserById(req.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        company_name: user.company_name,
-        created_at: user.created_at
-      }
-    });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Failed to get user' });
-  }
+// Get user's inbound email forwarding address (?mailbox_id= for one that isn't the default)
+router.get('/google/inbound-address', authenticate, async (req, res) => {
+  await db.read();
+  const domain = process.env.APP_URL ? new URL(process.env.APP_URL).hostname : 'zerotouchmail.com';
+  const address = (settings) => settings?.inbound_token ? `${settings.inbound_token}@${domain}` : null;
+  res.json({
+    inbound_address: address(requestedMailbox(req.userId, req.query.mailbox_id)),
+    mailboxes: userMailboxes(req.userId).map(m => ({ ...publicMailbox(m), inbound_address: address(m) }))
+  });
 });
 
+// Fields that belong to one provider and must go when the mailbox switches to another
+const OTHER_PROVIDER_FIELDS = [
+  'smtp', 'imap', 'push_enabled', 'push_setup_at', 'push_expiration', 'push_history_id',
+  'outlook_subscription_id', 'outlook_client_state'
+];
+
 // Google OAuth - Step 1: Initiate OAuth flow
-router.get('/google', authenticateToken, (req, res) => {
+router.get('/google', authenticate, requireRole('admin'), (req, res) => {
   const authUrl = oauth2Client.generateAuthUrl({
     access_type: 'offline',
+    prompt: 'consent', // Force consent screen to always get refresh_token
     scope: [
-      'https://www.googleapis.com/auth/gmail.readonly',
-      'https://www.googleapis.com/auth/gmail.send',
+      'https://www.googleapis.com/auth/gmail.modify',
       'https://www.googleapis.com/auth/userinfo.email'
     ],
     state: req.userId.toString() // Pass user ID to callback
@@ -140,9 +199,10 @@ router.get('/google/callback', async (req, res) => {
   try {
     const { code, state } = req.query;
     const userId = parseInt(state);
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
 
     if (!code || !userId) {
-      return res.redirect('http://localhost:5173/settings?error=oauth_failed');
+      return res.redirect(`${baseUrl}/settings?error=oauth_failed`);
     }
 
     // Exchange code for tokens
@@ -153,49 +213,194 @@ router.get('/google/callback', async (req, res) => {
     const oauth2 = google.oauth2({ version: 'v2', auth: oauth2Client });
     const { data } = await oauth2.userinfo.get();
 
-    // Save tokens to database
+    // Save tokens to database — reconnecting an address updates its mailbox,
+    // a new address is added next to the ones already connected
+    await db.read();
+    const existingSettings = mailboxByEmail(userId, data.email);
+    const defaults = existingSettings || defaultMailbox(userId);
+
     const emailSettings = {
       user_id: userId,
       email: data.email,
+      from_name: existingSettings?.from_name || '',
+      sending_mode: defaults?.sending_mode || 'manual',
       provider: 'gmail',
       access_token: tokens.access_token,
-      refresh_token: tokens.refresh_token,
       token_expiry: tokens.expiry_date,
-      auto_send_enabled: false
+      auto_send_enabled: defaults?.auto_send_enabled ?? false,
+      inbound_token: existingSettings?.inbound_token || crypto.randomBytes(16).toString('hex')
     };
 
-    // Update or create email settings
-    const existing = await db.getEmailSettings(userId);
-    if (existing) {
-      await db.updateEmailSettings(userId, emailSettings);
+    // Only update refresh_token if Google returned a new one (on first auth or explicit reconsent)
+    if (tokens.refresh_token) {
+      emailSettings.refresh_token = tokens.refresh_token;
+    }
+
+    if (existingSettings) {
+      // Same address connected over SMTP or Outlook before — drop those credentials and push state
+      if (existingSettings.provider !== 'gmail') {
+        for (const key of OTHER_PROVIDER_FIELDS) delete existingSettings[key];
+      }
+      Object.assign(existingSettings, emailSettings);
+      // Preserve existing refresh_token if a new one wasn't provided
+      if (!tokens.refresh_token && existingSettings.refresh_token) {
+        // refresh_token already preserved by Object.assign
+      }
+      // Clear the invalid flag since user just reconnected with fresh tokens
+      delete existingSettings.token_invalid;
+      delete existingSettings.token_invalid_since;
     } else {
-      await db.createEmailSettings(emailSettings);
+      emailSettings.id = await ids.next('email_settings');
+      // A newly connected Gmail account ramps up its volume (PATCH /api/settings/warmup turns this off)
+      emailSettings.warmup = newWarmup();
+      emailSettings.created_at = new Date().toISOString();
+      db.data.email_settings.push(emailSettings);
     }
 
-    // Redirect back to frontend settings page
-    res.redirect('http://localhost:5173/settings?success=gmail_connected');
+    await db.write();
+    const mailboxId = (existingSettings || emailSettings).id;
+
+    // Auto-enable Gmail Push Notifications if Google Cloud is configured
+    if (process.env.GOOGLE_CLOUD_PROJECT_ID) {
+      setImmediate(async () => {
+        try {
+          await db.read();
+          const s = db.data.email_settings.find(s => s.id === mailboxId);
+          if (s) await setupGmailPushNotifications(s, userId);
+          console.log(`✅ Gmail Push Notifications auto-enabled for user ${userId}`);
+        } catch (err) {
+          console.error(`⚠️ Auto push setup failed for user ${userId} (non-fatal):`, err.message);
+        }
+      });
+    }
+
+    // Redirect back to frontend (works for both localhost and production)
+    res.redirect(`${baseUrl}/settings?success=gmail_connected`);
   } catch (error) {
     console.error('OAuth callback error:', error);
-    res.redirect('http://localhost:5173/settings?error=oauth_failed');
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    res.redirect(`${baseUrl}/settings?error=oauth_failed`);
   }
 });
 
-// Middleware to authenticate JWT token
-export function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// The user's mailboxes on a provider — just the one in ?mailbox_id=, or all of them
+function providerMailboxes(req, provider) {
+  return userMailboxes(req.userId).filter(m =>
+    m.provider === provider && (req.query.mailbox_id == null || String(m.id) === String(req.query.mailbox_id))
+  );
+}
+
+// Disconnect Gmail OAuth
+router.delete('/google', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    await db.read();
+
+    const mailboxes = providerMailboxes(req, 'gmail');
+    if (mailboxes.length > 0) {
+      mailboxes.forEach(disconnectMailbox);
+      await db.write();
+    }
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    res.json({ success: true, message: 'Gmail disconnected' });
+  } catch (error) {
+    console.error('Disconnect error:', error);
+    res.status(500).json({ error: 'Failed to disconnect Gmail' });
   }
+});
 
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
+// Microsoft OAuth - Step 1: Initiate OAuth flow (Microsoft 365 / Outlook.com)
+router.get('/microsoft', authenticate, requireRole('admin'), (req, res) => {
+  if (!process.env.MICROSOFT_CLIENT_ID) {
+    return res.status(500).json({ error: 'Microsoft OAuth is not configured on the server.' });
+  }
+  res.json({ authUrl: getOutlookAuthUrl(req.userId.toString()) });
+});
+
+// Microsoft OAuth - Step 2: Handle callback
+router.get('/microsoft/callback', async (req, res) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  try {
+    const { code, state } = req.query;
+    const userId = parseInt(state);
+
+    if (!code || !userId) {
+      return res.redirect(`${baseUrl}/settings?error=oauth_failed`);
     }
-    req.userId = decoded.userId;
-    next();
-  });
-}
+
+    const tokens = await exchangeOutlookCode(code);
+    const profile = await getOutlookProfile(tokens.access_token);
+
+    await db.read();
+    const existingSettings = mailboxByEmail(userId, profile.email);
+    const defaults = existingSettings || defaultMailbox(userId);
+
+    const emailSettings = {
+      user_id: userId,
+      email: profile.email,
+      from_name: existingSettings?.from_name || profile.name,
+      sending_mode: defaults?.sending_mode || 'manual',
+      provider: 'outlook',
+      access_token: tokens.access_token,
+      refresh_token: tokens.refresh_token,
+      token_expiry: tokens.token_expiry,
+      auto_send_enabled: defaults?.auto_send_enabled ?? false,
+      inbound_token: existingSettings?.inbound_token || crypto.randomBytes(16).toString('hex')
+    };
+
+    if (existingSettings) {
+      // Reconnecting this address (over Gmail, SMTP or an earlier Outlook login) — start clean
+      for (const key of OTHER_PROVIDER_FIELDS) delete existingSettings[key];
+      delete existingSettings.token_invalid;
+      delete existingSettings.token_invalid_since;
+      Object.assign(existingSettings, emailSettings);
+    } else {
+      emailSettings.id = await ids.next('email_settings');
+      emailSettings.created_at = new Date().toISOString();
+      db.data.email_settings.push(emailSettings);
+    }
+
+    await db.write();
+    const mailboxId = (existingSettings || emailSettings).id;
+
+    // Subscribe to inbox change notifications when the server is publicly reachable
+    if (canUseOutlookPush()) {
+      setImmediate(async () => {
+        try {
+          await db.read();
+          const s = db.data.email_settings.find(s => s.id === mailboxId);
+          if (s) await setupOutlookSubscription(s, userId);
+        } catch (err) {
+          console.error(`⚠️ Outlook subscription setup failed for user ${userId} (non-fatal):`, err.message);
+        }
+      });
+    }
+
+    res.redirect(`${baseUrl}/settings?success=outlook_connected`);
+  } catch (error) {
+    console.error('Microsoft OAuth callback error:', error);
+    res.redirect(`${baseUrl}/settings?error=oauth_failed`);
+  }
+});
+
+// Disconnect Outlook
+router.delete('/microsoft', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    await db.read();
+
+    const mailboxes = providerMailboxes(req, 'outlook');
+    if (mailboxes.length > 0) {
+      for (const settings of mailboxes) await deleteOutlookSubscription(settings);
+      // deleteOutlookSubscription re-reads the db — remove the live records
+      await db.read();
+      providerMailboxes(req, 'outlook').forEach(disconnectMailbox);
+      await db.write();
+    }
+
+    res.json({ success: true, message: 'Outlook disconnected' });
+  } catch (error) {
+    console.error('Disconnect error:', error);
+    res.status(500).json({ error: 'Failed to disconnect Outlook' });
+  }
+});
 
 export default router;
@@ -0,0 +1,157 @@
+import express from 'express';
+import { db } from '../storage/db.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { stripe, getUserPlan } from '../services/billing.js';
+import { seatsUsed } from '../services/workspaces.js';
+
+const router = express.Router();
+
+// POST /api/billing/verify-session — called after Stripe redirects back, updates plan without webhook
+router.post('/verify-session', authenticate, requireRole('owner'), async (req, res) => {
+  const { session_id } = req.body;
+  if (!session_id) return res.status(400).json({ error: 'session_id required' });
+
+  try {
+    const session = await stripe.checkout.sessions.retrieve(session_id, {
+      expand: ['subscription', 'subscription.items.data.price']
+    });
+
+    if (session.payment_status !== 'paid' && session.status !== 'complete') {
+      return res.status(400).json({ error: 'Payment not completed' });
+    }
+
+    await db.read();
+    const uIdx = db.data.users.findIndex(u => u.id === req.userId);
+    if (uIdx === -1) return res.status(404).json({ error: 'User not found' });
+
+    // Determine plan from price ID
+    const priceId = session.subscription?.items?.data[0]?.price?.id;
+    let plan = 'starter';
+    if (priceId === process.env.STRIPE_PRICE_GROWTH_MONTHLY || priceId === process.env.STRIPE_PRICE_GROWTH_ANNUAL) {
+      plan = 'growth';
+    }
+
+    db.data.users[uIdx].plan = plan;
+    db.data.users[uIdx].plan_status = 'active';
+    db.data.users[uIdx].stripe_customer_id = session.customer;
+    db.data.users[uIdx].stripe_subscription_id = session.subscription?.id || null;
+    await db.write();
+
+    console.log(`✅ Plan verified & updated for user ${req.userId}: ${plan}`);
+    res.json({ success: true, plan });
+  } catch (err) {
+    console.error('Session verify error:', err.message);
+    res.status(500).json({ error: 'Failed to verify session', detail: err.message });
+  }
+});
+
+// GET /api/billing/status — current plan info for logged-in user
+router.get('/status', authenticate, async (req, res) => {
+  await db.read();
+  const user = db.data.users.find(u => u.id === req.userId);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+
+  const { plan, status, limits } = getUserPlan(user);
+  const activeLeads = db.data.leads.filter(l =>
+    l.user_id === req.userId && l.enrolled_sequence_id && !l.sequence_completed && l.status !== 'dead'
+  ).length;
+
+  res.json({
+    plan,
+    plan_name: limits.name,
+    plan_status: status,
+    trial_ends_at: user.trial_ends_at || null,
+    active_leads_count: activeLeads,
+    active_leads_limit: limits.active_leads_limit,
+    ai_generations_this_month: user.ai_generations_this_month || 0,
+    ai_generations_limit: limits.ai_generations_limit,
+    sequences_limit: limits.sequences_limit,
+    seats_used: seatsUsed(req.workspaceId),
+    seats_limit: limits.seats_limit ?? null
+  });
+});
+
+// POST /api/billing/create-checkout — create a Stripe Checkout session
+router.post('/create-checkout', authenticate, requireRole('owner'), async (req, res) => {
+  const { price_id } = req.body;
+  if (!price_id) return res.status(400).json({ error: 'price_id is required' });
+
+  // Guard: detect unconfigured Stripe keys
+  const stripeKey = process.env.STRIPE_SECRET_KEY || '';
+  if (!stripeKey || stripeKey.includes('REPLACE') || stripeKey === 'sk_test_placeholder') {
+    return res.status(400).json({
+      error: 'stripe_not_configured',
+      message: 'Stripe is not configured yet. Add your STRIPE_SECRET_KEY to backend/.env'
+    });
+  }
+  if (!price_id || price_id.includes('REPLACE')) {
+    return res.status(400).json({
+      error: 'price_not_configured',
+      message: 'Stripe Price ID is not configured yet. Add your STRIPE_PRICE_* values to backend/.env'
+    });
+  }
+
+  await db.read();
+  const user = db.data.users.find(u => u.id === req.userId);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+
+  try {
+    // Create or reuse Stripe customer
+    let customerId = user.stripe_customer_id;
+    if (!customerId) {
+      const customer = await stripe.customers.create({
+        email: user.email,
+        metadata: { user_id: String(user.id) }
+      });
+      customerId = customer.id;
+      const uIdx = db.data.users.findIndex(u => u.id === req.userId);
+      db.data.users[uIdx].stripe_customer_id = customerId;
+      await db.write();
+    }
+
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+    const session = await stripe.checkout.sessions.create({
+      customer: customerId,
+      payment_method_types: ['card'],
+      line_items: [{ price: price_id, quantity: 1 }],
+      mode: 'subscription',
+      success_url: `${appUrl}/billing?session_id={CHECKOUT_SESSION_ID}&success=true`,
+      cancel_url: `${appUrl}/billing?canceled=true`,
+      allow_promotion_codes: true,
+      billing_address_collection: 'auto'
+    });
+
+    res.json({ url: session.url });
+  } catch (err) {
+    console.error('Stripe checkout error:', err.message, err.type, err.code);
+    res.status(500).json({
+      error: 'Failed to create checkout session',
+      detail: err.message,
+      type: err.type,
+      code: err.code
+    });
+  }
+});
+
+// POST /api/billing/portal — create Stripe Customer Portal session (manage billing)
+router.post('/portal', authenticate, requireRole('owner'), async (req, res) => {
+  await db.read();
+  const user = db.data.users.find(u => u.id === req.userId);
+  if (!user || !user.stripe_customer_id) {
+    return res.status(400).json({ error: 'No billing account found. Please subscribe first.' });
+  }
+
+  try {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+    const session = await stripe.billingPortal.sessions.create({
+      customer: user.stripe_customer_id,
+      return_url: `${appUrl}/billing`
+    });
+    res.json({ url: session.url });
+  } catch (err) {
+    console.error('Stripe portal error:', err.message);
+    res.status(500).json({ error: 'Failed to open billing portal' });
+  }
+});
+
+export default router;
@@ -0,0 +1,94 @@
+import express from 'express';
+import { db, ids } from '../storage/db.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Create Campaign
+router.post('/', authenticate, async (req, res) => {
+  const { name, subject, body, sequence_id } = req.body;
+  await db.read();
+  
+  const campaign = {
+    id: await ids.next('campaigns'),
+    user_id: req.userId,
+    name,
+    subject,
+    body,
+    sequence_id: sequence_id || null,
+    status: 'active',
+    created_at: new Date().toISOString(),
+    stats: {
+      sent: 0,
+      opens: 0,
+      clicks: 0,
+      replies: 0,
+      bounces: 0
+    }
+  };
+  
+  db.data.campaigns.push(campaign);
+  await db.write();
+  
+  res.json({ campaign });
+});
+
+// Get Campaign Analytics
+router.get('/:id/analytics', authenticate, async (req, res) => {
+  await db.read();
+  
+  const campaign = db.data.campaigns.find(c => 
+    c.id === parseInt(req.params.id) && c.user_id === req.userId
+  );
+  
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  
+  // Opens/clicks flagged as bots or prefetches don't count
+  const events = db.data.email_events.filter(e => e.campaign_id === campaign.id && !e.bot);
+  
+  const uniqueOpens = new Set(events.filter(e => e.event_type === 'open').map(e => e.lead_id)).size;
+  const uniqueClicks = new Set(events.filter(e => e.event_type === 'click').map(e => e.lead_id)).size;
+  
+  const analytics = {
+    campaign: campaign.name,
+    sent: campaign.stats.sent,
+    opens: uniqueOpens,
+    clicks: uniqueClicks,
+    replies: campaign.stats.replies,
+    bounces: campaign.stats.bounces,
+    open_rate: campaign.stats.sent > 0 ? Math.round((uniqueOpens / campaign.stats.sent) * 100) : 0,
+    click_rate: campaign.stats.sent > 0 ? Math.round((uniqueClicks / campaign.stats.sent) * 100) : 0,
+    reply_rate: campaign.stats.sent > 0 ? Math.round((campaign.stats.replies / campaign.stats.sent) * 100) : 0,
+    bounce_rate: campaign.stats.sent > 0 ? Math.round((campaign.stats.bounces / campaign.stats.sent) * 100) : 0
+  };
+  
+  res.json(analytics);
+});
+
+// Get All Campaigns
+router.get('/', authenticate, async (req, res) => {
+  await db.read();
+  
+  const userCampaigns = db.data.campaigns.filter(c => c.user_id === req.userId);
+  
+  const campaignsWithStats = userCampaigns.map(campaign => {
+    const events = db.data.email_events.filter(e => e.campaign_id === campaign.id && !e.bot);
+    const uniqueOpens = new Set(events.filter(e => e.event_type === 'open').map(e => e.lead_id)).size;
+    const uniqueClicks = new Set(events.filter(e => e.event_type === 'click').map(e => e.lead_id)).size;
+    
+    return {
+      ...campaign,
+      stats: {
+        ...campaign.stats,
+        opens: uniqueOpens,
+        clicks: uniqueClicks
+      }
+    };
+  });
+  
+  res.json({ campaigns: campaignsWithStats });
+});
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import { buildOpenApiSpec } from '../services/openapi.js';
+
+const router = express.Router();
+
+// Routes don't change after startup, so the spec is built once
+let spec = null;
+
+// OpenAPI 3 spec for the REST API (public)
+router.get('/', (req, res) => {
+  spec = spec || buildOpenApiSpec(req.app);
+  res.json(spec);
+});
+
+// Browsable docs for the same spec
+router.get('/ui', (req, res) => {
+  res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>ZeroTouch Mail AI API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({ url: '/api/docs', dom_id: '#docs' });</script>
+</body>
+</html>`);
+});
+
+export default router;
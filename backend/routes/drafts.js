@@ -0,0 +1,285 @@
+import express from 'express';
+import { db, ids } from '../storage/db.js';
+import { authenticate } from '../middleware/auth.js';
+import { generateAIResponse } from '../services/ai.js';
+import { getUserPlan, isPlanActive, resetMonthlyCounterIfNeeded } from '../services/billing.js';
+import { sendEmail, canSendEmail } from '../services/email.js';
+import { resolveTracking } from '../services/tracking.js';
+import { bookSendSlot } from '../services/throttle.js';
+import { userMailboxes, mailboxForLead, pinLeadMailbox } from '../services/mailboxes.js';
+import { queue } from '../services/scheduler.js';
+
+const router = express.Router();
+
+// Get AI Drafts (for user review)
+router.get('/', authenticate, async (req, res) => {
+  await db.read();
+
+  const user = db.data.users.find(u => u.id === req.userId);
+  const isAutoMode = user && user.auto_mode_enabled;
+
+  let userDrafts = [];
+
+  if (isAutoMode) {
+    // Auto mode: only show drafts that NEED human follow-up (AI couldn't answer)
+    userDrafts = db.data.ai_drafts
+      .filter(d => d.user_id === req.userId && (d.needs_follow_up === true || d.clarification_needed === true) && d.status === 'pending')
+      .map(draft => {
+        const lead = db.data.leads.find(l => l.id === draft.lead_id);
+        return {
+          ...draft,
+          lead_name: `${lead.first_name} ${lead.last_name}`,
+          lead_email: lead.email,
+          lead_company: lead.company
+        };
+      });
+  } else {
+    // Manual mode: only show drafts that need human input (AI couldn't answer).
+    // Correctly generated AI drafts are visible inside each lead's detail view —
+    // they do NOT belong in "Action Required" since the AI already handled them.
+    userDrafts = db.data.ai_drafts
+      .filter(d => d.user_id === req.userId && d.status === 'pending' && (d.needs_follow_up === true || d.clarification_needed === true))
+      .map(draft => {
+        const lead = db.data.leads.find(l => l.id === draft.lead_id);
+        return {
+          ...draft,
+          lead_name: `${lead.first_name} ${lead.last_name}`,
+          lead_email: lead.email,
+          lead_company: lead.company
+        };
+      });
+  }
+
+  res.json({ drafts: userDrafts });
+});
+
+// Regenerate AI Draft (user didn't like the previous AI reply)
+router.post('/:id/regenerate', authenticate, async (req, res) => {
+  await db.read();
+
+  const draft = db.data.ai_drafts.find(d => d.id === parseInt(req.params.id) && d.user_id === req.userId);
+  if (!draft) return res.status(404).json({ error: 'Draft not found' });
+
+  const lead = db.data.leads.find(l => l.id === draft.lead_id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+  const userForCheck = db.data.users.find(u => u.id === req.userId);
+  if (!isPlanActive(userForCheck)) {
+    return res.status(402).json({ error: 'plan_expired', message: 'Your free trial has expired. Please upgrade to continue.', upgrade_url: '/billing' });
+  }
+  await resetMonthlyCounterIfNeeded(userForCheck);
+  const { limits: genLimits } = getUserPlan(userForCheck);
+  if ((userForCheck.ai_generations_this_month || 0) >= genLimits.ai_generations_limit) {
+    return res.status(402).json({ error: 'ai_limit_reached', message: `You've used all ${genLimits.ai_generations_limit} AI generations for this month. Upgrade your plan for more.`, upgrade_url: '/billing' });
+  }
+
+  try {
+    const aiResult = await generateAIResponse(lead, draft.reply_text || '', draft.ai_intent || 'INTERESTED', draft.reply_subject || '');
+    const newBody = aiResult.body;
+
+    // Update the draft body in DB
+    const draftIdx = db.data.ai_drafts.findIndex(d => d.id === draft.id);
+    if (draftIdx !== -1) {
+      db.data.ai_drafts[draftIdx].draft_body = newBody;
+    }
+
+    // Increment AI generation counter
+    const uIdx = db.data.users.findIndex(u => u.id === req.userId);
+    if (uIdx !== -1) {
+      db.data.users[uIdx].ai_generations_this_month = (db.data.users[uIdx].ai_generations_this_month || 0) + 1;
+    }
+
+    await db.write();
+
+    res.json({ draft_body: newBody });
+  } catch (error) {
+    console.error('Draft regenerate error:', error);
+    res.status(500).json({ error: 'Failed to regenerate draft' });
+  }
+});
+
+// Approve and Send Draft
+router.post('/:id/send', authenticate, async (req, res) => {
+  const { edited_body, knowledge_update } = req.body;
+
+  await db.read();
+
+  const draft = db.data.ai_drafts.find(d => d.id === parseInt(req.params.id) && d.user_id === req.userId);
+  const lead = draft ? db.data.leads.find(l => l.id === draft.lead_id) : null;
+  // Reply from the mailbox the conversation is in
+  const settings = lead ? mailboxForLead(lead) : null;
+
+  if (!draft || !settings || !lead) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    const bodyToSend = edited_body || draft.draft_body;
+    // Use the customer's original email subject for proper threading context
+    const emailSubject = lead.last_subject ? `Re: ${lead.last_subject.replace(/^Re:\s*/i, '')}` : 'Re: Following up';
+    const sendResult = await sendEmail(settings, lead.email, emailSubject, bodyToSend, null, {
+      lead_id: lead.id,
+      tracking: resolveTracking(db.data.users.find(u => u.id === req.userId))
+    });
+
+    // Store sent email in email_interactions so future replies thread correctly
+    if (!db.data.email_interactions) db.data.email_interactions = [];
+    const interactionId = await ids.next('email_interactions');
+    db.data.email_interactions.push({
+      id: interactionId,
+      lead_id: lead.id,
+      user_id: req.userId,
+      draft_id: draft.id,
+      direction: 'sent',
+      subject: emailSubject,
+      body: bodyToSend,
+      message_id: sendResult.threading_message_id,
+      tracking_id: sendResult.tracking_id,
+      sent_at: new Date().toISOString()
+    });
+
+    draft.status = 'sent';
+    draft.sent_at = new Date().toISOString();
+    draft.final_body = bodyToSend;
+    lead.status = 'replied';
+    pinLeadMailbox(lead, settings);
+    const draftSender = db.data.users.find(u => u.id === req.userId);
+    lead.ai_paused_by_human = false; // AI continues to follow up even after manual draft send
+    lead.last_email_sender = 'human';
+    lead.clarification_count = 0; // Human replied — reset clarification counter, AI can resume
+
+    // If user provided knowledge update, append it to their business_knowledge
+    if (knowledge_update && knowledge_update.trim()) {
+      const user = db.data.users.find(u => u.id === req.userId);
+      if (user) {
+        const existing = (user.business_knowledge || '').trim();
+        const timestamp = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        user.business_knowledge = existing
+          ? `${existing}\n\n[Added ${timestamp}]: ${knowledge_update.trim()}`
+          : `[Added ${timestamp}]: ${knowledge_update.trim()}`;
+        console.log(`📚 Knowledge base updated for user ${req.userId}`);
+      }
+    }
+
+    await db.write();
+
+    res.json({ success: true, knowledge_saved: !!(knowledge_update && knowledge_update.trim()) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reject Draft
+router.post('/:id/reject', authenticate, async (req, res) => {
+  await db.read();
+
+  const draft = db.data.ai_drafts.find(d => d.id === parseInt(req.params.id) && d.user_id === req.userId);
+
+  if (draft) {
+    draft.status = 'rejected';
+    await db.write();
+  }
+
+  res.json({ success: true });
+});
+
+// Bulk Auto-Send Pending Drafts (when user enables auto mode with pending drafts)
+router.post('/bulk-send', authenticate, async (req, res) => {
+  const { send_all } = req.body; // If true, send all pending drafts
+
+  await db.read();
+
+  const user = db.data.users.find(u => u.id === req.userId);
+
+  if (!userMailboxes(req.userId).some(canSendEmail)) {
+    return res.status(400).json({ error: 'Email not configured' });
+  }
+
+  const pendingDrafts = db.data.ai_drafts.filter(
+    d => d.user_id === req.userId && d.status === 'pending'
+  );
+
+  if (!send_all) {
+    // Just return count for confirmation
+    return res.json({
+      pending_count: pendingDrafts.length,
+      drafts: pendingDrafts.map(d => ({
+        id: d.id,
+        lead_id: d.lead_id,
+        ai_intent: d.ai_intent
+      }))
+    });
+  }
+
+  // Send all pending drafts — those the mailbox's send limits don't allow right
+  // now are queued for their booked slot
+  const results = {
+    sent: 0,
+    queued: 0,
+    failed: 0,
+    skipped: 0,
+    errors: []
+  };
+
+  for (const draft of pendingDrafts) {
+    const lead = db.data.leads.find(l => l.id === draft.lead_id);
+
+    if (!lead) {
+      results.failed++;
+      continue;
+    }
+
+    // Respect objection safety (don't auto-send objections unless explicitly enabled)
+    if (draft.ai_intent === 'OBJECTION' && !user.auto_mode_include_objections) {
+      results.skipped++; // Skip objections for manual review
+      continue;
+    }
+
+    try {
+      const settings = mailboxForLead(lead);
+      const slot = await bookSendSlot(settings.id);
+      if (slot > Date.now()) {
+        // Mark the live record — an earlier sendEmail may have re-read the db
+        const queuedDraft = db.data.ai_drafts.find(d => d.id === draft.id) || draft;
+        queuedDraft.status = 'queued';
+        queuedDraft.send_at = new Date(slot).toISOString();
+        await queue.enqueue('queued_email', {
+          user_id: req.userId,
+          lead_id: lead.id,
+          mailbox_id: settings.id,
+          draft_id: draft.id,
+          subject: 'Re: Following up',
+          body: draft.draft_body
+        }, { runAt: slot });
+        results.queued++;
+        continue;
+      }
+
+      await sendEmail(settings, lead.email, 'Re: Following up', draft.draft_body, null, {
+        lead_id: lead.id
+      });
+
+      draft.status = 'sent';
+      draft.sent_at = new Date().toISOString();
+      draft.final_body = draft.draft_body;
+      lead.status = 'replied';
+      pinLeadMailbox(lead, settings);
+
+      results.sent++;
+    } catch (error) {
+      console.error(`Failed to send draft ${draft.id}:`, error);
+      results.failed++;
+      results.errors.push({ draft_id: draft.id, error: error.message });
+    }
+  }
+
+  await db.write();
+
+  res.json({
+    success: true,
+    ...results,
+    message: `Sent ${results.sent} draft(s)${results.queued ? `, queued ${results.queued} by your mailbox's send limits` : ''}, skipped ${results.skipped} objections, ${results.failed} failed`
+  });
+});
+
+export default router;
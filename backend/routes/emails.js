@@ -0,0 +1,522 @@
+import express from 'express';
+import multer from 'multer';
+import { db } from '../storage/db.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { sendEmail, canSendEmail } from '../services/email.js';
+import { bookSendSlot } from '../services/throttle.js';
+import { userMailboxes, getMailbox, requestedMailbox, mailboxForLead, pinLeadMailbox } from '../services/mailboxes.js';
+import { queue } from '../services/scheduler.js';
+import { checkGmailReplies, setupGmailPushNotifications } from '../services/gmail.js';
+import { checkEmailReplies } from '../services/imap.js';
+import { checkOutlookReplies, canUseOutlookPush, setupOutlookSubscription } from '../services/outlook.js';
+
+const router = express.Router();
+
+// Configure multer for email attachments (includes images)
+const emailAttachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB per file
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml',
+      'application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/msword', 'text/plain', 'text/csv',
+      'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ];
+    if (allowedTypes.includes(file.mimetype) ||
+        file.originalname.match(/\.(jpg|jpeg|png|gif|webp|svg|pdf|docx|doc|txt|csv|ppt|pptx|xls|xlsx)$/i)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Supported: images, PDF, DOCX, TXT, CSV, PPT, XLS'));
+    }
+  }
+});
+
+// Email Attachment Upload Endpoint
+router.post('/email/upload-attachment', authenticate, emailAttachmentUpload.single('file'), async (req, res) => {
+  try {
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    // Return file as base64 for frontend to store temporarily
+    res.json({
+      filename: file.originalname,
+      content_type: file.mimetype,
+      size: file.size,
+      content: file.buffer.toString('base64')
+    });
+  } catch (error) {
+    console.error('File upload error:', error);
+    res.status(500).json({ error: error.message || 'Failed to upload file' });
+  }
+});
+
+// Check for New Email Replies (Manual trigger) — every connected mailbox, or just ?mailbox_id=
+router.post('/emails/check', authenticate, async (req, res) => {
+  await db.read();
+
+  const mailboxes = req.query.mailbox_id != null
+    ? [getMailbox(req.userId, req.query.mailbox_id)].filter(Boolean)
+    : userMailboxes(req.userId);
+
+  if (mailboxes.length === 0) {
+    return res.status(400).json({ error: 'Email not configured. Please add your email settings first.' });
+  }
+
+  // Use Gmail API / Microsoft Graph if OAuth is configured, otherwise fall back to IMAP
+  const checkable = mailboxes.filter(m => m.access_token ? ['gmail', 'outlook'].includes(m.provider) : !!m.imap?.host);
+  if (checkable.length === 0) {
+    return res.status(400).json({ error: 'IMAP is not configured for this mailbox. Add your IMAP server in Settings to receive replies.' });
+  }
+
+  try {
+    const newReplies = [];
+
+    for (const settings of checkable) {
+      if (settings.provider === 'gmail') {
+        console.log(`📧 Using Gmail API to check ${settings.email}...`);
+        newReplies.push(...await checkGmailReplies(settings, req.userId));
+      } else if (settings.provider === 'outlook') {
+        console.log(`📧 Using Microsoft Graph to check ${settings.email}...`);
+        newReplies.push(...await checkOutlookReplies(settings, req.userId));
+      } else {
+        console.log(`📧 Using IMAP to check ${settings.email}...`);
+        newReplies.push(...await checkEmailReplies(settings, req.userId));
+      }
+
+      // The checks re-read the db — update the live settings record
+      const liveSettings = getMailbox(req.userId, settings.id);
+      if (liveSettings) liveSettings.last_checked = new Date().toISOString();
+      await db.write();
+    }
+
+    res.json({
+      success: true,
+      new_replies: newReplies.length,
+      replies: newReplies
+    });
+  } catch (error) {
+    console.error('Email check error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ⚡ Enable Gmail Push Notifications or Outlook change notifications (instant email delivery)
+router.post('/emails/enable-push', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    await db.read();
+
+    const settings = requestedMailbox(req.userId, req.body?.mailbox_id ?? req.query.mailbox_id);
+
+    if (!settings) {
+      return res.status(400).json({ error: 'Email not configured. Please add your email settings first.' });
+    }
+
+    if (settings.provider === 'outlook' && settings.access_token) {
+      if (!canUseOutlookPush()) {
+        return res.status(500).json({ error: 'APP_URL must be a public https URL for Outlook notifications.' });
+      }
+      const result = await setupOutlookSubscription(settings, req.userId);
+      return res.json({
+        success: true,
+        message: 'Outlook notifications enabled! Emails will now arrive instantly.',
+        expiration: result.expiration,
+        note: 'Outlook subscriptions expire after about 3 days. They will be automatically renewed.'
+      });
+    }
+
+    if (settings.provider !== 'gmail' || !settings.access_token) {
+      return res.status(400).json({ error: 'Gmail API must be configured first.' });
+    }
+
+    if (!process.env.GOOGLE_CLOUD_PROJECT_ID) {
+      return res.status(500).json({ error: 'Google Cloud Project ID not configured on server.' });
+    }
+
+    // Set up Gmail Push Notifications
+    const result = await setupGmailPushNotifications(settings, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Gmail Push Notifications enabled! Emails will now arrive instantly.',
+      expiration: result.expiration,
+      note: 'Push notifications expire after 7 days. They will be automatically renewed.'
+    });
+  } catch (error) {
+    console.error('Error enabling Gmail Push:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get email interactions/threads for inbox view
+router.get('/emails/interactions', authenticate, async (req, res) => {
+  try {
+    await db.read();
+
+    // Get all email threads for this user
+    const emailThreads = db.data.email_threads.filter(thread => thread.user_id === req.userId);
+
+    // Enrich threads with lead information
+    const enrichedThreads = emailThreads.map(thread => {
+      const lead = db.data.leads.find(l => l.id === thread.lead_id);
+      return {
+        ...thread,
+        lead_name: lead ? `${lead.first_name} ${lead.last_name}`.trim() : 'Unknown',
+        lead_email: lead?.email || thread.from,
+        lead_company: lead?.company || '',
+        lead_status: lead?.status || 'unknown'
+      };
+    });
+
+    // Sort by most recent first
+    enrichedThreads.sort((a, b) => new Date(b.received_at) - new Date(a.received_at));
+
+    res.json({
+      success: true,
+      threads: enrichedThreads,
+      total: enrichedThreads.length
+    });
+  } catch (error) {
+    console.error('Error fetching email interactions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get email interactions for a specific lead
+router.get('/emails/interactions/:leadId', authenticate, async (req, res) => {
+  try {
+    await db.read();
+
+    const leadId = parseInt(req.params.leadId);
+    const lead = db.data.leads.find(l => l.id === leadId && l.user_id === req.userId);
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    // Get all threads for this lead
+    const threads = db.data.email_threads.filter(t => t.lead_id === leadId);
+
+    // Get AI drafts: in manual mode show all pending; in auto mode show only needs_follow_up
+    let drafts = [];
+    const user = db.data.users.find(u => u.id === req.userId);
+    const isManualMode = !user || !user.auto_mode_enabled;
+
+    if (isManualMode) {
+      drafts = db.data.ai_drafts.filter(d => d.lead_id === leadId && d.status === 'pending');
+    } else {
+      // Auto mode: show drafts that need human follow-up (AI couldn't answer)
+      drafts = db.data.ai_drafts.filter(d => d.lead_id === leadId && d.status === 'pending' && d.needs_follow_up);
+    }
+
+    // Get all AI replies that were actually sent (for timeline — always include)
+    const sentReplies = (db.data.ai_drafts || []).filter(d => d.lead_id === leadId && d.status === 'sent');
+
+    // Get sent initial/follow-up emails from email_history (for timeline)
+    const emailHistory = (db.data.email_history || []).filter(h => h.lead_id === leadId);
+
+    // Get sequence emails from email_interactions (sent via sequences)
+    const sequenceInteractions = (db.data.email_interactions || [])
+      .filter(i => i.lead_id === leadId && i.direction === 'sent');
+    const sequenceEmails = sequenceInteractions.map(interaction => {
+      const seq = (db.data.sequences || []).find(s => s.id === interaction.sequence_id);
+      const totalSteps = seq ? (db.data.sequence_steps || []).filter(s => s.sequence_id === seq.id).length : 0;
+      return {
+        ...interaction,
+        sequence_name: seq ? seq.name : 'Sequence',
+        total_steps: totalSteps
+      };
+    });
+
+    // Remove backend-only fields before sending to frontend
+    const { ai_paused_by_human, last_email_sender, ...safeLead } = lead;
+
+    res.json({
+      success: true,
+      lead: {
+        id: safeLead.id,
+        name: `${safeLead.first_name} ${safeLead.last_name}`.trim(),
+        email: safeLead.email,
+        company: safeLead.company,
+        status: safeLead.status
+      },
+      threads: threads.sort((a, b) => new Date(b.received_at) - new Date(a.received_at)),
+      drafts: drafts.sort((a, b) => new Date(b.created_at) - new Date(a.created_at)),
+      sent_replies: sentReplies.sort((a, b) => new Date(b.sent_at) - new Date(a.sent_at)),
+      email_history: emailHistory.sort((a, b) => new Date(b.sent_at) - new Date(a.sent_at)),
+      sequence_emails: sequenceEmails.sort((a, b) => new Date(b.sent_at) - new Date(a.sent_at))
+    });
+  } catch (error) {
+    console.error('Error fetching lead interactions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get unnotified email threads (for notifications)
+router.get('/emails/notifications', authenticate, async (req, res) => {
+  try {
+    await db.read();
+
+    // Unnotified replies in this workspace — a reply on an assigned lead only
+    // notifies its owner, so after a reassignment the new owner sees it
+    const ownerOf = (thread) => db.data.leads.find(l => l.id === thread.lead_id)?.owner_id ?? null;
+    const unnotifiedThreads = db.data.email_threads.filter(thread =>
+      thread.user_id === req.userId && thread.notified === false &&
+      [null, req.memberId].includes(ownerOf(thread))
+    );
+
+    // Enrich with lead information
+    const enrichedNotifications = unnotifiedThreads.map(thread => {
+      const lead = db.data.leads.find(l => l.id === thread.lead_id);
+      return {
+        id: thread.id,
+        subject: thread.subject,
+        body: thread.body,
+        from: thread.from,
+        received_at: thread.received_at,
+        ai_intent: thread.ai_intent,
+        lead_id: thread.lead_id,
+        lead_name: lead ? `${lead.first_name} ${lead.last_name}`.trim() : 'Unknown',
+        lead_company: lead?.company || '',
+        lead_email: lead?.email || thread.from
+      };
+    });
+
+    // Sort by most recent first
+    enrichedNotifications.sort((a, b) => new Date(b.received_at) - new Date(a.received_at));
+
+    res.json({
+      success: true,
+      notifications: enrichedNotifications,
+      count: enrichedNotifications.length
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark email threads as notified
+router.post('/emails/mark-notified', authenticate, async (req, res) => {
+  try {
+    const { threadIds } = req.body;
+
+    if (!threadIds || !Array.isArray(threadIds)) {
+      return res.status(400).json({ error: 'threadIds array is required' });
+    }
+
+    await db.read();
+
+    let updatedCount = 0;
+    for (const threadId of threadIds) {
+      const thread = db.data.email_threads.find(
+        t => t.id === threadId && t.user_id === req.userId
+      );
+      if (thread) {
+        thread.notified = true;
+        updatedCount++;
+      }
+    }
+
+    await db.write();
+
+    res.json({
+      success: true,
+      updated: updatedCount
+    });
+  } catch (error) {
+    console.error('Error marking threads as notified:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clean up duplicate email threads (removes duplicates based on body + lead_id)
+router.post('/emails/cleanup-duplicates', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    await db.read();
+
+    const beforeCount = db.data.email_threads.length;
+
+    // Group threads by lead_id and body
+    const seen = new Map();
+    const uniqueThreads = [];
+
+    for (const thread of db.data.email_threads) {
+      if (thread.user_id !== req.userId) {
+        uniqueThreads.push(thread); // Keep threads from other users
+        continue;
+      }
+
+      // Create unique key from lead_id + body + subject
+      const key = `${thread.lead_id}_${thread.subject}_${thread.body.substring(0, 100)}`;
+
+      if (!seen.has(key)) {
+        seen.set(key, true);
+        uniqueThreads.push(thread);
+      } else {
+        console.log(`🗑️  Removing duplicate thread: ${thread.subject}`);
+      }
+    }
+
+    // Update database with unique threads only
+    db.data.email_threads = uniqueThreads;
+    await db.write();
+
+    const removedCount = beforeCount - uniqueThreads.length;
+
+    res.json({
+      success: true,
+      removed: removedCount,
+      message: `Removed ${removedCount} duplicate email${removedCount !== 1 ? 's' : ''}`
+    });
+  } catch (error) {
+    console.error('Error cleaning up duplicates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send Email using Template
+// Each lead gets it from their pinned mailbox (else the default) unless mailbox_id picks one
+router.post('/send-email', authenticate, async (req, res) => {
+  const { template_id, lead_ids, subject, html, mailbox_id } = req.body;
+
+  if (!lead_ids || lead_ids.length === 0) {
+    return res.status(400).json({ error: 'No recipients selected' });
+  }
+
+  if (!subject || !subject.trim()) {
+    return res.status(400).json({ error: 'Subject line is required' });
+  }
+
+  if (!html) {
+    return res.status(400).json({ error: 'Email template HTML is required' });
+  }
+
+  await db.read();
+
+  // Get user's email settings
+  const chosen = mailbox_id != null ? getMailbox(req.userId, mailbox_id) : null;
+  if (mailbox_id != null && !canSendEmail(chosen)) {
+    return res.status(400).json({ error: 'That mailbox can\'t send — reconnect it in Settings or pick another.' });
+  }
+  if (!userMailboxes(req.userId).some(canSendEmail)) {
+    return res.status(400).json({
+      error: 'No mailbox connected. Please connect Gmail or an SMTP mailbox in Settings first.'
+    });
+  }
+
+  // Get leads
+  const leads = db.data.leads.filter(lead =>
+    lead.user_id === req.userId && lead_ids.includes(lead.id)
+  );
+
+  if (leads.length === 0) {
+    return res.status(400).json({ error: 'No valid leads found' });
+  }
+
+  // Function to replace variables in text
+  const replaceVariables = (text, lead) => {
+    return text
+      .replace(/\{\{first_name\}\}/g, lead.first_name || '')
+      .replace(/\{\{last_name\}\}/g, lead.last_name || '')
+      .replace(/\{\{company\}\}/g, lead.company || '')
+      .replace(/\{\{email\}\}/g, lead.email || '')
+      .replace(/\{\{phone\}\}/g, lead.phone || '');
+  };
+
+  // Send emails to each lead — whatever the mailbox's send limits don't allow
+  // right now is queued for its booked slot (rolling over to later days)
+  const results = {
+    success: [],
+    queued: [],
+    failed: []
+  };
+
+  for (const lead of leads) {
+    try {
+      // Replace variables in subject and HTML
+      const personalizedSubject = replaceVariables(subject, lead);
+      const personalizedHtml = replaceVariables(html, lead);
+
+      const settings = chosen || mailboxForLead(lead);
+      const slot = await bookSendSlot(settings.id);
+      if (slot > Date.now()) {
+        await queue.enqueue('queued_email', {
+          user_id: req.userId,
+          lead_id: lead.id,
+          mailbox_id: settings.id,
+          subject: personalizedSubject,
+          options: { html: personalizedHtml, unsubscribe: true }
+        }, { runAt: slot });
+        results.queued.push({
+          lead_id: lead.id,
+          email: lead.email,
+          name: `${lead.first_name} ${lead.last_name}`,
+          send_at: new Date(slot).toISOString()
+        });
+        continue;
+      }
+
+      // Send email
+      await sendEmail(
+        settings,
+        lead.email,
+        personalizedSubject,
+        '', // text body (not used, HTML is provided)
+        null, // sender name (will use default from settings)
+        { html: personalizedHtml, lead_id: lead.id, unsubscribe: true }
+      );
+      // sendEmail may re-read the db — pin the live lead
+      pinLeadMailbox(db.data.leads.find(l => l.id === lead.id), settings);
+      await db.write();
+
+      results.success.push({
+        lead_id: lead.id,
+        email: lead.email,
+        name: `${lead.first_name} ${lead.last_name}`
+      });
+
+      console.log(`✅ Email sent to ${lead.email}`);
+    } catch (error) {
+      results.failed.push({
+        lead_id: lead.id,
+        email: lead.email,
+        name: `${lead.first_name} ${lead.last_name}`,
+        error: error.message
+      });
+
+      console.error(`❌ Failed to send email to ${lead.email}:`, error.message);
+    }
+  }
+
+  // Return results
+  const successCount = results.success.length;
+  const queuedCount = results.queued.length;
+  const failedCount = results.failed.length;
+  const queuedNote = queuedCount > 0 ? `, ${queuedCount} queued by your mailbox's send limits` : '';
+
+  if (successCount + queuedCount > 0 && failedCount === 0) {
+    res.json({
+      message: queuedCount > 0
+        ? `Sent ${successCount} email${successCount !== 1 ? 's' : ''}${queuedNote}`
+        : `Successfully sent ${successCount} email${successCount > 1 ? 's' : ''}!`,
+      results
+    });
+  } else if (successCount + queuedCount > 0 && failedCount > 0) {
+    res.json({
+      message: `Sent ${successCount} email${successCount !== 1 ? 's' : ''}${queuedNote}, ${failedCount} failed`,
+      results
+    });
+  } else {
+    res.status(500).json({
+      error: `Failed to send all emails`,
+      results
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,101 @@
+import express from 'express';
+import { db, ids } from '../storage/db.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { queue } from '../services/scheduler.js';
+import { EXPORT_FORMATS, EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS } from '../services/lead-export.js';
+import {
+  EXPORT_FREQUENCIES, validateExportSchedule, scheduleSettings, nextRunAt, publicExportSchedule
+} from '../services/export-schedules.js';
+
+const router = express.Router();
+
+const TIMING_FIELDS = ['frequency', 'hour', 'weekday', 'enabled'];
+
+const findSchedule = (req) => db.data.export_schedules.find(s => String(s.id) === String(req.params.id) && s.user_id === req.userId);
+
+// List scheduled exports, with the formats, columns and frequencies to choose from
+router.get('/', authenticate, async (req, res) => {
+  await db.read();
+  const schedules = db.data.export_schedules
+    .filter(s => s.user_id === req.userId)
+    .sort((a, b) => a.id - b.id)
+    .map(publicExportSchedule);
+  res.json({
+    schedules,
+    formats: EXPORT_FORMATS,
+    columns: Object.keys(EXPORT_COLUMNS),
+    default_columns: DEFAULT_EXPORT_COLUMNS,
+    frequencies: EXPORT_FREQUENCIES
+  });
+});
+
+// Schedule an export: { name, format, columns, filters, frequency: daily | weekly | monthly,
+// hour (UTC, default 8), weekday (0-6, default Monday), recipients: [member user ids] }.
+// Recipients default to you.
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const error = validateExportSchedule(req.body, { workspaceId: req.workspaceId });
+  if (error) return res.status(400).json({ error });
+
+  const schedule = {
+    id: await ids.next('export_schedules'),
+    user_id: req.userId,
+    workspace_id: req.workspaceId,
+    format: 'csv',
+    columns: DEFAULT_EXPORT_COLUMNS,
+    filters: {},
+    hour: 8,
+    weekday: 1,
+    recipients: [req.memberId],
+    enabled: true,
+    created_by: req.memberId,
+    created_at: new Date().toISOString(),
+    ...scheduleSettings(req.body)
+  };
+  schedule.next_run_at = nextRunAt(schedule).toISOString();
+  db.data.export_schedules.push(schedule);
+  await db.write();
+
+  console.log(`📤 Scheduled ${schedule.frequency} lead export ${schedule.id} for user ${req.userId}`);
+  res.json({ schedule: publicExportSchedule(schedule) });
+});
+
+// Change a scheduled export, or pause it ({ enabled: false })
+router.patch('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const schedule = findSchedule(req);
+  if (!schedule) return res.status(404).json({ error: 'Scheduled export not found' });
+
+  const error = validateExportSchedule(req.body, { workspaceId: req.workspaceId, partial: true });
+  if (error) return res.status(400).json({ error });
+
+  Object.assign(schedule, scheduleSettings(req.body), { updated_at: new Date().toISOString() });
+  if (TIMING_FIELDS.some(field => req.body[field] !== undefined)) schedule.next_run_at = nextRunAt(schedule).toISOString();
+  await db.write();
+  res.json({ schedule: publicExportSchedule(schedule) });
+});
+
+// Email the export now, outside its schedule
+router.post('/:id/send', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const schedule = findSchedule(req);
+  if (!schedule) return res.status(404).json({ error: 'Scheduled export not found' });
+
+  await queue.enqueue('lead_export_email', { user_id: req.userId, schedule_id: schedule.id }, {
+    key: `lead-export:${schedule.id}:now`
+  });
+  res.status(202).json({ success: true });
+});
+
+// Delete a scheduled export
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const schedule = findSchedule(req);
+  if (!schedule) return res.status(404).json({ error: 'Scheduled export not found' });
+
+  db.data.export_schedules = db.data.export_schedules.filter(s => s !== schedule);
+  await db.write();
+  res.json({ success: true });
+});
+
+export default router;
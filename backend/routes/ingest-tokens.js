@@ -0,0 +1,121 @@
+import express from 'express';
+import { db } from '../storage/db.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { FIELD_PRESETS, LEAD_FIELDS } from '../services/lead-capture.js';
+import {
+  validateIngestTokenOptions, createIngestToken, publicIngestToken, newSigningSecret, ingestUrl
+} from '../services/ingest-tokens.js';
+
+const router = express.Router();
+
+const findToken = (req) => db.data.ingest_tokens.find(t => String(t.id) === String(req.params.id) && t.user_id === req.userId);
+
+// The signing secret to store: true generates one, a string is used as is, null turns signing off
+const signingSecretFrom = (value) => (value === true ? newSigningSecret() : (value || null));
+
+// List lead-capture tokens, the field-mapping presets and the lead fields answers can map to
+router.get('/', authenticate, async (req, res) => {
+  await db.read();
+  const tokens = db.data.ingest_tokens
+    .filter(t => t.user_id === req.userId)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .map(publicIngestToken);
+  res.json({ ingest_tokens: tokens, presets: FIELD_PRESETS, lead_fields: LEAD_FIELDS });
+});
+
+// Create a token: { name, preset, source, field_map, signing_secret }.
+// The response is the only time the webhook URL (and a generated signing secret) is shown.
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
+  const error = validateIngestTokenOptions(req.body);
+  if (error) return res.status(400).json({ error });
+
+  await db.read();
+  const { token, secret } = await createIngestToken({
+    userId: req.userId,
+    workspaceId: req.workspaceId,
+    createdBy: req.memberId,
+    name: req.body.name,
+    preset: req.body.preset,
+    source: req.body.source,
+    fieldMap: req.body.field_map,
+    signingSecret: signingSecretFrom(req.body.signing_secret)
+  });
+  await db.write();
+
+  console.log(`📥 Created ingest token ${token.id} (${token.preset}) for user ${req.userId}`);
+  res.json({
+    ingest_token: publicIngestToken(token),
+    url: ingestUrl(secret),
+    ...(req.body.signing_secret === true && { signing_secret: token.signing_secret })
+  });
+});
+
+// Rename a token, or change its preset, source, field_map or signing_secret
+router.patch('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  const error = validateIngestTokenOptions(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+
+  await db.read();
+  const token = findToken(req);
+  if (!token || token.revoked_at) return res.status(404).json({ error: 'Ingest token not found' });
+
+  if (req.body.name !== undefined) token.name = req.body.name.trim();
+  if (req.body.preset !== undefined) token.preset = req.body.preset;
+  if (req.body.source !== undefined) token.source = req.body.source || null;
+  if (req.body.field_map !== undefined) token.field_map = req.body.field_map || {};
+  if (req.body.signing_secret !== undefined) token.signing_secret = signingSecretFrom(req.body.signing_secret);
+  token.updated_at = new Date().toISOString();
+  await db.write();
+  res.json({
+    ingest_token: publicIngestToken(token),
+    ...(req.body.signing_secret === true && { signing_secret: token.signing_secret })
+  });
+});
+
+// Replace a token with a new URL. The old one stops working now, or after
+// { grace_minutes } (up to a week) so forms can be switched over.
+router.post('/:id/rotate', authenticate, requireRole('admin'), async (req, res) => {
+  const graceMinutes = req.body.grace_minutes ?? 0;
+  if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes > 7 * 24 * 60) {
+    return res.status(400).json({ error: 'grace_minutes must be a whole number from 0 to 10080' });
+  }
+
+  await db.read();
+  const old = findToken(req);
+  if (!old || old.revoked_at) return res.status(404).json({ error: 'Ingest token not found' });
+
+  const { token, secret } = await createIngestToken({
+    userId: old.user_id,
+    workspaceId: old.workspace_id,
+    createdBy: req.memberId,
+    name: old.name,
+    preset: old.preset,
+    source: old.source,
+    fieldMap: old.field_map,
+    signingSecret: old.signing_secret,
+    rotatedFrom: old.id
+  });
+  if (graceMinutes > 0) {
+    old.expires_at = new Date(Date.now() + graceMinutes * 60 * 1000).toISOString();
+  } else {
+    old.revoked_at = new Date().toISOString();
+  }
+  old.replaced_by = token.id;
+  await db.write();
+
+  console.log(`📥 Rotated ingest token ${old.id} → ${token.id}`);
+  res.json({ ingest_token: publicIngestToken(token), url: ingestUrl(secret), previous: publicIngestToken(old) });
+});
+
+// Revoke a token — its URL stops accepting leads immediately
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const token = findToken(req);
+  if (!token) return res.status(404).json({ error: 'Ingest token not found' });
+
+  token.revoked_at = token.revoked_at || new Date().toISOString();
+  await db.write();
+  res.json({ success: true, ingest_token: publicIngestToken(token) });
+});
+
+export default router;
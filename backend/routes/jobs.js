@@ -0,0 +1,30 @@
+import express from 'express';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { queue } from '../services/scheduler.js';
+
+const router = express.Router();
+
+// Dead-letter list — this account's background jobs that ran out of retries
+router.get('/dead', authenticate, async (req, res) => {
+  try {
+    const jobs = await queue.list({ status: 'dead', userId: req.userId });
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Dead job list error:', error);
+    res.status(500).json({ error: 'Failed to load failed jobs' });
+  }
+});
+
+// Retry a dead job from the start
+router.post('/:id/retry', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const job = await queue.retry(req.params.id, req.userId);
+    if (!job) return res.status(404).json({ error: 'Failed job not found or already queued again' });
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Job retry error:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+export default router;
@@ -0,0 +1,175 @@
+import express from 'express';
+import { db, ids } from '../storage/db.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { mapFields, isValidEmail, captureLead, queueLeadProfiling } from '../services/lead-capture.js';
+import { createRateLimiter, setRateLimitHeaders } from '../services/rate-limit.js';
+import {
+  FORM_FIELD_TYPES, HONEYPOT_FIELD, DEFAULT_FORM_FIELDS, DEFAULT_THANK_YOU, newPublicId, validateLeadForm,
+  formSettings, readSubmission, enrollFromForm, renderFormPage, renderEmbedScript, publicLeadForm
+} from '../services/lead-forms.js';
+
+const router = express.Router();
+
+// Submissions per minute: from one visitor to a form, and to a form overall
+const VISITOR_RATE_LIMIT = 5;
+const FORM_RATE_LIMIT = 60;
+const submitLimiter = createRateLimiter({ windowMs: 60 * 1000 });
+
+const findForm = (req) => db.data.lead_forms.find(f => String(f.id) === String(req.params.id) && f.user_id === req.userId);
+const findPublicForm = (publicId) => db.data.lead_forms.find(f => f.public_id === publicId && f.enabled);
+
+// List your lead forms with their embed codes
+router.get('/', authenticate, async (req, res) => {
+  await db.read();
+  const forms = db.data.lead_forms
+    .filter(f => f.user_id === req.userId)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .map(publicLeadForm);
+  res.json({ forms, field_types: FORM_FIELD_TYPES });
+});
+
+// Create a form: { name, fields, consent, thank_you_message, redirect_url, sequence_id, submit_label, source }.
+// Without fields it gets email, first and last name, company and a message box.
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const error = validateLeadForm(req.body, { userId: req.userId });
+  if (error) return res.status(400).json({ error });
+
+  const form = {
+    id: await ids.next('lead_forms'),
+    user_id: req.userId,
+    workspace_id: req.workspaceId,
+    public_id: newPublicId(),
+    fields: DEFAULT_FORM_FIELDS,
+    consent: { enabled: false },
+    thank_you_message: DEFAULT_THANK_YOU,
+    redirect_url: null,
+    submit_label: 'Submit',
+    sequence_id: null,
+    source: null,
+    enabled: true,
+    submissions_count: 0,
+    created_by: req.memberId,
+    created_at: new Date().toISOString(),
+    ...formSettings(req.body)
+  };
+  db.data.lead_forms.push(form);
+  await db.write();
+
+  console.log(`📝 Created lead form ${form.id} for user ${req.userId}`);
+  res.json({ form: publicLeadForm(form) });
+});
+
+// One form with its embed codes
+router.get('/:id', authenticate, async (req, res) => {
+  await db.read();
+  const form = findForm(req);
+  if (!form) return res.status(404).json({ error: 'Form not found' });
+  res.json({ form: publicLeadForm(form) });
+});
+
+// Change a form, or switch it off ({ enabled: false })
+router.patch('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const form = findForm(req);
+  if (!form) return res.status(404).json({ error: 'Form not found' });
+
+  const error = validateLeadForm(req.body, { userId: req.userId, partial: true });
+  if (error) return res.status(400).json({ error });
+
+  Object.assign(form, formSettings(req.body), { updated_at: new Date().toISOString() });
+  await db.write();
+  res.json({ form: publicLeadForm(form) });
+});
+
+// Delete a form — its embeds stop working. Leads it captured are kept.
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const form = findForm(req);
+  if (!form) return res.status(404).json({ error: 'Form not found' });
+
+  db.data.lead_forms = db.data.lead_forms.filter(f => f !== form);
+  await db.write();
+  res.json({ success: true });
+});
+
+// ─── Public: the hosted form, its embed script and submissions ───────────────
+
+router.get('/public/:publicId', async (req, res) => {
+  try {
+    await db.read();
+    const form = findPublicForm(req.params.publicId);
+    if (!form) return res.status(404).send('This form is no longer available.');
+    res.type('html').send(renderFormPage(form));
+  } catch (err) {
+    console.error('❌ Form page error:', err.message);
+    res.status(500).send('Something went wrong — please try again.');
+  }
+});
+
+router.get('/public/:publicId/embed.js', async (req, res) => {
+  try {
+    await db.read();
+    const form = findPublicForm(req.params.publicId);
+    if (!form) return res.status(404).type('application/javascript').send('/* form not found */');
+    res.type('application/javascript').set('Cache-Control', 'public, max-age=300').send(renderEmbedScript(form));
+  } catch (err) {
+    console.error('❌ Form embed error:', err.message);
+    res.status(500).type('application/javascript').send('/* form unavailable */');
+  }
+});
+
+router.post('/public/:publicId/submit', async (req, res) => {
+  try {
+    await db.read();
+    const form = findPublicForm(req.params.publicId);
+    if (!form) return res.status(404).json({ error: 'This form is no longer available' });
+
+    const visitor = submitLimiter.hit(`form:${form.id}:${req.ip}`, VISITOR_RATE_LIMIT);
+    const overall = submitLimiter.hit(`form:${form.id}`, FORM_RATE_LIMIT);
+    const limit = visitor.allowed ? overall : visitor;
+    setRateLimitHeaders(res, limit);
+    if (!limit.allowed) return res.status(429).json({ error: 'Too many submissions — please try again in a minute' });
+
+    const done = { success: true, message: form.thank_you_message, redirect_url: form.redirect_url || null };
+
+    // Bots fill in every field, including the hidden one. Look successful so they move on.
+    if (req.body?.[HONEYPOT_FIELD]) {
+      console.log(`🍯 Honeypot caught a submission to form ${form.id}`);
+      return res.json(done);
+    }
+
+    const submission = readSubmission(form, req.body || {});
+    if (submission.error) return res.status(400).json({ error: submission.error });
+    const { answers, fieldMap, consentGiven } = submission;
+    const fields = mapFields(answers, { fieldMap });
+    if (!isValidEmail(fields.email)) return res.status(400).json({ error: 'Please enter a valid email address' });
+
+    const { lead, duplicate } = await captureLead({
+      userId: form.user_id,
+      workspaceId: form.workspace_id,
+      fields,
+      answers,
+      source: form.source || 'form',
+      origin: { lead_form_id: form.id }
+    });
+    if (consentGiven) {
+      lead.consent = { text: form.consent.text, lead_form_id: form.id, ip: req.ip, given_at: new Date().toISOString() };
+    }
+
+    const skipped = form.sequence_id ? enrollFromForm(lead, form) : null;
+    if (skipped) console.log(`⏭️  Form lead ${lead.email} not enrolled in sequence ${form.sequence_id}: ${skipped}`);
+    form.submissions_count = (form.submissions_count || 0) + 1;
+    form.last_submission_at = new Date().toISOString();
+    await db.write();
+    if (!duplicate) await queueLeadProfiling(lead, { workspaceId: form.workspace_id, message: fields.message });
+
+    console.log(`📝 Form ${form.id} ${duplicate ? 'updated' : 'captured'} lead ${lead.email}${form.sequence_id && !skipped ? ` — enrolled in sequence ${form.sequence_id}` : ''}`);
+    res.json(done);
+  } catch (err) {
+    console.error('❌ Form submission error:', err.message);
+    res.status(500).json({ error: 'Something went wrong — please try again' });
+  }
+});
+
+export default router;
@@ -0,0 +1,281 @@
+import express from 'express';
+import multer from 'multer';
+import { db, ids, uploadedRows } from '../storage/db.js';
+import { authenticate } from '../middleware/auth.js';
+import { queue } from '../services/scheduler.js';
+import { toCsv } from '../services/csv.js';
+import {
+  DUPLICATE_MODES, IMPORT_FIELDS, INLINE_IMPORT_ROWS, readImportFile, initialMapping, validateImportOptions,
+  validateSavedMapping, findImport, runLeadImport, importReport, publicLeadImport
+} from '../services/lead-import.js';
+
+const router = express.Router();
+
+const fileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
+
+// The upload, with multer's errors (a file over 10MB) as a 400 rather than Express's HTML error page
+function uploadFile(req, res, next) {
+  fileUpload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'Files can be up to 10MB' : err.message });
+    }
+    next(err);
+  });
+}
+
+const findOwnImport = (req) => db.data.lead_imports.find(i => String(i.id) === String(req.params.id) && i.user_id === req.userId);
+const findMapping = (req) => db.data.import_mappings.find(m => String(m.id) === String(req.params.id) && m.user_id === req.userId);
+
+// Recent imports with their progress, and what columns can be mapped to
+router.get('/', authenticate, async (req, res) => {
+  try {
+    await db.read();
+    const imports = db.data.lead_imports
+      .filter(i => i.user_id === req.userId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, 50)
+      .map(publicLeadImport);
+    res.json({ imports, duplicate_modes: DUPLICATE_MODES, lead_fields: IMPORT_FIELDS });
+  } catch (err) {
+    console.error('❌ Lead import list error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Upload a CSV or XLSX file (multipart field "file"). Nothing is imported yet:
+// the response has the columns, the first rows and a suggested mapping to start the import with.
+router.post('/', authenticate, uploadFile, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Upload a CSV or XLSX file' });
+
+    const { headers, rows, error } = await readImportFile(req.file.buffer, req.file.originalname);
+    if (error) return res.status(400).json({ error });
+
+    await db.read();
+    const { mapping, saved } = initialMapping(req.userId, headers, rows);
+    const record = {
+      id: await ids.next('lead_imports'),
+      user_id: req.userId,
+      workspace_id: req.workspaceId,
+      created_by: req.memberId,
+      file_name: req.file.originalname,
+      status: 'uploaded',
+      headers,
+      mapping,
+      mapping_id: saved?.id ?? null,
+      duplicate_mode: saved?.duplicate_mode || 'skip',
+      check_mx: true,
+      source: null,
+      total_rows: rows.length,
+      processed_rows: 0,
+      created_count: 0,
+      updated_count: 0,
+      skipped_count: 0,
+      error_count: 0,
+      issues: [],
+      created_at: new Date().toISOString()
+    };
+    await uploadedRows.save(record.id, rows);
+    db.data.lead_imports.push(record);
+    await db.write();
+
+    res.json({ import: publicLeadImport(record), preview: rows.slice(0, 5) });
+  } catch (err) {
+    console.error('❌ Lead import upload error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Saved column mappings — an upload whose columns match one starts with it
+router.get('/mappings', authenticate, async (req, res) => {
+  try {
+    await db.read();
+    res.json({ mappings: db.data.import_mappings.filter(m => m.user_id === req.userId) });
+  } catch (err) {
+    console.error('❌ Import mapping list error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Save a mapping: { name, mapping, duplicate_mode }
+router.post('/mappings', authenticate, async (req, res) => {
+  try {
+    const error = validateSavedMapping(req.body);
+    if (error) return res.status(400).json({ error });
+
+    await db.read();
+    const mapping = {
+      id: await ids.next('import_mappings'),
+      user_id: req.userId,
+      name: req.body.name.trim(),
+      mapping: req.body.mapping,
+      duplicate_mode: req.body.duplicate_mode || 'skip',
+      created_by: req.memberId,
+      created_at: new Date().toISOString()
+    };
+    db.data.import_mappings.push(mapping);
+    await db.write();
+    res.json({ mapping });
+  } catch (err) {
+    console.error('❌ Import mapping save error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename a saved mapping, or change its columns or duplicate_mode
+router.patch('/mappings/:id', authenticate, async (req, res) => {
+  try {
+    const error = validateSavedMapping(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+
+    await db.read();
+    const mapping = findMapping(req);
+    if (!mapping) return res.status(404).json({ error: 'Mapping not found' });
+
+    if (req.body.name !== undefined) mapping.name = req.body.name.trim();
+    if (req.body.mapping !== undefined) mapping.mapping = req.body.mapping;
+    if (req.body.duplicate_mode !== undefined) mapping.duplicate_mode = req.body.duplicate_mode;
+    mapping.updated_at = new Date().toISOString();
+    await db.write();
+    res.json({ mapping });
+  } catch (err) {
+    console.error('❌ Import mapping update error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a saved mapping
+router.delete('/mappings/:id', authenticate, async (req, res) => {
+  try {
+    await db.read();
+    const mapping = findMapping(req);
+    if (!mapping) return res.status(404).json({ error: 'Mapping not found' });
+
+    db.data.import_mappings = db.data.import_mappings.filter(m => m !== mapping);
+    await db.write();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Import mapping delete error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// An import's status and progress
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    await db.read();
+    const record = findOwnImport(req);
+    if (!record) return res.status(404).json({ error: 'Import not found' });
+    res.json({ import: publicLeadImport(record) });
+  } catch (err) {
+    console.error('❌ Lead import status error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start an uploaded import: { mapping, duplicate_mode: skip | update | merge, check_mx, source, save_mapping_as }.
+// Small files finish within the request; larger ones run in the background (202) — poll GET /:id.
+router.post('/:id/start', authenticate, async (req, res) => {
+  try {
+    await db.read();
+    const record = findOwnImport(req);
+    if (!record) return res.status(404).json({ error: 'Import not found' });
+    if (record.status !== 'uploaded') return res.status(409).json({ error: 'This import has already been started' });
+
+    const options = {
+      mapping: req.body.mapping ?? record.mapping,
+      duplicate_mode: req.body.duplicate_mode ?? record.duplicate_mode,
+      check_mx: req.body.check_mx ?? record.check_mx
+    };
+    const error = validateImportOptions(options, record.headers);
+    if (error) return res.status(400).json({ error });
+    const saveAs = req.body.save_mapping_as;
+    if (saveAs !== undefined && (typeof saveAs !== 'string' || !saveAs.trim())) {
+      return res.status(400).json({ error: 'save_mapping_as must be a name for the mapping' });
+    }
+
+    if (saveAs) {
+      // Saving under an existing name replaces that mapping
+      const existing = db.data.import_mappings.find(m => m.user_id === req.userId && m.name === saveAs.trim());
+      const columns = Object.fromEntries(Object.entries(options.mapping).filter(([, target]) => target));
+      if (existing) {
+        Object.assign(existing, { mapping: columns, duplicate_mode: options.duplicate_mode, updated_at: new Date().toISOString() });
+      } else {
+        db.data.import_mappings.push({
+          id: await ids.next('import_mappings'),
+          user_id: req.userId,
+          name: saveAs.trim(),
+          mapping: columns,
+          duplicate_mode: options.duplicate_mode,
+          created_by: req.memberId,
+          created_at: new Date().toISOString()
+        });
+      }
+    }
+    Object.assign(record, options, { source: req.body.source || null, status: 'queued' });
+    await db.write();
+
+    if (record.total_rows <= INLINE_IMPORT_ROWS) {
+      try {
+        await runLeadImport({ import_id: record.id });
+      } catch (err) {
+        console.error('❌ Lead import error:', err.message);
+        return res.status(500).json({ error: 'The import failed — see the import for details' });
+      }
+      await db.read();
+      return res.json({ import: publicLeadImport(findImport(record.id) || record) });
+    }
+
+    await queue.enqueue('lead_import', { user_id: req.userId, import_id: record.id });
+    console.log(`📥 Queued import ${record.id} of ${record.total_rows} rows for user ${req.userId}`);
+    res.status(202).json({ import: publicLeadImport(record) });
+  } catch (err) {
+    console.error('❌ Lead import start error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download the per-row report: every row that wasn't imported or updated, and why
+router.get('/:id/report', authenticate, async (req, res) => {
+  try {
+    await db.read();
+    const record = findOwnImport(req);
+    if (!record) return res.status(404).json({ error: 'Import not found' });
+
+    const name = record.file_name.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-import-report.csv"`);
+    res.send(toCsv(importReport(record)));
+  } catch (err) {
+    console.error('❌ Lead import report error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Cancel an import that is still running (rows done so far are kept), or delete a finished one
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    await db.read();
+    const record = findOwnImport(req);
+    if (!record) return res.status(404).json({ error: 'Import not found' });
+
+    if (['queued', 'processing'].includes(record.status)) {
+      Object.assign(record, { status: 'cancelled', completed_at: new Date().toISOString() });
+      await db.write();
+      await uploadedRows.remove(record.id);
+      return res.json({ success: true, import: publicLeadImport(record) });
+    }
+    db.data.lead_imports = db.data.lead_imports.filter(i => i !== record);
+    await db.write();
+    await uploadedRows.remove(record.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Lead import delete error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
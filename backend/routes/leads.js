@@ -1,256 +1,1150 @@
 import express from 'express';
-import { db } from '../config/database.js';
-import { authenticateToken } from './auth.js';
-import { enrollLeadInSequence } from '../services/scheduler.js';
+import { db, ids, records } from '../storage/db.js';
+import { authenticate } from '../middleware/auth.js';
+import { getBusinessTypeContext, getCustomInstructionsContext, getBusinessKnowledgeContext, getSellerContext, SELLER_GUARDRAIL, resolveStaleActionRequiredDrafts, generateAIResponse, classifyByKeywords } from '../services/ai.js';
+import { getUserPlan, isPlanActive, resetMonthlyCounterIfNeeded } from '../services/billing.js';
+import { sendEmail } from '../services/email.js';
+import { isValidTimezone } from '../services/send-window.js';
+import { mailboxForLead, pinLeadMailbox } from '../services/mailboxes.js';
 import { aiLeadProcessor } from '../services/lead-processor.js';
+import { getMembership, roleAtLeast } from '../services/workspaces.js';
+import { routeLead, assignLead } from '../services/routing.js';
+import { isValidEmail } from '../services/lead-capture.js';
+import { filterLeads, leadFilterError, normalizeTags } from '../services/lead-filters.js';
+import {
+  EXPORT_FORMATS, parseExportColumns, exportColumnsError, exportContext, leadsToExport, writeExport,
+  exportFileName, exportContentType
+} from '../services/lead-export.js';
+import { emitEvent, leadSummary, draftNeedsActionEvent } from '../services/outbound-webhooks.js';
+import * as llm from '../services/llm/index.js';
 
 const router = express.Router();
 
-// Get all leads
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    const { status, ai_intent } = req.query;
-    const leads = await db.getLeads(req.userId, { status, ai_intent });
+// List leads, newest activity first. Filters: ?status=, ?ai_intent=, ?owner=me|none|<user id>,
+// ?sequence_id=, ?created_from=, ?created_to=, ?created_within_days=, ?tags= (see services/lead-filters.js)
+router.get('/', authenticate, async (req, res) => {
+  const filterError = leadFilterError(req.query);
+  if (filterError) return res.status(400).json({ error: filterError });
 
-    res.json({
-      leads,
-      total: leads.length
-    });
-  } catch (error) {
-    console.error('Get leads error:', error);
-    res.status(500).json({ error: 'Failed to get leads' });
+  // Only this account's leads and what the list shows about them are loaded — not the whole database
+  const leads = filterLeads(await records.find('leads', { user_id: req.userId }), req.query, { memberId: req.memberId });
+
+  // Sort leads by most recent activity: last email received, then by created_at
+  leads.sort((a, b) => {
+    const aDate = a.last_reply_date || a.created_at || '';
+    const bDate = b.last_reply_date || b.created_at || '';
+    return bDate.localeCompare(aDate);
+  });
+
+  // Latest thread per lead (for the subject preview), and the sequences leads are enrolled in
+  const latestThreads = new Map();
+  for (const thread of await records.find('email_threads', { lead_id: leads.map(l => l.id) })) {
+    const latest = latestThreads.get(thread.lead_id);
+    if (!latest || new Date(thread.received_at) > new Date(latest.received_at)) latestThreads.set(thread.lead_id, thread);
   }
+  const sequenceIds = [...new Set(leads.map(l => l.enrolled_sequence_id).filter(Boolean))];
+  const sequences = await records.find('sequences', { id: sequenceIds });
+  const stepCounts = new Map();
+  for (const step of await records.find('sequence_steps', { sequence_id: sequenceIds })) {
+    stepCounts.set(step.sequence_id, (stepCounts.get(step.sequence_id) || 0) + 1);
+  }
+
+  // Remove backend-only fields before sending to frontend
+  // Also attach the latest email thread's subject for preview
+  const sanitizedLeads = leads.map(lead => {
+    const { ai_paused_by_human, last_email_sender, ...safeData } = lead;
+
+    const latest = latestThreads.get(lead.id);
+    if (latest) safeData.last_subject = latest.subject || '(No Subject)';
+
+    // Attach sequence name and total steps if enrolled
+    if (lead.enrolled_sequence_id) {
+      const seq = sequences.find(s => s.id === lead.enrolled_sequence_id);
+      if (seq) {
+        safeData.sequence_name = seq.name;
+        safeData.total_sequence_steps = stepCounts.get(seq.id) || 0;
+      }
+    }
+
+    return safeData;
+  });
+
+  res.json({ leads: sanitizedLeads });
 });
 
-// Get single lead
-router.get('/:id', authenticateToken, async (req, res) => {
+// Download leads as ?format=csv (default), xlsx or json, with the same filters as the list.
+// ?columns=id,email,ai_reasoning,custom:plan picks the columns and their order.
+router.get('/export', authenticate, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  const columns = parseExportColumns(req.query.columns);
+  const error = exportColumnsError(columns) || leadFilterError(req.query);
+  if (error) return res.status(400).json({ error });
+
+  await db.read();
+  const leads = leadsToExport(req.userId, req.query, { memberId: req.memberId });
+  res.setHeader('Content-Type', exportContentType(format));
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(format)}"`);
+  res.setHeader('X-Total-Count', String(leads.length));
   try {
-    const lead = await db.findLeadById(req.params.id);
-    
-    if (!lead) {
-      return res.status(404).json({ error: 'Lead not found' });
-    }
+    await writeExport(res, format, leads, columns, exportContext(req.userId));
+  } catch (err) {
+    // Headers are gone by now — all that's left is to cut the download short
+    console.error('❌ Lead export error:', err.message);
+    res.destroy();
+  }
+});
 
-    if (lead.user_id !== req.userId) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+// Add a lead; it's profiled and routed to an owner before saving
+router.post('/', authenticate, async (req, res) => {
+  const { email, first_name, last_name, company, phone, source, territory, message, timezone, owner_id, tags } = req.body;
+  if (!email) return res.status(400).json({ error: 'Email is required' });
+  if (timezone && !isValidTimezone(timezone)) return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
 
-    // Get interactions
-    const interactions = await db.getEmailInteractions(lead.id);
+  await db.read();
+  if (owner_id != null && !getMembership(req.workspaceId, Number(owner_id))) {
+    return res.status(400).json({ error: 'owner_id must be a member of this workspace' });
+  }
 
-    res.json({
-      lead,
-      interactions
-    });
+  const lead = {
+    id: await ids.next('leads'),
+    user_id: req.userId,
+    owner_id: null,
+    email,
+    first_name: first_name || '',
+    last_name: last_name || '',
+    company: company || '',
+    phone: phone || '',
+    // Explicit IANA timezone for send windows; without it one is inferred from the phone number
+    timezone: timezone || null,
+    source: source || 'manual',
+    territory: territory || null,
+    tags: normalizeTags(tags),
+    status: 'new',
+    ai_intent: null,
+    created_at: new Date().toISOString()
+  };
+
+  // Profile the lead (intent level, buying stage, opportunity score) before saving it.
+  // The processor falls back to rule-based scoring, so this never blocks creation.
+  try {
+    const productProfile = db.data.product_profiles.find(p => p.user_id === req.userId);
+    const result = await aiLeadProcessor.processNewLead({
+      lead_source: lead.source,
+      name: `${lead.first_name} ${lead.last_name}`.trim(),
+      email,
+      company: lead.company,
+      message
+    }, productProfile?.product_description ? {
+      product_info: [productProfile.product_name, productProfile.product_description].filter(Boolean).join(' — ')
+    } : {});
+    aiLeadProcessor.applyProcessingResult(lead, result);
   } catch (error) {
-    console.error('Get lead error:', error);
-    res.status(500).json({ error: 'Failed to get lead' });
+    console.error('Lead profiling error:', error.message);
   }
+
+  // An explicit owner, else the workspace's routing rules (after profiling, so
+  // score rules see opportunity_score), else whoever added the lead
+  lead.owner_id = owner_id != null ? Number(owner_id) : routeLead(lead, req.workspaceId) ?? req.memberId;
+
+  db.data.leads.push(lead);
+  await db.write();
+  res.json({ lead });
 });
 
-// Create lead with AI processing
-router.post('/', authenticateToken, async (req, res) => {
-  try {
-    const { 
-      email, 
-      first_name, 
-      last_name, 
-      company, 
-      phone, 
-      source, 
-      message,
-      form_answers,
-      context,
-      metadata,
-      // Business context (optional)
-      product_info,
-      user_goal
-    } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
+// Add many leads at once: { leads: [{ email, first_name, ... }] }. Emails that are
+// already leads (or repeat within the batch) are skipped. For files, see /api/lead-imports.
+router.post('/bulk', authenticate, async (req, res) => {
+  const { leads } = req.body;
+  if (!leads || !Array.isArray(leads)) {
+    return res.status(400).json({ error: 'Invalid leads array' });
+  }
+
+  await db.read();
+  let successCount = 0;
+  let failedCount = 0;
+  let duplicateCount = 0;
+  const known = new Set(db.data.leads.filter(l => l.user_id === req.userId).map(l => (l.email || '').toLowerCase().trim()));
 
-    // Check if lead already exists
-    const existing = await db.findLeadByEmail(email);
-    if (existing && existing.user_id === req.userId) {
-      return res.status(400).json({ error: 'Lead with this email already exists' });
+  for (const leadData of leads) {
+    const email = String(leadData.email || '').toLowerCase().trim();
+    if (!isValidEmail(email)) {
+      failedCount++;
+      continue;
     }
+    if (known.has(email)) {
+      duplicateCount++;
+      continue;
+    }
+    known.add(email);
 
-    // Create initial lead
-    const lead = await db.createLead({
+    const lead = {
+      id: await ids.next('leads'),
       user_id: req.userId,
+      owner_id: null,
       email,
-      first_name: first_name || null,
-      last_name: last_name || null,
-      company: company || null,
-      phone: phone || null,
-      source: source || 'manual',
-      metadata: metadata || null
-    });
+      first_name: leadData.first_name || '',
+      last_name: leadData.last_name || '',
+      company: leadData.company || '',
+      phone: leadData.phone || '',
+      timezone: isValidTimezone(leadData.timezone) ? leadData.timezone : null,
+      source: leadData.source || null,
+      territory: leadData.territory || null,
+      tags: normalizeTags(leadData.tags),
+      status: 'new',
+      ai_intent: null,
+      created_at: new Date().toISOString()
+    };
+    lead.owner_id = routeLead(lead, req.workspaceId) ?? req.memberId;
 
-    // Process lead with AI
-    console.log('🤖 Processing new lead with AI...');
-    const processingResult = await aiLeadProcessor.processNewLead(
-      {
-        lead_source: source || 'manual',
-        name: `${first_name || ''} ${last_name || ''}`.trim() || email.split('@')[0],
-        email,
-        company,
-        message,
-        form_answers,
-        context
-      },
-      {
-        product_info: product_info || 'ZeroTouch Mail AI System',
-        user_goal: user_goal || 'recover lost leads and book sales calls'
-      }
-    );
+    db.data.leads.push(lead);
+    successCount++;
+  }
+
+  await db.write();
+  res.json({ success: successCount, failed: failedCount, duplicates: duplicateCount });
+});
+
+// Track Lead Source
+router.post('/:id/source', authenticate, async (req, res) => {
+  const { source, campaign_id, cost } = req.body;
+  await db.read();
+  
+  const lead = db.data.leads.find(l => 
+    l.id === parseInt(req.params.id) && l.user_id === req.userId
+  );
+  
+  if (!lead) {
+    return res.status(404).json({ error: 'Lead not found' });
+  }
+  
+  const sourceId = await ids.next('lead_sources');
+  db.data.lead_sources.push({
+    id: sourceId,
+    lead_id: lead.id,
+    source: source, // 'linkedin', 'website', 'referral', etc.
+    campaign_id: campaign_id || null,
+    cost: cost || 0,
+    created_at: new Date().toISOString()
+  });
+  
+  await db.write();
+  
+  res.json({ success: true });
+});
+
+// Generate Initial Email with AI
+router.post('/:id/generate-initial-email', authenticate, async (req, res) => {
+  await db.read();
+
+  const lead = db.data.leads.find(l =>
+    l.id === parseInt(req.params.id) && l.user_id === req.userId
+  );
+
+  if (!lead) {
+    return res.status(404).json({ error: 'Lead not found' });
+  }
 
-    // Update lead with AI processing results
-    await aiLeadProcessor.updateLeadWithProcessing(lead.id, processingResult);
+  // ── Plan + AI generation limit check ──────────────────────────────────────
+  const userForCheck = db.data.users.find(u => u.id === req.userId);
+  if (!isPlanActive(userForCheck)) {
+    return res.status(402).json({ error: 'plan_expired', message: 'Your free trial has expired. Please upgrade to continue.', upgrade_url: '/billing' });
+  }
+  await resetMonthlyCounterIfNeeded(userForCheck);
+  const { limits: genLimits } = getUserPlan(userForCheck);
+  if ((userForCheck.ai_generations_this_month || 0) >= genLimits.ai_generations_limit) {
+    return res.status(402).json({ error: 'ai_limit_reached', message: `You've used all ${genLimits.ai_generations_limit} AI generations for this month. Upgrade your plan for more.`, upgrade_url: '/billing' });
+  }
+  // ───────────────────────────────────────────────────────────────────────────
+
+  if (!llm.isConfigured()) {
+    return res.status(400).json({ error: 'No AI provider configured. Set ANTHROPIC_API_KEY or OPENAI_API_KEY in backend .env for AI email generation.' });
+  }
+
+  try {
+    const sellerProfile = db.data.seller_profiles.find(p => p.user_id === req.userId);
+    const userRecord = db.data.users.find(u => u.id === req.userId);
+
+    const sellerContext = getSellerContext(sellerProfile);
+    const businessTypeContext = getBusinessTypeContext(userRecord?.business_type || 'other');
+    const businessKnowledgeContext = getBusinessKnowledgeContext(userRecord?.business_knowledge || '', userRecord?.live_updates || '');
+    const customInstructionsContext = getCustomInstructionsContext(userRecord?.ai_custom_instructions || '');
+
+    // Generate initial email content using AI
+    const response = await llm.complete('drafting', {
+      maxTokens: 300,
+      prompt: `Write a professional, persuasive initial outreach email to a potential lead. Keep it under 100 words.
 
-    console.log('✅ Lead processed:');
-    console.log(`   - Intent Level: ${processingResult.lead_profile.intent_level}`);
-    console.log(`   - Buying Stage: ${processingResult.lead_profile.buying_stage}`);
-    console.log(`   - Opportunity Score: ${processingResult.lead_profile.opportunity_score}`);
-    console.log(`   - Recommended Action: ${processingResult.first_action.action}`);
+Lead details:
+- Name: ${lead.first_name} ${lead.last_name}
+- Company: ${lead.company || 'their company'}
+- Email: ${lead.email}
+${sellerContext}${businessTypeContext ? '\n\n' + businessTypeContext : ''}${businessKnowledgeContext ? '\n\n' + businessKnowledgeContext : ''}${customInstructionsContext ? '\n\n' + customInstructionsContext : ''}${SELLER_GUARDRAIL}
 
-    // Get updated lead
-    const updatedLead = await db.findLeadById(lead.id);
+Write a compelling email that:
+1. Introduces yourself and your product briefly
+2. Mentions a specific pain point they likely face
+3. Explains how your product solves that problem (with key benefit)
+4. Includes a clear call-to-action
+5. Is personalized and doesn't feel like spam
+6. Sounds natural and conversational
 
-    res.status(201).json({
-      message: 'Lead created and processed successfully',
-      lead: updatedLead,
-      ai_analysis: processingResult
+IMPORTANT: Output ONLY the email body text. Do NOT include a subject line, do NOT write "Subject:", do NOT add headers of any kind. Start directly with the greeting (e.g. "Hi John,").
+
+Email body:`
     });
+
+    const emailBody = response.text;
+
+    // Increment AI generation counter
+    const uIdx = db.data.users.findIndex(u => u.id === req.userId);
+    if (uIdx !== -1) {
+      db.data.users[uIdx].ai_generations_this_month = (db.data.users[uIdx].ai_generations_this_month || 0) + 1;
+      await db.write();
+    }
+
+    res.json({ email_body: emailBody });
   } catch (error) {
-    console.error('Create lead error:', error);
-    res.status(500).json({ error: 'Failed to create lead' });
+    console.error('AI generation error:', error);
+    res.status(500).json({ error: 'Failed to generate email with AI' });
   }
 });
 
-// Update lead
-router.patch('/:id', authenticateToken, async (req, res) => {
+// Generate Email Content (Guided Template - only middle sections)
+router.post('/:id/generate-email-content', authenticate, async (req, res) => {
+  await db.read();
+
+  const lead = db.data.leads.find(l =>
+    l.id === parseInt(req.params.id) && l.user_id === req.userId
+  );
+
+  if (!lead) {
+    return res.status(404).json({ error: 'Lead not found' });
+  }
+
+  // ── Plan + AI generation limit check ──────────────────────────────────────
+  const userForGenCheck = db.data.users.find(u => u.id === req.userId);
+  if (!isPlanActive(userForGenCheck)) {
+    return res.status(402).json({ error: 'plan_expired', message: 'Your free trial has expired. Please upgrade to continue.', upgrade_url: '/billing' });
+  }
+  await resetMonthlyCounterIfNeeded(userForGenCheck);
+  const { limits: genLimits2 } = getUserPlan(userForGenCheck);
+  if ((userForGenCheck.ai_generations_this_month || 0) >= genLimits2.ai_generations_limit) {
+    return res.status(402).json({ error: 'ai_limit_reached', message: `You've used all ${genLimits2.ai_generations_limit} AI generations for this month. Upgrade your plan for more.`, upgrade_url: '/billing' });
+  }
+  // ───────────────────────────────────────────────────────────────────────────
+
+  if (!llm.isConfigured()) {
+    return res.status(400).json({ error: 'No AI provider configured. Set ANTHROPIC_API_KEY or OPENAI_API_KEY in backend .env for AI email generation.' });
+  }
+
   try {
-    const lead = await db.findLeadById(req.params.id);
-    
-    if (!lead) {
-      return res.status(404).json({ error: 'Lead not found' });
-    }
+    const sellerProfile = db.data.seller_profiles.find(p => p.user_id === req.userId);
+    const userRecord = db.data.users.find(u => u.id === req.userId);
 
-    if (lead.user_id !== req.userId) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const sellerContext = getSellerContext(sellerProfile);
+    const businessKnowledgeContext = getBusinessKnowledgeContext(userRecord?.business_knowledge || '', userRecord?.live_updates || '');
+
+    // Generate only the middle content (context, main message, CTA) using AI
+    const response = await llm.complete('drafting', {
+      maxTokens: 400,
+      prompt: `Generate ONLY the middle content sections for an email to a potential lead. Return EXACTLY three sections separated by "---":
+
+Lead details:
+- Name: ${lead.first_name} ${lead.last_name}
+- Company: ${lead.company || 'their company'}
+- Email: ${lead.email}
+${sellerContext}${businessKnowledgeContext ? '\n\n' + businessKnowledgeContext : ''}${SELLER_GUARDRAIL}
+
+Generate these three sections:
+
+1. CONTEXT (1-2 sentences): Why you're reaching out and what caught your attention about their company
+2. MAIN MESSAGE (3-4 sentences): Explain your product/service, key benefits, and how it solves their pain points. Include relevant success stories or statistics if available.
+3. CALL TO ACTION (1-2 sentences): A clear, specific next step (e.g., schedule a call, request a demo)
+
+Format your response EXACTLY like this (use "---" as separator):
 
-    const updated = await db.updateLead(req.params.id, req.body);
+Context section here
+
+---
+
+Main message section here
+
+---
+
+Call to action section here`
+    });
+
+    const fullContent = response.text;
+
+    // Parse the three sections
+    const sections = fullContent.split('---').map(s => s.trim());
+
+    // Increment AI generation counter
+    const uIdx2 = db.data.users.findIndex(u => u.id === req.userId);
+    if (uIdx2 !== -1) {
+      db.data.users[uIdx2].ai_generations_this_month = (db.data.users[uIdx2].ai_generations_this_month || 0) + 1;
+      await db.write();
+    }
 
     res.json({
-      message: 'Lead updated successfully',
-      lead: updated
+      context: sections[0] || '',
+      main_message: sections[1] || '',
+      call_to_action: sections[2] || ''
     });
   } catch (error) {
-    console.error('Update lead error:', error);
-    res.status(500).json({ error: 'Failed to update lead' });
+    console.error('AI content generation error:', error);
+    res.status(500).json({ error: 'Failed to generate email content with AI' });
   }
 });
 
-// Delete lead
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Polish/Enhance Email Content with AI
+router.post('/:id/polish-email', authenticate, async (req, res) => {
+  await db.read();
+
+  const lead = db.data.leads.find(l =>
+    l.id === parseInt(req.params.id) && l.user_id === req.userId
+  );
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+  const userForCheck = db.data.users.find(u => u.id === req.userId);
+  if (!isPlanActive(userForCheck)) {
+    return res.status(402).json({ error: 'plan_expired', message: 'Your free trial has expired. Please upgrade to continue.', upgrade_url: '/billing' });
+  }
+  await resetMonthlyCounterIfNeeded(userForCheck);
+  const { limits: genLimits } = getUserPlan(userForCheck);
+  if ((userForCheck.ai_generations_this_month || 0) >= genLimits.ai_generations_limit) {
+    return res.status(402).json({ error: 'ai_limit_reached', message: `You've used all ${genLimits.ai_generations_limit} AI generations for this month. Upgrade your plan for more.`, upgrade_url: '/billing' });
+  }
+
+  if (!llm.isConfigured()) {
+    return res.status(400).json({ error: 'No AI provider configured.' });
+  }
+
+  const { content, field_type } = req.body;
+  if (!content || !content.trim()) {
+    return res.status(400).json({ error: 'Content is required' });
+  }
+
+  // Load seller profile so AI can sign off with real name instead of placeholders
+  const sellerProfile = db.data.seller_profiles.find(p => p.user_id === req.userId);
+  const senderName = sellerProfile?.name || '';
+  const senderTitle = sellerProfile?.title || '';
+  const senderCompany = sellerProfile?.company || '';
+  const signoffLine = senderName
+    ? `${senderName}${senderTitle ? ', ' + senderTitle : ''}${senderCompany ? '\n' + senderCompany : ''}`
+    : null;
+
+  const senderRule = signoffLine
+    ? `SENDER INFO (use this for the sign-off — do NOT use placeholders like [Your Name]):\n${signoffLine}\n\n`
+    : `Do NOT use placeholder text like [Your Name] or [Your Contact Information] — if you don't know the sender's name, sign off with just "Best regards" and nothing else.\n\n`;
+
+  const leadName = lead.first_name || 'there';
+
+  let prompt;
+  if (field_type === 'context') {
+    prompt = `Polish this email opening/context section to be more compelling and concise. Keep the exact same intent. Output only the polished text, no labels or quotes:\n\n${content}`;
+  } else if (field_type === 'main_message') {
+    prompt = `Polish this email main message to be more persuasive, clear, and professional. Keep the same ideas and roughly the same length. Output only the polished text, no labels or quotes:\n\n${content}`;
+  } else if (field_type === 'call_to_action') {
+    prompt = `Polish this email call-to-action to be clearer and more compelling. Keep the same intent. Output only the polished text, no labels or quotes:\n\n${content}`;
+  } else if (field_type === 'subject') {
+    prompt = `Polish this email subject line. Rules: under 50 characters, sentence case (only first word capitalised), specific and direct, no spam words (FREE/URGENT/LIMITED etc.), no exclamation marks, no "Re:" or "Fwd:". Output ONLY the subject text — no quotes, no "Subject:" prefix.\n\nSubject to polish:\n${content}`;
+  } else if (field_type === 'subject_generate') {
+    prompt = `Write a subject line for this email. Rules: under 50 characters, sentence case (only first word capitalised), specific and relevant to the content, no spam words (FREE/URGENT/LIMITED etc.), no exclamation marks. Output ONLY the subject text — no quotes, no "Subject:" prefix.\n\nEmail body:\n${content}`;
+  } else {
+    prompt = `${senderRule}Rewrite these notes or draft into a short, natural outreach email. You are the agent/seller presenting this — write from that perspective (e.g. "I have a property…", "We have a listing…"). The recipient is ${leadName}${lead.company ? ' at ' + lead.company : ''}.\n\nStrict rules:\n- Greeting: "Hi ${leadName}," — never "Dear [Name]"\n- Body: 2–4 sentences MAX — get to the point immediately\n- Write as the agent/seller — never use discovery language like "I came across" or "I noticed"\n- No filler openers ("I hope this finds you well", "I wanted to reach out", etc.)\n- Conversational tone, not stiff corporate language\n- No padding or repetition\n- Output ONLY the email body — no subject line, no "Subject:" label\n- Start directly with the greeting\n\nNotes/draft to turn into an email:\n${content}`;
+  }
+
   try {
-    const lead = await db.findLeadById(req.params.id);
-    
-    if (!lead) {
-      return res.status(404).json({ error: 'Lead not found' });
-    }
+    const response = await llm.complete('drafting', {
+      maxTokens: (field_type === 'subject' || field_type === 'subject_generate') ? 50 : 400,
+      prompt,
+      stub: content.trim()
+    });
 
-    if (lead.user_id !== req.userId) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const polishedContent = response.text;
 
-    await db.deleteLead(req.params.id);
+    const uIdx = db.data.users.findIndex(u => u.id === req.userId);
+    if (uIdx !== -1) {
+      db.data.users[uIdx].ai_generations_this_month = (db.data.users[uIdx].ai_generations_this_month || 0) + 1;
+      await db.write();
+    }
 
-    res.json({ message: 'Lead deleted successfully' });
+    res.json({ polished_content: polishedContent });
   } catch (error) {
-    console.error('Delete lead error:', error);
-    res.status(500).json({ error: 'Failed to delete lead' });
+    console.error('AI polish error:', error);
+    res.status(500).json({ error: 'Failed to polish content with AI' });
   }
 });
 
-// Enroll lead in sequence
-router.post('/:id/enroll', authenticateToken, async (req, res) => {
-  try {
-    const { sequence_id } = req.body;
+// Send Initial Email to Lead
+router.post('/:id/send-initial-email', authenticate, async (req, res) => {
+  const { email_body, subject, html_body, attachments } = req.body;
 
-    if (!sequence_id) {
-      return res.status(400).json({ error: 'Sequence ID required' });
-    }
+  if (!email_body) {
+    return res.status(400).json({ error: 'Email body is required' });
+  }
 
-    const lead = await db.findLeadById(req.params.id);
-    if (!lead || lead.user_id !== req.userId) {
-      return res.status(404).json({ error: 'Lead not found' });
+  // Validate total attachment size (25MB limit for Gmail)
+  if (attachments && attachments.length > 0) {
+    const totalSize = attachments.reduce((sum, att) => sum + (att.size || 0), 0);
+    const maxSize = 25 * 1024 * 1024; // 25MB (Gmail limit)
+    if (totalSize > maxSize) {
+      return res.status(400).json({
+        error: `Total attachment size (${(totalSize / 1024 / 1024).toFixed(2)}MB) exceeds 25MB Gmail limit`
+      });
     }
+  }
 
-    const sequence = await db.findSequenceById(sequence_id);
-    if (!sequence || sequence.user_id !== req.userId) {
-      return res.status(404).json({ error: 'Sequence not found' });
-    }
+  await db.read();
 
-    await enrollLeadInSequence(req.params.id, sequence_id);
+  const lead = db.data.leads.find(l =>
+    l.id === parseInt(req.params.id) && l.user_id === req.userId
+  );
 
-    res.json({
-      message: 'Lead enrolled in sequence',
-      lead_id: req.params.id,
-      sequence_id
+  // The lead's pinned mailbox, else the default
+  const settings = lead ? mailboxForLead(lead) : null;
+  const user = db.data.users.find(u => u.id === req.userId);
+
+  if (!lead) {
+    return res.status(404).json({ error: 'Lead not found' });
+  }
+
+  if (!settings || !settings.email) {
+    return res.status(400).json({ error: 'Email settings not configured. Please set your email in Settings.' });
+  }
+
+  try {
+    // Send the email
+    const emailSubject = subject || `Quick question about ${lead.company || 'your business'}`;
+    const senderName = `${user.company_name || 'Your Team'}`;
+
+    // Call sendEmail with HTML and attachments support
+    await sendEmail(settings, lead.email, emailSubject, email_body, senderName, {
+      html: html_body,
+      attachments: attachments || [],
+      lead_id: lead.id
+    });
+
+    // Update lead with email tracking info
+    lead.initial_email_sent = true;
+    lead.initial_email_sent_date = new Date().toISOString();
+    lead.email_count = (lead.email_count || 0) + 1;
+    lead.last_email_sent_date = new Date().toISOString();
+    lead.status = 'contacted';
+    lead.ai_paused_by_human = false; // AI continues to follow up even after manual send
+    lead.last_email_sender = 'human';
+    lead.clarification_count = 0; // Human sent email — reset clarification counter
+    pinLeadMailbox(lead, settings);
+
+    // Dismiss any pending or sent AI drafts for this lead — human replied manually, no further action needed
+    if (db.data.ai_drafts) {
+      db.data.ai_drafts
+        .filter(d => d.lead_id === lead.id && d.user_id === req.userId && (d.status === 'pending' || d.status === 'sent'))
+        .forEach(d => {
+          if (d.status === 'pending') {
+            d.status = 'rejected';
+            d.rejected_reason = 'human_manual_reply';
+            d.rejected_at = new Date().toISOString();
+          } else if (d.status === 'sent') {
+            // Mark sent drafts as superseded by manual reply
+            d.superseded_by_manual = true;
+            d.superseded_at = new Date().toISOString();
+          }
+        });
+    }
+
+    // Store email in history with new fields
+    const emailHistoryId = await ids.next('email_history');
+    db.data.email_history.push({
+      id: emailHistoryId,
+      lead_id: lead.id,
+      user_id: req.userId,
+      email_type: 'initial',
+      subject: emailSubject,
+      body: email_body,
+      html_body: html_body || email_body.replace(/\n/g, '<br>'),
+      attachments: attachments ? attachments.map(att => ({
+        filename: att.filename,
+        size: att.size,
+        content_type: att.content_type
+      })) : [],
+      sent_at: new Date().toISOString(),
+      status: 'sent'
     });
+
+    await db.write();
+
+    res.json({ success: true, lead });
   } catch (error) {
-    console.error('Enroll lead error:', error);
-    res.status(500).json({ error: 'Failed to enroll lead' });
+    console.error('Send email error:', error);
+    res.status(500).json({ error: error.message || 'Failed to send email. Check your email settings.' });
   }
 });
 
-// Import leads from CSV (simplified)
-router.post('/import', authenticateToken, async (req, res) => {
+// AI Reply Analysis
+router.post('/:id/analyze-reply', authenticate, async (req, res) => {
+  const { reply_text, subject = '' } = req.body;
+
+  if (!reply_text) {
+    return res.status(400).json({ error: 'Reply text is required' });
+  }
+  if (!llm.isConfigured()) {
+    return res.status(400).json({ error: 'No AI provider configured. Set ANTHROPIC_API_KEY or OPENAI_API_KEY in backend .env for AI analysis.' });
+  }
+  
+  await db.read();
+  
+  const lead = db.data.leads.find(l => 
+    l.id === parseInt(req.params.id) && l.user_id === req.userId
+  );
+  
+  if (!lead) {
+    return res.status(404).json({ error: 'Lead not found' });
+  }
+  // Webhook for when the analysis changes the lead's intent
+  const prevIntent = lead.ai_intent;
+  const intentChanged = async () => {
+    if (prevIntent === lead.ai_intent) return;
+    await emitEvent(req.userId, 'lead.intent_changed', {
+      lead: leadSummary(lead), previous_intent: prevIntent || null, intent: lead.ai_intent, source: 'analyze_reply'
+    });
+  };
+  
   try {
-    const { leads } = req.body;
+    let ai_intent = 'GHOSTING'; // Default - conservative fallback for unclear responses
+    let ai_reasoning = '';
 
-    if (!Array.isArray(leads) || leads.length === 0) {
-      return res.status(400).json({ error: 'Leads array required' });
-    }
+    try {
+      const analysisResponse = await llm.complete('classification', {
+        maxTokens: 200,
+        prompt: `Analyze this email and classify the lead's intent. Reply ONLY with one of these exact words: INTERESTED, NOT_NOW, OBJECTION, GHOSTING, or DEAD.
+
+Classification Rules (read carefully):
+- INTERESTED: They want to engage — asking questions about the product/property/service, requesting info, asking about location/price/details (e.g., "where is the location?", "what is the price?", "I'm interested", "let's schedule", "can we talk", "how do I get there?", "what is your name?", "tell me more")
+- OBJECTION: They raise a concern, hesitation, or problem that can be addressed (e.g., "too expensive", "it's far from my home", "I'm not sure if it fits my needs", "the location is inconvenient", "concerned about the distance", "is it accessible?", "the price seems high")
+- NOT_NOW: They explicitly say timing is wrong with clear time-based language (e.g., "not now", "maybe next month", "check back in Q2", "call me after the holidays", "I'm busy until March") — MUST include actual time/timing words
+- DEAD: Clear rejection with no interest (e.g., "not interested", "no thanks", "remove me", "stop emailing", "don't contact me")
+- GHOSTING: Vague, non-committal responses with no question and no clear meaning (e.g., "thanks", "ok", "noted", "sure") — use only when none of the above apply
 
-    const imported = [];
-    const errors = [];
+IMPORTANT: Distance/location concerns (e.g., "far from home", "inconvenient location", "too far") = OBJECTION, NOT NOT_NOW.
+IMPORTANT: Questions about location, price, details, or the business = INTERESTED.
+IMPORTANT: If both subject and body are blank = GHOSTING.
+IMPORTANT: Use BOTH the subject line and body together — sometimes the subject alone reveals intent.
+${subject ? `\nSubject: "${subject}"` : ''}
+Email body: "${reply_text}"
+
+Reply with exactly ONE word:`,
+        stub: () => classifyByKeywords(reply_text, subject).intent
+      });
+
+      const raw = analysisResponse.text.toUpperCase();
+      console.log(`[AI RESPONSE] Raw: "${raw.substring(0, 150)}"`);
+      // Sometimes API returns extra text; take first valid word
+      const validIntents = ['INTERESTED', 'NOT_NOW', 'OBJECTION', 'GHOSTING', 'DEAD'];
+      const found = validIntents.find(v =>
+        raw === v ||
+        raw.startsWith(v + ' ') ||
+        raw.startsWith(v + '\n') ||
+        raw.includes('\n' + v) ||
+        raw.includes(': ' + v) ||
+        raw.includes(' ' + v + '\n') ||
+        raw.includes('\n\n' + v)
+      );
+      if (found) {
+        ai_intent = found;
+        console.log(`[AI] → ${ai_intent}`);
+      } else {
+        console.log(`[AI] No valid intent found, will use fallback`);
+      }
+      
+      // Get reasoning
+      const reasoningResponse = await llm.complete('classification', {
+        maxTokens: 150,
+        prompt: `Based on this reply: "${reply_text}"
 
-    for (const leadData of leads) {
+Why is this classified as ${ai_intent}? Give a 1-sentence explanation.`,
+        stub: () => classifyByKeywords(reply_text, subject).reasoning
+      });
+      ai_reasoning = reasoningResponse.text;
+    } catch (error) {
+      console.error('AI reply analysis error:', error.message);
+    }
+    
+    // Classify objection sub-type if intent is OBJECTION
+    let objection_subtype = null;
+    if (ai_intent === 'OBJECTION') {
       try {
-        if (!leadData.email) {
-          errors.push({ data: leadData, error: 'Missing email' });
-          continue;
-        }
+        const subtypeResponse = await llm.complete('classification', {
+          maxTokens: 100,
+          prompt: `Classify this objection into ONE category. Reply ONLY with one of these exact words: PRICE, TIMING, FIT_NEEDS, TRUST, or OTHER.
 
-        const lead = await db.createLead({
-          user_id: req.userId,
-          ...leadData,
-          source: 'csv_import'
+Objection Categories:
+- PRICE: Cost, budget, or pricing concerns (e.g., "too expensive", "can't afford", "outside our budget")
+- TIMING: Timing or scheduling concerns (e.g., "not the right time", "too busy now", "maybe next quarter")
+- FIT_NEEDS: Product/service fit or feature concerns (e.g., "doesn't have X feature", "not sure it fits our needs", "looking for something else")
+- TRUST: Trust, credibility, or proof concerns (e.g., "never heard of you", "need references", "prove it works")
+- OTHER: Any other objection type
+
+Email reply: "${reply_text}"
+
+Category:`,
+          stub: 'OTHER'
         });
 
-        imported.push(lead);
+        const raw = subtypeResponse.text.toUpperCase();
+        const validSubtypes = ['PRICE', 'TIMING', 'FIT_NEEDS', 'TRUST', 'OTHER'];
+        const found = validSubtypes.find(v => raw === v || raw.startsWith(v + ' ') || raw.includes('\n' + v));
+        if (found) objection_subtype = found;
+        else if (validSubtypes.includes(raw)) objection_subtype = raw;
+        else objection_subtype = 'OTHER';
       } catch (error) {
-        errors.push({ data: leadData, error: error.message });
+        console.error('AI objection subtype error:', error.message);
       }
     }
 
+    // Determine decision recommendation based on intent and context
+    let decision_recommendation = 'DRAFT_ONLY'; // Default to safe option
+
+    switch(ai_intent) {
+      case 'INTERESTED':
+        // Hot leads should be sent quickly, but with human approval for safety
+        decision_recommendation = 'AUTO_SEND';
+        break;
+      case 'NOT_NOW':
+        // Wait and follow up later
+        decision_recommendation = 'WAIT';
+        break;
+      case 'OBJECTION':
+        // Objections need careful handling - draft only
+        decision_recommendation = 'DRAFT_ONLY';
+        break;
+      case 'GHOSTING':
+        // Vague responses - try different approach later
+        decision_recommendation = 'WAIT';
+        break;
+      case 'DEAD':
+        // Clear rejection - stop following up
+        decision_recommendation = 'STOP';
+        break;
+    }
+
+    // Update lead with AI analysis
+    lead.ai_intent = ai_intent;
+    lead.ai_reasoning = ai_reasoning;
+    lead.objection_subtype = objection_subtype;
+    lead.decision_recommendation = decision_recommendation;
+    lead.last_reply = reply_text;
+    lead.last_reply_date = new Date().toISOString();
+    lead.last_subject = subject || '(No Subject)';
+    
+    // Generate AI draft for ALL intents — auto-send if in auto mode, else save for manual review
+    let draftId = null;
+    let auto_sent = false;
+    let clarification_needed = false;
+    try {
+      const aiResult = await generateAIResponse(lead, reply_text, ai_intent, subject);
+      if (aiResult) {
+        let draftBody = aiResult.body;
+        clarification_needed = aiResult.clarification_needed || false;
+
+        // Safety: never send blank emails
+        if (!draftBody || !draftBody.trim()) {
+          console.log(`⚠️  Empty draft body for lead ${lead.id} (${lead.first_name}) — using holding reply`);
+          draftBody = `Hi ${lead.first_name},\n\nThank you for reaching out! That's a great question.\n\nLet me look into this and get back to you with the right information shortly.\n\nBest regards`;
+          clarification_needed = true;
+        }
+
+        const newDraft = {
+          id: await ids.next('ai_drafts'),
+          lead_id: lead.id,
+          user_id: req.userId,
+          draft_body: draftBody,
+          ai_intent: ai_intent,
+          reply_text: reply_text,
+          reply_subject: subject || '',
+          status: 'pending',
+          clarification_needed: clarification_needed,
+          created_at: new Date().toISOString()
+        };
+
+        db.data.ai_drafts.push(newDraft);
+        await db.write();
+        draftId = newDraft.id;
+
+        const user = db.data.users.find(u => u.id === req.userId);
+        const emailSettings = mailboxForLead(lead);
+
+        const shouldAutoSend = user && user.auto_mode_enabled && !user.auto_mode_paused && lead.auto_send_enabled !== false;
+        const alreadySentHolding = (lead.clarification_count || 0) >= 1;
+
+        if (shouldAutoSend && clarification_needed && alreadySentHolding) {
+          // STOP: Already sent holding reply. Save draft for manual follow-up.
+          console.log(`🛑 STOPPED auto-reply for ${lead.first_name} — already sent holding reply. Saving draft for manual follow-up.`);
+          lead.clarification_count = (lead.clarification_count || 0) + 1;
+          newDraft.needs_follow_up = true;
+          await db.write();
+          await emitEvent(req.userId, 'draft.needs_action', draftNeedsActionEvent(lead, newDraft));
+        } else if (shouldAutoSend && emailSettings) {
+          try {
+            await sendEmail(emailSettings, lead.email, `Re: ${subject || 'Following up'}`, draftBody, null, {
+              lead_id: lead.id
+            });
+            newDraft.status = 'sent';
+            newDraft.sent_at = new Date().toISOString();
+            newDraft.final_body = draftBody;
+            lead.status = 'replied';
+            auto_sent = true;
+
+            if (clarification_needed) {
+              lead.clarification_count = (lead.clarification_count || 0) + 1;
+              newDraft.needs_follow_up = true;
+              console.log(`📋 Holding reply auto-sent to ${lead.first_name} — flagged for your follow-up (question not in knowledge base)`);
+            } else {
+              lead.clarification_count = 0;
+              resolveStaleActionRequiredDrafts(lead.id);
+            }
+            await db.write();
+            if (newDraft.needs_follow_up) await emitEvent(req.userId, 'draft.needs_action', draftNeedsActionEvent(lead, newDraft));
+          } catch (sendError) {
+            console.error('Auto-send failed:', sendError);
+            // Draft remains in pending state for manual review
+          }
+        } else if (clarification_needed) {
+          console.log(`⚠️  Clarification needed for lead ${lead.id} (${lead.first_name}) — question not in knowledge base. Draft saved for manual reply.`);
+        } else {
+          // Manual mode, correct draft saved — resolve stale Action Required drafts
+          resolveStaleActionRequiredDrafts(lead.id);
+          await db.write();
+        }
+      }
+    } catch (e) {
+      console.error('Draft generation:', e);
+    }
+    
+    // Status: analyzed = we analyzed their reply; replied = we actually sent a reply to them
+    if (ai_intent === 'INTERESTED') {
+      lead.status = 'interested';
+    } else if (ai_intent === 'DEAD') {
+      lead.status = 'dead';
+    } else {
+      lead.status = 'analyzed';
+    }
+    
+    await db.write();
+    await intentChanged();
+    
+    // Generate recommendation
+    let recommendation = '';
+    switch(ai_intent) {
+      case 'INTERESTED':
+        recommendation = '🔥 HOT LEAD! Contact them immediately - they want to buy!';
+        break;
+      case 'NOT_NOW':
+        recommendation = '⏰ Follow up in 2-4 weeks. Set a reminder.';
+        break;
+      case 'OBJECTION':
+        recommendation = '💡 Send case study or testimonial addressing their concern.';
+        break;
+      case 'GHOSTING':
+        recommendation = '👻 Try a different approach - change subject line or angle.';
+        break;
+      case 'DEAD':
+        recommendation = '❌ Move on. Focus energy on better prospects.';
+        break;
+    }
+    
     res.json({
-      message: 'Import completed',
-      imported: imported.length,
-      errors: errors.length,
-      leads: imported,
-      failed: errors
+      ai_intent,
+      ai_reasoning,
+      objection_subtype,
+      decision_recommendation,
+      recommendation,
+      draft_id: draftId,
+      auto_sent,
+      clarification_needed,
+      clarification_alert: clarification_needed
+        ? `⚠️ AI could not answer ${lead.first_name}'s question — your Product Knowledge Base is missing required info. Please reply to this customer manually.`
+        : null,
+      lead: {
+        id: lead.id,
+        first_name: lead.first_name,
+        last_name: lead.last_name,
+        status: lead.status
+      }
     });
+    
   } catch (error) {
-    console.error('Import leads error:', error);
-    res.status(500).json({ error: 'Failed to import leads' });
+    console.error('AI Analysis Error:', error);
+
+    // Fallback: Simple keyword-based analysis
+    const lowerReply = reply_text.toLowerCase();
+    let ai_intent = 'GHOSTING'; // Conservative default
+    let ai_reasoning = 'Analyzed using keyword detection (AI API unavailable)';
+    console.log(`[FALLBACK CLASSIFICATION] Input: "${reply_text.substring(0, 100)}"`);
+    console.log(`[FALLBACK] Lowercase: "${lowerReply}"`);
+
+    // Check for clear interest signals first (highest priority)
+    if (lowerReply.includes('interested') || lowerReply.includes('yes') || lowerReply.includes('sounds good') ||
+        lowerReply.includes('schedule') || lowerReply.includes('call me') || lowerReply.includes('let\'s talk') ||
+        lowerReply.includes('lets talk') || lowerReply.includes('can we talk') || lowerReply.includes('want to discuss') ||
+        lowerReply.includes('where is') || lowerReply.includes('what is the') || lowerReply.includes('how much') ||
+        lowerReply.includes('more info') || lowerReply.includes('tell me more') || lowerReply.includes('what are')) {
+      ai_intent = 'INTERESTED';
+      console.log(`[FALLBACK] → INTERESTED`);
+    }
+    // Check for clear rejection
+    else if (lowerReply.includes('not interested') || lowerReply.includes('no thanks') ||
+             lowerReply.includes('stop') || lowerReply.includes('unsubscribe')) {
+      ai_intent = 'DEAD';
+      console.log(`[FALLBACK] → DEAD`);
+    }
+    // Check for concerns/objections BEFORE timing (location concerns are more specific)
+    else if (lowerReply.includes('but ') || lowerReply.includes('however') ||
+             lowerReply.includes('concern') || lowerReply.includes('expensive') ||
+             lowerReply.includes('not sure') || lowerReply.includes('far from') ||
+             lowerReply.includes('too far') || lowerReply.includes('location') ||
+             lowerReply.includes('distance') || lowerReply.includes('inconvenient') ||
+             lowerReply.includes('accessible') || lowerReply.includes('price seems')) {
+      ai_intent = 'OBJECTION';
+      console.log(`[FALLBACK] → OBJECTION`);
+    }
+    // Check for specific timing delays (after objection check)
+    else if ((lowerReply.includes('later') || lowerReply.includes('next month') ||
+              lowerReply.includes('next quarter') || lowerReply.includes('not now')) &&
+             !lowerReply.includes('interested')) {
+      ai_intent = 'NOT_NOW';
+      console.log(`[FALLBACK] → NOT_NOW (timing matched)`);
+    }
+    else {
+      console.log(`[FALLBACK] → GHOSTING (no keywords matched)`);
+    }
+    // Otherwise defaults to GHOSTING (vague/unclear)
+    
+    // Classify objection sub-type using keywords if intent is OBJECTION
+    let objection_subtype = null;
+    if (ai_intent === 'OBJECTION') {
+      if (lowerReply.includes('price') || lowerReply.includes('expensive') || lowerReply.includes('cost') || lowerReply.includes('budget')) {
+        objection_subtype = 'PRICE';
+      } else if (lowerReply.includes('timing') || lowerReply.includes('busy') || lowerReply.includes('later') || lowerReply.includes('time')) {
+        objection_subtype = 'TIMING';
+      } else if (lowerReply.includes('trust') || lowerReply.includes('reference') || lowerReply.includes('proof') || lowerReply.includes('credib')) {
+        objection_subtype = 'TRUST';
+      } else if (lowerReply.includes('fit') || lowerReply.includes('feature') || lowerReply.includes('need')) {
+        objection_subtype = 'FIT_NEEDS';
+      } else {
+        objection_subtype = 'OTHER';
+      }
+    }
+
+    // Determine decision recommendation
+    let decision_recommendation = 'DRAFT_ONLY';
+    switch(ai_intent) {
+      case 'INTERESTED':
+        decision_recommendation = 'AUTO_SEND';
+        break;
+      case 'NOT_NOW':
+      case 'GHOSTING':
+        decision_recommendation = 'WAIT';
+        break;
+      case 'OBJECTION':
+        decision_recommendation = 'DRAFT_ONLY';
+        break;
+      case 'DEAD':
+        decision_recommendation = 'STOP';
+        break;
+    }
+
+    lead.ai_intent = ai_intent;
+    lead.ai_reasoning = ai_reasoning;
+    lead.objection_subtype = objection_subtype;
+    lead.decision_recommendation = decision_recommendation;
+    lead.last_reply = reply_text;
+    lead.last_subject = subject || '(No Subject)';
+    lead.status = ai_intent === 'INTERESTED' ? 'interested' : (ai_intent === 'DEAD' ? 'dead' : 'analyzed');
+
+    await db.write();
+    await intentChanged();
+
+    res.json({
+      ai_intent,
+      ai_reasoning,
+      objection_subtype,
+      decision_recommendation,
+      recommendation: 'AI analysis unavailable, using keyword detection',
+      lead: {
+        id: lead.id,
+        first_name: lead.first_name,
+        last_name: lead.last_name,
+        status: lead.status
+      }
+    });
+  }
+});
+
+// Update lead fields (ai_intent, status, notes, tags, etc.)
+router.patch('/:id', authenticate, async (req, res) => {
+  await db.read();
+
+  // Use string comparison to avoid number/string type mismatch
+  const lead = db.data.leads.find(l =>
+    String(l.id) === String(req.params.id) && l.user_id === req.userId
+  );
+
+  if (!lead) {
+    console.error(`PATCH /leads/:id — lead not found. id=${req.params.id} userId=${req.userId}`);
+    return res.status(404).json({ error: 'Lead not found' });
+  }
+
+  if (req.body.timezone && !isValidTimezone(req.body.timezone)) {
+    return res.status(400).json({ error: `Unknown timezone "${req.body.timezone}"` });
+  }
+
+  const prevIntent = lead.ai_intent;
+  const allowed = ['ai_intent', 'status', 'first_name', 'last_name', 'company', 'phone', 'notes', 'objection_subtype', 'timezone', 'territory'];
+  allowed.forEach(field => {
+    if (req.body[field] !== undefined) {
+      lead[field] = req.body[field];
+    }
+  });
+  // Tags replace the lead's: an array, or "vip, conference"
+  if (req.body.tags !== undefined) lead.tags = normalizeTags(req.body.tags);
+  lead.updated_at = new Date().toISOString();
+
+  await db.write();
+  if (prevIntent !== lead.ai_intent) {
+    await emitEvent(req.userId, 'lead.intent_changed', {
+      lead: leadSummary(lead), previous_intent: prevIntent || null, intent: lead.ai_intent, source: 'manual'
+    });
+  }
+  res.json({ lead });
+});
+
+// Assign a lead to a workspace member ({ owner_id: null } unassigns it).
+// Admins assign freely; members can claim unassigned leads and hand on their own.
+router.post('/:id/assign', authenticate, async (req, res) => {
+  const ownerId = req.body.owner_id == null ? null : Number(req.body.owner_id);
+  await db.read();
+
+  const lead = db.data.leads.find(l => String(l.id) === String(req.params.id) && l.user_id === req.userId);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+  if (ownerId !== null && !getMembership(req.workspaceId, ownerId)) {
+    return res.status(400).json({ error: 'owner_id must be a member of this workspace' });
+  }
+  const currentOwner = lead.owner_id ?? null;
+  if (!roleAtLeast(req.role, 'admin') && currentOwner !== null && currentOwner !== req.memberId) {
+    return res.status(403).json({ error: 'Only admins can reassign a lead owned by someone else' });
+  }
+
+  assignLead(lead, ownerId, { assignedBy: req.memberId });
+  await db.write();
+  res.json({ lead });
+});
+
+// Toggle per-lead auto-send setting
+router.patch('/:id/auto-send', authenticate, async (req, res) => {
+  const { auto_send_enabled } = req.body;
+
+  await db.read();
+
+  const lead = db.data.leads.find(l =>
+    l.id === parseInt(req.params.id) && l.user_id === req.userId
+  );
+
+  if (!lead) {
+    return res.status(404).json({ error: 'Lead not found' });
+  }
+
+  lead.auto_send_enabled = auto_send_enabled;
+  lead.updated_at = new Date().toISOString();
+
+  await db.write();
+
+  res.json({
+    success: true,
+    lead_id: lead.id,
+    auto_send_enabled: lead.auto_send_enabled
+  });
+});
+
+// Resume AI for a lead after human handoff
+router.patch('/:id/resume-ai', authenticate, async (req, res) => {
+  await db.read();
+
+  const lead = db.data.leads.find(l =>
+    String(l.id) === String(req.params.id) && l.user_id === req.userId
+  );
+
+  if (!lead) {
+    return res.status(404).json({ error: 'Lead not found' });
+  }
+
+  lead.ai_paused_by_human = false;
+  lead.last_email_sender = null;
+  lead.updated_at = new Date().toISOString();
+
+  await db.write();
+
+  res.json({ success: true, lead });
+});
+
+// Pause / resume follow-up rules for a specific lead
+router.post('/:id/pause-follow-ups', authenticate, async (req, res) => {
+  await db.read();
+
+  const lead = db.data.leads.find(l =>
+    String(l.id) === String(req.params.id) && l.user_id === req.userId
+  );
+
+  if (!lead) {
+    return res.status(404).json({ error: 'Lead not found' });
+  }
+
+  const { paused } = req.body; // true = stop, false = resume
+  lead.follow_up_paused = paused === true;
+  lead.updated_at = new Date().toISOString();
+
+  // If pausing, immediately delete any pending AI drafts for this lead
+  // (fixes concurrency bug where a follow-up job might overwrite the pause flag)
+  if (paused === true && db.data.ai_drafts) {
+    const beforeCount = db.data.ai_drafts.length;
+    db.data.ai_drafts = db.data.ai_drafts.filter(d => d.lead_id !== lead.id);
+    const deletedCount = beforeCount - db.data.ai_drafts.length;
+    if (deletedCount > 0) {
+      console.log(`🛑 Paused follow-ups for lead ${lead.id} — deleted ${deletedCount} pending draft(s)`);
+    }
   }
+
+  await db.write();
+
+  res.json({ success: true, lead });
+});
+
+// Stop sequence for a specific lead
+router.post('/:id/stop-sequence', authenticate, async (req, res) => {
+  await db.read();
+
+  const lead = db.data.leads.find(l =>
+    String(l.id) === String(req.params.id) && l.user_id === req.userId
+  );
+
+  if (!lead) {
+    return res.status(404).json({ error: 'Lead not found' });
+  }
+
+  if (!lead.enrolled_sequence_id) {
+    return res.status(400).json({ error: 'Lead is not enrolled in any sequence' });
+  }
+
+  lead.sequence_paused = true;
+  lead.sequence_completed = true;
+  lead.updated_at = new Date().toISOString();
+
+  await db.write();
+
+  res.json({ success: true, lead });
 });
 
 export default router;
@@ -1,136 +1,420 @@
 import express from 'express';
-import { db } from '../config/database.js';
-import { authenticateToken } from './auth.js';
+import { db, ids } from '../storage/db.js';
+import { authenticate } from '../middleware/auth.js';
+import { getUserPlan, isPlanActive } from '../services/billing.js';
+import { sendEmail } from '../services/email.js';
+import { resolveTracking } from '../services/tracking.js';
+import { validateSequenceGraph, isFinalStep, stepKey } from '../services/sequence-graph.js';
+import { validateSendingWindow, leadTimezone, isInSendingWindow } from '../services/send-window.js';
+import { bookSendSlot, throttleStatus } from '../services/throttle.js';
+import { defaultMailbox, mailboxForLead, pinLeadMailbox, validateMailboxOptions } from '../services/mailboxes.js';
 
 const router = express.Router();
 
-// Get all sequences
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    const sequences = await db.getSequences(req.userId);
-    res.json({ sequences });
-  } catch (error) {
-    console.error('Get sequences error:', error);
-    res.status(500).json({ error: 'Failed to get sequences' });
+// Per-sequence tracking toggles: true/false, or null to follow the user's default
+const trackingSetting = (value) => typeof value === 'boolean' ? value : null;
+
+// Sending window for the sequence — null falls back to the user's (see services/send-window.js)
+const sendingWindowError = (value) => value == null ? null : validateSendingWindow(value);
+
+// Mailboxes the sequence rotates across — null means every connected mailbox (see services/mailboxes.js)
+const mailboxIds = (value) => Array.isArray(value) && value.length > 0 ? value.map(Number) : null;
+
+// Editor payload → step records (without ids). Branching fields are described in
+// services/sequence-graph.js. Returns { steps } or { error }.
+function normalizeSteps(seqId, steps, exitConditions) {
+  const normalized = steps.map((step, index) => ({
+    sequence_id: seqId,
+    step_number: index + 1,
+    key: step.key != null && String(step.key).trim() !== '' ? String(step.key).trim() : String(index + 1),
+    delay_days: step.delay_days || 0,
+    delay_unit: step.delay_unit || 'days',
+    subject: step.subject || '',
+    email_template: step.email_template || '',
+    attachments: step.attachments || [],
+    stop_on_reply: step.stop_on_reply !== false,
+    ...(step.next !== undefined && { next: step.next === null ? null : String(step.next) }),
+    branches: Array.isArray(step.branches)
+      ? step.branches.map(b => ({ when: b?.when, goto: b?.goto == null ? null : String(b.goto) }))
+      : step.branches || [],
+    wait_until: step.wait_until || null,
+    wait_timeout_days: step.wait_timeout_days != null ? Number(step.wait_timeout_days) : null
+  }));
+  const error = validateSequenceGraph(normalized, exitConditions || []);
+  return error ? { error } : { steps: normalized };
+}
+
+// List sequences
+router.get('/', authenticate, async (req, res) => {
+  await db.read();
+  const sequences = db.data.sequences.filter(s => s.user_id === req.userId);
+  const enriched = sequences.map(seq => {
+    const steps = (db.data.sequence_steps || []).filter(s => s.sequence_id === seq.id);
+    const enrolled = (db.data.leads || []).filter(l =>
+      l.enrolled_sequence_id === seq.id && l.user_id === req.userId
+    );
+    return {
+      ...seq,
+      step_count: steps.length,
+      active_leads_count: enrolled.filter(l => !l.sequence_completed).length,
+      completed_leads_count: enrolled.filter(l => l.sequence_completed === true).length,
+      // Due steps held back by the mailbox's send limits (services/throttle.js)
+      throttled_leads_count: enrolled.filter(l => !l.sequence_completed && l.sequence_throttled_since).length,
+      total_enrolled: enrolled.length,
+      // step_subjects is used by the search bar in the Sequences page to search email content
+      step_subjects: steps.map(s => s.subject || ''),
+      // step_bodies stripped to plain text for search — strip HTML tags so keywords are findable
+      step_bodies: steps.map(s => (s.email_template || '').replace(/<[^>]*>/g, ' ')),
+    };
+  });
+  res.json({ sequences: enriched });
+});
+
+// Create a sequence with its steps
+router.post('/', authenticate, async (req, res) => {
+  const { name, description, steps, track_opens, track_clicks, exit_conditions, sending_window, mailbox_rotation, mailbox_ids } = req.body;
+  if (!name) return res.status(400).json({ error: 'Sequence name is required' });
+  const windowError = sendingWindowError(sending_window);
+  if (windowError) return res.status(400).json({ error: windowError });
+
+  await db.read();
+  const mailboxError = validateMailboxOptions(req.userId, { mailbox_rotation, mailbox_ids });
+  if (mailboxError) return res.status(400).json({ error: mailboxError });
+  const sequenceId = await ids.next('sequences');
+  const normalized = Array.isArray(steps) ? normalizeSteps(sequenceId, steps, exit_conditions) : { steps: [] };
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+
+  const sequence = {
+    id: sequenceId,
+    user_id: req.userId,
+    created_by: req.memberId,
+    name,
+    description: description || '',
+    is_active: true,
+    track_opens: trackingSetting(track_opens),
+    track_clicks: trackingSetting(track_clicks),
+    exit_conditions: exit_conditions || [],
+    sending_window: sending_window || null,
+    mailbox_rotation: mailbox_rotation || 'pin',
+    mailbox_ids: mailboxIds(mailbox_ids),
+    created_at: new Date().toISOString()
+  };
+
+  db.data.sequences.push(sequence);
+
+  for (const step of normalized.steps) {
+    db.data.sequence_steps.push({ id: await ids.next('sequence_steps'), ...step });
   }
+
+  await db.write();
+  res.json({ sequence });
 });
 
 // Get single sequence with steps
-router.get('/:id', authenticateToken, async (req, res) => {
-  try {
-    const sequence = await db.findSequenceById(req.params.id);
-    
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
-    }
+router.get('/:id', authenticate, async (req, res) => {
+  await db.read();
+  const sequence = db.data.sequences.find(s => s.id === parseInt(req.params.id));
 
-    if (sequence.user_id !== req.userId) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+  if (!sequence) {
+    return res.status(404).json({ error: 'Sequence not found' });
+  }
+
+  if (sequence.user_id !== req.userId) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
 
-    const steps = await db.getSequenceSteps(sequence.id);
+  const steps = db.data.sequence_steps
+    .filter(s => s.sequence_id === sequence.id)
+    .sort((a, b) => a.step_number - b.step_number);
 
-    res.json({
-      sequence,
-      steps
-    });
-  } catch (error) {
-    console.error('Get sequence error:', error);
-    res.status(500).json({ error: 'Failed to get sequence' });
+  // Leads whose next step is waiting on the mailbox's send limits
+  const settings = defaultMailbox(req.userId);
+  const throttled = db.data.leads.filter(l =>
+    l.enrolled_sequence_id === sequence.id && !l.sequence_completed && l.sequence_throttled_since
+  );
+  const throttle = {
+    throttled_leads_count: throttled.length,
+    mailbox: settings ? throttleStatus(settings) : null
+  };
+
+  res.json({ sequence, steps, throttle });
+});
+
+// Update sequence
+router.patch('/:id', authenticate, async (req, res) => {
+  await db.read();
+  const sequence = db.data.sequences.find(s => s.id === parseInt(req.params.id));
+
+  if (!sequence) {
+    return res.status(404).json({ error: 'Sequence not found' });
+  }
+
+  if (sequence.user_id !== req.userId) {
+    return res.status(403).json({ error: 'Access denied' });
   }
+
+  const { name, description, is_active, track_opens, track_clicks, sending_window, mailbox_rotation, mailbox_ids } = req.body;
+  const windowError = sendingWindowError(sending_window);
+  if (windowError) return res.status(400).json({ error: windowError });
+  const mailboxError = validateMailboxOptions(req.userId, { mailbox_rotation, mailbox_ids });
+  if (mailboxError) return res.status(400).json({ error: mailboxError });
+
+  if (name !== undefined) sequence.name = name;
+  if (description !== undefined) sequence.description = description;
+  if (is_active !== undefined) sequence.is_active = is_active;
+  if (track_opens !== undefined) sequence.track_opens = trackingSetting(track_opens);
+  if (track_clicks !== undefined) sequence.track_clicks = trackingSetting(track_clicks);
+  if (sending_window !== undefined) sequence.sending_window = sending_window || null;
+  if (mailbox_rotation !== undefined) sequence.mailbox_rotation = mailbox_rotation || 'pin';
+  if (mailbox_ids !== undefined) sequence.mailbox_ids = mailboxIds(mailbox_ids);
+
+  await db.write();
+  res.json({ sequence });
 });
 
-// Create sequence
-router.post('/', authenticateToken, async (req, res) => {
-  try {
-    const { name, description, steps } = req.body;
+// Update sequence with steps (full edit)
+router.put('/:id', authenticate, async (req, res) => {
+  await db.read();
+  const seqId = parseInt(req.params.id);
+  const sequence = db.data.sequences.find(s => s.id === seqId);
 
-    if (!name || !steps || !Array.isArray(steps)) {
-      return res.status(400).json({ error: 'Name and steps array required' });
-    }
+  if (!sequence) return res.status(404).json({ error: 'Sequence not found' });
+  if (sequence.user_id !== req.userId) return res.status(403).json({ error: 'Access denied' });
 
-    // Create sequence
-    const sequence = await db.createSequence({
-      user_id: req.userId,
-      name,
-      description: description || null
-    });
+  const { name, description, is_active, steps, track_opens, track_clicks, exit_conditions, sending_window, mailbox_rotation, mailbox_ids } = req.body;
 
-    // Create steps
-    const createdSteps = [];
-    for (let i = 0; i < steps.length; i++) {
-      const step = await db.createSequenceStep({
-        sequence_id: sequence.id,
-        step_number: i,
-        delay_days: steps[i].delay_days || 0,
-        email_template: steps[i].email_template || '',
-        ai_personalization_enabled: steps[i].ai_personalization_enabled !== false,
-        stop_on_reply: steps[i].stop_on_reply !== false
-      });
-      createdSteps.push(step);
-    }
+  // Validate the new graph, window and mailboxes before touching anything
+  const windowError = sendingWindowError(sending_window);
+  if (windowError) return res.status(400).json({ error: windowError });
+  const mailboxError = validateMailboxOptions(req.userId, { mailbox_rotation, mailbox_ids });
+  if (mailboxError) return res.status(400).json({ error: mailboxError });
+  const normalized = Array.isArray(steps) ? normalizeSteps(seqId, steps, exit_conditions ?? sequence.exit_conditions) : null;
+  if (normalized?.error) return res.status(400).json({ error: normalized.error });
+  if (!normalized && exit_conditions !== undefined) {
+    const error = validateSequenceGraph([], exit_conditions || []);
+    if (error) return res.status(400).json({ error });
+  }
 
-    res.status(201).json({
-      message: 'Sequence created successfully',
-      sequence,
-      steps: createdSteps
-    });
-  } catch (error) {
-    console.error('Create sequence error:', error);
-    res.status(500).json({ error: 'Failed to create sequence' });
+  if (name !== undefined) sequence.name = name;
+  if (description !== undefined) sequence.description = description;
+  if (is_active !== undefined) sequence.is_active = is_active;
+  if (track_opens !== undefined) sequence.track_opens = trackingSetting(track_opens);
+  if (track_clicks !== undefined) sequence.track_clicks = trackingSetting(track_clicks);
+  if (sending_window !== undefined) sequence.sending_window = sending_window || null;
+  if (mailbox_rotation !== undefined) sequence.mailbox_rotation = mailbox_rotation || 'pin';
+  if (mailbox_ids !== undefined) sequence.mailbox_ids = mailboxIds(mailbox_ids);
+
+  if (exit_conditions !== undefined) sequence.exit_conditions = exit_conditions || [];
+
+  // Replace all steps. Leads mid-sequence resume from their last step's key.
+  if (normalized) {
+    db.data.sequence_steps = db.data.sequence_steps.filter(s => s.sequence_id !== seqId);
+    for (const step of normalized.steps) {
+      db.data.sequence_steps.push({ id: await ids.next('sequence_steps'), ...step });
+    }
   }
+
+  await db.write();
+  const updatedSteps = db.data.sequence_steps
+    .filter(s => s.sequence_id === seqId)
+    .sort((a, b) => a.step_number - b.step_number);
+  res.json({ sequence, steps: updatedSteps });
 });
 
-// Update sequence
-router.patch('/:id', authenticateToken, async (req, res) => {
-  try {
-    const sequence = await db.findSequenceById(req.params.id);
-    
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
-    }
+// Enroll leads into a sequence (send step 1 emails)
+router.post('/:id/enroll', authenticate, async (req, res) => {
+  await db.read();
+  const seqId = parseInt(req.params.id);
+  const sequence = db.data.sequences.find(s => s.id === seqId);
 
-    if (sequence.user_id !== req.userId) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+  if (!sequence) return res.status(404).json({ error: 'Sequence not found' });
+  if (sequence.user_id !== req.userId) return res.status(403).json({ error: 'Access denied' });
 
-    const { name, description, is_active } = req.body;
-    const updated = await db.updateSequence(req.params.id, {
-      name,
-      description,
-      is_active
-    });
+  // Re-enable sequence if it was previously disabled — enrolling new leads means user wants it running
+  if (!sequence.is_active) sequence.is_active = true;
 
-    res.json({
-      message: 'Sequence updated successfully',
-      sequence: updated
+  const { lead_ids } = req.body;
+  if (!lead_ids || lead_ids.length === 0) return res.status(400).json({ error: 'No leads selected' });
+
+  // ── Plan check: active lead limit ──────────────────────────────────────────
+  const user = db.data.users.find(u => u.id === req.userId);
+  if (!isPlanActive(user)) {
+    return res.status(402).json({
+      error: 'plan_expired',
+      message: 'Your free trial has expired. Please upgrade to continue.',
+      upgrade_url: '/billing'
     });
-  } catch (error) {
-    console.error('Update sequence error:', error);
-    res.status(500).json({ error: 'Failed to update sequence' });
   }
-});
+  const { limits } = getUserPlan(user);
+  const currentActiveLeads = db.data.leads.filter(l =>
+    l.user_id === req.userId &&
+    l.enrolled_sequence_id &&
+    !l.sequence_completed &&
+    l.status !== 'dead'
+  ).length;
+  if (limits.active_leads_limit !== null && currentActiveLeads + lead_ids.length > limits.active_leads_limit) {
+    return res.status(402).json({
+      error: 'lead_limit_reached',
+      message: `Your ${limits.name || 'current'} plan allows ${limits.active_leads_limit} active leads. You have ${currentActiveLeads} active leads. Upgrade to enroll more.`,
+      current: currentActiveLeads,
+      limit: limits.active_leads_limit,
+      upgrade_url: '/billing'
+    });
+  }
+  // ───────────────────────────────────────────────────────────────────────────
 
-// Delete sequence
-router.delete('/:id', authenticateToken, async (req, res) => {
-  try {
-    const sequence = await db.findSequenceById(req.params.id);
-    
-    if (!sequence) {
-      return res.status(404).json({ error: 'Sequence not found' });
+  const steps = db.data.sequence_steps
+    .filter(s => s.sequence_id === seqId)
+    .sort((a, b) => a.step_number - b.step_number);
+
+  if (steps.length === 0) return res.status(400).json({ error: 'Sequence has no steps' });
+
+  const step1 = steps[0];
+  const leads = db.data.leads.filter(l => l.user_id === req.userId && lead_ids.includes(l.id));
+
+  if (leads.length === 0) return res.status(400).json({ error: 'No valid leads found' });
+
+  const replaceVars = (text, lead) => text
+    .replace(/\{\{first_name\}\}/g, lead.first_name || '')
+    .replace(/\{\{last_name\}\}/g, lead.last_name || '')
+    .replace(/\{\{company\}\}/g, lead.company || '')
+    .replace(/\{\{email\}\}/g, lead.email || '')
+    .replace(/\{\{phone\}\}/g, lead.phone || '');
+
+  const tracking = resolveTracking(user, sequence);
+  const window = sequence.sending_window || user?.sending_window || null;
+  const results = { success: [], failed: [] };
+
+  // Determine if step 1 should be sent immediately or delayed
+  const step1Delay = step1.delay_days || 0;
+  const step1Unit = step1.delay_unit || 'days';
+  // A wait-until condition on step 1 is left to the scheduler too
+  const step1HasDelay = step1Delay > 0 || !!step1.wait_until;
+
+  for (const lead of leads) {
+    try {
+      const leadIndex = db.data.leads.findIndex(l => l.id === lead.id);
+      // Outside the lead's sending window step 1 waits for the scheduler's next valid slot
+      const inWindow = isInSendingWindow(Date.now(), window, leadTimezone(lead, window));
+      // Past the mailbox's send limits it waits for the scheduler too, spaced out over later slots
+      const mailbox = mailboxForLead(lead, sequence);
+      const throttled = !step1HasDelay && inWindow && !!mailbox &&
+        await bookSendSlot(mailbox.id, { within: 0 }) === null;
+
+      if (!step1HasDelay && inWindow && !throttled) {
+        // No delay on step 1 — send immediately
+        const personalizedSubject = replaceVars(step1.subject || sequence.name, lead);
+        const personalizedHtml = replaceVars(step1.email_template, lead);
+
+        let emailResult = null;
+        if (mailbox) {
+          emailResult = await sendEmail(mailbox, lead.email, personalizedSubject, personalizedHtml, null, {
+            attachments: step1.attachments || [],
+            lead_id: lead.id,
+            tracking
+          });
+        }
+
+        // Record the interaction
+        if (!db.data.email_interactions) db.data.email_interactions = [];
+        const interactionId = await ids.next('email_interactions');
+        db.data.email_interactions.push({
+          id: interactionId,
+          lead_id: lead.id,
+          sequence_id: seqId,
+          step_number: 1,
+          step_key: stepKey(step1),
+          direction: 'sent',
+          mailbox_id: mailbox?.id ?? null,
+          subject: personalizedSubject,
+          body: personalizedHtml,
+          message_id: emailResult?.threading_message_id || null,
+          tracking_id: emailResult?.tracking_id || null,
+          sent_at: new Date().toISOString(),
+          created_at: new Date().toISOString()
+        });
+
+        // Track sequence state — step 1 already sent, next is step at index 1
+        if (leadIndex !== -1) {
+          db.data.leads[leadIndex].enrolled_sequence_id = seqId;
+          db.data.leads[leadIndex].sequence_current_step = 1; // step 1 sent, next is index 1
+          db.data.leads[leadIndex].sequence_last_step_key = stepKey(step1);
+          db.data.leads[leadIndex].sequence_send_slot = null;
+          db.data.leads[leadIndex].sequence_throttled_since = null;
+          db.data.leads[leadIndex].sequence_exit_reason = null;
+          db.data.leads[leadIndex].sequence_last_sent = new Date().toISOString();
+          db.data.leads[leadIndex].last_email_sent_date = new Date().toISOString(); // keep in sync for follow-up jobs
+          db.data.leads[leadIndex].sequence_completed = isFinalStep(steps, step1);
+          db.data.leads[leadIndex].sequence_total_steps = steps.length;
+          if (emailResult) pinLeadMailbox(db.data.leads[leadIndex], mailbox);
+        }
+      } else {
+        // Step 1 has a delay (or it's outside the window) — enroll the lead and let the scheduler send step 1
+        // e.g. delay_days=3, delay_unit='minutes' means send step 1 in 3 minutes
+        if (leadIndex !== -1) {
+          db.data.leads[leadIndex].enrolled_sequence_id = seqId;
+          db.data.leads[leadIndex].sequence_current_step = 0; // step 1 not yet sent, scheduler will handle it
+          db.data.leads[leadIndex].sequence_last_step_key = null;
+          db.data.leads[leadIndex].sequence_send_slot = null;
+          db.data.leads[leadIndex].sequence_throttled_since = throttled ? new Date().toISOString() : null;
+          db.data.leads[leadIndex].sequence_exit_reason = null;
+          db.data.leads[leadIndex].sequence_last_sent = new Date().toISOString(); // enrollment time = start of delay countdown
+          db.data.leads[leadIndex].sequence_completed = false;
+          db.data.leads[leadIndex].sequence_total_steps = steps.length;
+        }
+        console.log(step1HasDelay
+          ? `⏳ Lead ${lead.email} enrolled in sequence — step 1 will be sent in ${step1Delay} ${step1Unit}`
+          : throttled
+          ? `🚦 Lead ${lead.email} enrolled — step 1 queued behind the mailbox's send limits`
+          : `🕘 Lead ${lead.email} enrolled outside the sending window — step 1 will be sent in the next slot`);
+      }
+
+      results.success.push({ email: lead.email, name: `${lead.first_name} ${lead.last_name}`, ...(throttled && { queued: true }) });
+    } catch (err) {
+      results.failed.push({ email: lead.email, error: err.message });
     }
+  }
 
-    if (sequence.user_id !== req.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+  // After enrolling all leads, check if every enrolled lead has already completed
+  // (happens for 1-step sequences where step 1 is sent immediately with no delay)
+  const allEnrolledLeads = db.data.leads.filter(l => l.enrolled_sequence_id === seqId);
+  const allCompleted = allEnrolledLeads.length > 0 && allEnrolledLeads.every(l => l.sequence_completed === true);
+  if (allCompleted) {
+    const seqIdx = db.data.sequences.findIndex(s => s.id === seqId);
+    if (seqIdx !== -1 && db.data.sequences[seqIdx].is_active) {
+      db.data.sequences[seqIdx].is_active = false;
+      console.log(`🔒 All leads completed sequence "${db.data.sequences[seqIdx].name}" — auto-deactivated after enrollment`);
     }
+  }
+
+  await db.write();
+  const queuedCount = results.success.filter(r => r.queued).length;
+  res.json({
+    message: `Enrolled ${results.success.length} lead(s) into sequence` +
+      (queuedCount > 0 ? ` — ${queuedCount} queued by your mailbox's send limits` : ''),
+    results
+  });
+});
+
+// Delete sequence
+router.delete('/:id', authenticate, async (req, res) => {
+  await db.read();
+  const sequence = db.data.sequences.find(s => s.id === parseInt(req.params.id));
 
-    await db.deleteSequence(req.params.id);
+  if (!sequence) {
+    return res.status(404).json({ error: 'Sequence not found' });
+  }
 
-    res.json({ message: 'Sequence deleted successfully' });
-  } catch (error) {
-    console.error('Delete sequence error:', error);
-    res.status(500).json({ error: 'Failed to delete sequence' });
+  if (sequence.user_id !== req.userId) {
+    return res.status(403).json({ error: 'Access denied' });
   }
+
+  // Delete sequence and its steps
+  db.data.sequences = db.data.sequences.filter(s => s.id !== parseInt(req.params.id));
+  db.data.sequence_steps = db.data.sequence_steps.filter(s => s.sequence_id !== parseInt(req.params.id));
+
+  await db.write();
+  res.json({ message: 'Sequence deleted successfully' });
 });
 
 export default router;
@@ -0,0 +1,924 @@
+import express from 'express';
+import crypto from 'crypto';
+import mammoth from 'mammoth';
+import { load as cheerioLoad } from 'cheerio';
+import fetch from 'node-fetch';
+import multer from 'multer';
+import { db, ids } from '../storage/db.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { DEFAULT_REMINDER_RULES } from '../services/scheduler.js';
+import { validateSendingWindow } from '../services/send-window.js';
+import { validateThrottle, throttleStatus } from '../services/throttle.js';
+import { DEFAULT_WARMUP, validateWarmup, warmupStatus } from '../services/warmup.js';
+import {
+  userMailboxes, getMailbox, defaultMailbox, mailboxByEmail, requestedMailbox, disconnectMailbox, publicMailbox
+} from '../services/mailboxes.js';
+import { deleteOutlookSubscription } from '../services/outlook.js';
+import { testSmtpConnection } from '../services/smtp.js';
+import { testImapConnection } from '../services/imap.js';
+import * as llm from '../services/llm/index.js';
+
+const router = express.Router();
+
+// Pick the SMTP/IMAP fields we store out of a request body. Blank passwords
+// keep the saved one, so the settings form doesn't have to re-send secrets.
+function mailServerConfig(body, existing) {
+  const smtp = body.smtp || {};
+  const imap = body.imap || {};
+  return {
+    smtp: {
+      host: (smtp.host || '').trim(),
+      port: Number(smtp.port) || 587,
+      secure: smtp.secure ?? Number(smtp.port) === 465,
+      user: (smtp.user || body.email || '').trim(),
+      pass: smtp.pass || existing?.smtp?.pass || '',
+      allow_self_signed: !!smtp.allow_self_signed
+    },
+    imap: imap.host ? {
+      host: imap.host.trim(),
+      port: Number(imap.port) || 993,
+      tls: imap.tls ?? Number(imap.port || 993) === 993,
+      user: (imap.user || smtp.user || body.email || '').trim(),
+      password: imap.password || existing?.imap?.password || smtp.pass || existing?.smtp?.pass || '',
+      allow_self_signed: !!imap.allow_self_signed,
+      sent_folder: (imap.sent_folder || '').trim() || null
+    } : null
+  };
+}
+
+// Try SMTP and IMAP logins; returns { smtp: { ok, error }, imap: { ok, error } }
+async function testMailServers({ smtp, imap }) {
+  const result = {};
+  try {
+    await testSmtpConnection(smtp);
+    result.smtp = { ok: true };
+  } catch (error) {
+    result.smtp = { ok: false, error: error.message };
+  }
+  if (imap) {
+    try {
+      await testImapConnection(imap);
+      result.imap = { ok: true };
+    } catch (error) {
+      result.imap = { ok: false, error: error.message };
+    }
+  }
+  return result;
+}
+
+// Save Email Settings
+// Gmail and Outlook mailboxes are connected via OAuth — only from_name and sending_mode are saved here
+// (for the default mailbox, or the one in mailbox_id).
+// SMTP mailboxes (provider: 'smtp') send the server details: { email, smtp: {...}, imap: {...} } —
+// a new address is added next to the mailboxes already connected, a known one is updated.
+router.post('/email', authenticate, requireRole('admin'), async (req, res) => {
+  const { from_name, sending_mode, provider } = req.body;
+
+  await db.read();
+
+  let existingSettings = requestedMailbox(req.userId, req.body.mailbox_id);
+
+  if (provider === 'smtp') {
+    const email = (req.body.email || '').trim().toLowerCase();
+    if (!email || !req.body.smtp?.host) {
+      return res.status(400).json({ error: 'Email address and SMTP host are required' });
+    }
+    const defaults = defaultMailbox(req.userId);
+    existingSettings = mailboxByEmail(req.userId, email);
+
+    const config = mailServerConfig(req.body, existingSettings?.provider === 'smtp' ? existingSettings : null);
+    if (!config.smtp.pass) {
+      return res.status(400).json({ error: 'SMTP password is required' });
+    }
+
+    // Don't save credentials that don't work
+    const test = await testMailServers(config);
+    if (!test.smtp.ok || (test.imap && !test.imap.ok)) {
+      return res.status(400).json({ error: 'Could not connect to your mail server', test });
+    }
+
+    if (existingSettings && ['gmail', 'outlook'].includes(existingSettings.provider)) {
+      // Same address connected over Gmail or Outlook before — drop the OAuth tokens and push state
+      for (const key of ['access_token', 'refresh_token', 'token_expiry', 'token_invalid', 'token_invalid_since',
+        'push_enabled', 'push_setup_at', 'push_expiration', 'push_history_id',
+        'outlook_subscription_id', 'outlook_client_state']) {
+        delete existingSettings[key];
+      }
+    }
+    if (!existingSettings) {
+      existingSettings = {
+        id: await ids.next('email_settings'),
+        user_id: req.userId,
+        sending_mode: defaults?.sending_mode || 'manual',
+        auto_send_enabled: defaults?.auto_send_enabled ?? false,
+        inbound_token: crypto.randomBytes(16).toString('hex'),
+        created_at: new Date().toISOString()
+      };
+      db.data.email_settings.push(existingSettings);
+    }
+
+    Object.assign(existingSettings, {
+      provider: 'smtp',
+      email,
+      smtp: config.smtp,
+      imap: config.imap,
+      save_to_sent: req.body.save_to_sent !== false
+    });
+  } else if (!existingSettings || !['gmail', 'outlook', 'smtp'].includes(existingSettings.provider)) {
+    return res.status(400).json({ error: 'Please connect your Gmail or Outlook account, or an SMTP mailbox first' });
+  }
+
+  if (from_name !== undefined) existingSettings.from_name = from_name;
+  if (sending_mode !== undefined) {
+    // Auto or manual applies to the whole account, whichever mailbox sends
+    for (const mailbox of userMailboxes(req.userId)) mailbox.sending_mode = sending_mode;
+    // Sync to user record so auto-reply logic actually fires
+    const user = db.data.users.find(u => u.id === req.userId);
+    if (user) {
+      user.auto_mode_enabled = (sending_mode === 'auto');
+      user.email_mode = sending_mode === 'auto' ? 'AUTO' : 'MANUAL';
+      user.auto_send_all = (sending_mode === 'auto');
+      user.updated_at = new Date().toISOString();
+    }
+  }
+  existingSettings.updated_at = new Date().toISOString();
+
+  await db.write();
+
+  res.json({ success: true, message: 'Email settings saved', mailbox: publicMailbox(existingSettings) });
+});
+
+// Test SMTP/IMAP credentials without saving them
+router.post('/email/test', authenticate, requireRole('admin'), async (req, res) => {
+  if (!req.body.smtp?.host) {
+    return res.status(400).json({ error: 'SMTP host is required' });
+  }
+
+  await db.read();
+  const existingSettings = mailboxByEmail(req.userId, req.body.email);
+  const test = await testMailServers(mailServerConfig(req.body, existingSettings?.provider === 'smtp' ? existingSettings : null));
+
+  res.json({ success: test.smtp.ok && (!test.imap || test.imap.ok), ...test });
+});
+
+// Get Email Settings — the default mailbox (or ?mailbox_id=), plus every connected mailbox
+router.get('/email', authenticate, async (req, res) => {
+  await db.read();
+
+  const settings = requestedMailbox(req.userId, req.query.mailbox_id);
+  const mailboxes = userMailboxes(req.userId).map(publicMailbox);
+
+  if (settings?.provider === 'smtp' && settings.smtp?.host) {
+    // Never send passwords back to the browser
+    const { pass, ...smtp } = settings.smtp;
+    const { password, ...imap } = settings.imap || {};
+    return res.json({
+      configured: true,
+      mailbox_id: settings.id,
+      provider: 'smtp',
+      email: settings.email,
+      from_name: settings.from_name || '',
+      sending_mode: settings.sending_mode || 'manual',
+      auto_send_enabled: settings.auto_send_enabled || false,
+      smtp: { ...smtp, has_password: !!pass },
+      imap: settings.imap ? { ...imap, has_password: !!password } : null,
+      save_to_sent: settings.save_to_sent !== false,
+      last_checked: settings.last_checked,
+      mailboxes
+    });
+  }
+
+  if (!settings || !['gmail', 'outlook'].includes(settings.provider) || !settings.access_token) {
+    return res.json({ configured: false, mailboxes });
+  }
+
+  res.json({
+    configured: true,
+    mailbox_id: settings.id,
+    provider: settings.provider,
+    email: settings.email,
+    from_name: settings.from_name || '',
+    sending_mode: settings.sending_mode || 'manual',
+    auto_send_enabled: settings.auto_send_enabled || false,
+    last_checked: settings.last_checked,
+    token_invalid: settings.token_invalid || false,
+    token_invalid_since: settings.token_invalid_since || null,
+    mailboxes
+  });
+});
+
+// Disconnect SMTP mailboxes — the one in ?mailbox_id=, or all of them
+// (Gmail and Outlook disconnect via DELETE /api/auth/google and /api/auth/microsoft)
+router.delete('/email', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+
+  const mailboxes = userMailboxes(req.userId).filter(m =>
+    m.provider === 'smtp' && (req.query.mailbox_id == null || String(m.id) === String(req.query.mailbox_id))
+  );
+  if (mailboxes.length === 0) {
+    return res.status(404).json({ error: 'No SMTP mailbox connected' });
+  }
+  mailboxes.forEach(disconnectMailbox);
+  await db.write();
+
+  res.json({ success: true, message: 'Mailbox disconnected' });
+});
+
+// GET /api/settings/mailboxes — every connected mailbox (no credentials)
+router.get('/mailboxes', authenticate, async (req, res) => {
+  await db.read();
+  res.json({ mailboxes: userMailboxes(req.userId).map(publicMailbox) });
+});
+
+// PATCH /api/settings/mailboxes/:id — { is_default?, from_name? }
+router.patch('/mailboxes/:id', authenticate, requireRole('admin'), async (req, res) => {
+  const { is_default, from_name } = req.body;
+  if (is_default !== undefined && is_default !== true) {
+    return res.status(400).json({ error: 'is_default can only be set to true — make another mailbox the default instead' });
+  }
+  await db.read();
+  const mailbox = getMailbox(req.userId, req.params.id);
+  if (!mailbox) return res.status(404).json({ error: 'Mailbox not found' });
+
+  if (is_default) {
+    for (const other of userMailboxes(req.userId)) other.is_default = other === mailbox;
+  }
+  if (from_name !== undefined) mailbox.from_name = from_name;
+  mailbox.updated_at = new Date().toISOString();
+  await db.write();
+  res.json(publicMailbox(mailbox));
+});
+
+// DELETE /api/settings/mailboxes/:id — disconnect one mailbox, whatever its provider
+router.delete('/mailboxes/:id', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const mailbox = getMailbox(req.userId, req.params.id);
+  if (!mailbox) return res.status(404).json({ error: 'Mailbox not found' });
+
+  if (mailbox.provider === 'outlook') {
+    await deleteOutlookSubscription(mailbox);
+    await db.read(); // graphRequest may have saved refreshed tokens
+  }
+  const live = getMailbox(req.userId, req.params.id);
+  if (live) disconnectMailbox(live);
+  await db.write();
+  res.json({ success: true, message: 'Mailbox disconnected' });
+});
+
+// Get AI Automation Settings
+router.get('/automation', authenticate, async (req, res) => {
+  await db.read();
+
+  const user = db.data.users.find(u => u.id === req.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({
+    ai_automation_enabled: user.ai_automation_enabled || false,
+    auto_send_all: user.auto_send_all || false,
+    business_type: user.business_type || 'other',
+    ai_custom_instructions: user.ai_custom_instructions || '',
+    business_knowledge: user.business_knowledge || '',
+    live_updates: user.live_updates || ''
+  });
+});
+
+// Update AI Automation Settings
+router.post('/automation', authenticate, requireRole('admin'), async (req, res) => {
+  const { ai_automation_enabled, auto_send_all, business_type, ai_custom_instructions, business_knowledge, live_updates } = req.body;
+
+  await db.read();
+
+  const user = db.data.users.find(u => u.id === req.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  user.ai_automation_enabled = ai_automation_enabled !== undefined ? ai_automation_enabled : user.ai_automation_enabled;
+  user.auto_send_all = auto_send_all !== undefined ? auto_send_all : user.auto_send_all;
+  if (business_type !== undefined) user.business_type = business_type;
+  if (ai_custom_instructions !== undefined) user.ai_custom_instructions = ai_custom_instructions;
+  if (business_knowledge !== undefined) user.business_knowledge = business_knowledge;
+  if (live_updates !== undefined) user.live_updates = live_updates;
+  user.updated_at = new Date().toISOString();
+
+  // If knowledge base or live updates changed, reset clarification counts so AI retries
+  if (business_knowledge !== undefined || live_updates !== undefined) {
+    const userLeads = db.data.leads.filter(l => l.user_id === req.userId);
+    userLeads.forEach(l => { l.clarification_count = 0; });
+    console.log(`📚 Business knowledge updated — reset clarification count for ${userLeads.length} leads`);
+
+    // If both fields are cleared, also wipe product_profiles so the AI has no residual knowledge
+    const bkEmpty = business_knowledge !== undefined && business_knowledge.trim() === '';
+    const luEmpty = live_updates !== undefined && live_updates.trim() === '';
+    if (bkEmpty && luEmpty) {
+      db.data.product_profiles = db.data.product_profiles.filter(p => p.user_id !== req.userId);
+      console.log(`🗑️  Business knowledge cleared — removed product profile for user ${req.userId}`);
+    }
+  }
+
+  await db.write();
+
+  res.json({
+    success: true,
+    ai_automation_enabled: user.ai_automation_enabled,
+    auto_send_all: user.auto_send_all,
+    business_type: user.business_type || 'other',
+    ai_custom_instructions: user.ai_custom_instructions || '',
+    business_knowledge: user.business_knowledge || '',
+    live_updates: user.live_updates || ''
+  });
+});
+
+// Get Auto Mode Settings (Unified Auto-Send Configuration)
+router.get('/auto-mode', authenticate, async (req, res) => {
+  await db.read();
+
+  const user = db.data.users.find(u => u.id === req.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({
+    auto_mode_enabled: user.auto_mode_enabled || false,
+    auto_mode_include_objections: user.auto_mode_include_objections || false,
+    auto_mode_paused: user.auto_mode_paused || false,
+    // Legacy fields for backward compatibility
+    email_mode: user.auto_mode_enabled ? 'AUTO' : 'MANUAL',
+    auto_send_all: user.auto_mode_enabled || false
+  });
+});
+
+// Update Auto Mode Settings (Unified Auto-Send Configuration)
+router.post('/auto-mode', authenticate, requireRole('admin'), async (req, res) => {
+  const { auto_mode_enabled, auto_mode_include_objections, auto_mode_paused } = req.body;
+
+  await db.read();
+
+  const user = db.data.users.find(u => u.id === req.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  // Update auto mode settings
+  if (auto_mode_enabled !== undefined) {
+    user.auto_mode_enabled = auto_mode_enabled;
+  }
+
+  if (auto_mode_include_objections !== undefined) {
+    user.auto_mode_include_objections = auto_mode_include_objections;
+  }
+
+  // Emergency pause/resume (stops all auto-sends immediately)
+  if (auto_mode_paused !== undefined) {
+    user.auto_mode_paused = auto_mode_paused;
+  }
+
+  // Keep legacy fields in sync for backward compatibility
+  user.email_mode = user.auto_mode_enabled ? 'AUTO' : 'MANUAL';
+  user.auto_send_all = user.auto_mode_enabled || false;
+
+  user.updated_at = new Date().toISOString();
+
+  await db.write();
+
+  res.json({
+    success: true,
+    auto_mode_enabled: user.auto_mode_enabled,
+    auto_mode_include_objections: user.auto_mode_include_objections,
+    auto_mode_paused: user.auto_mode_paused || false,
+    message: user.auto_mode_paused
+      ? '⏸️ Auto-send paused - no more emails will be sent'
+      : (user.auto_mode_enabled ? '✅ Auto Mode enabled - emails will be sent automatically' : '📝 Manual Mode enabled - emails will require approval')
+  });
+});
+
+// SELLER PROFILE - Your own contact info used in AI-generated emails
+// ============================================
+
+// Get Seller Profile
+router.get('/seller-profile', authenticate, async (req, res) => {
+  await db.read();
+  const profile = db.data.seller_profiles.find(p => p.user_id === req.userId);
+  if (!profile) return res.json({ configured: false });
+  res.json({ configured: true, ...profile });
+});
+
+// Save Seller Profile
+router.post('/seller-profile', authenticate, requireRole('admin'), async (req, res) => {
+  const { seller_name, seller_company, seller_email, seller_phone, seller_website, seller_social, seller_signature } = req.body;
+  await db.read();
+
+  const existing = db.data.seller_profiles.findIndex(p => p.user_id === req.userId);
+  const record = {
+    user_id: req.userId,
+    seller_name: seller_name || '',
+    seller_company: seller_company || '',
+    seller_email: seller_email || '',
+    seller_phone: seller_phone || '',
+    seller_website: seller_website || '',
+    seller_social: seller_social || '',
+    seller_signature: seller_signature || '',
+    updated_at: new Date().toISOString()
+  };
+
+  if (existing >= 0) {
+    db.data.seller_profiles[existing] = { ...db.data.seller_profiles[existing], ...record };
+  } else {
+    const profileId = await ids.next('seller_profiles');
+    db.data.seller_profiles.push({ id: profileId, created_at: new Date().toISOString(), ...record });
+  }
+
+  await db.write();
+  res.json({ success: true, seller_profile: record });
+});
+
+// PRODUCT PROFILE - For AI Email Generation Context
+// ============================================
+
+// Get Product Profile
+router.get('/product-profile', authenticate, async (req, res) => {
+  await db.read();
+
+  const profile = db.data.product_profiles.find(p => p.user_id === req.userId);
+
+  if (!profile) {
+    return res.json({ configured: false });
+  }
+
+  res.json({
+    configured: true,
+    ...profile
+  });
+});
+
+// Save Product Profile
+router.post('/product-profile', authenticate, async (req, res) => {
+  const {
+    product_name,
+    product_description,
+    key_benefits,
+    target_audience,
+    pain_points,
+    unique_selling_points,
+    success_stories,
+    special_offers,
+    call_to_action
+  } = req.body;
+
+  await db.read();
+
+  const existingProfile = db.data.product_profiles.find(p => p.user_id === req.userId);
+
+  const profile = {
+    user_id: req.userId,
+    product_name,
+    product_description,
+    key_benefits,
+    target_audience,
+    pain_points,
+    unique_selling_points,
+    success_stories,
+    special_offers,
+    call_to_action,
+    updated_by: req.memberId,
+    updated_at: new Date().toISOString()
+  };
+
+  if (existingProfile) {
+    Object.assign(existingProfile, profile);
+  } else {
+    profile.id = await ids.next('product_profiles');
+    profile.created_at = new Date().toISOString();
+    db.data.product_profiles.push(profile);
+  }
+
+  // Reset clarification_count for all user's leads — knowledge base updated, AI can retry
+  const userLeads = db.data.leads.filter(l => l.user_id === req.userId);
+  userLeads.forEach(l => { l.clarification_count = 0; });
+
+  await db.write();
+  console.log(`📚 Product profile updated — reset clarification count for ${userLeads.length} leads`);
+
+  res.json({ success: true, message: 'Product profile saved' });
+});
+
+// Delete Product Profile + clear business_knowledge/live_updates
+router.delete('/product-profile', authenticate, async (req, res) => {
+  await db.read();
+  db.data.product_profiles = db.data.product_profiles.filter(p => p.user_id !== req.userId);
+  const user = db.data.users.find(u => u.id === req.userId);
+  if (user) {
+    user.business_knowledge = '';
+    user.live_updates = '';
+  }
+  const userLeads = db.data.leads.filter(l => l.user_id === req.userId);
+  userLeads.forEach(l => { l.clarification_count = 0; });
+  await db.write();
+  console.log(`🗑️  Product profile + knowledge cleared for user ${req.userId}`);
+  res.json({ success: true });
+});
+
+// Smart AI Product Extraction - Upload files/URLs/text and AI extracts product info
+// ============================================
+
+// Configure multer for file uploads (product extraction)
+export const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+                          'application/msword', 'text/plain', 'text/csv', 'application/vnd.ms-powerpoint',
+                          'application/vnd.openxmlformats-officedocument.presentationml.presentation'];
+    if (allowedTypes.includes(file.mimetype) || file.originalname.match(/\.(pdf|docx|doc|txt|csv|ppt|pptx)$/i)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Supported: PDF, DOCX, TXT, CSV, PPT'));
+    }
+  }
+});
+
+// AI Product Extraction Endpoint
+router.post('/product-extract', authenticate, upload.single('file'), async (req, res) => {
+  console.log('📤 Product extraction request received');
+  console.log('File:', req.file ? req.file.originalname : 'None');
+  console.log('URL:', req.body.url || 'None');
+  console.log('Text:', req.body.text_content ? 'Yes' : 'None');
+
+  try {
+    const { url, text_content } = req.body;
+    const file = req.file;
+
+    if (!file && !url && !text_content) {
+      console.log('❌ Error: No content provided');
+      return res.status(400).json({ error: 'Please provide a file, URL, or text content' });
+    }
+
+    if (!llm.isConfigured()) {
+      console.log('❌ Error: no AI provider configured');
+      return res.status(400).json({ error: 'No AI provider configured. Set ANTHROPIC_API_KEY or OPENAI_API_KEY in backend .env.' });
+    }
+
+    console.log('✅ Starting AI extraction...');
+
+    let extractedText = '';
+
+    // Extract text from file
+    if (file) {
+      try {
+        if (file.mimetype === 'application/pdf' || file.originalname.endsWith('.pdf')) {
+          // Import and use pdf-parse v2.x (class-based API)
+          const { PDFParse } = await import('pdf-parse');
+          const parser = new PDFParse({ data: file.buffer });
+          const result = await parser.getText();
+          await parser.destroy(); // Clean up resources
+          console.log('✅ PDF extracted, text length:', result.text.length);
+          extractedText = result.text;
+        } else if (file.mimetype.includes('wordprocessingml') || file.originalname.match(/\.docx?$/i)) {
+          const result = await mammoth.extractRawText({ buffer: file.buffer });
+          extractedText = result.value;
+        } else if (file.mimetype === 'text/plain' || file.originalname.endsWith('.txt')) {
+          extractedText = file.buffer.toString('utf-8');
+        } else if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+          extractedText = file.buffer.toString('utf-8');
+        } else if (file.originalname.match(/\.pptx?$/i)) {
+          // For PPT, extract what we can (basic text extraction)
+          extractedText = file.buffer.toString('utf-8').replace(/[^\x20-\x7E\n]/g, ' ');
+        }
+      } catch (parseError) {
+        console.error('File parsing error:', parseError);
+        return res.status(400).json({ error: 'Failed to parse file. Please try a different format.' });
+      }
+    }
+
+    // Extract text from URL
+    if (url) {
+      try {
+        const urlResponse = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0' } });
+        const html = await urlResponse.text();
+        const $ = cheerioLoad(html);
+
+        // Remove scripts, styles, etc.
+        $('script, style, nav, footer, iframe').remove();
+
+        // Get main content
+        extractedText = $('body').text().replace(/\s+/g, ' ').trim();
+      } catch (urlError) {
+        console.error('URL fetch error:', urlError);
+        return res.status(400).json({ error: 'Failed to fetch URL. Please check the URL and try again.' });
+      }
+    }
+
+    // Use provided text
+    if (text_content) {
+      extractedText += '\n\n' + text_content;
+    }
+
+    // Limit text length for AI processing
+    if (extractedText.length > 20000) {
+      extractedText = extractedText.substring(0, 20000) + '... (truncated)';
+    }
+
+    // Use the extraction model to pull out product information
+    let productInfo;
+    try {
+      const { data } = await llm.complete('extraction', {
+        json: true,
+        prompt: `You are a data extraction specialist. Extract product information from the following content. ONLY extract information that is explicitly stated. Do NOT infer, assume, or generate information not directly mentioned.
+
+CONTENT:
+${extractedText}
+
+Extract the following information in a structured JSON format. Only include fields that have explicit information in the content. Leave fields empty if information is not mentioned:
+{
+  "product_name": "The actual name of the product/service mentioned",
+  "product_description": "A brief description of what it is - only what is stated",
+  "key_benefits": "Benefits explicitly mentioned - do not infer",
+  "target_audience": "Who it's explicitly described as being for",
+  "pain_points": "Problems it solves - only if explicitly stated",
+  "unique_selling_points": "Unique aspects explicitly mentioned",
+  "success_stories": "Testimonials, case studies, or results explicitly mentioned",
+  "special_offers": "Pricing, discounts, or offers explicitly mentioned",
+  "call_to_action": "Any call-to-action explicitly provided"
+}
+
+Rules:
+- ONLY extract what is explicitly stated in the content
+- Do NOT infer, guess, or assume any information
+- Do NOT generate marketing language or persuasive copy
+- If a field has no explicit information, leave it as empty string ""
+- Keep extracted information factual and brief
+
+Return ONLY the JSON, no other text.`
+      });
+      productInfo = data;
+      console.log('✅ AI responded successfully');
+    } catch (aiError) {
+      if (aiError.code === 'invalid_json') {
+        console.error('JSON parse error:', aiError.message);
+        return res.status(500).json({ error: 'Failed to parse AI response' });
+      }
+      console.error('❌ AI API Error:', aiError.status || aiError.code, aiError.message);
+      throw new Error(`AI extraction failed: ${aiError.message.substring(0, 200)}`);
+    }
+
+    // Save to database with smart merging
+    await db.read();
+    const existingProfile = db.data.product_profiles.find(p => p.user_id === req.userId);
+
+    if (existingProfile) {
+      // Merge strategy: Keep existing data, add/update with new info only if new info is not empty
+      for (const key in productInfo) {
+        if (productInfo[key] && productInfo[key].trim && productInfo[key].trim() !== '') {
+          // New info is not empty, use it
+          existingProfile[key] = productInfo[key];
+        } else if (!existingProfile[key]) {
+          // New info is empty, but existing key doesn't exist yet
+          existingProfile[key] = productInfo[key];
+        }
+        // Otherwise keep existing value
+      }
+      existingProfile.updated_at = new Date().toISOString();
+      // Return the merged result
+      productInfo = existingProfile;
+    } else {
+      // New profile
+      const profile = {
+        user_id: req.userId,
+        ...productInfo,
+        updated_by: req.memberId,
+        id: await ids.next('product_profiles'),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+      db.data.product_profiles.push(profile);
+    }
+
+    await db.write();
+
+    console.log('✅ AI extraction successful!');
+    console.log('Product:', productInfo.product_name);
+
+    res.json({
+      success: true,
+      message: '✨ AI successfully learned about your product!',
+      extracted: productInfo  // Changed from extracted_info to match frontend expectation
+    });
+
+  } catch (error) {
+    console.error('❌ Product extraction error:', error);
+    res.status(500).json({ error: 'Failed to extract product information: ' + error.message });
+  }
+});
+
+// Get Follow-Up Rules (per_intent_settings)
+router.get('/follow-up-rules', authenticate, async (req, res) => {
+  await db.read();
+
+  const user = db.data.users.find(u => u.id === req.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  // Default follow-up rules if none exist
+  const defaultRules = {
+    INTERESTED: { delay_days: 1, max_attempts: 5, after_max: 'review' },
+    NOT_NOW: { delay_days: 7, max_attempts: 3, after_max: 'GHOSTING' },
+    OBJECTION: { delay_days: 3, max_attempts: 4, after_max: 'review' },
+    GHOSTING: { delay_days: 5, max_attempts: 3, after_max: 'DEAD' },
+    DEAD: { delay_days: 30, max_attempts: 1, after_max: 'closed_by_system' }
+  };
+
+  res.json({
+    follow_up_rules: user.per_intent_settings || defaultRules,
+    email_mode: user.email_mode || 'MANUAL' // MANUAL or AUTO
+  });
+});
+
+// Get A/B Test Results
+router.get('/ab-results', authenticate, async (req, res) => {
+  await db.read();
+  const userId = req.userId;
+
+  const results = (db.data.ab_results || []).filter(r => r.user_id === userId);
+
+  const stats = results.map(r => {
+    const aRate = r.variant_a_sends > 0 ? (r.variant_a_replies / r.variant_a_sends * 100).toFixed(1) : '0.0';
+    const bRate = r.variant_b_sends > 0 ? (r.variant_b_replies / r.variant_b_sends * 100).toFixed(1) : '0.0';
+    return {
+      intent: r.intent,
+      variant_a: { sends: r.variant_a_sends, replies: r.variant_a_replies, reply_rate: `${aRate}%` },
+      variant_b: { sends: r.variant_b_sends, replies: r.variant_b_replies, reply_rate: `${bRate}%` },
+      winner: r.winner || null,
+      winning_emails_count: (db.data.winning_emails || []).filter(w => w.user_id === userId && w.intent_triggered === r.intent).length
+    };
+  });
+
+  res.json({ ab_results: stats });
+});
+
+// Update Follow-Up Rules (per_intent_settings)
+router.post('/follow-up-rules', authenticate, requireRole('admin'), async (req, res) => {
+  const { follow_up_rules, email_mode } = req.body;
+
+  await db.read();
+
+  const user = db.data.users.find(u => u.id === req.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (follow_up_rules) {
+    user.per_intent_settings = follow_up_rules;
+  }
+
+  if (email_mode) {
+    user.email_mode = email_mode;
+    // Sync auto_mode_enabled with email_mode for unified auto-send logic
+    user.auto_mode_enabled = (email_mode === 'AUTO');
+  }
+
+  user.updated_at = new Date().toISOString();
+
+  await db.write();
+
+  res.json({
+    success: true,
+    follow_up_rules: user.per_intent_settings,
+    email_mode: user.email_mode,
+    auto_mode_enabled: user.auto_mode_enabled
+  });
+});
+
+// GET /api/settings/reminders — return user's reminder rules (or defaults)
+router.get('/reminders', authenticate, async (req, res) => {
+  await db.read();
+  const user = db.data.users.find(u => u.id === req.userId);
+  res.json({ rules: user?.reminder_rules || DEFAULT_REMINDER_RULES });
+});
+
+// PATCH /api/settings/reminders — save user's reminder rules
+router.patch('/reminders', authenticate, requireRole('admin'), async (req, res) => {
+  const { rules } = req.body;
+  if (!Array.isArray(rules)) return res.status(400).json({ error: 'rules must be an array' });
+  await db.read();
+  const userIdx = db.data.users.findIndex(u => u.id === req.userId);
+  if (userIdx === -1) return res.status(404).json({ error: 'User not found' });
+  db.data.users[userIdx].reminder_rules = rules;
+  await db.write();
+  res.json({ rules });
+});
+
+// GET /api/settings/tracking — open/click tracking defaults (sequences can override)
+router.get('/tracking', authenticate, async (req, res) => {
+  await db.read();
+  const user = db.data.users.find(u => u.id === req.userId);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  res.json({ track_opens: user.track_opens !== false, track_clicks: user.track_clicks !== false });
+});
+
+// PATCH /api/settings/tracking — { track_opens?, track_clicks? }
+router.patch('/tracking', authenticate, requireRole('admin'), async (req, res) => {
+  const { track_opens, track_clicks } = req.body;
+  for (const value of [track_opens, track_clicks]) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      return res.status(400).json({ error: 'track_opens and track_clicks must be true or false' });
+    }
+  }
+  await db.read();
+  const user = db.data.users.find(u => u.id === req.userId);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  if (track_opens !== undefined) user.track_opens = track_opens;
+  if (track_clicks !== undefined) user.track_clicks = track_clicks;
+  await db.write();
+  res.json({ track_opens: user.track_opens !== false, track_clicks: user.track_clicks !== false });
+});
+
+// GET /api/settings/sending-window — window for follow-ups and sequences without their own
+router.get('/sending-window', authenticate, async (req, res) => {
+  await db.read();
+  const user = db.data.users.find(u => u.id === req.userId);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  res.json({ sending_window: user.sending_window || null });
+});
+
+// PATCH /api/settings/sending-window — { sending_window } (null sends any time)
+router.patch('/sending-window', authenticate, requireRole('admin'), async (req, res) => {
+  const { sending_window } = req.body;
+  const error = sending_window == null ? null : validateSendingWindow(sending_window);
+  if (error) return res.status(400).json({ error });
+  await db.read();
+  const user = db.data.users.find(u => u.id === req.userId);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  user.sending_window = sending_window || null;
+  await db.write();
+  res.json({ sending_window: user.sending_window });
+});
+
+// GET /api/settings/send-limits?mailbox_id= — a mailbox's daily cap, spacing and today's usage
+// (the default mailbox when mailbox_id is left out)
+router.get('/send-limits', authenticate, async (req, res) => {
+  await db.read();
+  const settings = requestedMailbox(req.userId, req.query.mailbox_id);
+  if (!settings) return res.status(404).json({ error: 'No mailbox connected' });
+  res.json(throttleStatus(settings));
+});
+
+// PATCH /api/settings/send-limits — { mailbox_id?, daily_cap?, min_interval_seconds?, jitter_seconds? }
+router.patch('/send-limits', authenticate, requireRole('admin'), async (req, res) => {
+  const { daily_cap, min_interval_seconds, jitter_seconds } = req.body;
+  const changes = Object.fromEntries(
+    Object.entries({ daily_cap, min_interval_seconds, jitter_seconds }).filter(([, v]) => v !== undefined)
+  );
+  const error = validateThrottle(changes);
+  if (error) return res.status(400).json({ error });
+  await db.read();
+  const settings = requestedMailbox(req.userId, req.body.mailbox_id);
+  if (!settings) return res.status(404).json({ error: 'No mailbox connected' });
+  settings.throttle = { ...(settings.throttle || {}), ...changes };
+  await db.write();
+  res.json(throttleStatus(settings));
+});
+
+// GET /api/settings/warmup?mailbox_id= — a mailbox's warm-up ramp, today's allowance and daily history
+router.get('/warmup', authenticate, async (req, res) => {
+  await db.read();
+  const settings = requestedMailbox(req.userId, req.query.mailbox_id);
+  if (!settings) return res.status(404).json({ error: 'No mailbox connected' });
+  res.json(warmupStatus(settings));
+});
+
+// PATCH /api/settings/warmup — { mailbox_id?, enabled?, start_volume?, growth_percent?, target_volume?, restart? }
+// Turning warm-up on (or restart: true) starts the ramp from day one.
+router.patch('/warmup', authenticate, requireRole('admin'), async (req, res) => {
+  const { enabled, start_volume, growth_percent, target_volume, restart } = req.body;
+  const changes = Object.fromEntries(
+    Object.entries({ enabled, start_volume, growth_percent, target_volume }).filter(([, v]) => v !== undefined)
+  );
+  await db.read();
+  const settings = requestedMailbox(req.userId, req.body.mailbox_id);
+  if (!settings) return res.status(404).json({ error: 'No mailbox connected' });
+
+  const current = settings.warmup || { enabled: false, ...DEFAULT_WARMUP };
+  const { started_at, ...currentFields } = current;
+  const error = validateWarmup({ ...currentFields, ...changes });
+  if (error) return res.status(400).json({ error });
+
+  const starting = (changes.enabled === true && !current.enabled) || restart === true;
+  settings.warmup = {
+    ...current,
+    ...changes,
+    started_at: starting ? new Date().toISOString() : started_at || null
+  };
+  await db.write();
+  res.json(warmupStatus(settings));
+});
+
+export default router;
@@ -0,0 +1,99 @@
+import express from 'express';
+import multer from 'multer';
+import { db } from '../storage/db.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { addSuppression, parseSuppressionValue } from '../services/suppression.js';
+import { parseCsv, toCsv } from '../services/csv.js';
+
+const router = express.Router();
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
+
+// List suppressed addresses and domains
+router.get('/', authenticate, async (req, res) => {
+  await db.read();
+
+  const suppressions = (db.data.suppressions || [])
+    .filter(s => s.user_id === req.userId)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  res.json({ suppressions });
+});
+
+// Export the list as CSV
+router.get('/export', authenticate, async (req, res) => {
+  await db.read();
+
+  const rows = (db.data.suppressions || [])
+    .filter(s => s.user_id === req.userId)
+    .map(s => [s.value, s.type, s.reason, s.created_at]);
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="suppressions.csv"');
+  res.send(toCsv([['value', 'type', 'reason', 'created_at'], ...rows]));
+});
+
+// Add one address or domain: { value: "jane@example.com" | "example.com" }
+router.post('/', authenticate, async (req, res) => {
+  const parsed = parseSuppressionValue(req.body.value);
+  if (!parsed) {
+    return res.status(400).json({ error: 'Enter an email address or a domain like example.com' });
+  }
+
+  await db.read();
+  const { entry, created } = await addSuppression(req.userId, parsed, 'manual');
+  await db.write();
+
+  res.json({ suppression: entry, created });
+});
+
+// Import a CSV (multipart field "file", or { csv: "..." }). The first column holds
+// the address or domain; a header row and any other columns are ignored.
+router.post('/import', authenticate, csvUpload.single('file'), async (req, res) => {
+  const text = req.file ? req.file.buffer.toString('utf-8') : req.body.csv;
+  if (!text) {
+    return res.status(400).json({ error: 'Upload a CSV file' });
+  }
+
+  await db.read();
+
+  let added = 0;
+  let existing = 0;
+  const invalid = [];
+  for (const [first = ''] of parseCsv(text)) {
+    const parsed = parseSuppressionValue(first);
+    if (!parsed) {
+      if (first.trim() && !/^(email|value|domain|address)$/i.test(first.trim())) invalid.push(first.trim());
+      continue;
+    }
+    const { created } = await addSuppression(req.userId, parsed, 'import');
+    if (created) added++;
+    else existing++;
+  }
+
+  await db.write();
+
+  res.json({ added, existing, invalid: invalid.slice(0, 50), invalid_count: invalid.length });
+});
+
+// Remove an entry
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+
+  const index = (db.data.suppressions || []).findIndex(s =>
+    s.id === parseInt(req.params.id) && s.user_id === req.userId
+  );
+  if (index === -1) {
+    return res.status(404).json({ error: 'Suppression not found' });
+  }
+
+  db.data.suppressions.splice(index, 1);
+  await db.write();
+
+  res.json({ success: true });
+});
+
+export default router;
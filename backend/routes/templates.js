@@ -0,0 +1,103 @@
+import express from 'express';
+import { db, ids } from '../storage/db.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Get all email templates for user
+router.get('/', authenticate, async (req, res) => {
+  await db.read();
+
+  const templates = db.data.email_templates.filter(t => t.user_id === req.userId);
+
+  res.json({ templates });
+});
+
+// Get single template
+router.get('/:id', authenticate, async (req, res) => {
+  await db.read();
+
+  const template = db.data.email_templates.find(t =>
+    t.id === parseInt(req.params.id) && t.user_id === req.userId
+  );
+
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  res.json({ template });
+});
+
+// Create new template
+router.post('/', authenticate, async (req, res) => {
+  const { name, subject, design_json, html } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: 'Template name is required' });
+  }
+
+  await db.read();
+
+  const template = {
+    id: await ids.next('email_templates'),
+    user_id: req.userId,
+    created_by: req.memberId,
+    name,
+    subject: subject || '',
+    design_json: design_json || null, // Unlayer design JSON
+    html: html || '', // Exported HTML
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  db.data.email_templates.push(template);
+  await db.write();
+
+  res.json({ template, message: 'Template created successfully' });
+});
+
+// Update existing template
+router.put('/:id', authenticate, async (req, res) => {
+  const { name, subject, design_json, html } = req.body;
+
+  await db.read();
+
+  const template = db.data.email_templates.find(t =>
+    t.id === parseInt(req.params.id) && t.user_id === req.userId
+  );
+
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  // Update template fields
+  if (name !== undefined) template.name = name;
+  if (subject !== undefined) template.subject = subject;
+  if (design_json !== undefined) template.design_json = design_json;
+  if (html !== undefined) template.html = html;
+  template.updated_at = new Date().toISOString();
+
+  await db.write();
+
+  res.json({ template, message: 'Template updated successfully' });
+});
+
+// Delete template
+router.delete('/:id', authenticate, async (req, res) => {
+  await db.read();
+
+  const templateIndex = db.data.email_templates.findIndex(t =>
+    t.id === parseInt(req.params.id) && t.user_id === req.userId
+  );
+
+  if (templateIndex === -1) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  db.data.email_templates.splice(templateIndex, 1);
+  await db.write();
+
+  res.json({ message: 'Template deleted successfully' });
+});
+
+export default router;
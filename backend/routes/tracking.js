@@ -0,0 +1,47 @@
+import express from 'express';
+import { TRACKING_PIXEL, recordTrackingEvent, verifyTrackingToken } from '../services/tracking.js';
+
+const router = express.Router();
+
+// Pixel and link URLs added by sendEmail (see services/tracking.js).
+// Public — the HMAC-signed token is the only credential.
+
+// The client address — req.ip honours 'trust proxy', so a forged X-Forwarded-For can't pose as Apple's MPP range
+function requestInfo(req) {
+  return { method: req.method, headers: req.headers, ip: req.ip };
+}
+
+// Open pixel — always answer with the image so a bad token never shows a broken image
+router.get('/o/:token.gif', async (req, res) => {
+  const token = verifyTrackingToken(req.params.token);
+  if (token && !token.url) {
+    try {
+      await recordTrackingEvent(token, 'open', requestInfo(req));
+    } catch (error) {
+      console.error('❌ Open tracking error:', error.message);
+    }
+  }
+  res.writeHead(200, {
+    'Content-Type': 'image/gif',
+    'Content-Length': TRACKING_PIXEL.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+  });
+  res.end(TRACKING_PIXEL);
+});
+
+// Click redirect — only to the URL signed into the token, never a query parameter
+router.get('/c/:token', async (req, res) => {
+  const token = verifyTrackingToken(req.params.token);
+  if (!token || !token.url || !/^https?:\/\//i.test(token.url)) {
+    return res.status(400).json({ error: 'Invalid tracking link' });
+  }
+
+  try {
+    await recordTrackingEvent(token, 'click', requestInfo(req));
+  } catch (error) {
+    console.error('❌ Click tracking error:', error.message);
+  }
+  res.redirect(token.url);
+});
+
+export default router;
@@ -0,0 +1,63 @@
+import express from 'express';
+import { db } from '../storage/db.js';
+import { addSuppression, verifyUnsubscribeToken } from '../services/suppression.js';
+
+const router = express.Router();
+
+// Public unsubscribe endpoints — the link in the email footer and the
+// List-Unsubscribe header both point at /api/unsubscribe/:token.
+
+function page(title, message, action = '') {
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title></head>
+<body style="font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;max-width:480px;margin:80px auto;padding:0 20px;color:#333;text-align:center;">
+<h2>${title}</h2><p>${message}</p>${action}
+</body></html>`;
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Confirmation page. GET never unsubscribes by itself — link scanners follow every URL.
+router.get('/:token', (req, res) => {
+  const target = verifyUnsubscribeToken(req.params.token);
+  if (!target) {
+    return res.status(400).send(page('Invalid link', 'This unsubscribe link is invalid or has been altered.'));
+  }
+
+  res.send(page(
+    'Unsubscribe',
+    `Stop emails to <strong>${escapeHtml(target.email)}</strong>?`,
+    `<form method="POST"><button type="submit" style="padding:10px 24px;font-size:15px;cursor:pointer;">Unsubscribe</button></form>`
+  ));
+});
+
+// Unsubscribe — from the confirmation form or a mail client's one-click
+// List-Unsubscribe-Post (body: List-Unsubscribe=One-Click)
+router.post('/:token', async (req, res) => {
+  const target = verifyUnsubscribeToken(req.params.token);
+  if (!target) {
+    return res.status(400).send(page('Invalid link', 'This unsubscribe link is invalid or has been altered.'));
+  }
+
+  try {
+    await db.read();
+    const { created } = await addSuppression(target.userId, { type: 'email', value: target.email }, 'unsubscribe');
+
+    // Flag the lead so the dashboard shows it — the scheduler skips suppressed addresses itself
+    const now = new Date().toISOString();
+    for (const lead of db.data.leads.filter(l => l.user_id === target.userId && l.email?.toLowerCase().trim() === target.email)) {
+      lead.unsubscribed_at = lead.unsubscribed_at || now;
+    }
+    await db.write();
+
+    if (created) console.log(`🚫 ${target.email} unsubscribed (user ${target.userId})`);
+
+    res.send(page('You have been unsubscribed', `<strong>${escapeHtml(target.email)}</strong> will not receive any more emails from us.`));
+  } catch (err) {
+    console.error('❌ Unsubscribe error:', err.message);
+    res.status(500).send(page('Something went wrong', 'We couldn\'t unsubscribe you just now. Please try again in a few minutes.'));
+  }
+});
+
+export default router;
@@ -0,0 +1,139 @@
+import express from 'express';
+import { db, ids } from '../storage/db.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import {
+  WEBHOOK_EVENTS, validateEndpointOptions, newWebhookSecret, publicEndpoint, sendTestEvent, redeliver
+} from '../services/outbound-webhooks.js';
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed', 'skipped'];
+
+const findEndpoint = (req, id = req.params.id) =>
+  db.data.webhook_endpoints.find(e => String(e.id) === String(id) && e.user_id === req.userId);
+
+// List webhook endpoints, and the events they can subscribe to
+router.get('/', authenticate, async (req, res) => {
+  await db.read();
+  const endpoints = db.data.webhook_endpoints
+    .filter(e => e.user_id === req.userId)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .map(publicEndpoint);
+  res.json({ endpoints, events: WEBHOOK_EVENTS });
+});
+
+// Add an endpoint: { url, events, description }. The response is the only
+// time the signing secret is shown.
+router.post('/', authenticate, requireRole('admin'), async (req, res) => {
+  const error = validateEndpointOptions(req.body);
+  if (error) return res.status(400).json({ error });
+
+  await db.read();
+  const endpoint = {
+    id: await ids.next('webhook_endpoints'),
+    user_id: req.userId,
+    workspace_id: req.workspaceId,
+    url: req.body.url.trim(),
+    events: [...new Set(req.body.events)],
+    description: (req.body.description || '').trim(),
+    secret: newWebhookSecret(),
+    enabled: true,
+    created_by: req.memberId,
+    created_at: new Date().toISOString()
+  };
+  db.data.webhook_endpoints.push(endpoint);
+  await db.write();
+
+  console.log(`📣 Added webhook endpoint ${endpoint.id} for user ${req.userId}: ${endpoint.url}`);
+  res.json({ endpoint: publicEndpoint(endpoint), secret: endpoint.secret });
+});
+
+// Change an endpoint's URL, events or description, or pause it ({ enabled: false })
+router.patch('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  const error = validateEndpointOptions(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  if (req.body.enabled !== undefined && typeof req.body.enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false' });
+  }
+
+  await db.read();
+  const endpoint = findEndpoint(req);
+  if (!endpoint) return res.status(404).json({ error: 'Webhook endpoint not found' });
+
+  if (req.body.url !== undefined) endpoint.url = req.body.url.trim();
+  if (req.body.events !== undefined) endpoint.events = [...new Set(req.body.events)];
+  if (req.body.description !== undefined) endpoint.description = String(req.body.description).trim();
+  if (req.body.enabled !== undefined) endpoint.enabled = req.body.enabled;
+  endpoint.updated_at = new Date().toISOString();
+  await db.write();
+  res.json({ endpoint: publicEndpoint(endpoint) });
+});
+
+// Delete an endpoint and its delivery log. Queued deliveries are skipped.
+router.delete('/:id', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const endpoint = findEndpoint(req);
+  if (!endpoint) return res.status(404).json({ error: 'Webhook endpoint not found' });
+
+  db.data.webhook_endpoints = db.data.webhook_endpoints.filter(e => e !== endpoint);
+  db.data.webhook_deliveries = db.data.webhook_deliveries.filter(d => d.endpoint_id !== endpoint.id);
+  await db.write();
+  res.json({ success: true });
+});
+
+// Replace the signing secret — requests are signed with the new one from now on
+router.post('/:id/rotate-secret', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const endpoint = findEndpoint(req);
+  if (!endpoint) return res.status(404).json({ error: 'Webhook endpoint not found' });
+
+  endpoint.secret = newWebhookSecret();
+  endpoint.updated_at = new Date().toISOString();
+  await db.write();
+  res.json({ endpoint: publicEndpoint(endpoint), secret: endpoint.secret });
+});
+
+// Send a webhook.test event to the endpoint
+router.post('/:id/test', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const endpoint = findEndpoint(req);
+  if (!endpoint) return res.status(404).json({ error: 'Webhook endpoint not found' });
+  if (!endpoint.enabled) return res.status(400).json({ error: 'Enable the endpoint before sending a test' });
+
+  const delivery = await sendTestEvent(endpoint);
+  res.json({ delivery });
+});
+
+// The endpoint's delivery log, newest first (?status=failed, ?limit=)
+router.get('/:id/deliveries', authenticate, async (req, res) => {
+  const { status } = req.query;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+  }
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  await db.read();
+  const endpoint = findEndpoint(req);
+  if (!endpoint) return res.status(404).json({ error: 'Webhook endpoint not found' });
+
+  const deliveries = db.data.webhook_deliveries
+    .filter(d => d.endpoint_id === endpoint.id && (!status || d.status === status))
+    .sort((a, b) => b.id - a.id)
+    .slice(0, limit);
+  res.json({ deliveries });
+});
+
+// Send a logged delivery again (as a new delivery with the same event id)
+router.post('/deliveries/:id/redeliver', authenticate, requireRole('admin'), async (req, res) => {
+  await db.read();
+  const delivery = db.data.webhook_deliveries.find(d => String(d.id) === String(req.params.id) && d.user_id === req.userId);
+  if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+  const endpoint = findEndpoint(req, delivery.endpoint_id);
+  if (!endpoint) return res.status(404).json({ error: 'Webhook endpoint not found' });
+  if (!endpoint.enabled) return res.status(400).json({ error: 'Enable the endpoint before redelivering' });
+
+  const copy = await redeliver(delivery, endpoint);
+  res.json({ delivery: copy });
+});
+
+export default router;
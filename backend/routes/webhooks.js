@@ -1,170 +1,359 @@
 import express from 'express';
-import { db } from '../config/database.js';
-import { emailService } from '../services/email.js';
-import { aiLeadProcessor } from '../services/lead-processor.js';
+import { simpleParser } from 'mailparser';
+import { db } from '../storage/db.js';
+import { stripe } from '../services/billing.js';
+import { checkGmailReplies } from '../services/gmail.js';
+import { ingestOutlookMessage } from '../services/outlook.js';
+import { ingestInboundMessage, normalizeParsedEmail, extractAddress } from '../services/inbound.js';
+import { findIngestToken, verifySignature } from '../services/ingest-tokens.js';
+import { extractSubmission, mapFields, isValidEmail, captureLead, queueLeadProfiling } from '../services/lead-capture.js';
+import { createRateLimiter, setRateLimitHeaders } from '../services/rate-limit.js';
 
 const router = express.Router();
 
-// Webhook for new leads (public endpoint with AI processing)
-router.post('/leads/:userToken', async (req, res) => {
+const INGEST_RATE_LIMIT = 120; // submissions per minute per token
+const ingestLimiter = createRateLimiter({ windowMs: 60 * 1000 });
+
+// ⚡ Gmail Push Notification Webhook — Google Pub/Sub calls this when a new email arrives
+// No auth middleware: Google sends this from its own servers.
+// MUST respond 200 immediately or Pub/Sub will retry.
+router.post('/gmail/webhook', async (req, res) => {
+  res.status(200).send('OK'); // Acknowledge FIRST — Pub/Sub retries if no 200 within timeout
+
   try {
-    const { userToken } = req.params;
-    const { 
-      email, 
-      first_name, 
-      last_name, 
-      company, 
-      phone, 
-      source, 
-      message,
-      form_answers,
-      context,
-      metadata 
-    } = req.body;
-
-    // In production, validate userToken to find user
-    // For demo, we'll just use the first user or create a demo user
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+    const { message } = req.body || {};
+    if (!message?.data) return;
+
+    // Decode the base64 Pub/Sub message body
+    const decoded = JSON.parse(Buffer.from(message.data, 'base64').toString('utf-8'));
+    const { emailAddress, historyId } = decoded;
+    if (!emailAddress) return;
+
+    await db.read();
+    const settings = db.data.email_settings.find(s =>
+      s.email === emailAddress && s.provider === 'gmail' && !s.token_invalid
+    );
+
+    if (!settings) {
+      console.log(`📨 Gmail push: no active user for ${emailAddress} — ignoring`);
+      return;
     }
 
-    // Create initial lead
-    const lead = await db.createLead({
-      user_id: userToken, // In production, look up user by token
-      email,
-      first_name: first_name || null,
-      last_name: last_name || null,
-      company: company || null,
-      phone: phone || null,
-      source: source || 'webhook',
-      metadata: metadata || null
-    });
+    console.log(`📨 Gmail push notification for ${emailAddress} (historyId: ${historyId})`);
 
-    // Process with AI
-    console.log('🤖 Processing webhook lead with AI...');
-    const processingResult = await aiLeadProcessor.processNewLead(
-      {
-        lead_source: source || 'webhook',
-        name: `${first_name || ''} ${last_name || ''}`.trim() || email.split('@')[0],
-        email,
-        company,
-        message,
-        form_answers,
-        context
-      },
-      {
-        product_info: 'ZeroTouch Mail AI System',
-        user_goal: 'recover lost leads and book sales calls'
+    // Update stored historyId so renewal and future pushes use the latest
+    if (historyId) {
+      const dbSettings = db.data.email_settings.find(s => s.id === settings.id);
+      if (dbSettings) {
+        dbSettings.push_history_id = historyId;
+        await db.write();
       }
-    );
+    }
 
-    // Update lead with processing
-    await aiLeadProcessor.updateLeadWithProcessing(lead.id, processingResult);
+    // Re-read settings with updated tokens before checking
+    await db.read();
+    const freshSettings = db.data.email_settings.find(s => s.id === settings.id);
+    if (freshSettings) {
+      await checkGmailReplies(freshSettings, freshSettings.user_id);
+    }
+  } catch (err) {
+    console.error('Gmail webhook error:', err.message);
+  }
+});
 
-    console.log(`✅ Webhook lead processed - Intent: ${processingResult.lead_profile.intent_level}, Score: ${processingResult.lead_profile.opportunity_score}`);
+// ⚡ Microsoft Graph change notifications — Graph calls this when a message lands in an Outlook inbox
+// No auth middleware: each notification carries the clientState we set on the subscription.
+router.post('/outlook/webhook', async (req, res) => {
+  // Subscription validation handshake: echo the token back as plain text within 10 seconds
+  if (req.query.validationToken) {
+    return res.status(200).type('text/plain').send(req.query.validationToken);
+  }
 
-    res.status(201).json({
-      message: 'Lead received and processed',
-      lead_id: lead.id,
-      ai_analysis: {
-        intent_level: processingResult.lead_profile.intent_level,
-        opportunity_score: processingResult.lead_profile.opportunity_score,
-        recommended_action: processingResult.first_action.action
+  res.status(202).end(); // Acknowledge FIRST — Graph retries and eventually drops slow endpoints
+
+  try {
+    const notifications = req.body?.value || [];
+    await db.read();
+
+    for (const notification of notifications) {
+      const settings = db.data.email_settings.find(s =>
+        s.provider === 'outlook' &&
+        s.outlook_subscription_id === notification.subscriptionId &&
+        !s.token_invalid
+      );
+      if (!settings) {
+        console.log(`📨 Outlook notification for unknown subscription ${notification.subscriptionId} — ignoring`);
+        continue;
       }
-    });
-  } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).json({ error: 'Failed to process webhook' });
+      if (notification.clientState !== settings.outlook_client_state) {
+        console.warn(`⚠️ Outlook notification with wrong clientState for user ${settings.user_id} — ignoring`);
+        continue;
+      }
+
+      const messageId = notification.resourceData?.id;
+      if (!messageId) continue;
+
+      console.log(`📨 Outlook notification for ${settings.email} (message ${messageId})`);
+      try {
+        await ingestOutlookMessage(settings, settings.user_id, messageId);
+      } catch (msgError) {
+        console.error(`❌ Error processing Outlook message ${messageId}:`, msgError.message);
+      }
+    }
+  } catch (err) {
+    console.error('Outlook webhook error:', err.message);
   }
 });
 
-// Webhook for inbound emails (from SendGrid/Postmark)
-router.post('/inbound-email', async (req, res) => {
+// Inbound webhooks authenticate with WEBHOOK_SECRET and find the user by the
+// inbound token in the To address (token@zerotouchmail.com).
+function hasWebhookSecret(req) {
+  const secret = req.headers['x-webhook-secret'];
+  return !!secret && secret === process.env.WEBHOOK_SECRET;
+}
+
+async function resolveInboundMailbox(res, to) {
+  const toAddress = Array.isArray(to) ? to[0] : to;
+  const tokenMatch = extractAddress(toAddress).match(/^([^@]+)@/);
+  if (!tokenMatch) {
+    res.status(200).json({ message: 'Invalid to address' });
+    return null;
+  }
+  const inboundToken = tokenMatch[1];
+
+  await db.read();
+  const settings = (db.data.email_settings || []).find(s => s.inbound_token === inboundToken);
+  if (!settings) {
+    console.log(`⚠️ Inbound email: no user found for token ${inboundToken}`);
+    res.status(200).json({ message: 'Unknown token, skipped' });
+    return null;
+  }
+  return settings;
+}
+
+const INBOUND_SKIP_MESSAGES = {
+  empty: 'Empty body, skipped',
+  not_a_lead: 'No matching lead, skipped',
+  duplicate: 'Already processed',
+  bounce: 'Delivery failure recorded'
+};
+
+// ─── Cloudflare Email Worker Inbound Webhook ──────────────────────────────────
+router.post('/email/inbound', async (req, res) => {
   try {
-    // Parse inbound email data
-    // Format depends on email provider (SendGrid, Postmark, etc.)
-    const { from, to, subject, text, html } = req.body;
+    if (!hasWebhookSecret(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
-    const result = await emailService.processInboundEmail({
-      from,
-      subject,
-      body: text || html
-    });
+    // `from` may be empty: bounces have a null envelope sender (<>)
+    const { from, to, rawEmail } = req.body;
+    if (!to || !rawEmail) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const settings = await resolveInboundMailbox(res, to);
+    if (!settings) return;
 
-    res.json(result);
-  } catch (error) {
-    console.error('Inbound email webhook error:', error);
-    res.status(500).json({ error: 'Failed to process inbound email' });
+    // Parse raw email to extract clean text body and threading headers
+    const parsed = await simpleParser(rawEmail);
+    const message = normalizeParsedEmail(parsed);
+    // The worker's envelope sender/subject win over the parsed headers
+    if (from) message.from = from;
+    if (req.body.subject !== undefined) message.subject = req.body.subject;
+
+    const result = await ingestInboundMessage(message, { userId: settings.user_id, settings, source: 'cloudflare' });
+    if (result.skipped) {
+      return res.status(200).json({ message: INBOUND_SKIP_MESSAGES[result.skipped], ...(result.bounces && { bounces: result.bounces }) });
+    }
+
+    res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error('❌ Inbound email webhook error:', err.message);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// ⚡ Gmail Push Notifications webhook (from Google Pub/Sub)
-// This receives instant notifications when new emails arrive
-router.post('/gmail-push', async (req, res) => {
+// ─── Generic Inbound Email Webhook ────────────────────────────────────────────
+// For providers that post already-parsed JSON (SendGrid/Postmark/Mailgun style)
+router.post('/webhooks/inbound-email', async (req, res) => {
   try {
-    // Google Pub/Sub requires quick response to avoid retries
-    // Acknowledge immediately, process asynchronously
-    res.json({ success: true });
-
-    // Extract the Pub/Sub message
-    const message = req.body.message;
-    if (!message || !message.data) {
-      console.log('⚠️  Received Gmail push notification with no data');
-      return;
+    if (!hasWebhookSecret(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    try {
-      // Decode the message (it's base64 encoded)
-      const decodedMessage = JSON.parse(
-        Buffer.from(message.data, 'base64').toString('utf-8')
-      );
+    const { from, to, subject, text, html, message_id, in_reply_to, attachments, delivery_status } = req.body || {};
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to are required' });
+    }
 
-      const { emailAddress, historyId } = decodedMessage;
+    const settings = await resolveInboundMailbox(res, to);
+    if (!settings) return;
 
-      console.log(`\n🔔 ⚡ INSTANT EMAIL NOTIFICATION`);
-      console.log(`   📧 From: ${emailAddress}`);
-      console.log(`   History ID: ${historyId}`);
-      console.log(`   (Processing in background...)\n`);
+    const result = await ingestInboundMessage({
+      from,
+      to,
+      subject: subject || '',
+      text: text || '',
+      html: html || '',
+      message_id: message_id || null,
+      in_reply_to: in_reply_to || null,
+      attachments: Array.isArray(attachments)
+        ? attachments.map(a => ({ filename: a.filename, content_type: a.content_type, size: a.size }))
+        : [],
+      delivery_status: delivery_status || null
+    }, { userId: settings.user_id, settings, source: 'webhook' });
 
-      // Find the user with this email address
-      await db.read();
-      const user = db.data.users.find(u =>
-        db.data.email_settings.find(s =>
-          s.user_id === u.id && s.email === emailAddress
-        )
-      );
+    if (result.skipped) {
+      return res.status(200).json({ message: INBOUND_SKIP_MESSAGES[result.skipped], ...(result.bounces && { bounces: result.bounces }) });
+    }
 
-      if (!user) {
-        console.log(`⚠️  No user found for email: ${emailAddress}`);
-        return;
-      }
+    res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error('❌ Inbound email webhook error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      // Get user's email settings
-      const settings = db.data.email_settings.find(s => s.user_id === user.id);
+// ─── Lead Capture Webhook ─────────────────────────────────────────────────────
+// Form tools post new leads here. The URL's ingest token (Settings → Lead Capture)
+// says whose leads they are and how to read the payload — see services/lead-capture.js.
+router.post('/webhooks/leads/:userToken', async (req, res) => {
+  try {
+    await db.read();
+    const token = findIngestToken(req.params.userToken);
+    if (!token) return res.status(401).json({ error: 'Invalid or revoked ingest token' });
 
-      if (!settings || settings.provider !== 'gmail' || !settings.access_token) {
-        console.log(`⚠️  Gmail not configured for user: ${user.id}`);
-        return;
-      }
+    const limit = ingestLimiter.hit(`ingest:${token.id}`, INGEST_RATE_LIMIT);
+    setRateLimitHeaders(res, limit);
+    if (!limit.allowed) return res.status(429).json({ error: 'Too many submissions — slow down and retry' });
 
-      // Import checkGmailReplies from server.js
-      // Note: This is called asynchronously to avoid blocking the response
-      // The actual implementation would import from your Gmail checking function
-      console.log(`✅ Queued email check for user ${user.id}`);
-      // checkGmailReplies(settings, user.id).catch(err =>
-      //   console.error('Error processing Gmail push:', err)
-      // );
+    if (token.signing_secret && !verifySignature(token, req, req.rawBody)) {
+      console.log(`⚠️ Lead webhook: bad signature for ingest token ${token.id}`);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
 
-    } catch (error) {
-      console.error('Error processing Gmail push message:', error);
+    const { answers, hints } = extractSubmission(token.preset, req.body || {});
+    const fields = mapFields(answers, { fieldMap: token.field_map, hints });
+    if (!isValidEmail(fields.email)) {
+      return res.status(400).json({ error: 'No valid email address found in the submission' });
     }
 
-  } catch (error) {
-    console.error('Gmail push webhook error:', error);
-    // Still return 200 to avoid Pub/Sub retrying
-    res.json({ success: true });
+    const { lead, duplicate } = await captureLead({
+      userId: token.user_id,
+      workspaceId: token.workspace_id,
+      fields,
+      answers,
+      source: token.source || token.preset,
+      origin: { ingest_token_id: token.id }
+    });
+
+    token.last_used_at = new Date().toISOString();
+    if (!duplicate) token.leads_captured = (token.leads_captured || 0) + 1;
+    await db.write();
+    if (!duplicate) await queueLeadProfiling(lead, { workspaceId: token.workspace_id, message: fields.message });
+
+    console.log(`📥 Lead ${duplicate ? 'updated' : 'captured'} via ingest token ${token.id}: ${lead.email}`);
+    res.json({ success: true, lead_id: lead.id, duplicate });
+  } catch (err) {
+    console.error('❌ Lead webhook error:', err.message);
+    res.status(500).json({ error: err.message });
   }
 });
 
+// POST /api/webhooks/stripe — Stripe sends events here
+// IMPORTANT: must use raw body (express.raw), not express.json
+router.post('/webhooks/stripe',
+  express.raw({ type: 'application/json' }),
+  async (req, res) => {
+    const sig = req.headers['stripe-signature'];
+    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+    } catch (err) {
+      console.error('Stripe webhook signature error:', err.message);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    await db.read();
+
+    const getUser = (customerId) => db.data.users.find(u => u.stripe_customer_id === customerId);
+
+    switch (event.type) {
+      case 'checkout.session.completed': {
+        const session = event.data.object;
+        if (session.mode === 'subscription') {
+          const user = getUser(session.customer);
+          if (user) {
+            const subscription = await stripe.subscriptions.retrieve(session.subscription);
+            const priceId = subscription.items.data[0]?.price?.id;
+            // Map price ID to plan name
+            let plan = 'starter';
+            if (priceId === process.env.STRIPE_PRICE_GROWTH_MONTHLY || priceId === process.env.STRIPE_PRICE_GROWTH_ANNUAL) {
+              plan = 'growth';
+            }
+            const uIdx = db.data.users.findIndex(u => u.id === user.id);
+            db.data.users[uIdx].plan = plan;
+            db.data.users[uIdx].plan_status = 'active';
+            db.data.users[uIdx].stripe_subscription_id = session.subscription;
+            console.log(`✅ User ${user.email} subscribed to ${plan} plan`);
+          }
+        }
+        break;
+      }
+      case 'invoice.payment_succeeded': {
+        const invoice = event.data.object;
+        const user = getUser(invoice.customer);
+        if (user && user.plan_status !== 'active') {
+          const uIdx = db.data.users.findIndex(u => u.id === user.id);
+          db.data.users[uIdx].plan_status = 'active';
+        }
+        break;
+      }
+      case 'invoice.payment_failed': {
+        const invoice = event.data.object;
+        const user = getUser(invoice.customer);
+        if (user) {
+          const uIdx = db.data.users.findIndex(u => u.id === user.id);
+          db.data.users[uIdx].plan_status = 'past_due';
+          console.log(`⚠️  Payment failed for user ${user.email}`);
+        }
+        break;
+      }
+      case 'customer.subscription.deleted': {
+        const sub = event.data.object;
+        const user = getUser(sub.customer);
+        if (user) {
+          const uIdx = db.data.users.findIndex(u => u.id === user.id);
+          db.data.users[uIdx].plan = 'trial';
+          db.data.users[uIdx].plan_status = 'expired';
+          db.data.users[uIdx].stripe_subscription_id = null;
+          console.log(`❌ Subscription cancelled for user ${user.email}`);
+        }
+        break;
+      }
+      case 'customer.subscription.updated': {
+        const sub = event.data.object;
+        const user = getUser(sub.customer);
+        if (user) {
+          const priceId = sub.items.data[0]?.price?.id;
+          let plan = 'starter';
+          if (priceId === process.env.STRIPE_PRICE_GROWTH_MONTHLY || priceId === process.env.STRIPE_PRICE_GROWTH_ANNUAL) {
+            plan = 'growth';
+          }
+          const uIdx = db.data.users.findIndex(u => u.id === user.id);
+          db.data.users[uIdx].plan = plan;
+          db.data.users[uIdx].plan_status = sub.status === 'active' ? 'active' : sub.status;
+          console.log(`🔄 Subscription updated for ${user.email}: ${plan} / ${sub.status}`);
+        }
+        break;
+      }
+    }
+
+    await db.write();
+    res.json({ received: true });
+  }
+);
+
 export default router;
@@ -0,0 +1,316 @@
+import express from 'express';
+import { db } from '../storage/db.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { getUserPlan } from '../services/billing.js';
+import { sendEmail, canSendEmail } from '../services/email.js';
+import { defaultMailbox } from '../services/mailboxes.js';
+import {
+  ROLES, getWorkspace, workspaceMembers, getMembership, pendingInvitations, seatsUsed,
+  createInvitation, findInvitation, acceptInvitation, publicMember, publicInvitation
+} from '../services/workspaces.js';
+import { validateRouting, assignLead } from '../services/routing.js';
+
+const router = express.Router();
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const findUser = (userId) => db.data.users.find(u => u.id === userId);
+
+// Workspaces the signed-in user belongs to
+router.get('/', authenticate, async (req, res) => {
+  try {
+    await db.read();
+    const workspaces = db.data.workspace_members
+      .filter(m => m.user_id === req.memberId)
+      .map(m => {
+        const workspace = getWorkspace(m.workspace_id);
+        return workspace && { id: workspace.id, name: workspace.name, role: m.role, active: workspace.id === req.workspaceId };
+      })
+      .filter(Boolean);
+    res.json({ workspaces });
+  } catch (err) {
+    console.error('❌ Workspace list error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The active workspace: members, seats and (for admins) outstanding invitations
+router.get('/current', authenticate, async (req, res) => {
+  try {
+    await db.read();
+    const workspace = getWorkspace(req.workspaceId);
+    const { plan, limits } = getUserPlan(findUser(req.userId));
+
+    res.json({
+      workspace: { id: workspace.id, name: workspace.name, created_at: workspace.created_at },
+      role: req.role,
+      plan,
+      seats_used: seatsUsed(workspace.id),
+      seats_limit: limits.seats_limit ?? null,
+      members: workspaceMembers(workspace.id).map(publicMember),
+      invitations: req.role === 'member' ? [] : pendingInvitations(workspace.id).map(publicInvitation)
+    });
+  } catch (err) {
+    console.error('❌ Workspace error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename the workspace
+router.patch('/current', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'Workspace name is required' });
+
+    await db.read();
+    const workspace = getWorkspace(req.workspaceId);
+    workspace.name = name;
+    workspace.updated_at = new Date().toISOString();
+    await db.write();
+    res.json({ workspace });
+  } catch (err) {
+    console.error('❌ Workspace update error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Invite someone by email: { email, role: 'member' | 'admin' }
+router.post('/current/invitations', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const email = (req.body.email || '').trim().toLowerCase();
+    const role = req.body.role || 'member';
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) return res.status(400).json({ error: 'A valid email is required' });
+    if (!['member', 'admin'].includes(role)) return res.status(400).json({ error: 'role must be member or admin' });
+
+    await db.read();
+    const workspace = getWorkspace(req.workspaceId);
+    const alreadyMember = workspaceMembers(workspace.id).some(m => findUser(m.user_id)?.email?.toLowerCase() === email);
+    if (alreadyMember) return res.status(400).json({ error: `${email} is already in this workspace` });
+
+    // Inviting the same address again replaces the earlier invitation
+    db.data.workspace_invitations = db.data.workspace_invitations.filter(i =>
+      !(i.workspace_id === workspace.id && i.email === email && !i.accepted_at)
+    );
+
+    const { limits } = getUserPlan(findUser(req.userId));
+    if (limits.seats_limit != null && seatsUsed(workspace.id) >= limits.seats_limit) {
+      return res.status(402).json({
+        error: 'seat_limit_reached',
+        message: `Your plan includes ${limits.seats_limit} seats. Upgrade to invite more teammates.`,
+        upgrade_url: '/billing'
+      });
+    }
+
+    const invitation = await createInvitation(workspace.id, { email, role, invitedBy: req.memberId });
+    await db.write();
+
+    const acceptUrl = `${appUrl()}/app?invite=${invitation.token}`;
+
+    // Email the link from the workspace's default mailbox when one is connected;
+    // either way the admin gets the link to share
+    let emailed = false;
+    const mailbox = defaultMailbox(req.userId);
+    if (canSendEmail(mailbox)) {
+      const inviter = findUser(req.memberId);
+      try {
+        await sendEmail(mailbox, email, `You're invited to join ${workspace.name}`,
+          `${inviter?.email || 'A teammate'} invited you to join the ${workspace.name} workspace as ${role === 'admin' ? 'an admin' : 'a member'}.\n\n` +
+          `Accept the invitation: ${acceptUrl}\n\nThis link expires in 14 days.`);
+        emailed = true;
+      } catch (error) {
+        console.error(`❌ Invitation email to ${email} failed:`, error.message);
+      }
+    }
+
+    console.log(`✉️ Invited ${email} to workspace ${workspace.id} as ${role}`);
+    res.json({ invitation: publicInvitation(invitation), accept_url: acceptUrl, emailed });
+  } catch (err) {
+    console.error('❌ Invitation error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke an invitation
+router.delete('/current/invitations/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    await db.read();
+    const index = db.data.workspace_invitations.findIndex(i =>
+      String(i.id) === String(req.params.id) && i.workspace_id === req.workspaceId && !i.accepted_at
+    );
+    if (index === -1) return res.status(404).json({ error: 'Invitation not found' });
+
+    db.data.workspace_invitations.splice(index, 1);
+    await db.write();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Invitation cancel error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Look up an invitation before signing in or registering (public)
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    await db.read();
+    const invitation = findInvitation(req.params.token);
+    if (!invitation) return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+
+    res.json({
+      workspace_name: getWorkspace(invitation.workspace_id)?.name || '',
+      email: invitation.email,
+      role: invitation.role,
+      invited_by: findUser(invitation.invited_by)?.email || null,
+      expires_at: invitation.expires_at
+    });
+  } catch (err) {
+    console.error('❌ Invitation lookup error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Accept an invitation as the signed-in user — it becomes their active workspace
+router.post('/invitations/:token/accept', authenticate, async (req, res) => {
+  try {
+    await db.read();
+    const invitation = findInvitation(req.params.token);
+    if (!invitation) return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+
+    const user = findUser(req.memberId);
+    if (user.email.toLowerCase() !== invitation.email) {
+      return res.status(403).json({ error: 'This invitation was sent to a different email address' });
+    }
+
+    await acceptInvitation(invitation, user);
+    await db.write();
+    res.json({ success: true, workspace_id: invitation.workspace_id });
+  } catch (err) {
+    console.error('❌ Invitation accept error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change a member's role. Making someone owner hands over ownership (owner only);
+// the previous owner stays on as an admin.
+router.patch('/current/members/:userId', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+
+    await db.read();
+    const member = getMembership(req.workspaceId, Number(req.params.userId));
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    if (member.role === role) return res.json({ member: publicMember(member) });
+
+    if (member.role === 'owner') {
+      return res.status(400).json({ error: 'Transfer ownership to another member to change the owner\'s role' });
+    }
+    if (role === 'owner') {
+      if (req.role !== 'owner') return res.status(403).json({ error: 'Only the owner can transfer ownership' });
+      getMembership(req.workspaceId, req.memberId).role = 'admin';
+    }
+
+    member.role = role;
+    await db.write();
+    console.log(`👥 Workspace ${req.workspaceId}: user ${member.user_id} is now ${role}`);
+    res.json({ member: publicMember(member) });
+  } catch (err) {
+    console.error('❌ Member role change error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove a member (admins), or leave the workspace (anyone but the owner)
+router.delete('/current/members/:userId', authenticate, async (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    if (userId !== req.memberId && req.role === 'member') {
+      return res.status(403).json({ error: 'This requires the admin role in your workspace' });
+    }
+
+    await db.read();
+    const member = getMembership(req.workspaceId, userId);
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    if (member.role === 'owner') {
+      return res.status(400).json({ error: 'The owner can\'t leave — transfer ownership first' });
+    }
+    // The workspace's records are stored under this user's account
+    if (userId === req.userId) {
+      return res.status(400).json({ error: 'This workspace belongs to this member\'s account and they can\'t be removed from it' });
+    }
+
+    db.data.workspace_members.splice(db.data.workspace_members.indexOf(member), 1);
+    for (const lead of db.data.leads) {
+      if (lead.user_id === req.userId && lead.owner_id === userId) {
+        assignLead(lead, null, { assignedBy: req.memberId, reason: 'member_removed' });
+      }
+    }
+    const user = findUser(userId);
+    if (user?.active_workspace_id === req.workspaceId) user.active_workspace_id = null;
+
+    await db.write();
+    console.log(`👥 Workspace ${req.workspaceId}: removed user ${userId}`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Member removal error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Lead routing rules (see services/routing.js)
+router.get('/current/routing', authenticate, async (req, res) => {
+  try {
+    await db.read();
+    const routing = getWorkspace(req.workspaceId).routing || { enabled: false, rules: [] };
+    res.json({ routing });
+  } catch (err) {
+    console.error('❌ Routing rules error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replace the routing rules: { enabled, rules: [{ type, assignees, values?, field?, min_score?, max_score? }] }
+router.put('/current/routing', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    await db.read();
+    const error = validateRouting(req.workspaceId, req.body);
+    if (error) return res.status(400).json({ error });
+
+    const workspace = getWorkspace(req.workspaceId);
+    workspace.routing = {
+      enabled: req.body.enabled === true,
+      rules: (req.body.rules || []).map(rule => ({
+        type: rule.type,
+        assignees: rule.assignees,
+        ...(rule.values && { values: rule.values }),
+        ...(rule.field && { field: rule.field }),
+        ...(rule.min_score != null && { min_score: rule.min_score }),
+        ...(rule.max_score != null && { max_score: rule.max_score })
+      })),
+      updated_at: new Date().toISOString()
+    };
+    await db.write();
+    res.json({ routing: workspace.routing });
+  } catch (err) {
+    console.error('❌ Routing rules save error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Switch the signed-in user's active workspace
+router.post('/:id/switch', authenticate, async (req, res) => {
+  try {
+    await db.read();
+    const workspaceId = Number(req.params.id);
+    if (!getMembership(workspaceId, req.memberId)) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    findUser(req.memberId).active_workspace_id = workspaceId;
+    await db.write();
+    res.json({ success: true, workspace_id: workspaceId });
+  } catch (err) {
+    console.error('❌ Workspace switch error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
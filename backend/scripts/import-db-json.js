@@ -0,0 +1,87 @@
+// One-shot import of an existing lowdb db.json into PostgreSQL.
+//
+// Usage: DATABASE_URL=postgres://... node scripts/import-db-json.js [path/to/db.json] [--replace]
+//
+// Without --replace the import refuses to run if any target table already has
+// rows. Records keep their original ids and order; duplicate ids are repaired
+// by the integrity check the next time the server starts.
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { pool } from '../config/database.js';
+import { runMigrations } from '../storage/migrate.js';
+import { COLLECTIONS } from '../storage/schema.js';
+import { createRepositories } from '../storage/repository.js';
+import { syncIdSequences } from '../storage/ids.js';
+
+const args = process.argv.slice(2);
+const replace = args.includes('--replace');
+const sourcePath = args.find(a => !a.startsWith('--'))
+  || (existsSync('/mnt/data/db.json') ? '/mnt/data/db.json' : 'db.json');
+
+async function main() {
+  if (!pool) throw new Error('DATABASE_URL is not set');
+  if (!existsSync(sourcePath)) throw new Error(`${sourcePath} not found`);
+
+  const data = JSON.parse(await readFile(sourcePath, 'utf8'));
+  console.log(`📂 Importing ${sourcePath}`);
+
+  const unknown = Object.keys(data).filter(name => !COLLECTIONS.includes(name) && name !== 'id_sequences');
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Skipping collections with no table: ${unknown.join(', ')}`);
+  }
+
+  await runMigrations(pool);
+  const repos = createRepositories(pool);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (!replace) {
+      for (const name of COLLECTIONS) {
+        if (await repos[name].count(client) > 0) {
+          throw new Error(`Table "${name}" is not empty — rerun with --replace to overwrite it`);
+        }
+      }
+    }
+
+    for (const name of COLLECTIONS) {
+      const records = Array.isArray(data[name]) ? data[name] : [];
+      if (replace) await repos[name].truncate(client);
+      const inserted = await repos[name].insertMany(records, client);
+
+      const ids = records.map(r => r?.id).filter(id => id != null);
+      const duplicates = ids.length - new Set(ids.map(String)).size;
+      const note = duplicates > 0 ? ` (⚠️ ${duplicates} duplicate id${duplicates === 1 ? '' : 's'})` : '';
+      console.log(`  ${name}: ${inserted}${note}`);
+    }
+
+    // Continue ids where the JSON file left off, including ids of deleted records
+    await syncIdSequences(client);
+    for (const [name, value] of Object.entries(data.id_sequences || {})) {
+      if (!COLLECTIONS.includes(name) || !Number(value)) continue;
+      await client.query(
+        `SELECT setval('${name}_id_seq', GREATEST($1::bigint, (SELECT last_value FROM ${name}_id_seq)))`,
+        [value]
+      );
+    }
+
+    await client.query('COMMIT');
+    console.log('✅ Import complete');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+try {
+  await main();
+} catch (error) {
+  console.error('❌ Import failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await pool?.end();
+}
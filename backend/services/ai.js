@@ -1,236 +1,482 @@
-import OpenAI from 'openai';
-import { db } from '../config/database.js';
-
-const openai = process.env.OPENAI_API_KEY 
-  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  : null;
-
-export class AIService {
-  /**
-   * Detects the intent of a lead's reply
-   */
-  async detectIntent(replyText, subject = '', leadContext = {}) {
-    // If OpenAI is not configured, use fallback
-    if (!openai) {
-      return this.fallbackIntentDetection(replyText, subject);
-    }
+import { db } from '../storage/db.js';
+import * as llm from './llm/index.js';
+
+// AI Reply Analysis Function (classification model - fast & cheap)
+// Now includes subject line for better context
+export async function analyzeReplyWithAI(replyText, emailSubject = '') {
+  if (!llm.isConfigured()) return classifyByKeywords(replyText, emailSubject);
+
+  try {
+    const subjectLine = emailSubject ? `Subject: "${emailSubject}"\n` : '';
+    const response = await llm.complete('classification', {
+      maxTokens: 200,
+      prompt: `Analyze this email and classify the lead's intent. Reply ONLY with one of these exact words: INTERESTED, NOT_NOW, OBJECTION, GHOSTING, or DEAD.
+
+Classification Rules (read carefully):
+- INTERESTED: They want to engage — asking questions, requesting info, showing enthusiasm (e.g., "where is it?", "what is the price?", "I'm interested", "let's schedule", "can we talk?", "what is your name?", "tell me more", "how does it work?", "whatsapp?", "telegram?", "zoom?", "call?", "phone?")
+- OBJECTION: They raise a concern, hesitation, or problem (e.g., "too expensive", "far from my home", "not sure if it fits", "concerned about distance")
+- NOT_NOW: They explicitly say timing is wrong with time-based language (e.g., "not now", "maybe next month", "check back in Q2", "I'm busy until March") — MUST have timing words
+- DEAD: Clear rejection (e.g., "not interested", "no thanks", "stop emailing", "don't contact me")
+- GHOSTING: Vague responses with no clear meaning (e.g., "thanks", "ok", "noted", "sure") — only when none of the above apply
+
+IMPORTANT: Use BOTH subject and body to determine intent — the subject alone can reveal if the lead is asking a question.
+IMPORTANT: Distance/location concerns = OBJECTION, NOT NOT_NOW. Questions about anything = INTERESTED.
+IMPORTANT: Any message ending with '?' = INTERESTED — the lead is asking a question regardless of how short it is.
+IMPORTANT: Any message mentioning a communication platform or contact method (whatsapp, telegram, signal, viber, zoom, teams, phone, call) = INTERESTED — the lead wants to connect.
+IMPORTANT: If both subject and body are blank = GHOSTING.
+
+${subjectLine}Body: "${replyText}"
+
+Classification:`,
+      stub: () => classifyByKeywords(replyText, emailSubject).intent
+    });
+
+    const raw = response.text.toUpperCase();
+    console.log(`[AI] Raw response: "${raw.substring(0, 100)}"`);
+
+    // Extract just the first valid classification word
+    const validIntents = ['INTERESTED', 'NOT_NOW', 'OBJECTION', 'GHOSTING', 'DEAD'];
+    const found = validIntents.find(v =>
+      raw === v ||
+      raw.startsWith(v + ' ') ||
+      raw.startsWith(v + '\n') ||
+      raw.includes('\n' + v) ||
+      raw.includes(': ' + v) ||
+      raw.includes(' ' + v + '\n') ||
+      raw.includes('\n\n' + v)
+    );
+    const intent = found || 'GHOSTING';
+    console.log(`[CLASSIFICATION] Intent: ${intent}`);
+
+    const reasoning = {
+      'INTERESTED': 'Lead shows engagement and buying interest',
+      'NOT_NOW': 'Lead indicates timing is not right with explicit timeframe',
+      'OBJECTION': 'Lead raises concerns or hesitations',
+      'GHOSTING': 'Generic or unclear response',
+      'DEAD': 'Lead explicitly rejects'
+    };
+
+    return {
+      intent,
+      reasoning: reasoning[intent] || 'Unable to classify'
+    };
+  } catch (error) {
+    console.error('AI analysis error:', error.message);
+  }
+
+  return classifyByKeywords(replyText, emailSubject);
+}
+
+// Fallback keyword-based classification (checks both body and subject)
+export function classifyByKeywords(replyText, emailSubject = '') {
+  console.log(`[FALLBACK CLASSIFICATION] Using keyword detection for: "${replyText.substring(0, 50)}"`);
+  const lower = (replyText + ' ' + emailSubject).toLowerCase();
+
+  // Check INTERESTED first
+  if (lower.includes('interested') || lower.includes('yes') || lower.includes('sounds good') ||
+      lower.includes('schedule') || lower.includes('call me') || lower.includes("let's talk") ||
+      lower.includes('where is') || lower.includes('what is the') || lower.includes('how much') ||
+      lower.includes('more info') || lower.includes('tell me more') ||
+      // Question = asking something = INTERESTED
+      lower.trim().endsWith('?') ||
+      // Communication platform / contact method names = wants to connect
+      lower.includes('whatsapp') || lower.includes('telegram') || lower.includes('signal') ||
+      lower.includes('viber') || lower.includes('zoom') || lower.includes(' teams') ||
+      lower.includes('google meet') || lower.includes('phone number') || lower.includes('mobile')) {
+    console.log('[FALLBACK] → INTERESTED');
+    return { intent: 'INTERESTED', reasoning: 'Keyword: shows engagement' };
+  }
+
+  // Check DEAD
+  if (lower.includes('not interested') || lower.includes('no thanks') || lower.includes('unsubscribe') ||
+      lower.includes('stop emailing') || lower.includes('dont contact')) {
+    console.log('[FALLBACK] → DEAD');
+    return { intent: 'DEAD', reasoning: 'Keyword: clear rejection' };
+  }
+
+  // Check OBJECTION (before NOT_NOW - more specific)
+  if (lower.includes('but ') || lower.includes('however') || lower.includes('concern') ||
+      lower.includes('expensive') || lower.includes('not sure') || lower.includes('far from') ||
+      lower.includes('too far') || lower.includes('distance') || lower.includes('location') ||
+      lower.includes('inconvenient') || lower.includes('accessible') || lower.includes('price seems')) {
+    console.log('[FALLBACK] → OBJECTION');
+    return { intent: 'OBJECTION', reasoning: 'Keyword: raises objection/concern' };
+  }
+
+  // Check NOT_NOW (requires timing keywords)
+  if ((lower.includes('later') || lower.includes('next month') || lower.includes('next quarter') ||
+       lower.includes('not now') || lower.includes('busy until') || lower.includes('check back')) &&
+      !lower.includes('interested')) {
+    console.log('[FALLBACK] → NOT_NOW');
+    return { intent: 'NOT_NOW', reasoning: 'Keyword: timing-based delay' };
+  }
+
+  console.log('[FALLBACK] → GHOSTING');
+  return { intent: 'GHOSTING', reasoning: 'No clear signals detected' };
+}
+
+// ─── Appointment Detection ─────────────────────────────────────────────────────
+export async function detectAppointmentFromEmail(emailBody, subject) {
+  if (!llm.isConfigured()) return null;
+  try {
+    const { data: result } = await llm.complete('classification', {
+      maxTokens: 300,
+      prompt: `You are an appointment detection assistant. Analyze this email to determine if an appointment, meeting, call, or viewing has been CONFIRMED or AGREED UPON (not just requested).
 
-    const subjectLine = subject ? `Subject: "${subject}"\n` : '';
-
-    const prompt = `You are an expert sales assistant analyzing lead responses.
-
-${subjectLine}Reply: "${replyText}"
-
-Use BOTH the subject line and reply body to determine intent. The subject can reveal tone, urgency, or context that the body alone may not show.
-
-Classify into ONE category:
-1. INTERESTED - wants to move forward, asking about product/pricing
-2. NOT_NOW - interested but wrong timing
-3. OBJECTION - has concerns or doubts
-4. GHOSTING - vague, non-committal
-5. DEAD - clear rejection
-
-Return JSON only:
-{
-  "category": "INTERESTED",
-  "confidence": 0.95,
-  "reasoning": "brief explanation",
-  "suggested_action": "what to do next",
-  "key_phrases": ["relevant phrases"],
-  "urgency_score": 8
-}`;
-
-    try {
-      const response = await openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
-        messages: [
-          { role: "system", content: "You are an expert sales assistant." },
-          { role: "user", content: prompt }
-        ],
-        temperature: 0.3,
-        response_format: { type: "json_object" }
-      });
-
-      const result = JSON.parse(response.choices[0].message.content);
-
-      // Log AI decision
-      await db.createAIDecision({
-        decision_type: 'intent_detection',
-        input_data: { subject, reply: replyText },
-        output_data: result,
-        model_used: 'gpt-4-turbo-preview',
-        tokens_used: response.usage.total_tokens
-      });
-
-      return result;
-    } catch (error) {
-      console.error('AI Intent Detection Error:', error.message);
-      return this.fallbackIntentDetection(replyText, subject);
+Subject: "${subject || ''}"
+Email: "${emailBody}"
+
+If an appointment IS confirmed/scheduled/agreed upon, return ONLY this JSON:
+{"appointment_detected":true,"date":"YYYY-MM-DD or null","time":"HH:MM 24h or null","timezone":"timezone name or null","appointment_type":"call|meeting|video_call|property_showing|demo|other","notes":"1-sentence context about the appointment"}
+
+If NO appointment is confirmed, return ONLY:
+{"appointment_detected":false}
+
+Return ONLY valid JSON. No explanation.`,
+      json: true,
+      stub: { appointment_detected: false }
+    });
+
+    if (!result.appointment_detected) return null;
+    return result;
+  } catch (e) {
+    console.error('[Appointment Detection] Error:', e.message);
+    return null;
+  }
+}
+
+export function getBusinessTypeContext(businessType) {
+  const contexts = {
+    real_estate: 'BUSINESS TYPE: Real Estate / Property. Help the lead find properties that match their needs. Respect their location/distance preferences — never push aggressively if they say a property is too far.',
+    insurance:   'BUSINESS TYPE: Insurance. Your goal is to schedule a consultation call to discuss coverage options. Never quote prices via email.',
+    saas:        'BUSINESS TYPE: SaaS / Software App. Do NOT push for appointments or meetings. Answer product questions and direct the lead to a free trial or product demo. Keep it low-pressure.',
+    ecommerce:   'BUSINESS TYPE: E-commerce / Online Store. No appointments needed. Provide product info, handle concerns, and link to the product page.',
+    consulting:  'BUSINESS TYPE: Consulting Services. Your goal is to schedule a 30-minute discovery call to understand the lead\'s challenges.',
+    community:   'BUSINESS TYPE: Community / Social Platform. No appointments needed. Answer FAQs and invite the lead to join or try for free.',
+    other:       ''
+  };
+  return contexts[businessType] || '';
+}
+
+export function getCustomInstructionsContext(customInstructions) {
+  if (!customInstructions || !customInstructions.trim()) return '';
+  return `CUSTOM INSTRUCTIONS (follow these exactly):\n${customInstructions.trim()}`;
+}
+
+export function getBusinessKnowledgeContext(businessKnowledge, liveUpdates) {
+  const parts = [];
+  if (businessKnowledge && businessKnowledge.trim()) {
+    parts.push(`BUSINESS KNOWLEDGE (stable product/service details, policies, FAQs — use as factual reference):\n${businessKnowledge.trim()}`);
+  }
+  if (liveUpdates && liveUpdates.trim()) {
+    parts.push(`LIVE UPDATES (current availability, promotions, stock — treat as the latest facts):\n${liveUpdates.trim()}`);
+  }
+  return parts.length > 0 ? parts.join('\n\n') : '';
+}
+
+export function getSellerContext(sellerProfile) {
+  if (!sellerProfile) return '';
+  const lines = [];
+  if (sellerProfile.seller_name)    lines.push(`- Your Name: ${sellerProfile.seller_name}`);
+  if (sellerProfile.seller_company) lines.push(`- Your Company: ${sellerProfile.seller_company}`);
+  if (sellerProfile.seller_email)   lines.push(`- Your Reply-To Email: ${sellerProfile.seller_email}`);
+  if (sellerProfile.seller_phone)   lines.push(`- Your Phone: ${sellerProfile.seller_phone}`);
+  if (sellerProfile.seller_website) lines.push(`- Your Website: ${sellerProfile.seller_website}`);
+  if (sellerProfile.seller_social)  lines.push(`- Your Social / Booking: ${sellerProfile.seller_social}`);
+
+  // Auto-build signature from name + company + phone so user doesn't need to write one manually
+  const sigParts = [sellerProfile.seller_name, sellerProfile.seller_company, sellerProfile.seller_phone].filter(Boolean);
+  if (sigParts.length > 0) lines.push(`- Sign off the email with:\nBest regards,\n${sigParts.join(' | ')}`);
+
+  if (lines.length === 0) return '';
+  return `\nSELLER CONTACT INFORMATION (use ONLY these details whenever you mention any contact info, name, phone, website, email, or signature):\n${lines.join('\n')}`;
+}
+
+export const SELLER_GUARDRAIL = `\n\n⚠️ IMPORTANT RULE: NEVER use phone numbers, email addresses, personal names, website URLs, social media handles, booking links, or any other contact information that may appear inside the product description or knowledge base. Those may belong to a third-party source. Use ONLY the SELLER CONTACT INFORMATION block above for any contact details. If no seller contact info is provided, leave contact details blank or use a generic placeholder like [Your Name].`;
+
+// Helper: Detect if this lead has raised an objection before (any type, any business)
+function hasRepeatedObjection(lead) {
+  if (!lead) return false;
+
+  // Method 1: Check if lead previously had OBJECTION intent classified
+  // (stored on the lead record from a prior analysis)
+  if (lead.previous_objection_count && lead.previous_objection_count >= 1) {
+    return true;
+  }
+
+  // Method 2: Check email_interactions history for previous OBJECTION classifications
+  if (db.data.email_interactions) {
+    const previousObjInteractions = db.data.email_interactions.filter(i =>
+      i.lead_id === lead.id &&
+      i.direction === 'received' &&
+      i.ai_intent === 'OBJECTION'
+    );
+    if (previousObjInteractions.length >= 1) return true;
+  }
+
+  // Method 3: Check ai_drafts — if a previous OBJECTION draft was generated, concern was raised before
+  if (db.data.ai_drafts) {
+    const previousObjDrafts = db.data.ai_drafts.filter(d =>
+      d.lead_id === lead.id &&
+      d.ai_intent === 'OBJECTION'
+    );
+    if (previousObjDrafts.length >= 1) return true;
+  }
+
+  return false;
+}
+
+// When a correct (non-holding) reply is generated for a lead, resolve any old stale
+// Action Required drafts so the lead no longer appears in the Action Required queue.
+export function resolveStaleActionRequiredDrafts(leadId) {
+  db.data.ai_drafts.forEach(d => {
+    if (d.lead_id === leadId && d.status === 'pending' && (d.needs_follow_up || d.clarification_needed)) {
+      d.status = 'resolved';
+      console.log(`🧹 Resolved stale Action Required draft #${d.id} for lead ${leadId} — new correct reply generated`);
     }
+  });
+}
+
+// AI Response Generation (drafting model - better quality, only for INTERESTED/OBJECTION)
+export async function generateAIResponse(lead, originalReply, intent, emailSubject = '') {
+
+  // Load user settings for AI context
+  await db.read();
+  const user = db.data.users.find(u => u.id === lead.user_id);
+  const sellerProfile = db.data.seller_profiles.find(p => p.user_id === lead.user_id);
+
+  // Check if user has set business knowledge
+  const hasBusinessKnowledge = user &&
+    ((user.business_knowledge || '').trim() || (user.live_updates || '').trim());
+
+  console.log(`[generateAIResponse] lead.user_id=${lead.user_id} user=${user ? user.id : 'NOT FOUND'} intent=${intent} hasBusinessKnowledge=${!!hasBusinessKnowledge} bk_len=${(user?.business_knowledge || '').length} lu_len=${(user?.live_updates || '').length}`);
+
+  // If customer is asking about the product (INTERESTED/OBJECTION) and no business knowledge is set,
+  // trigger clarification mode — don't make anything up
+  if (!hasBusinessKnowledge && (intent === 'INTERESTED' || intent === 'OBJECTION')) {
+    const clarificationBody = `Hi ${lead.first_name},\n\nThank you for your question.\n\nI want to make sure I give you accurate information. Let me confirm the details and get back to you shortly.\n\nBest regards`;
+    return { body: clarificationBody, clarification_needed: true };
   }
 
-  /**
-   * Generates personalized email using AI
-   */
-  async generatePersonalizedEmail(lead, template, inboundContext = null) {
-    // If OpenAI is not configured, use fallback
-    if (!openai) {
-      return this.fallbackPersonalization(lead, template);
+  const sellerContext = getSellerContext(sellerProfile);
+  const businessTypeContext = getBusinessTypeContext(user?.business_type || 'other');
+  const businessKnowledgeContext = getBusinessKnowledgeContext(user?.business_knowledge || '', user?.live_updates || '');
+  const customInstructionsContext = getCustomInstructionsContext(user?.ai_custom_instructions || '');
+
+  // Single source of truth: business knowledge from textareas
+  const productContext = `You are a helpful sales rep.`;
+
+  const subjectContext = emailSubject ? `\nEmail Subject: "${emailSubject}"` : '';
+
+  // Detect if this is a repeated objection (same concern raised before)
+  const isRepeatedObjection = intent === 'OBJECTION' && hasRepeatedObjection(lead);
+
+  const clarificationRule = intent === 'INTERESTED'
+    ? `\n\n⚠️ RULE FOR INTERESTED LEADS — HANDLING MISSING SPECIFIC DETAILS:
+If the customer asks for specific details (e.g. exact price, availability, specific unit info) that are NOT listed in your knowledge above, but you DO have general knowledge about the product/property they are asking about:
+1. Respond with the details you DO know — highlight the property/product features, benefits, and location
+2. For missing specifics like price: acknowledge their question warmly and invite them to schedule a viewing or call where full pricing and details can be discussed in person
+3. Do NOT add [NEEDS_CLARIFICATION] — always give an engaging, helpful reply to interested leads
+4. Only add [NEEDS_CLARIFICATION] if the customer is asking about a COMPLETELY DIFFERENT product, property, or location that you have ZERO information about
+
+Example — customer asks "how much is the price?":
+CORRECT: "Hi [Name], great question! The [property name] is [key features]. It's a fantastic fit for [target audience/benefits]. I'd love to schedule a viewing so we can walk through the property and go over pricing in detail — when are you free?"
+WRONG: "Let me check on the pricing and get back to you shortly." ← Never send a holding reply when you have product knowledge.`
+    : `\n\n⚠️ HIGHEST PRIORITY RULE — OVERRIDES ALL OTHER INSTRUCTIONS:
+If the customer asks about something NOT covered in your product/business knowledge above (e.g. different products, pricing you don't have, alternative options, availability, specific details not mentioned), you MUST:
+1. Do NOT try to sell or pitch your existing product instead
+2. Do NOT redirect them to a call/demo as a workaround
+3. Do NOT pretend you can help when you don't have the info
+4. ONLY write a short, honest holding reply (max 50 words) that:
+   - Acknowledges EXACTLY what they asked about (e.g. "apartments below 300k in Kajang")
+   - Says you'll check on it and get back to them shortly
+   - Keeps it warm and brief
+5. Add the exact tag [NEEDS_CLARIFICATION] at the very end (after sign-off)
+
+Example of CORRECT holding reply:
+"Hi John, great question about apartments below 300k in Kajang! Let me check what options are available in that range and I'll get back to you shortly. Best regards"
+
+Example of WRONG reply (do NOT do this):
+"I specialize in landed homes... would you like a call?" ← This ignores their question and pushes your product instead.`;
+
+  const intentInstructions = {
+    INTERESTED: `The lead ${lead.first_name} from ${lead.company || 'their company'} is INTERESTED and replied:${subjectContext}\nReply: "${originalReply}"\n\nWrite a short, warm follow-up email (max 100 words) to book the next step (demo/call). Reference specific details from your product/service above. Do NOT use placeholder text like [Your Name].`,
+    OBJECTION: `The lead ${lead.first_name} from ${lead.company || 'their company'} raised an objection:${subjectContext}\nReply: "${originalReply}"\n\nWrite a professional email (max 100 words) with this approach:
+1. ACKNOWLEDGE - Acknowledge the concern calmly
+2. VALUE CLARIFY - Provide ONE concise value clarification (do not defend repeatedly)
+3. FORWARD QUESTION - Ask one forward-moving question
+4. DO NOT push for viewing immediately${isRepeatedObjection ? '\n\nNOTE: This objection has been raised before. Reduce persuasion, offer alternatives gracefully, and be willing to accept their preference.' : ''}
+
+Tone: Calm, Confident, Professional, Not defensive, Not needy.
+Do NOT use placeholder text like [Your Name].`,
+    GHOSTING: `The lead ${lead.first_name} from ${lead.company || 'their company'} sent a short or unclear message:${subjectContext}\nReply: "${originalReply}"\n\nWrite a brief, friendly reply (max 80 words) that warmly acknowledges their message and re-opens the conversation with one simple open-ended question to understand what they need. Do NOT use placeholder text like [Your Name].`,
+    NOT_NOW: `The lead ${lead.first_name} from ${lead.company || 'their company'} indicated the timing is not right:${subjectContext}\nReply: "${originalReply}"\n\nWrite a short, respectful reply (max 80 words) that acknowledges their timing, briefly reminds them of the key value, and offers to reconnect when they are ready. Keep it warm and pressure-free. Do NOT use placeholder text like [Your Name].`,
+    DEAD: `The lead ${lead.first_name} from ${lead.company || 'their company'} has indicated they are not interested:${subjectContext}\nReply: "${originalReply}"\n\nWrite a very brief, graceful closing reply (max 60 words) that respects their decision, thanks them for their time, and leaves the door open in case they change their mind in the future. No pressure at all. Do NOT use placeholder text like [Your Name].`
+  };
+
+  try {
+    const response = await llm.complete('drafting', {
+      maxTokens: 300,
+      prompt: `${productContext}${sellerContext}${businessTypeContext ? '\n\n' + businessTypeContext : ''}${businessKnowledgeContext ? '\n\n' + businessKnowledgeContext : ''}${customInstructionsContext ? '\n\n' + customInstructionsContext : ''}${SELLER_GUARDRAIL}${clarificationRule}\n\n---\n\n${intentInstructions[intent]}\n\nWrite ONLY the email body (no subject line). Keep it under 100 words.\n\nEmail:`,
+      stub: () => fallbackReply(lead, intent, isRepeatedObjection).body
+    });
+
+    let aiBody = response.text;
+
+    // Detect if AI flagged this as needing clarification
+    let needsClarification = aiBody.includes('[NEEDS_CLARIFICATION]');
+    aiBody = aiBody.replace(/\[NEEDS_CLARIFICATION\]/g, '').trim();
+
+    // Safety: never return empty body — use holding message as fallback
+    if (!aiBody) {
+      console.log(`⚠️  AI returned empty body for lead ${lead.id} (${lead.first_name}) — using holding reply`);
+      aiBody = `Hi ${lead.first_name},\n\nThank you for reaching out! That's a great question.\n\nLet me look into this and get back to you with the right information shortly.\n\nBest regards`;
+      // INTERESTED leads with business knowledge should never trigger Action Required
+      return { body: aiBody, clarification_needed: intent === 'INTERESTED' && hasBusinessKnowledge ? false : true };
+    }
+
+    // INTERESTED leads with business knowledge should always get a direct reply.
+    // Even if the AI added [NEEDS_CLARIFICATION] (e.g. missing a specific price),
+    // override it — the AI's reply already shares what it knows and invites a discussion.
+    if (intent === 'INTERESTED' && hasBusinessKnowledge && needsClarification) {
+      console.log(`ℹ️  INTERESTED lead with business knowledge — overriding clarification flag (AI will share available info + invite discussion)`);
+      needsClarification = false;
     }
 
-    const inboundSection = inboundContext
-      ? `\nLead's Last Email:
-Subject: "${inboundContext.subject || '(no subject)'}"
-Body: "${inboundContext.body || ''}"
-
-Your reply should directly address their subject line and message above.\n`
-      : '';
-
-    const replyStyleRules = inboundContext
-      ? `\nFIRST REPLY RULES (strictly follow these):
-- Your ONLY goal in this first reply is to get a response from the lead — NOT to sell.
-- Acknowledge their inquiry in 1 short sentence.
-- Then ask ONE qualifying question to understand their needs better.
-  Good qualifying questions: preferred area/location, property type (condo/landed/commercial), move-in timeline, or number of rooms needed.
-  Choose whichever is most obviously missing from their message.
-- Do NOT list multiple properties or full specs in this reply.
-- If you must mention a property, mention ONE at most as a brief teaser (e.g. "I do have a freehold landed in Kajang around that range").
-- Keep the entire reply body under 60 words.
-- End with your single qualifying question — make it easy to answer.
-- Tone: friendly, conversational, human. Not corporate. Not salesy.\n`
-      : '';
-
-    const prompt = `You are an expert sales copywriter for a real estate agent.
-
-Lead: ${lead.first_name} ${lead.last_name}
-Status: ${lead.status}
-${inboundSection}${replyStyleRules}
-Template (use as reference for tone and agent signature only):
-${template}
-
-Rewrite to be highly personalized.${inboundContext ? ' Follow the FIRST REPLY RULES above strictly.' : ' Keep under 150 words, conversational tone, clear CTA.'}
-
-Return JSON:
-{
-  "subject": "...",
-  "body": "..."
-}`;
-
-    try {
-      const response = await openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.7,
-        response_format: { type: "json_object" }
-      });
-
-      return JSON.parse(response.choices[0].message.content);
-    } catch (error) {
-      console.error('AI Email Generation Error:', error.message);
-      return this.fallbackPersonalization(lead, template);
+    if (needsClarification) {
+      console.log(`⚠️  AI flagged clarification needed for lead ${lead.id} (${lead.first_name}) — question not covered by knowledge base`);
     }
+
+    return { body: aiBody, clarification_needed: needsClarification };
+  } catch (error) {
+    console.error('AI generation error:', error.message);
   }
 
-  /**
-   * Fallback intent detection using keywords
-   */
-  fallbackIntentDetection(text, subject = '') {
-    const lowerText = (text + ' ' + subject).toLowerCase();
-
-    // Check for clear rejection
-    if (
-      lowerText.includes('not interested') ||
-      lowerText.includes('remove me') ||
-      lowerText.includes('unsubscribe') ||
-      lowerText.includes('stop emailing')
-    ) {
-      return {
-        category: 'DEAD',
-        confidence: 0.9,
-        reasoning: 'Clear rejection phrases detected',
-        suggested_action: 'stop_all_sequences',
-        key_phrases: ['not interested'],
-        urgency_score: 1
-      };
+  // Fallback if AI call fails
+  return fallbackReply(lead, intent, isRepeatedObjection);
+}
+
+function fallbackReply(lead, intent, isRepeatedObjection) {
+  if (intent === 'NOT_NOW') {
+    return { body: `Hi ${lead.first_name},\n\nNo problem at all — I completely understand timing matters. I'll follow up with you when the time is right.\n\nFeel free to reach out whenever you're ready.\n\nBest regards`, clarification_needed: false };
+  }
+  if (intent === 'GHOSTING') {
+    return { body: `Hi ${lead.first_name},\n\nThanks for getting back to me! Just wanted to check in — what questions do you have that I can help with?\n\nBest regards`, clarification_needed: false };
+  }
+  if (intent === 'OBJECTION') {
+    if (isRepeatedObjection) {
+      return { body: `Hi ${lead.first_name},\n\nI understand — your concern is important. If this is a dealbreaker for you, that's okay. I'm happy to explore alternatives or help you find a better fit.\n\nLet me know how I can help.\n\nBest regards`, clarification_needed: false };
     }
+    return { body: `Hi ${lead.first_name},\n\nI hear your concern. What's most important to you in this situation?\n\nLooking forward to your thoughts.\n\nBest regards`, clarification_needed: false };
+  }
+  return { body: `Hi ${lead.first_name},\n\nThank you for getting back to me! I'd love to chat more about how I can help you.\n\nWhen works best for you?\n\nBest regards`, clarification_needed: false };
+}
 
-    // Check for interest
-    if (
-      lowerText.includes('pricing') ||
-      lowerText.includes('how much') ||
-      lowerText.includes('demo') ||
-      lowerText.includes('call') ||
-      lowerText.includes('schedule')
-    ) {
-      return {
-        category: 'INTERESTED',
-        confidence: 0.7,
-        reasoning: 'Buying signal phrases detected',
-        suggested_action: 'notify_user_immediately',
-        key_phrases: ['pricing', 'demo'],
-        urgency_score: 9
-      };
+// Generate Follow-Up Email with AI (A/B Testing + AI Learning)
+export async function generateFollowUpEmail(lead, attemptNumber, intent, userId) {
+  try {
+    await db.read();
+    const sellerProfile = db.data.seller_profiles.find(p => p.user_id === userId);
+    const userRecord = db.data.users.find(u => u.id === userId);
+
+    const sellerContext = getSellerContext(sellerProfile);
+    const businessTypeContext = getBusinessTypeContext(userRecord?.business_type || 'other');
+    const businessKnowledgeContext = getBusinessKnowledgeContext(userRecord?.business_knowledge || '', userRecord?.live_updates || '');
+    const customInstructionsContext = getCustomInstructionsContext(userRecord?.ai_custom_instructions || '');
+
+    // ── A/B TESTING: Determine which style variant to use ──────────────────
+    // Variant A = Direct & Short (punchy, question-based, max 60 words)
+    // Variant B = Warm & Detailed (friendly, value-focused, max 100 words)
+    let abVariant = lead.id % 2 === 0 ? 'A' : 'B';
+
+    // Check if a winner has already been decided for this user+intent
+    const abResult = (db.data.ab_results || []).find(r => r.user_id === userId && r.intent === intent);
+    if (abResult && abResult.winner) {
+      abVariant = abResult.winner;
     }
 
-    // Check for timing issues
-    if (
-      lowerText.includes('later') ||
-      lowerText.includes('next month') ||
-      lowerText.includes('not right now')
-    ) {
-      return {
-        category: 'NOT_NOW',
-        confidence: 0.75,
-        reasoning: 'Timing delay indicators',
-        suggested_action: 'schedule_long_term_followup',
-        key_phrases: ['later', 'next month'],
-        urgency_score: 3
-      };
+    const variantInstruction = abVariant === 'A'
+      ? `STYLE: Direct & Short. Be punchy and concise. Lead with a direct question. Maximum 60 words.`
+      : `STYLE: Warm & Detailed. Be friendly and conversational. Lead with value. Maximum 100 words.`;
+
+    // ── AI LEARNING: Inject winning email examples ─────────────────────────
+    // Pull up to 3 emails from this user that previously got positive replies
+    const winningEmails = (db.data.winning_emails || [])
+      .filter(w => w.user_id === userId)
+      .slice(-3); // most recent 3
+
+    let winningContext = '';
+    if (winningEmails.length > 0) {
+      winningContext = `\n\nEMAILS THAT GOT POSITIVE REPLIES FROM YOUR CUSTOMERS (use as style inspiration):
+${winningEmails.map((w, i) => `Example ${i + 1}: "${w.body.substring(0, 200)}${w.body.length > 200 ? '…' : ''}"`).join('\n')}`;
     }
 
-    // Check for objections
-    if (
-      lowerText.includes('expensive') ||
-      lowerText.includes('too much') ||
-      lowerText.includes('not sure')
-    ) {
-      return {
-        category: 'OBJECTION',
-        confidence: 0.7,
-        reasoning: 'Objection phrases detected',
-        suggested_action: 'send_objection_handler',
-        key_phrases: ['expensive'],
-        urgency_score: 6
+    // Check if there is any previous conversation with this lead
+    const sentEmails = (db.data.email_interactions || [])
+      .filter(i => i.lead_id === lead.id && i.direction === 'sent')
+      .sort((a, b) => new Date(b.sent_at || 0) - new Date(a.sent_at || 0));
+    const lastSentEmail = sentEmails[0]?.body || '';
+    const lastCustomerReply = lead.last_reply || '';
+    const hasConversation = !!(lastSentEmail || lastCustomerReply);
+
+    const sharedContext = `Lead: ${lead.first_name} ${lead.last_name}${lead.company ? ' at ' + lead.company : ''}
+Follow-up attempt: #${attemptNumber}
+${sellerContext}${businessTypeContext ? '\n\n' + businessTypeContext : ''}${businessKnowledgeContext ? '\n\n' + businessKnowledgeContext : ''}${customInstructionsContext ? '\n\n' + customInstructionsContext : ''}${winningContext}`;
+
+    const outputRule = `\nIMPORTANT: Output ONLY the email body. Do NOT include a subject line. Start directly with the greeting (e.g. "Hi ${lead.first_name},"). Do NOT use placeholder text like [Your Name] — use the sender info provided above.\n\n${variantInstruction}\n\nEmail:`;
+
+    let promptContent;
+
+    if (hasConversation) {
+      // ── PATH A: Has previous conversation ──────────────────────────────────
+      let history = '';
+      if (lastSentEmail) {
+        history += `\nYOUR LAST EMAIL TO THEM:\n"${lastSentEmail.substring(0, 400)}${lastSentEmail.length > 400 ? '…' : ''}"`;
+      }
+      if (lastCustomerReply) {
+        history += `\nTHEIR LAST REPLY:\n"${lastCustomerReply.substring(0, 300)}${lastCustomerReply.length > 300 ? '…' : ''}"`;
+      }
+
+      const intentInstructions = {
+        INTERESTED: `${lead.first_name} showed interest but hasn't replied since your last email. Write a short warm follow-up that picks up from where the conversation left off and gently nudges them toward the next step.`,
+        NOT_NOW: `${lead.first_name} said "not now" in your previous exchange. Write a brief check-in that acknowledges your last conversation and offers a fresh reason or angle to reconsider.`,
+        OBJECTION: `${lead.first_name} raised a concern in your last exchange. Write a brief follow-up that directly addresses that concern using the product knowledge above.`,
+        GHOSTING: `${lead.first_name} hasn't responded since your last email. Write a short re-engagement that references what was discussed and tries a slightly different angle. No pressure tone.`,
+        DEAD: `Write a gracious final email to ${lead.first_name} referencing your previous conversation. Leave the door open. No hard sell.`
       };
-    }
 
-    // Default to ghosting
-    return {
-      category: 'GHOSTING',
-      confidence: 0.5,
-      reasoning: 'No clear signals detected',
-      suggested_action: 'continue_sequence',
-      key_phrases: [],
-      urgency_score: 4
-    };
-  }
+      promptContent = `${intentInstructions[intent] || intentInstructions.GHOSTING}
 
-  /**
-   * Fallback personalization (simple variable replacement)
-   */
-  fallbackPersonalization(lead, template) {
-    const subject = template.subject || 'Following up';
-    const body = template.body || template;
+${sharedContext}
 
-    return {
-      subject: subject.replace(/\{\{first_name\}\}/g, lead.first_name),
-      body: body
-        .replace(/\{\{first_name\}\}/g, lead.first_name)
-        .replace(/\{\{last_name\}\}/g, lead.last_name)
-        .replace(/\{\{company\}\}/g, lead.company || 'your company')
-        .replace(/\{\{email\}\}/g, lead.email)
-    };
+PREVIOUS CONVERSATION (read carefully — your follow-up must be relevant to this):${history}
+${outputRule}`;
+
+    } else {
+      // ── PATH B: No previous conversation — fresh outreach ─────────────────
+      promptContent = `Write a professional, persuasive outreach email to ${lead.first_name} ${lead.last_name}${lead.company ? ' at ' + lead.company : ''} as a follow-up. There is no previous conversation — treat this as a first meaningful contact.
+
+Base the email entirely on the business knowledge and product information below. Be specific, not generic. Reference real details from the knowledge base to make it feel personal and relevant.
+
+${sharedContext}
+${outputRule}`;
+    }
+
+    const response = await llm.complete('drafting', {
+      maxTokens: 300,
+      prompt: promptContent,
+      stub: () => fallbackFollowUpBody(lead)
+    });
+
+    return { body: response.text, variant: abVariant };
+  } catch (error) {
+    console.error('AI follow-up generation error:', error.message);
   }
+
+  // Fallback
+  return { body: fallbackFollowUpBody(lead), variant: 'A' };
 }
 
-export const aiService = new AIService();
+function fallbackFollowUpBody(lead) {
+  return `Hi ${lead.first_name},\n\nJust wanted to follow up on my previous message. Is this still on your radar?\n\nBest regards`;
+}
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import { db, ids, records } from '../storage/db.js';
+
+/**
+ * API keys — long-lived credentials for integrations (Zapier, a website
+ * backend) where a 7-day login JWT won't do. Send one as
+ * `Authorization: Bearer ztk_...` or `X-API-Key: ztk_...`.
+ *
+ *   personal  — acts as the member who created it, with their current role
+ *   workspace — acts for the workspace as a whole (admin role, no member);
+ *               only admins manage these
+ *
+ * Each key is bound to one workspace and carries scopes. A route needs the
+ * scope for its resource: `<resource>:read` for GET, `<resource>:write`
+ * otherwise (write includes read), with a few actions scoped on their own
+ * (sequences:enroll, emails:send). Account routes — sign-in, workspaces,
+ * billing and the keys themselves — only accept a signed-in user.
+ *
+ * Only a SHA-256 hash of the key is stored; the key is shown once on creation.
+ */
+
+export const KEY_PREFIX = 'ztk_';
+
+export const API_KEY_KINDS = ['personal', 'workspace'];
+
+// Resources a key can be scoped to, by the mount path of their router
+const RESOURCES = {
+  '/api/leads': 'leads',
+  '/api/sequences': 'sequences',
+  '/api/templates': 'templates',
+  '/api/drafts': 'drafts',
+  '/api/appointments': 'appointments',
+  '/api/campaigns': 'campaigns',
+  '/api/analytics': 'analytics',
+  '/api/settings': 'settings',
+  '/api/suppressions': 'suppressions',
+  '/api/jobs': 'jobs',
+  '/api/webhook-endpoints': 'webhooks',
+  '/api/ingest-tokens': 'ingest_tokens',
+  '/api/lead-forms': 'forms',
+  '/api/lead-imports': 'leads',
+  '/api/export-schedules': 'leads'
+};
+
+export const SCOPES = [
+  ...[...new Set(Object.values(RESOURCES))].flatMap(resource => [`${resource}:read`, `${resource}:write`]),
+  'sequences:enroll',
+  'emails:read',
+  'emails:write',
+  'emails:send'
+];
+
+export const DEFAULT_RATE_LIMIT = 120; // requests per minute
+const RATE_LIMIT_RANGE = [1, 6000];
+
+/**
+ * The scope a request needs, from its router mount path and route pattern,
+ * or null when API keys can't use the route at all.
+ */
+export function requiredScope(method, baseUrl, routePath) {
+  const access = method === 'GET' ? 'read' : 'write';
+  if (baseUrl === '/api/sequences' && routePath === '/:id/enroll') return 'sequences:enroll';
+  if (RESOURCES[baseUrl]) return `${RESOURCES[baseUrl]}:${access}`;
+  if (baseUrl === '/api') {
+    if (routePath === '/send-email' || routePath === '/email/upload-attachment') return 'emails:send';
+    if (routePath.startsWith('/emails/')) return `emails:${access}`;
+  }
+  return null;
+}
+
+export function hasScope(key, scope) {
+  const [resource, access] = scope.split(':');
+  return key.scopes.includes(scope) || (access === 'read' && key.scopes.includes(`${resource}:write`));
+}
+
+export const hashKey = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// A usable key for a presented secret, or null (unknown, revoked or expired)
+export async function findApiKey(secret) {
+  const key = await records.findOne('api_keys', { key_hash: hashKey(secret) });
+  if (!key || key.revoked_at) return null;
+  if (key.expires_at && Date.parse(key.expires_at) <= Date.now()) return null;
+  return key;
+}
+
+// Check key options from the API. Returns an error message, or null when valid.
+export function validateApiKeyOptions({ name, scopes, rate_limit_per_minute }, { partial = false } = {}) {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  }
+  if (!partial || scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0) return 'scopes must list at least one scope';
+    const unknown = scopes.find(scope => !SCOPES.includes(scope));
+    if (unknown !== undefined) return `Unknown scope "${unknown}"`;
+  }
+  if (rate_limit_per_minute != null) {
+    const [min, max] = RATE_LIMIT_RANGE;
+    if (!Number.isInteger(rate_limit_per_minute) || rate_limit_per_minute < min || rate_limit_per_minute > max) {
+      return `rate_limit_per_minute must be a whole number from ${min} to ${max}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a key and return { key, secret } — the secret is never stored, so
+ * this is the only time it can be shown. Caller persists db.data.
+ */
+export async function createApiKey({ userId, workspaceId, createdBy, kind, name, scopes, rateLimit, rotatedFrom = null }) {
+  const secret = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const key = {
+    id: await ids.next('api_keys'),
+    user_id: userId,
+    workspace_id: workspaceId,
+    created_by: createdBy,
+    kind,
+    name: name.trim(),
+    scopes: [...new Set(scopes)],
+    rate_limit_per_minute: rateLimit ?? DEFAULT_RATE_LIMIT,
+    key_hash: hashKey(secret),
+    key_hint: secret.slice(-4),
+    rotated_from: rotatedFrom,
+    last_used_at: null,
+    expires_at: null,
+    revoked_at: null,
+    created_at: new Date().toISOString()
+  };
+  db.data.api_keys.push(key);
+  return { key, secret };
+}
+
+// What the settings page shows for a key — never its hash
+export function publicApiKey(key) {
+  return {
+    id: key.id,
+    kind: key.kind,
+    name: key.name,
+    preview: `${KEY_PREFIX}…${key.key_hint}`,
+    scopes: key.scopes,
+    rate_limit_per_minute: key.rate_limit_per_minute,
+    created_by: key.created_by,
+    rotated_from: key.rotated_from,
+    last_used_at: key.last_used_at,
+    expires_at: key.expires_at,
+    revoked_at: key.revoked_at,
+    created_at: key.created_at
+  };
+}
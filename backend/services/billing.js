@@ -0,0 +1,66 @@
+import Stripe from 'stripe';
+
+// ─── Stripe Setup ─────────────────────────────────────────────────────────────
+export const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_placeholder');
+
+// Plan limits — keyed by plan name
+export const PLANS = {
+  trial: {
+    name: 'Free Trial',
+    active_leads_limit: 300,
+    ai_generations_limit: 50,
+    sequences_limit: 3,
+    seats_limit: 3
+  },
+  starter: {
+    name: 'Starter',
+    price_monthly: 2900,  // cents
+    price_annual: 27900,  // cents
+    active_leads_limit: 300,
+    ai_generations_limit: 600,
+    sequences_limit: 3,
+    seats_limit: 3
+  },
+  growth: {
+    name: 'Growth',
+    price_monthly: 7900,
+    price_annual: 75900,
+    active_leads_limit: null,  // unlimited
+    ai_generations_limit: 3000,
+    sequences_limit: null,  // unlimited
+    seats_limit: null  // unlimited
+  }
+};
+
+// ─── Plan Helpers ─────────────────────────────────────────────────────────────
+
+// Get the effective plan for a user (handles expired trials)
+export function getUserPlan(user) {
+  if (!user) return { plan: 'trial', status: 'expired', limits: PLANS.trial };
+  const plan = user.plan || 'trial';
+  let status = user.plan_status || 'trialing';
+  if (plan === 'trial' && user.trial_ends_at && new Date() > new Date(user.trial_ends_at)) {
+    status = 'expired';
+  }
+  return { plan, status, limits: PLANS[plan] || PLANS.trial };
+}
+
+// Check if user is on active plan (trial not expired, or paid subscription active)
+export function isPlanActive(user) {
+  const { plan, status } = getUserPlan(user);
+  if (status === 'expired') return false;
+  if (plan === 'trial' && status === 'trialing') return true;
+  return status === 'active';
+}
+
+// Reset monthly AI generation counter if a new month started
+export async function resetMonthlyCounterIfNeeded(user) {
+  const now = new Date();
+  const resetAt = user.ai_generations_reset_at ? new Date(user.ai_generations_reset_at) : new Date(0);
+  if (now.getMonth() !== resetAt.getMonth() || now.getFullYear() !== resetAt.getFullYear()) {
+    user.ai_generations_this_month = 0;
+    user.ai_generations_reset_at = now.toISOString();
+    return true;
+  }
+  return false;
+}
@@ -0,0 +1,232 @@
+import { db, ids } from '../storage/db.js';
+import { extractAddress } from './inbound.js';
+
+/**
+ * Bounce (delivery failure) detection.
+ *
+ * Proper DSNs are RFC 3464 multipart/report messages with a
+ * message/delivery-status part. The Gmail transport and the inbound webhook
+ * pass that part as message.delivery_status; mailparser (IMAP, Cloudflare)
+ * inlines it into the text body, so for notices from the mail system we also
+ * look for delivery-status fields in the body, and failing that read status
+ * codes and addresses from the human-readable text.
+ *
+ * Bounce types:
+ *   hard         — permanent failure (5.x.x): unknown user, bad domain, rejected
+ *   soft         — temporary failure (4.x.x) the server has given up on
+ *   mailbox_full — recipient over quota (x.2.2), treated like a soft bounce
+ *
+ * "Delayed" notices (Action: delayed) aren't bounces: the server is still
+ * retrying, and may send several of them before delivering or failing.
+ */
+
+// Soft bounces (incl. mailbox full) before a lead is treated as hard-bounced,
+// counting one per email we sent
+const SOFT_BOUNCE_LIMIT = 3;
+
+const BOUNCE_SENDER = /mailer-daemon|postmaster|mail delivery (subsystem|system)/i;
+const BOUNCE_SUBJECT = /undeliver|delivery status notification|delivery (has )?fail|returned mail|failure notice|mail delivery failed|could not be delivered|non-?delivery/i;
+const MAILBOX_FULL = /mailbox (is )?full|over (the )?quota|quota exceeded|insufficient (system )?storage|exceeded (the )?storage/i;
+const STATUS_CODE = /\b([245])\.(\d{1,3})\.(\d{1,3})\b/;
+
+// Parse the message/delivery-status body: per-message fields, then one block per recipient
+export function parseDeliveryStatus(text) {
+  const blocks = (text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]+/g, ' ') // unfold continuation lines
+    .split(/\n\s*\n/)
+    .map(block => {
+      const fields = {};
+      for (const line of block.split('\n')) {
+        const match = line.match(/^([\w-]+):\s*(.*)$/);
+        if (match) fields[match[1].toLowerCase()] = match[2].trim();
+      }
+      return fields;
+    })
+    .filter(fields => Object.keys(fields).length > 0);
+
+  return blocks
+    .filter(fields => fields['final-recipient'] || fields['original-recipient'])
+    .map(fields => ({
+      email: extractAddress((fields['final-recipient'] || fields['original-recipient']).replace(/^[\w-]+;\s*/, '')),
+      action: (fields.action || '').toLowerCase(),
+      status: fields.status?.match(STATUS_CODE)?.[0] || null,
+      diagnostic: fields['diagnostic-code']?.replace(/^[\w-]+;\s*/, '') || null
+    }));
+}
+
+// hard / soft / mailbox_full, or null for delivered/relayed/delayed notices
+export function classifyBounce({ action, status, diagnostic }) {
+  if (action && action !== 'failed') return null;
+  const [cls, subject, detail] = (status || '').split('.');
+  if ((subject === '2' && detail === '2') || MAILBOX_FULL.test(diagnostic || '')) return 'mailbox_full';
+  if (cls === '5') return 'hard';
+  if (cls === '4') return 'soft';
+  // No status code — a failed action with a 5xx SMTP reply is permanent
+  if (/\b5\d\d\b/.test(diagnostic || '')) return 'hard';
+  if (/\b4\d\d\b/.test(diagnostic || '')) return 'soft';
+  return action === 'failed' ? 'hard' : null;
+}
+
+/**
+ * Work out whether a normalized inbound message is a bounce.
+ * Returns { recipients: [{ email, type, status, diagnostic }] } or null.
+ * Recipients without an address (heuristic path) come back with email: null —
+ * recordBounce matches those through In-Reply-To.
+ */
+export function detectBounce(message) {
+  if (message.delivery_status) {
+    const recipients = parseDeliveryStatus(message.delivery_status)
+      .map(r => ({ ...r, type: classifyBounce(r) }))
+      .filter(r => r.type);
+    return recipients.length > 0 ? { recipients } : null;
+  }
+
+  // A lead writing "undeliverable" in a subject is not a bounce — require a system sender
+  const from = message.from || '';
+  const systemAddress = /^(mailer|postmaster|no-?reply|bounce)/i.test(extractAddress(from));
+  if (!BOUNCE_SENDER.test(from) && !(systemAddress && BOUNCE_SUBJECT.test(message.subject || ''))) return null;
+
+  const body = message.text || '';
+  const status = body.match(STATUS_CODE)?.[0] || null;
+  const diagnostic = body.match(/\b[45]\d\d[ -][^\n]{0,200}/)?.[0]?.trim() || null;
+  const delayed = /delay|will (continue to )?retry|retry for/i.test(`${message.subject || ''} ${body}`);
+  const type = classifyBounce({ action: delayed ? 'delayed' : 'failed', status, diagnostic: diagnostic || body });
+
+  // Delivery-status fields inlined in the body (Final-Recipient / Action / Status)
+  const reported = parseDeliveryStatus(body);
+  if (reported.length > 0) {
+    const recipients = reported
+      .map(r => ({ ...r, type: r.action || r.status ? classifyBounce(r) : type }))
+      .filter(r => r.type);
+    return recipients.length > 0 ? { recipients } : null;
+  }
+
+  // Plain-text notice — take the addresses it mentions ("wasn't delivered to x@y")
+  if (!type) return null;
+  const addresses = [...new Set((body.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g) || []).map(a => a.toLowerCase()))];
+  return {
+    recipients: addresses.length > 0
+      ? addresses.map(email => ({ email, type, status, diagnostic }))
+      : [{ email: null, type, status, diagnostic }]
+  };
+}
+
+// Message-ID of the email that bounced: In-Reply-To, else the returned headers quoted in the notice
+export function originalMessageId(message) {
+  if (message.in_reply_to) return message.in_reply_to;
+  const quoted = (message.text || '').match(/^Message-ID:\s*(<[^>\s]+>)/im)?.[1];
+  return quoted && quoted !== message.message_id ? quoted : null;
+}
+
+// No recipient address in the notice — follow the original Message-ID back to the email we sent
+function findLeadByOriginalMessage(userLeads, originalId) {
+  if (!originalId) return null;
+  const sent = (db.data.email_interactions || []).find(e => e.direction === 'sent' && e.message_id === originalId);
+  return sent ? userLeads.find(l => l.id === sent.lead_id) || null : null;
+}
+
+// Campaign a lead's emails belong to: the one its tracked source names, else the campaign running its sequence
+export function findLeadCampaign(lead) {
+  return pickLeadCampaign(
+    lead,
+    (db.data.campaigns || []).filter(c => c.user_id === lead.user_id),
+    (db.data.lead_sources || []).filter(s => s.lead_id === lead.id)
+  );
+}
+
+// The same, from the account's campaigns and the lead's source records
+export function pickLeadCampaign(lead, campaigns, sources) {
+  const sourceCampaignId = sources
+    .filter(s => s.campaign_id)
+    .map(s => parseInt(s.campaign_id))
+    .pop();
+  return campaigns.find(c => c.id === sourceCampaignId) ||
+    (lead.enrolled_sequence_id && campaigns.find(c => c.sequence_id === lead.enrolled_sequence_id)) ||
+    null;
+}
+
+/**
+ * Apply a detected bounce to the user's leads. Hard bounces (or repeated soft
+ * bounces) set status 'bounced', which stops sequences and follow-ups.
+ * `mailboxId` is the mailbox the notice came back to — the one that sent the
+ * email. Expects db.data to be fresh; writes when anything changed.
+ */
+export async function recordBounce(bounce, message, { userId, source, mailboxId = null }) {
+  // Same DSN seen twice (poll + push) — already counted
+  if (message.message_id && (db.data.email_events || []).some(e =>
+    e.event_type === 'bounce' && e.message_id === message.message_id && e.user_id === userId
+  )) {
+    return { skipped: 'duplicate' };
+  }
+
+  const userLeads = db.data.leads.filter(l => l.user_id === userId && l.email);
+  const originalId = originalMessageId(message);
+  const results = [];
+
+  for (const recipient of bounce.recipients) {
+    const lead = recipient.email
+      ? userLeads.find(l => l.email.toLowerCase().trim() === recipient.email)
+      : findLeadByOriginalMessage(userLeads, originalId);
+    if (!lead) continue;
+
+    const now = new Date().toISOString();
+    lead.last_bounce_type = recipient.type;
+    lead.last_bounce_reason = recipient.diagnostic || recipient.status || null;
+    lead.last_bounce_at = now;
+
+    // Servers can report the same failed email more than once — count it once
+    const repeat = originalId && (db.data.email_events || []).some(e =>
+      e.event_type === 'bounce' && e.lead_id === lead.id && e.original_message_id === originalId
+    );
+    if (recipient.type !== 'hard' && !repeat) {
+      lead.soft_bounce_count = (lead.soft_bounce_count || 0) + 1;
+    }
+
+    const suppress = recipient.type === 'hard' || lead.soft_bounce_count >= SOFT_BOUNCE_LIMIT;
+    if (suppress && lead.status !== 'bounced') {
+      lead.status = 'bounced';
+      lead.bounced_at = now;
+      if (lead.enrolled_sequence_id && lead.sequence_completed === false) {
+        lead.sequence_paused = true;
+      }
+      console.log(`🚫 Lead ${lead.id} (${lead.email}) marked bounced — ${recipient.type}${recipient.status ? ` ${recipient.status}` : ''}`);
+    } else {
+      console.log(`⚠️ ${recipient.type} bounce for lead ${lead.id} (${lead.email})`);
+    }
+    lead.updated_at = now;
+
+    const campaign = findLeadCampaign(lead);
+    if (campaign && !repeat) {
+      campaign.stats = campaign.stats || {};
+      campaign.stats.bounces = (campaign.stats.bounces || 0) + 1;
+    }
+
+    if (!db.data.email_events) db.data.email_events = [];
+    db.data.email_events.push({
+      id: await ids.next('email_events'),
+      user_id: userId,
+      lead_id: lead.id,
+      campaign_id: campaign?.id || null,
+      mailbox_id: mailboxId,
+      event_type: 'bounce',
+      bounce_type: recipient.type,
+      status_code: recipient.status,
+      diagnostic: recipient.diagnostic,
+      message_id: message.message_id || null,
+      original_message_id: originalId,
+      source,
+      timestamp: now
+    });
+
+    results.push({ lead_id: lead.id, email: lead.email, type: recipient.type, suppressed: lead.status === 'bounced' });
+  }
+
+  if (results.length === 0) {
+    console.log(`   ⏭️  Bounce notice doesn't match any lead — ignoring`);
+    return { skipped: 'bounce' };
+  }
+
+  await db.write();
+  return { skipped: 'bounce', bounces: results };
+}
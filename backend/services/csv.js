@@ -0,0 +1,48 @@
+// Minimal CSV reading/writing for list imports and exports (RFC 4180 quoting)
+
+// Split CSV text into rows of fields (handles quoted fields with commas/newlines).
+// `delimiter` is for exports that use ";" or tabs instead of commas.
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+// Spreadsheet apps run a cell that starts with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+// Numbers and phone numbers such as -12.5 or +1 (555) 010-9999 are safe and kept as they are
+const NUMBER_LIKE = /^[+-]?[\d\s().-]+$/;
+
+// A text cell a spreadsheet will show as text: formula-like values get a leading '
+export const neutralizeFormula = (value) =>
+  typeof value === 'string' && FORMULA_START.test(value) && !NUMBER_LIKE.test(value) ? `'${value}` : value;
+
+export function toCsv(rows) {
+  const escape = (value) => {
+    const text = value == null ? '' : String(neutralizeFormula(value));
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
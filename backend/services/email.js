@@ -1,180 +1,261 @@
-import { db } from '../config/database.js';
-import { aiService } from './ai.js';
-
-export class EmailService {
-  /**
-   * Send personalized follow-up email
-   * NOTE: This service currently logs emails but doesn't send them.
-   * For production: Configure email settings in the app and use the sendEmail function in server.js
-   * which supports real SMTP sending via nodemailer.
-   */
-  async sendFollowUpEmail(lead, emailContent, metadata = {}) {
-    try {
-      console.log(`📧 Email would be sent to ${lead.email}:`);
-      console.log(`   Subject: ${emailContent.subject}`);
-      console.log(`   Preview: ${emailContent.body.substring(0, 100)}...`);
-
-      // Log attachments if present
-      if (metadata.attachments && metadata.attachments.length > 0) {
-        console.log(`   📎 Attachments: ${metadata.attachments.length} file(s)`);
-        metadata.attachments.forEach(att => {
-          console.log(`      - ${att.filename} (${(att.size / 1024).toFixed(1)} KB)`);
-        });
-      }
+import { google } from 'googleapis';
+import { db } from '../storage/db.js';
+import { makeOAuth2Client } from './gmail.js';
+import { sendViaSmtp } from './smtp.js';
+import { sendViaOutlook } from './outlook.js';
+import { findSuppression, unsubscribeParts, SuppressedRecipientError } from './suppression.js';
+import { applyTracking } from './tracking.js';
+
+// Whether this mailbox can send: Gmail or Outlook OAuth tokens, or an SMTP server
+export function canSendEmail(settings) {
+  if (!settings) return false;
+  if (settings.provider === 'smtp') return !!settings.smtp?.host;
+  return ['gmail', 'outlook'].includes(settings.provider) && !!settings.access_token;
+}
+
+// Message-ID for a new email plus In-Reply-To/References pointing at the last
+// email we sent this lead (see the threading notes on sendEmail below)
+function buildThreadingHeaders(settings, leadId) {
+  const messageId = `<${Date.now()}-${Math.random().toString(36).substring(2, 9)}@${settings.email.split('@')[1]}>`;
+  let inReplyTo = null;
+  let references = null;
+
+  if (leadId) {
+    const previousEmails = db.data.email_interactions?.filter(
+      e => e.lead_id === leadId && e.direction === 'sent' && e.message_id
+    ) || [];
 
-      console.log(`   ⚠️  To actually send emails, configure SMTP settings in the app.`);
-
-      // Log sent email
-      const interaction = await db.createEmailInteraction({
-        lead_id: lead.id,
-        sequence_id: metadata.sequence_id,
-        step_number: metadata.step_number,
-        direction: 'sent',
-        subject: emailContent.subject,
-        body: emailContent.body,
-        attachments: metadata.attachments || [],
-        sent_at: new Date().toISOString()
-      });
-
-      return {
-        success: true,
-        interaction_id: interaction.id,
-        message: 'Email logged (configure SMTP in app settings to send real emails)'
-      };
-    } catch (error) {
-      console.error('Email Send Error:', error);
-      throw error;
+    // Get the most recent previous email
+    if (previousEmails.length > 0) {
+      const lastEmail = previousEmails[previousEmails.length - 1];
+      inReplyTo = lastEmail.message_id;
+      // Build references chain (all previous message IDs)
+      references = previousEmails.map(e => e.message_id).join(' ');
+
+      console.log(`🔗 Threading: This email is replying to ${lastEmail.message_id}`);
     }
   }
 
-  /**
-   * Process inbound email reply
-   */
-  async processInboundEmail(inboundData) {
-    try {
-      const { from, subject, body } = inboundData;
-
-      // Find the lead
-      const lead = await db.findLeadByEmail(from);
-      if (!lead) {
-        console.log('Reply from unknown email:', from);
-        return { success: false, error: 'Lead not found' };
-      }
+  return { messageId, inReplyTo, references };
+}
 
-      // Clean email body
-      const cleanBody = this.cleanEmailBody(body);
-
-      // Run AI intent detection (subject + body both analyzed)
-      const intent = await aiService.detectIntent(cleanBody, subject);
-
-      // Log the reply
-      await db.createEmailInteraction({
-        lead_id: lead.id,
-        direction: 'received',
-        subject: subject,
-        body: cleanBody,
-        ai_intent_detected: intent.category,
-        ai_confidence: intent.confidence,
-        replied_at: new Date().toISOString()
-      });
-
-      // Update lead status
-      await db.updateLead(lead.id, {
-        status: 'replied',
-        ai_intent: intent.category,
-        last_interaction: new Date().toISOString()
-      });
-
-      // Execute next action based on intent
-      await this.executeNextAction(lead, intent);
-
-      return {
-        success: true,
-        intent: intent.category,
-        lead_id: lead.id
-      };
-    } catch (error) {
-      console.error('Inbound Email Processing Error:', error);
-      throw error;
-    }
+/**
+ * Send Email via Gmail OAuth, Outlook (Microsoft Graph) or SMTP, with Email Threading Support
+ *
+ * EMAIL THREADING FEATURE:
+ * When you send multiple follow-up emails to the same customer, they now appear
+ * in the SAME email thread instead of separate conversations.
+ *
+ * HOW IT WORKS:
+ * 1. First email sent → Generated with unique Message-ID: <timestamp-random@domain.com>
+ *    This Message-ID is stored in the email_interactions table
+ *
+ * 2. Second email sent → Looks up the first email's Message-ID from database
+ *    Then adds threading headers:
+ *    - In-Reply-To: <first-email-message-id>
+ *    - References: <first-email-message-id> <second-email-message-id>
+ *    This tells Gmail/Outlook to group them in the same thread
+ *
+ * 3. RESULT: Customer sees:
+ *    Email 1: "Your question about..."
+ *    └─ Email 2 (threaded): "Re: Your question about..." (appears as follow-up)
+ *
+ * REQUIREMENTS:
+ * - Pass options.lead_id to enable threading lookups
+ * - Email interactions must store the message_id field
+ *
+ * UNSUBSCRIBE: every send is checked against the user's suppression list first.
+ * Pass options.unsubscribe for marketing email (sequence steps, bulk sends) to add
+ * an unsubscribe footer and List-Unsubscribe / List-Unsubscribe-Post headers.
+ *
+ * TRACKING: pass options.tracking = { opens, clicks } (see resolveTracking) together
+ * with options.lead_id to add an open pixel and/or signed click redirects. The
+ * result then carries tracking_id, which the caller stores on the
+ * email_interactions record for this message.
+ *
+ * SMTP mailboxes also get a copy appended to their IMAP Sent folder, so the
+ * conversation shows up threaded in the user's own mail client. Outlook mailboxes
+ * send the same MIME message through Graph, which files it in Sent Items.
+ */
+export async function sendEmail(settings, to, subject, body, senderName = null, options = {}) {
+  // Never email an unsubscribed address or a suppressed domain
+  const suppression = settings?.user_id ? findSuppression(settings.user_id, to) : null;
+  if (suppression) {
+    console.log(`🚫 Not sending to ${to} — on suppression list (${suppression.type}: ${suppression.value})`);
+    throw new SuppressedRecipientError(to, suppression);
+  }
+
+  // Marketing sends (sequences, bulk send) get an unsubscribe link and one-click headers
+  const unsubscribe = options.unsubscribe && settings?.user_id ? unsubscribeParts(settings.user_id, to) : null;
+  // Tracking goes in before the footer so the unsubscribe link is never rewritten
+  const tracked = applyTracking(options.html || body.replace(/\n/g, '<br>'), options.tracking || {}, options.lead_id);
+  const htmlContent = tracked.html + (unsubscribe ? unsubscribe.footer : '');
+  const extraHeaders = unsubscribe ? unsubscribe.headers : {};
+
+  if (settings?.provider === 'smtp' || settings?.provider === 'outlook') {
+    const displayName = senderName || settings.from_name || settings.email.split('@')[0];
+    const { messageId, inReplyTo, references } = buildThreadingHeaders(settings, options.lead_id);
+    const send = settings.provider === 'smtp' ? sendViaSmtp : sendViaOutlook;
+    const result = await send(settings, {
+      from: { name: displayName, address: settings.email },
+      to,
+      subject,
+      html: htmlContent,
+      messageId,
+      inReplyTo,
+      references: references ? `${references} ${messageId}` : null,
+      headers: extraHeaders,
+      attachments: options.attachments || []
+    });
+    return { ...result, threading_message_id: messageId, tracking_id: tracked.tracking_id };
+  }
+
+  if (!settings || settings.provider !== 'gmail') {
+    throw new Error('❌ No email account connected. Please connect Gmail, Outlook or an SMTP mailbox in Settings.');
+  }
+
+  if (!settings.access_token || !settings.refresh_token) {
+    throw new Error('❌ Gmail tokens missing. Please reconnect Gmail in Settings.');
+  }
+
+  // Check if token was marked as invalid by background refresh job
+  if (settings.token_invalid) {
+    throw new Error('Gmail authentication expired. Please DISCONNECT and RECONNECT Gmail in Settings.');
   }
 
-  /**
-   * Execute next action based on AI intent
-   */
-  async executeNextAction(lead, intent) {
-    console.log(`🤖 AI detected ${intent.category} intent for ${lead.email}`);
-    console.log(`   Suggested action: ${intent.suggested_action}`);
-
-    const actions = {
-      INTERESTED: async () => {
-        // Pause sequence & notify user
-        await db.updateLead(lead.id, { 
-          status: 'interested',
-          sequence_paused: true 
-        });
-        console.log(`🔥 HOT LEAD: ${lead.first_name} is interested!`);
-      },
-
-      NOT_NOW: async () => {
-        // Schedule long-term nurture (45 days)
-        await db.updateLead(lead.id, { 
-          status: 'not_now',
-          next_followup: new Date(Date.now() + 45 * 24 * 60 * 60 * 1000)
-        });
-        console.log(`⏰ Scheduled ${lead.first_name} for follow-up in 45 days`);
-      },
-
-      OBJECTION: async () => {
-        // Mark for objection handling
-        await db.updateLead(lead.id, { 
-          status: 'objection',
-          objection_subtype: intent.key_phrases ? intent.key_phrases.join(', ') : ''
-        });
-        console.log(`❓ ${lead.first_name} has objections: ${intent.key_phrases.join(', ')}`);
-      },
-
-      GHOSTING: async () => {
-        // Continue sequence
-        console.log(`👻 ${lead.first_name} gave vague response - continuing sequence`);
-      },
-
-      DEAD: async () => {
-        // Stop all sequences
-        await db.updateLead(lead.id, { 
-          status: 'dead',
-          sequence_paused: true 
-        });
-        console.log(`❌ ${lead.first_name} opted out`);
+  try {
+    // Create a fresh OAuth2 client for this user (avoids race conditions with the global singleton)
+    const authClient = makeOAuth2Client({
+      access_token: settings.access_token,
+      refresh_token: settings.refresh_token,
+      expiry_date: settings.token_expiry
+    });
+
+    // Check if token is expired and refresh if needed
+    if (settings.token_expiry && settings.token_expiry < Date.now()) {
+      console.log('🔄 Refreshing expired Gmail access token...');
+      const { credentials } = await authClient.refreshAccessToken();
+      authClient.setCredentials(credentials);
+
+      // Update stored tokens in database
+      await db.read();
+      const dbSettings = db.data.email_settings.find(s => s.id === settings.id);
+      if (dbSettings) {
+        dbSettings.access_token = credentials.access_token;
+        dbSettings.token_expiry = credentials.expiry_date;
+        if (credentials.refresh_token) dbSettings.refresh_token = credentials.refresh_token;
+        await db.write();
+        console.log('✅ Refreshed tokens saved to database');
       }
-    };
 
-    const action = actions[intent.category];
-    if (action) {
-      await action();
+      // Update local settings object too
+      settings.access_token = credentials.access_token;
+      settings.token_expiry = credentials.expiry_date;
+      if (credentials.refresh_token) settings.refresh_token = credentials.refresh_token;
     }
-  }
 
-  /**
-   * Clean email body (remove signatures, quoted text)
-   */
-  cleanEmailBody(rawBody) {
-    let clean = rawBody;
+    // Use Gmail API directly (more reliable than nodemailer OAuth2)
+    const gmail = google.gmail({ version: 'v1', auth: authClient });
+
+    // Build email content
+    const displayName = senderName || settings.email.split('@')[0];
+    const attachments = options.attachments || [];
+    const headerLines = Object.entries(extraHeaders).map(([name, value]) => `${name}: ${value}`);
 
-    // Remove common signature patterns
-    clean = clean.split(/(?:--|Sent from|Get Outlook|On.*wrote:)/i)[0];
+    // EMAIL THREADING: unique Message-ID + headers pointing at our previous email
+    const { messageId, inReplyTo, references } = buildThreadingHeaders(settings, options.lead_id);
 
-    // Remove quoted text
-    clean = clean
-      .split('\n')
-      .filter(line => !line.trim().startsWith('>') && !line.trim().startsWith('|'))
-      .join('\n');
+    // Create MIME email message with threading headers
+    const utf8Subject = `=?utf-8?B?${Buffer.from(subject).toString('base64')}?=`;
+
+    let message;
+    if (attachments.length > 0) {
+      // Multipart MIME for attachments
+      const boundary = `boundary_${Date.now()}_${Math.random().toString(36).substring(2)}`;
+      const parts = [
+        `From: ${displayName} <${settings.email}>`,
+        `To: ${to}`,
+        `Subject: ${utf8Subject}`,
+        `Message-ID: ${messageId}`,
+        inReplyTo ? `In-Reply-To: ${inReplyTo}` : null,
+        references ? `References: ${references} ${messageId}` : null,
+        ...headerLines,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/mixed; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from(htmlContent).toString('base64')
+      ].filter(v => v !== null); // Remove null threading headers but keep empty string MIME separator
+
+      for (const att of attachments) {
+        if (!att.content) continue;
+        parts.push(`--${boundary}`);
+        parts.push(`Content-Type: ${att.content_type || 'application/octet-stream'}; name="${att.filename}"`);
+        parts.push(`Content-Disposition: attachment; filename="${att.filename}"`);
+        parts.push('Content-Transfer-Encoding: base64');
+        parts.push('');
+        // att.content is already base64
+        parts.push(att.content);
+      }
+      parts.push(`--${boundary}--`);
+      message = parts.join('\r\n');
+    } else {
+      // Simple text/html message (base64 encoded body to prevent MIME corruption)
+      const messageParts = [
+        `From: ${displayName} <${settings.email}>`,
+        `To: ${to}`,
+        `Subject: ${utf8Subject}`,
+        `Message-ID: ${messageId}`,
+        inReplyTo ? `In-Reply-To: ${inReplyTo}` : null,
+        references ? `References: ${references} ${messageId}` : null,
+        ...headerLines,
+        'MIME-Version: 1.0',
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from(htmlContent).toString('base64')
+      ].filter(v => v !== null); // Remove null threading headers but keep empty string MIME separator
+      message = messageParts.join('\r\n');
+    }
 
-    // Remove excessive whitespace
-    clean = clean.replace(/\n{3,}/g, '\n\n').trim();
+    // Encode message in base64url format
+    const encodedMessage = Buffer.from(message)
+      .toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
 
-    return clean;
+    // Send via Gmail API
+    const result = await gmail.users.messages.send({
+      userId: 'me',
+      requestBody: {
+        raw: encodedMessage
+      }
+    });
+
+    console.log(`✅ Email sent via Gmail API to ${to} (messageId: ${messageId})`);
+
+    // Return both the Gmail API result and our threading Message-ID for storage
+    return {
+      ...result.data,
+      threading_message_id: messageId,
+      tracking_id: tracked.tracking_id
+    };
+  } catch (error) {
+    console.error('❌ Failed to send email via Gmail:', error.message);
+
+    // Check if it's an authentication error
+    if (error.message.includes('invalid_grant') ||
+        error.message.includes('Token') ||
+        error.message.includes('credentials') ||
+        error.code === 401 ||
+        error.response?.data?.error === 'invalid_grant') {
+      throw new Error('Gmail authentication expired. Please DISCONNECT and RECONNECT Gmail in Settings.');
+    }
+
+    throw new Error(`Gmail send failed: ${error.message}`);
   }
 }
-
-export const emailService = new EmailService();
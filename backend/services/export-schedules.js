@@ -0,0 +1,216 @@
+import { db } from '../storage/db.js';
+import { sendEmail } from './email.js';
+import { defaultMailbox } from './mailboxes.js';
+import { getMembership } from './workspaces.js';
+import { bookSendSlot } from './throttle.js';
+import { leadFilterError, pickLeadFilters } from './lead-filters.js';
+import {
+  EXPORT_FORMATS, parseExportColumns, exportColumnsError, exportContext, leadsToExport, exportBuffer,
+  exportFileName, exportContentType
+} from './lead-export.js';
+import { queue } from './queue.js';
+
+/**
+ * Scheduled lead exports — a saved export (format, columns and list filters)
+ * emailed to workspace members daily, weekly or monthly, from the account's
+ * default mailbox.
+ *
+ * Times are UTC: `hour` of the day, on `weekday` (0 = Sunday) for weekly
+ * exports and on the 1st for monthly ones. A cron tick queues a
+ * `lead_export_email` job for each schedule that is due and moves its
+ * next_run_at on; the job builds the file and sends it. Use the
+ * created_within_days filter for "leads from the last week" style exports.
+ *
+ * Each recipient gets their own email, through the mailbox's send throttle.
+ * Who a run has reached is kept on the schedule (current_run), so a retry
+ * after a failed send only emails the rest.
+ */
+
+export const EXPORT_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024; // most providers stop at 25MB, encoded
+
+const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// The first run time after `from`
+export function nextRunAt({ frequency, hour = 8, weekday = 1 }, from = new Date()) {
+  const next = new Date(from);
+  next.setUTCHours(hour, 0, 0, 0);
+  if (frequency === 'monthly') next.setUTCDate(1);
+  while (next <= from || (frequency === 'weekly' && next.getUTCDay() !== weekday)) {
+    if (frequency === 'monthly') next.setUTCMonth(next.getUTCMonth() + 1);
+    else next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+}
+
+// Check schedule settings from the API. Returns an error message, or null when valid.
+export function validateExportSchedule(body, { workspaceId, partial = false } = {}) {
+  const { name, format, columns, filters, frequency, hour, weekday, recipients, enabled } = body;
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  }
+  if (format !== undefined && !EXPORT_FORMATS.includes(format)) return `format must be one of ${EXPORT_FORMATS.join(', ')}`;
+  if (columns !== undefined) {
+    if (!Array.isArray(columns) && typeof columns !== 'string') return 'columns must be a list of column names';
+    const error = exportColumnsError(parseExportColumns(columns));
+    if (error) return error;
+  }
+  if (filters !== undefined) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) return 'filters must be an object, e.g. { "status": "new" }';
+    const error = leadFilterError(pickLeadFilters(filters));
+    if (error) return error;
+  }
+  if (!partial || frequency !== undefined) {
+    if (!EXPORT_FREQUENCIES.includes(frequency)) return `frequency must be one of ${EXPORT_FREQUENCIES.join(', ')}`;
+  }
+  if (hour !== undefined && !isWholeNumber(hour, 0, 23)) return 'hour must be 0-23 (UTC)';
+  if (weekday !== undefined && !isWholeNumber(weekday, 0, 6)) return 'weekday must be 0-6 (0 = Sunday)';
+  if (recipients !== undefined) {
+    if (!Array.isArray(recipients) || recipients.length === 0) return 'recipients must list at least one workspace member';
+    const stranger = recipients.find(userId => !getMembership(workspaceId, Number(userId)));
+    if (stranger !== undefined) return `User ${stranger} is not a member of this workspace`;
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') return 'enabled must be true or false';
+  return null;
+}
+
+// The settings in a request body, normalized. Assumes validateExportSchedule() passed.
+export function scheduleSettings(body) {
+  const settings = {};
+  if (body.name !== undefined) settings.name = body.name.trim();
+  if (body.format !== undefined) settings.format = body.format;
+  if (body.columns !== undefined) settings.columns = parseExportColumns(body.columns);
+  if (body.filters !== undefined) settings.filters = pickLeadFilters(body.filters);
+  for (const field of ['frequency', 'hour', 'weekday', 'enabled']) {
+    if (body[field] !== undefined) settings[field] = body[field];
+  }
+  if (body.recipients !== undefined) settings.recipients = [...new Set(body.recipients.map(Number))];
+  return settings;
+}
+
+/**
+ * Queue a `lead_export_email` job for every schedule that is due, and move
+ * each one's next_run_at on. Runs from a cron tick in the scheduler.
+ */
+export async function scheduleLeadExports(now = new Date()) {
+  try {
+    await db.read();
+    const due = (db.data.export_schedules || []).filter(s => s.enabled && Date.parse(s.next_run_at) <= now.getTime());
+    if (due.length === 0) return;
+
+    const jobs = due.map(schedule => ({
+      type: 'lead_export_email',
+      payload: { user_id: schedule.user_id, schedule_id: schedule.id },
+      key: `lead-export:${schedule.id}:${schedule.next_run_at}`
+    }));
+    for (const schedule of due) schedule.next_run_at = nextRunAt(schedule, now).toISOString();
+    await db.write();
+    await queue.enqueueMany(jobs);
+    console.log(`📤 Queued ${due.length} scheduled lead export(s)`);
+  } catch (error) {
+    console.error('❌ [Exports] Schedule error:', error.message);
+  }
+}
+
+function recordRun(scheduleId, result) {
+  const schedule = db.data.export_schedules.find(s => s.id === scheduleId);
+  if (schedule) Object.assign(schedule, { last_run_at: new Date().toISOString(), ...result });
+}
+
+/**
+ * Build a schedule's export and email it to its recipients — runs as a
+ * `lead_export_email` job (also for "send now"). Throws to retry when sending fails.
+ * When the mailbox is at its limit, the rest of the run is queued for the
+ * booked slot (`run_id` and `slot_booked` in the payload).
+ */
+export async function sendScheduledExport({ schedule_id, run_id, slot_booked = false }, job) {
+  await db.read();
+  const schedule = db.data.export_schedules.find(s => s.id === schedule_id);
+  if (!schedule) return;
+  const runId = run_id || String(job.id);
+
+  const mailbox = defaultMailbox(schedule.user_id);
+  const recipients = schedule.recipients
+    .filter(userId => getMembership(schedule.workspace_id, userId))
+    .map(userId => db.data.users.find(u => u.id === userId)?.email)
+    .filter(Boolean);
+  const problem = !mailbox ? 'No mailbox connected to send from'
+    : recipients.length === 0 ? 'None of the recipients are in the workspace any more'
+      : null;
+  if (problem) {
+    recordRun(schedule.id, { last_status: 'failed', last_error: problem });
+    await db.write();
+    console.log(`⚠️  Lead export ${schedule.id} not sent: ${problem}`);
+    return;
+  }
+
+  const leads = leadsToExport(schedule.user_id, schedule.filters, { memberId: schedule.created_by });
+  const file = await exportBuffer(schedule.format, leads, schedule.columns, exportContext(schedule.user_id));
+  if (file.length > MAX_ATTACHMENT_BYTES) {
+    recordRun(schedule.id, { last_status: 'failed', last_error: 'The export is too big to email — narrow its filters or columns', last_row_count: leads.length });
+    await db.write();
+    return;
+  }
+
+  if (schedule.current_run?.id !== runId) {
+    schedule.current_run = { id: runId, sent_to: [] };
+    await db.write();
+  }
+  const liveSchedule = () => db.data.export_schedules.find(s => s.id === schedule_id); // sending may re-read the db
+  const unsent = recipients.filter(to => !schedule.current_run.sent_to.includes(to));
+
+  const fileName = exportFileName(schedule.format);
+  const body = `Your "${schedule.name}" lead export is attached: ${leads.length} lead${leads.length === 1 ? '' : 's'}.`;
+  const attachments = [{ filename: fileName, content: file.toString('base64'), content_type: exportContentType(schedule.format) }];
+  let booked = slot_booked && job.attempts <= 1; // a retry books again
+  try {
+    for (const to of unsent) {
+      const slot = booked ? null : await bookSendSlot(mailbox.id);
+      booked = false;
+      if (slot > Date.now()) {
+        await queue.enqueue('lead_export_email', { user_id: schedule.user_id, schedule_id, run_id: runId, slot_booked: true }, {
+          key: `lead-export:${schedule_id}:${runId}:${to}`,
+          runAt: slot
+        });
+        console.log(`⏳ Lead export ${schedule_id}: mailbox at its sending limit, the rest goes at ${new Date(slot).toISOString()}`);
+        return;
+      }
+      await sendEmail(mailbox, to, `Lead export: ${schedule.name}`, body, null, { attachments });
+      liveSchedule()?.current_run?.sent_to.push(to);
+      await db.write();
+    }
+  } catch (error) {
+    await db.read();
+    recordRun(schedule.id, { last_status: 'failed', last_error: error.message });
+    await db.write();
+    throw error;
+  }
+
+  await db.read();
+  recordRun(schedule.id, { last_status: 'sent', last_error: null, last_row_count: leads.length, current_run: null });
+  await db.write();
+  console.log(`📤 Emailed lead export ${schedule.id} (${leads.length} leads) to ${recipients.length} recipient(s)`);
+}
+
+export function publicExportSchedule(schedule) {
+  return {
+    id: schedule.id,
+    name: schedule.name,
+    format: schedule.format,
+    columns: schedule.columns,
+    filters: schedule.filters,
+    frequency: schedule.frequency,
+    hour: schedule.hour,
+    weekday: schedule.weekday,
+    recipients: schedule.recipients,
+    enabled: schedule.enabled,
+    next_run_at: schedule.enabled ? schedule.next_run_at : null,
+    last_run_at: schedule.last_run_at || null,
+    last_status: schedule.last_status || null,
+    last_error: schedule.last_error || null,
+    last_row_count: schedule.last_row_count ?? null,
+    created_by: schedule.created_by ?? null,
+    created_at: schedule.created_at,
+    updated_at: schedule.updated_at || null
+  };
+}
@@ -0,0 +1,265 @@
+import { google } from 'googleapis';
+import { db } from '../storage/db.js';
+import { ingestInboundMessage } from './inbound.js';
+
+// Google OAuth client (used only for the initial auth flow — generateAuthUrl / getToken)
+export const oauth2Client = new google.auth.OAuth2(
+  process.env.GOOGLE_CLIENT_ID,
+  process.env.GOOGLE_CLIENT_SECRET,
+  process.env.GOOGLE_REDIRECT_URI
+);
+
+// Create a FRESH OAuth2 client instance for each user operation.
+// NEVER use the global oauth2Client for per-user operations — it is a shared singleton
+// and concurrent mutations cause race conditions that invalidate tokens.
+export function makeOAuth2Client(credentials) {
+  const client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+  client.setCredentials(credentials);
+  return client;
+}
+
+// Function to check Gmail API for new replies (better than IMAP)
+export async function checkGmailReplies(settings, userId) {
+  try {
+    console.log('\n' + '='.repeat(60));
+    console.log('🔍 Checking Gmail for new replies...');
+
+    // Show which lead emails we're watching for
+    await db.read();
+    const userLeads = db.data.leads.filter(l => l.user_id === userId);
+    console.log(`👥 Watching for replies from ${userLeads.length} leads:`);
+    userLeads.forEach((lead, idx) => {
+      console.log(`   ${idx + 1}. ${lead.email} ${lead.first_name ? `(${lead.first_name} ${lead.last_name})` : '(no name)'}`);
+    });
+    console.log('='.repeat(60));
+
+    // Create a fresh OAuth2 client for this user (avoids race conditions with the global singleton)
+    const authClient = makeOAuth2Client({
+      access_token: settings.access_token,
+      refresh_token: settings.refresh_token,
+      expiry_date: settings.token_expiry
+    });
+
+    // Refresh token if expired
+    if (settings.token_expiry && settings.token_expiry < Date.now()) {
+      console.log('🔄 Refreshing expired Gmail access token...');
+      const { credentials } = await authClient.refreshAccessToken();
+      authClient.setCredentials(credentials);
+
+      // Update stored tokens in database
+      await db.read();
+      const dbSettings = db.data.email_settings.find(s => s.id === settings.id);
+      if (dbSettings) {
+        dbSettings.access_token = credentials.access_token;
+        dbSettings.token_expiry = credentials.expiry_date;
+        // Save new refresh_token if Google rotated it
+        if (credentials.refresh_token) dbSettings.refresh_token = credentials.refresh_token;
+        await db.write();
+        console.log('✅ Refreshed tokens saved to database');
+      }
+
+      // Update local settings object too
+      settings.access_token = credentials.access_token;
+      settings.token_expiry = credentials.expiry_date;
+      if (credentials.refresh_token) settings.refresh_token = credentials.refresh_token;
+    }
+
+    const gmail = google.gmail({ version: 'v1', auth: authClient });
+
+    // Build query: only check emails FROM lead addresses (much more efficient),
+    // plus delivery failure notices, which come from the mail system rather than the lead
+    const leadEmails = [...userLeads.map(l => `from:${l.email}`), 'from:mailer-daemon', 'from:postmaster'].join(' OR ');
+    const gmailQuery = `in:inbox newer_than:7d (${leadEmails})`;
+    console.log(`🔍 Gmail query: checking emails from ${userLeads.length} leads`);
+
+    const response = await gmail.users.messages.list({
+      userId: 'me',
+      q: gmailQuery,
+      maxResults: 50
+    });
+
+    const messages = response.data.messages || [];
+    console.log(`📬 Found ${messages.length} unread messages`);
+
+    const newReplies = [];
+
+    for (const message of messages) {
+      try {
+        // Get full message details
+        const fullMessage = await gmail.users.messages.get({
+          userId: 'me',
+          id: message.id,
+          format: 'full'
+        });
+
+        // Parse email headers
+        const headers = fullMessage.data.payload.headers;
+        const header = (name) => headers.find(h => h.name.toLowerCase() === name)?.value || null;
+
+        // Get email body — recursively search all MIME parts (handles nested multipart/alternative)
+        const findPart = (payload, mimeType) => {
+          if (payload.mimeType === mimeType && payload.body?.data) return payload;
+          if (payload.parts) {
+            for (const part of payload.parts) {
+              const found = findPart(part, mimeType);
+              if (found) return found;
+            }
+          }
+          return null;
+        };
+        const decode = (part) => Buffer.from(part.body.data, 'base64').toString('utf-8');
+        const textPart = findPart(fullMessage.data.payload, 'text/plain');
+        const htmlPart = findPart(fullMessage.data.payload, 'text/html');
+        let text = textPart ? decode(textPart) : '';
+        if (!textPart && !htmlPart && fullMessage.data.payload.body?.data) {
+          text = decode(fullMessage.data.payload);
+        }
+
+        const attachments = [];
+        const collectAttachments = (payload) => {
+          if (payload.filename && payload.body?.attachmentId) {
+            attachments.push({ filename: payload.filename, content_type: payload.mimeType, size: payload.body.size });
+          }
+          (payload.parts || []).forEach(collectAttachments);
+        };
+        collectAttachments(fullMessage.data.payload);
+
+        // Bounce notices (multipart/report) carry a machine-readable delivery-status part
+        let deliveryStatus = null;
+        const dsnPart = findPart(fullMessage.data.payload, 'message/delivery-status');
+        if (dsnPart) {
+          deliveryStatus = decode(dsnPart);
+        } else {
+          const findDsnAttachment = (payload) => payload.mimeType === 'message/delivery-status' && payload.body?.attachmentId
+            ? payload
+            : (payload.parts || []).map(findDsnAttachment).find(Boolean) || null;
+          const dsnAttachment = findDsnAttachment(fullMessage.data.payload);
+          if (dsnAttachment) {
+            const { data } = await gmail.users.messages.attachments.get({
+              userId: 'me', messageId: message.id, id: dsnAttachment.body.attachmentId
+            });
+            deliveryStatus = Buffer.from(data.data, 'base64').toString('utf-8');
+          }
+        }
+
+        const result = await ingestInboundMessage({
+          from: header('from'),
+          to: header('to'),
+          subject: header('subject') || '(No Subject)',
+          text,
+          html: htmlPart ? decode(htmlPart) : '',
+          message_id: header('message-id'),
+          in_reply_to: header('in-reply-to'),
+          attachments,
+          delivery_status: deliveryStatus,
+          gmail_message_id: message.id
+        }, { userId, settings, source: 'gmail' });
+
+        if (result.skipped) continue;
+        newReplies.push(result);
+
+        // Try to mark as read (may fail if only gmail.readonly scope)
+        try {
+          await gmail.users.messages.modify({
+            userId: 'me',
+            id: message.id,
+            requestBody: {
+              removeLabelIds: ['UNREAD']
+            }
+          });
+        } catch (readErr) {
+          // Scope limitation - we track by gmail_message_id instead
+        }
+      } catch (msgError) {
+        console.error(`❌ Error processing message ${message.id}:`, msgError.message);
+      }
+    }
+
+    // Summary
+    console.log('\n' + '='.repeat(60));
+    console.log(`✅ Email check complete!`);
+    console.log(`   📬 Total unread messages: ${messages.length}`);
+    console.log(`   ✨ New replies processed: ${newReplies.length}`);
+    console.log(`   ⏭️  Skipped (not from leads / already processed): ${messages.length - newReplies.length}`);
+    console.log('='.repeat(60) + '\n');
+
+    return newReplies;
+  } catch (error) {
+    console.error('Gmail check error:', error);
+    throw error;
+  }
+}
+
+// ⚡ Gmail Push Notifications Setup (for instant email delivery)
+export async function setupGmailPushNotifications(settings, userId) {
+  try {
+    console.log(`\n🔔 Setting up Gmail Push Notifications for user ${userId}...`);
+
+    // Create a fresh OAuth2 client for this user
+    const authClient = makeOAuth2Client({
+      access_token: settings.access_token,
+      refresh_token: settings.refresh_token,
+      expiry_date: settings.token_expiry
+    });
+
+    // Refresh token if expired
+    if (settings.token_expiry && settings.token_expiry < Date.now()) {
+      console.log('🔄 Refreshing Gmail access token...');
+      const { credentials } = await authClient.refreshAccessToken();
+      authClient.setCredentials(credentials);
+
+      // Update database
+      await db.read();
+      const dbSettings = db.data.email_settings.find(s => s.id === settings.id);
+      if (dbSettings) {
+        dbSettings.access_token = credentials.access_token;
+        dbSettings.token_expiry = credentials.expiry_date;
+        if (credentials.refresh_token) dbSettings.refresh_token = credentials.refresh_token;
+        await db.write();
+      }
+      settings.access_token = credentials.access_token;
+      settings.token_expiry = credentials.expiry_date;
+      if (credentials.refresh_token) settings.refresh_token = credentials.refresh_token;
+    }
+
+    const gmail = google.gmail({ version: 'v1', auth: authClient });
+    const topicName = `projects/${process.env.GOOGLE_CLOUD_PROJECT_ID}/topics/gmail-notifications`;
+
+    // Watch Gmail inbox for new messages
+    const response = await gmail.users.watch({
+      userId: 'me',
+      requestBody: {
+        topicName: topicName,
+        labelIds: ['INBOX']
+      }
+    });
+
+    console.log(`✅ Gmail Push Notifications ENABLED for user ${userId}`);
+    console.log(`   Topic: ${topicName}`);
+    console.log(`   Expiration: ${response.data.expiration}`);
+    console.log(`   Emails will arrive within seconds (not 5 minutes!)`);
+
+    // Update settings with watch info
+    await db.read();
+    const dbSettings = db.data.email_settings.find(s => s.id === settings.id);
+    if (dbSettings) {
+      dbSettings.push_enabled = true;
+      dbSettings.push_setup_at = new Date().toISOString();
+      dbSettings.push_expiration = response.data.expiration; // Unix ms — used by renewal cron
+      // Only reset historyId on first setup, not on renewal (to avoid missing messages)
+      if (!dbSettings.push_history_id) {
+        dbSettings.push_history_id = response.data.historyId;
+      }
+      await db.write();
+    }
+
+    return { success: true, expiration: response.data.expiration };
+  } catch (error) {
+    console.error(`❌ Failed to set up Gmail Push for user ${userId}:`, error.message);
+    throw error;
+  }
+}
@@ -0,0 +1,157 @@
+import Imap from 'imap';
+import { simpleParser } from 'mailparser';
+import { ingestInboundMessage, normalizeParsedEmail } from './inbound.js';
+
+// Function to check IMAP for new replies
+export async function checkEmailReplies(settings, userId) {
+  const parsedMessages = await fetchUnseenMessages(settings);
+  const newReplies = [];
+
+  // One at a time — each message reads and writes the db
+  for (const parsed of parsedMessages) {
+    try {
+      const result = await ingestInboundMessage(normalizeParsedEmail(parsed), { userId, settings, source: 'imap' });
+      if (!result.skipped) newReplies.push(result);
+    } catch (msgError) {
+      console.error(`❌ Error processing IMAP message ${parsed.messageId || ''}:`, msgError.message);
+    }
+  }
+
+  return newReplies;
+}
+
+// node-imap options from settings.imap: { host, port, tls, user, password, allow_self_signed, sent_folder }
+function imapConfig(imapSettings) {
+  const port = Number(imapSettings.port) || 993;
+  return {
+    host: imapSettings.host,
+    port,
+    tls: imapSettings.tls ?? port === 993,
+    autotls: 'required', // upgrade plain connections with STARTTLS
+    user: imapSettings.user,
+    password: imapSettings.password,
+    tlsOptions: {
+      servername: imapSettings.host,
+      rejectUnauthorized: !imapSettings.allow_self_signed
+    },
+    connTimeout: 15000,
+    authTimeout: 15000
+  };
+}
+
+// Open a connection, run `fn(imap)`, and always close it afterwards
+function withImap(imapSettings, fn) {
+  return new Promise((resolve, reject) => {
+    const imap = new Imap(imapConfig(imapSettings));
+    let settled = false;
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      imap.end();
+      if (err) reject(err);
+      else resolve(value);
+    };
+
+    imap.once('ready', () => {
+      fn(imap).then(value => finish(null, value), finish);
+    });
+    imap.once('error', finish);
+    imap.connect();
+  });
+}
+
+// Log in and open the inbox read-only
+export function testImapConnection(imapSettings) {
+  return withImap(imapSettings, imap => new Promise((resolve, reject) => {
+    imap.openBox('INBOX', true, (err, box) => (err ? reject(err) : resolve({ messages: box.messages.total })));
+  }));
+}
+
+// Find the Sent folder: configured name, then the \Sent special-use flag, then common names
+function findSentFolder(imap, configured) {
+  if (configured) return Promise.resolve(configured);
+  return new Promise((resolve, reject) => {
+    imap.getBoxes((err, boxes) => {
+      if (err) return reject(err);
+      const candidates = [];
+      const walk = (tree, prefix) => {
+        for (const [name, box] of Object.entries(tree || {})) {
+          const path = prefix + name;
+          candidates.push({ path, name, attribs: box.attribs || [] });
+          walk(box.children, path + (box.delimiter || '/'));
+        }
+      };
+      walk(boxes, '');
+      const flagged = candidates.find(c => c.attribs.some(a => a.toUpperCase() === '\\SENT'));
+      const named = candidates.find(c => /^sent( items| mail| messages)?$/i.test(c.name));
+      resolve((flagged || named)?.path || 'Sent');
+    });
+  });
+}
+
+// Append a sent message (raw RFC 822) to the mailbox's Sent folder. Returns the folder used.
+export function appendToSentFolder(settings, raw) {
+  return withImap(settings.imap, async imap => {
+    const folder = await findSentFolder(imap, settings.imap.sent_folder);
+    await new Promise((resolve, reject) => {
+      imap.append(raw, { mailbox: folder, flags: ['\\Seen'] }, err => (err ? reject(err) : resolve()));
+    });
+    return folder;
+  });
+}
+
+// Fetch and parse unseen messages from the last 7 days
+function fetchUnseenMessages(settings) {
+  return new Promise((resolve, reject) => {
+    const imap = new Imap(imapConfig(settings.imap));
+    const parsing = [];
+
+    imap.once('ready', () => {
+      imap.openBox('INBOX', false, (err, box) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        // Search for unseen emails from last 7 days
+        const searchCriteria = ['UNSEEN', ['SINCE', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)]];
+
+        imap.search(searchCriteria, (err, results) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          if (results.length === 0) {
+            imap.end();
+            resolve([]);
+            return;
+          }
+
+          const fetch = imap.fetch(results, { bodies: '' });
+
+          fetch.on('message', (msg) => {
+            msg.on('body', (stream) => {
+              parsing.push(simpleParser(stream).catch(parseErr => {
+                console.error('IMAP parse error:', parseErr.message);
+                return null;
+              }));
+            });
+          });
+
+          fetch.once('end', async () => {
+            imap.end();
+            const parsed = await Promise.all(parsing);
+            resolve(parsed.filter(Boolean));
+          });
+        });
+      });
+    });
+
+    imap.once('error', (err) => {
+      reject(err);
+    });
+
+    imap.connect();
+  });
+}
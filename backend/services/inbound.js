@@ -0,0 +1,458 @@
+import { db, ids } from '../storage/db.js';
+import { analyzeReplyWithAI, detectAppointmentFromEmail, resolveStaleActionRequiredDrafts, generateAIResponse } from './ai.js';
+import { sendEmail } from './email.js';
+import { detectBounce, recordBounce } from './bounce.js';
+import { continuesOnReply } from './sequence-graph.js';
+import { emitEvent, leadSummary, draftNeedsActionEvent } from './outbound-webhooks.js';
+
+/**
+ * Inbound reply pipeline — shared by every way a reply reaches us (Gmail API,
+ * Microsoft Graph, IMAP, the Cloudflare email worker, the generic inbound webhook).
+ *
+ * Transports only turn their input into a normalized message:
+ *   {
+ *     from, to, subject, text, html,
+ *     message_id,        // RFC 5322 Message-ID, used for deduplication
+ *     in_reply_to,
+ *     attachments,       // [{ filename, content_type, size }]
+ *     delivery_status,   // text of a message/delivery-status part, when the message is a DSN
+ *     gmail_message_id   // Gmail API id (Gmail transport only)
+ *   }
+ * and hand it to ingestInboundMessage together with the mailbox it came from.
+ */
+
+// Pull the bare address out of "Name <email@example.com>"
+export function extractAddress(value) {
+  if (!value) return '';
+  const raw = Array.isArray(value) ? value[0] : value;
+  const angle = raw.match(/<(.+?)>/);
+  if (angle) return angle[1].trim().toLowerCase();
+  return (raw.match(/[\w.+-]+@[\w.-]+\.\w+/)?.[0] || raw).trim().toLowerCase();
+}
+
+export function htmlToText(html) {
+  return (html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Normalize a mailparser result (IMAP, raw RFC 822 from webhooks)
+export function normalizeParsedEmail(parsed) {
+  return {
+    from: parsed.from?.value?.[0]?.address || parsed.from?.text || '',
+    to: (parsed.to?.value || []).map(a => a.address).filter(Boolean),
+    subject: parsed.subject || '',
+    text: parsed.text || '',
+    html: parsed.html || '',
+    message_id: parsed.messageId || null,
+    in_reply_to: parsed.inReplyTo || null,
+    attachments: (parsed.attachments || []).map(a => ({
+      filename: a.filename || 'attachment',
+      content_type: a.contentType,
+      size: a.size
+    }))
+  };
+}
+
+function findDuplicateThread(message, lead, body, subject) {
+  return (db.data.email_threads || []).find(t => {
+    if (message.message_id && t.message_id === message.message_id) return true;
+    if (message.gmail_message_id && t.gmail_message_id === message.gmail_message_id) return true;
+    // No id to go on — fall back to matching the content
+    return !message.message_id && !message.gmail_message_id &&
+      t.lead_id === lead.id && t.body === body && t.subject === subject;
+  });
+}
+
+async function saveWinningEmail(lead, userId, intent) {
+  const lastSent = (db.data.email_history || [])
+    .filter(h => h.lead_id === lead.id)
+    .sort((a, b) => new Date(b.sent_at) - new Date(a.sent_at))[0];
+  if (!lastSent) return;
+
+  if (!db.data.winning_emails) db.data.winning_emails = [];
+  // Cap at 50 winning emails per user (remove oldest if over limit)
+  const userWinning = db.data.winning_emails.filter(w => w.user_id === userId);
+  if (userWinning.length >= 50) {
+    const oldest = userWinning[0];
+    db.data.winning_emails = db.data.winning_emails.filter(w => w.id !== oldest.id);
+  }
+  const winningId = await ids.next('winning_emails');
+  db.data.winning_emails.push({
+    id: winningId,
+    user_id: userId,
+    lead_id: lead.id,
+    subject: lastSent.subject || '',
+    body: lastSent.body || '',
+    intent_triggered: intent,
+    created_at: new Date().toISOString()
+  });
+  // Update A/B reply count for the variant that sent this email
+  if (lastSent.ab_variant && db.data.ab_results) {
+    const abRec = db.data.ab_results.find(r => r.user_id === userId && r.intent === (lead.ai_intent || 'GHOSTING'));
+    if (abRec) {
+      if (lastSent.ab_variant === 'A') abRec.variant_a_replies++;
+      else abRec.variant_b_replies++;
+    }
+  }
+  console.log(`🌟 Winning email saved for user ${userId} (triggered ${intent})`);
+}
+
+async function recordDetectedAppointment(lead, userId, body, subject) {
+  try {
+    const aptDetected = await detectAppointmentFromEmail(body, subject);
+    if (!aptDetected) return;
+
+    // Avoid duplicate: skip if same lead already has an AI-detected appointment on the same date+time
+    const alreadyExists = (db.data.appointments || []).some(a =>
+      a.lead_id === lead.id &&
+      a.source === 'ai_detected' &&
+      a.date === (aptDetected.date || '') &&
+      a.time === (aptDetected.time || '')
+    );
+    if (alreadyExists) return;
+
+    const newApt = {
+      id: await ids.next('appointments'),
+      user_id: userId,
+      lead_id: lead.id,
+      date: aptDetected.date || '',
+      time: aptDetected.time || '',
+      timezone: aptDetected.timezone || 'UTC',
+      duration_minutes: 30,
+      meeting_link: '',
+      notes: aptDetected.notes || '',
+      appointment_type: aptDetected.appointment_type || 'call',
+      status: 'scheduled',
+      source: 'ai_detected',
+      notified: false,
+      outcome: null,
+      reminder_24h_sent: false,
+      reminder_1h_sent: false,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    if (!db.data.appointments) db.data.appointments = [];
+    db.data.appointments.push(newApt);
+    const liveLead = db.data.leads.find(l => l.id === lead.id);
+    if (liveLead) {
+      liveLead.status = 'appointment_scheduled';
+      liveLead.updated_at = new Date().toISOString();
+    }
+    await db.write();
+    console.log(`📅 AI detected appointment for ${lead.first_name}: type=${newApt.appointment_type}, date=${newApt.date}, time=${newApt.time}`);
+    await emitEvent(userId, 'appointment.detected', { lead: leadSummary(liveLead || lead), appointment: newApt });
+  } catch (aptErr) {
+    console.error('[Appointment Detection] Failed silently:', aptErr.message);
+  }
+}
+
+async function pushDraft(lead, userId, fields) {
+  const newDraftId = await ids.next('ai_drafts');
+  const draft = {
+    id: newDraftId,
+    lead_id: lead.id,
+    user_id: userId,
+    ...fields,
+    created_at: new Date().toISOString()
+  };
+  db.data.ai_drafts.push(draft);
+  if (draft.needs_follow_up) await emitEvent(userId, 'draft.needs_action', draftNeedsActionEvent(lead, draft));
+}
+
+/**
+ * Run one inbound message through the reply pipeline: match it to a lead,
+ * classify it, update the lead, record the thread, detect appointments, then
+ * draft a reply and either auto-send it or queue it for review.
+ *
+ * Returns a summary for the caller ({ lead_id, intent, ... }), or
+ * { skipped: '<reason>' } when the message is not a new lead reply
+ * (bounces come back as { skipped: 'bounce', bounces } — see services/bounce.js).
+ */
+export async function ingestInboundMessage(message, { userId, settings, source }) {
+  const fromEmail = extractAddress(message.from);
+  const subject = message.subject || '';
+  const body = message.text?.trim() ? message.text : htmlToText(message.html);
+
+  if (!body.trim() && !subject.trim()) {
+    return { skipped: 'empty' };
+  }
+
+  await db.read();
+
+  // Delivery failures come from mailer-daemon, not the lead — handle them before lead matching
+  const bounce = detectBounce(message);
+  if (bounce) {
+    return recordBounce(bounce, message, { userId, source, mailboxId: settings?.id ?? null });
+  }
+
+  let lead = db.data.leads.find(l =>
+    l.user_id === userId &&
+    l.email && l.email.toLowerCase().trim() === fromEmail
+  );
+
+  if (!lead) {
+    console.log(`   ⏭️  SKIPPED: "${fromEmail}" is not a lead`);
+    return { skipped: 'not_a_lead' };
+  }
+
+  if (findDuplicateThread(message, lead, body, subject)) {
+    console.log(`   ⏭️  Already processed message from ${lead.first_name}`);
+    return { skipped: 'duplicate' };
+  }
+
+  console.log(`✉️  Processing reply from ${lead.first_name} (${fromEmail}) via ${source}`);
+
+  // Analyze with AI (including subject line for better context)
+  const analysis = await analyzeReplyWithAI(body, subject);
+
+  // Update lead — but don't overwrite INTERESTED with a vague GHOSTING reply.
+  // Once a lead shows interest, keep them INTERESTED unless they explicitly decline.
+  const prevIntent = lead.ai_intent;
+  if (!(prevIntent === 'INTERESTED' && analysis.intent === 'GHOSTING')) {
+    // If intent changed, reset follow-up counter so new rules apply fresh
+    if (prevIntent && prevIntent !== analysis.intent) {
+      lead.follow_up_count = 0;
+    }
+    lead.ai_intent = analysis.intent;
+  }
+  lead.ai_reasoning = analysis.reasoning;
+  lead.last_reply = body;
+  lead.last_reply_date = new Date().toISOString();
+  lead.last_subject = subject || '(No Subject)';
+  lead.status = lead.ai_intent === 'INTERESTED' ? 'interested' : (lead.ai_intent === 'DEAD' ? 'dead' : 'analyzed');
+  // Keep the conversation in the inbox the lead wrote to
+  if (settings?.id != null && lead.mailbox_id == null) lead.mailbox_id = settings.id;
+
+  // AUTO-PAUSE SEQUENCE: Any reply means the sequence served its purpose.
+  // Continuing to send sequence emails after a reply looks like spam — unless the
+  // sequence branches on this reply (e.g. OBJECTION → objection track).
+  if (lead.enrolled_sequence_id && lead.sequence_completed === false && !lead.sequence_paused) {
+    if (continuesOnReply(lead)) {
+      console.log(`🔀 Reply from lead ${lead.id} (${analysis.intent}) matches a sequence branch — sequence continues`);
+    } else {
+      lead.sequence_paused = true;
+      console.log(`⏸️ Sequence auto-paused for lead ${lead.id} — reply detected (${analysis.intent})`);
+    }
+  }
+
+  // AI LEARNING: If reply is positive, save the email that triggered it as a winning email
+  if (['INTERESTED', 'NOT_NOW', 'OBJECTION'].includes(analysis.intent)) {
+    await saveWinningEmail(lead, userId, analysis.intent);
+  }
+
+  const emailThreadId = await ids.next('email_threads');
+  db.data.email_threads.push({
+    id: emailThreadId,
+    ...(message.gmail_message_id && { gmail_message_id: message.gmail_message_id }),
+    message_id: message.message_id || null,
+    in_reply_to: message.in_reply_to || null,
+    source,
+    lead_id: lead.id,
+    user_id: userId,
+    mailbox_id: settings?.id ?? null,
+    from: fromEmail,
+    subject,
+    body,
+    attachments: message.attachments || [],
+    received_at: new Date().toISOString(),
+    ai_intent: analysis.intent,
+    notified: false // Track if user has been notified about this email
+  });
+
+  await db.write();
+
+  await emitEvent(userId, 'reply.received', {
+    lead: leadSummary(lead),
+    reply: { thread_id: emailThreadId, source, subject, body, received_at: lead.last_reply_date },
+    intent: analysis.intent,
+    reasoning: analysis.reasoning
+  });
+  if (prevIntent !== lead.ai_intent) {
+    await emitEvent(userId, 'lead.intent_changed', {
+      lead: leadSummary(lead),
+      previous_intent: prevIntent || null,
+      intent: lead.ai_intent,
+      source: 'reply'
+    });
+  }
+
+  await recordDetectedAppointment(lead, userId, body, subject);
+
+  // Generate AI response for ALL intents (reply to every customer message)
+  // But first check if a draft already exists for this email thread to prevent duplicates
+  let existingDraft = (db.data.ai_drafts || []).find(d =>
+    d.lead_id === lead.id &&
+    d.reply_subject === subject &&
+    d.reply_text === body &&
+    d.status === 'pending'
+  );
+
+  let draft = null;
+  let clarificationNeeded = false;
+  let user = db.data.users.find(u => u.id === userId);
+  const autoModeOn = user && user.auto_mode_enabled && !user.auto_mode_paused && lead.auto_send_enabled !== false;
+
+  if (!existingDraft) {
+    const aiResult = await generateAIResponse(lead, body, analysis.intent, subject);
+    if (aiResult) {
+      draft = aiResult.body;
+      clarificationNeeded = aiResult.clarification_needed || false;
+
+      // Increment AI generation counter for this user
+      const genUser = db.data.users.find(u => u.id === userId);
+      if (genUser) genUser.ai_generations_this_month = (genUser.ai_generations_this_month || 0) + 1;
+    }
+  } else if (autoModeOn && existingDraft.draft_body && !existingDraft.clarification_needed) {
+    // Reuse a valid (non-holding) pending draft that was blocked by pause
+    console.log(`📤 Found unsent pending draft for ${lead.first_name} — auto-sending now`);
+    draft = existingDraft.draft_body;
+  } else if (existingDraft.clarification_needed) {
+    // Existing draft was a holding reply — regenerate so AI can use current knowledge
+    console.log(`🔄 Existing draft for ${lead.first_name} was a holding reply — regenerating with current knowledge`);
+    const staleDraftId = existingDraft.id;
+    const aiResult = await generateAIResponse(lead, body, analysis.intent, subject);
+    // Mark the stale holding draft as resolved so it clears from Action Required
+    const staleDraft = db.data.ai_drafts.find(d => d.id === staleDraftId);
+    if (staleDraft) staleDraft.status = 'resolved';
+    existingDraft = null;
+    if (aiResult) {
+      draft = aiResult.body;
+      clarificationNeeded = aiResult.clarification_needed || false;
+    }
+  } else {
+    console.log(`⏭️  Draft already exists for this reply from ${lead.first_name} — skipping (auto-mode ${autoModeOn ? 'on' : 'off/paused'})`);
+  }
+
+  // generateAIResponse re-reads the db, which detaches the objects we were holding.
+  // Re-find them so status/counter updates land on the live records.
+  lead = db.data.leads.find(l => l.id === lead.id) || lead;
+  user = db.data.users.find(u => u.id === userId);
+  if (existingDraft) existingDraft = db.data.ai_drafts.find(d => d.id === existingDraft.id) || existingDraft;
+
+  const summary = {
+    lead_id: lead.id,
+    lead_name: `${lead.first_name} ${lead.last_name}`,
+    intent: analysis.intent
+  };
+
+  // Safety: never send blank emails
+  if (draft && !draft.trim()) {
+    console.log(`⚠️  Empty draft body for lead ${lead.id} (${lead.first_name}) — skipping send, saving as draft`);
+    draft = null;
+  }
+
+  if (!draft) {
+    await db.write();
+    console.log(`✅ Processed: ${lead.first_name} - Intent: ${analysis.intent}`);
+    return { ...summary, draft_generated: false };
+  }
+
+  const shouldAutoSend = user && user.auto_mode_enabled && !user.auto_mode_paused && lead.auto_send_enabled !== false;
+  // If clarification needed AND we already sent a holding reply before → STOP auto-replying
+  const alreadySentHolding = (lead.clarification_count || 0) >= 1;
+  const draftFields = {
+    draft_body: draft,
+    ai_intent: analysis.intent,
+    reply_text: body,
+    reply_subject: subject
+  };
+
+  if (shouldAutoSend && clarificationNeeded && alreadySentHolding) {
+    // STOP: Lead asked unanswered question again. Save draft, don't send.
+    console.log(`🛑 STOPPED auto-reply for ${lead.first_name} — already sent holding reply. Same unanswered topic. Saving draft for manual follow-up.`);
+    lead.clarification_count = (lead.clarification_count || 0) + 1;
+    await pushDraft(lead, userId, { ...draftFields, status: 'pending', clarification_needed: true, needs_follow_up: true });
+    await db.write();
+    return { ...summary, draft_generated: true, needs_follow_up: true, auto_paused_clarification: true };
+  }
+
+  if (shouldAutoSend) {
+    // Second dedup check: another check running concurrently may have stored the
+    // same message between our read and write. Don't send the reply twice.
+    const copies = db.data.email_threads.filter(t =>
+      (message.message_id && t.message_id === message.message_id) ||
+      (message.gmail_message_id && t.gmail_message_id === message.gmail_message_id)
+    ).length;
+    if (copies > 1) {
+      console.log(`   ⏭️  Message already processed by another concurrent check, skipping send`);
+      return { ...summary, duplicate_prevented: true };
+    }
+
+    try {
+      const sendResult = await sendEmail(settings, lead.email, `Re: ${subject}`, draft, null, {
+        lead_id: lead.id
+      });
+      // Store sent email so future replies thread correctly
+      if (!db.data.email_interactions) db.data.email_interactions = [];
+      const interactionId = await ids.next('email_interactions');
+      db.data.email_interactions.push({
+        id: interactionId,
+        lead_id: lead.id,
+        user_id: userId,
+        direction: 'sent',
+        subject: `Re: ${subject}`,
+        body: draft,
+        message_id: sendResult.threading_message_id,
+        sent_at: new Date().toISOString()
+      });
+      console.log(`🚀 AUTO-SENT immediate reply to ${lead.first_name} (Intent: ${analysis.intent})${clarificationNeeded ? ' [HOLDING REPLY - needs follow-up]' : ''} - Auto Mode enabled`);
+
+      // sendEmail may re-read the db when it refreshes tokens — use the live records
+      const liveLead = db.data.leads.find(l => l.id === lead.id) || lead;
+      const liveDraft = existingDraft && (db.data.ai_drafts.find(d => d.id === existingDraft.id) || existingDraft);
+
+      // Mark the existing pending draft as sent (if we reused one)
+      if (liveDraft) {
+        liveDraft.status = 'sent';
+        liveDraft.sent_at = new Date().toISOString();
+        liveDraft.final_body = draft;
+      }
+
+      liveLead.status = 'replied';
+      liveLead.last_email_sent_date = new Date().toISOString(); // Reset follow-up timer from this reply
+
+      if (clarificationNeeded) {
+        liveLead.clarification_count = (liveLead.clarification_count || 0) + 1;
+        // Only push a new draft record if we didn't already update an existing one
+        // (avoids duplicate Action Required entries)
+        if (!liveDraft) {
+          await pushDraft(lead, userId, {
+            ...draftFields,
+            status: 'sent',
+            clarification_needed: true,
+            needs_follow_up: true,
+            sent_at: new Date().toISOString()
+          });
+        } else {
+          liveDraft.needs_follow_up = true;
+          await emitEvent(userId, 'draft.needs_action', draftNeedsActionEvent(liveLead, liveDraft));
+        }
+        console.log(`📋 Holding reply sent to ${lead.first_name} — flagged for your follow-up (question not in knowledge base)`);
+      } else {
+        // Normal reply succeeded — reset clarification counter and resolve stale drafts
+        liveLead.clarification_count = 0;
+        resolveStaleActionRequiredDrafts(lead.id);
+      }
+      await db.write();
+
+      return { ...summary, draft_generated: false, auto_sent: true, needs_follow_up: clarificationNeeded };
+    } catch (sendError) {
+      console.error(`❌ Failed to auto-send to ${lead.first_name}:`, sendError.message);
+      await pushDraft(lead, userId, { ...draftFields, status: 'pending', clarification_needed: clarificationNeeded });
+      await db.write();
+      return { ...summary, draft_generated: true, auto_send_failed: true };
+    }
+  }
+
+  // MANUAL MODE: Save as draft for user review
+  if (clarificationNeeded) {
+    console.log(`⚠️  Clarification needed for lead ${lead.id} (${lead.first_name}) — question not in knowledge base. Draft saved for manual reply.`);
+  } else {
+    // Resolve stale Action Required drafts when a new correct reply is generated
+    resolveStaleActionRequiredDrafts(lead.id);
+  }
+  await pushDraft(lead, userId, { ...draftFields, status: 'pending', clarification_needed: clarificationNeeded });
+  await db.write();
+  console.log(`📝 Draft saved for ${lead.first_name} (Intent: ${analysis.intent})`);
+
+  return { ...summary, draft_generated: true, clarification_needed: clarificationNeeded };
+}
@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import { db, ids } from '../storage/db.js';
+import { FIELD_PRESETS } from './lead-capture.js';
+
+/**
+ * Ingest tokens — the secret part of a lead-capture webhook URL,
+ * POST /api/webhooks/leads/<token>. Each token belongs to one workspace and
+ * carries the field-mapping preset for the form tool posting to it.
+ *
+ * Only a SHA-256 hash of the token is stored; the URL is shown once on
+ * creation. Tokens can be rotated (optionally with a grace period) and revoked.
+ *
+ * A token can also require an HMAC signature. The secret is either generated
+ * here or pasted in from the form tool, and the header checked depends on the
+ * preset (see SIGNATURE_SCHEMES).
+ */
+
+export const TOKEN_PREFIX = 'zti_';
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+const hmac = (secret, payload, encoding) => crypto.createHmac('sha256', secret).update(payload).digest(encoding);
+
+// Constant-time comparison of two strings
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const isFresh = (timestampMs) => Number.isFinite(timestampMs) && Math.abs(Date.now() - timestampMs) <= SIGNATURE_TOLERANCE_MS;
+
+// Default: `X-Signature-256: sha256=<hex HMAC of the raw body>` (X-Hub-Signature-256 also accepted)
+function verifyGeneric(secret, req, body) {
+  const header = req.get('x-signature-256') || req.get('x-hub-signature-256') || '';
+  return safeEqual(header.replace(/^sha256=/, ''), hmac(secret, body, 'hex'));
+}
+
+// How each form tool signs its requests
+const SIGNATURE_SCHEMES = {
+  generic: verifyGeneric,
+  facebook: verifyGeneric,
+
+  // Typeform-Signature: sha256=<base64 HMAC of the raw body>
+  typeform: (secret, req, body) =>
+    safeEqual((req.get('typeform-signature') || '').replace(/^sha256=/, ''), hmac(secret, body, 'base64')),
+
+  // X-Webflow-Signature: hex HMAC of "<X-Webflow-Timestamp>:<raw body>"
+  webflow: (secret, req, body) => {
+    const timestamp = req.get('x-webflow-timestamp');
+    return isFresh(Number(timestamp)) && safeEqual(req.get('x-webflow-signature'), hmac(secret, `${timestamp}:${body}`, 'hex'));
+  },
+
+  // X-HubSpot-Signature-v3: base64 HMAC of method + full URL + raw body + X-HubSpot-Request-Timestamp
+  hubspot: (secret, req, body) => {
+    const timestamp = req.get('x-hubspot-request-timestamp');
+    const url = `${(process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '')}${req.originalUrl}`;
+    return isFresh(Number(timestamp)) &&
+      safeEqual(req.get('x-hubspot-signature-v3'), hmac(secret, `${req.method}${url}${body}${timestamp}`, 'base64'));
+  }
+};
+
+/**
+ * Check the request's signature against the token's secret. `rawBody` is the
+ * body exactly as received (see keepRawBody in server.js).
+ */
+export function verifySignature(token, req, rawBody) {
+  const verify = SIGNATURE_SCHEMES[token.preset] || verifyGeneric;
+  return verify(token.signing_secret, req, rawBody ? rawBody.toString('utf-8') : '');
+}
+
+export const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+export const newSigningSecret = () => crypto.randomBytes(24).toString('hex');
+
+// A usable token for a presented secret, or null (unknown, revoked or expired)
+export function findIngestToken(secret) {
+  if (!secret || !secret.startsWith(TOKEN_PREFIX)) return null;
+  const hash = hashToken(secret);
+  const token = (db.data.ingest_tokens || []).find(t => t.token_hash === hash);
+  if (!token || token.revoked_at) return null;
+  if (token.expires_at && Date.parse(token.expires_at) <= Date.now()) return null;
+  return token;
+}
+
+// Check token options from the API. Returns an error message, or null when valid.
+export function validateIngestTokenOptions({ name, preset, field_map, signing_secret }, { partial = false } = {}) {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  }
+  if (preset !== undefined && !FIELD_PRESETS.includes(preset)) {
+    return `preset must be one of ${FIELD_PRESETS.join(', ')}`;
+  }
+  if (field_map != null) {
+    if (typeof field_map !== 'object' || Array.isArray(field_map)) return 'field_map must be an object of { "form field": "lead field" }';
+    const bad = Object.values(field_map).find(target => typeof target !== 'string' || !target.trim());
+    if (bad !== undefined) return 'field_map values must be lead field names';
+  }
+  if (signing_secret != null && signing_secret !== true && (typeof signing_secret !== 'string' || signing_secret.length < 16)) {
+    return 'signing_secret must be true (generate one), a secret of at least 16 characters, or null';
+  }
+  return null;
+}
+
+/**
+ * Create a token and return { token, secret } — the secret is never stored, so
+ * this is the only time the URL can be shown. Caller persists db.data.
+ */
+export async function createIngestToken({ userId, workspaceId, createdBy, name, preset, source, fieldMap, signingSecret, rotatedFrom = null }) {
+  const secret = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const token = {
+    id: await ids.next('ingest_tokens'),
+    user_id: userId,
+    workspace_id: workspaceId,
+    created_by: createdBy,
+    name: name.trim(),
+    preset: preset || 'generic',
+    source: source || null,
+    field_map: fieldMap || {},
+    signing_secret: signingSecret || null,
+    token_hash: hashToken(secret),
+    token_hint: secret.slice(-4),
+    rotated_from: rotatedFrom,
+    leads_captured: 0,
+    last_used_at: null,
+    expires_at: null,
+    revoked_at: null,
+    created_at: new Date().toISOString()
+  };
+  db.data.ingest_tokens.push(token);
+  return { token, secret };
+}
+
+export const ingestUrl = (secret) =>
+  `${(process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '')}/api/webhooks/leads/${secret}`;
+
+// What the settings page shows for a token — never its hash or signing secret
+export function publicIngestToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    preset: token.preset,
+    source: token.source,
+    field_map: token.field_map,
+    preview: `${TOKEN_PREFIX}…${token.token_hint}`,
+    signature_required: !!token.signing_secret,
+    leads_captured: token.leads_captured || 0,
+    created_by: token.created_by,
+    rotated_from: token.rotated_from,
+    last_used_at: token.last_used_at,
+    expires_at: token.expires_at,
+    revoked_at: token.revoked_at,
+    created_at: token.created_at
+  };
+}
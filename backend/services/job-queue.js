@@ -0,0 +1,394 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+
+const ACTIVE_STATUSES = ['pending', 'running'];
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// 30s, 1m, 2m, 4m ... capped at 1h
+export function retryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+/**
+ * Durable background job queue.
+ *
+ * Jobs live in the `jobs` table on PostgreSQL (claimed with SKIP LOCKED, so
+ * several instances can share the work) or in db.data.jobs with the JSON file.
+ * A `key` makes enqueueing idempotent: while a job with that key is pending
+ * or running, enqueueing it again is a no-op. Claimed jobs hold a lease; if
+ * the worker dies, the job becomes claimable again once the lease runs out.
+ * Failures are retried with exponential backoff until max_attempts, then the
+ * job is parked as `dead` for someone to look at.
+ */
+export class JobQueue {
+  constructor({ db, pool, pollMs = 2000 }) {
+    this.store = pool ? new PgJobStore(pool) : new JsonJobStore(db);
+    this.pollMs = pollMs;
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.draining = false;
+  }
+
+  register(type, handler, { leaseMs = DEFAULT_LEASE_MS, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+    this.handlers.set(type, { handler, leaseMs, maxAttempts });
+  }
+
+  // Returns the new job, or null if a live job with the same key already exists
+  async enqueue(type, payload = {}, options = {}) {
+    const [job] = await this.enqueueMany([{ type, payload, ...options }]);
+    return job || null;
+  }
+
+  // Batch version of enqueue() for scheduler ticks — one write for the lot.
+  // Returns only the jobs that were actually added.
+  async enqueueMany(jobs) {
+    if (jobs.length === 0) return [];
+    return this.store.enqueue(jobs.map(({ type, payload = {}, key = null, runAt = new Date(), maxAttempts }) => ({
+      type,
+      key,
+      payload,
+      run_at: new Date(runAt).toISOString(),
+      max_attempts: maxAttempts || this.handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS
+    })));
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.drain(), this.pollMs);
+    console.log(`✓ Job worker started (${this.workerId})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Run due jobs one at a time until none are left
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+    try {
+      let job;
+      while (this.timer && (job = await this.store.claim(this.workerId, DEFAULT_LEASE_MS))) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('❌ [Jobs] Worker error:', error.message);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async runJob(job) {
+    const registered = this.handlers.get(job.type);
+    if (!registered) {
+      await this.store.fail(job, `No handler registered for "${job.type}"`, null);
+      return;
+    }
+    if (job.attempts > job.max_attempts) {
+      // Lease ran out on the final attempt (worker crashed or hung)
+      await this.store.fail(job, job.last_error || 'Lease expired', null);
+      console.error(`☠️ [Jobs] ${job.type} #${job.id} moved to dead-letter list (lease expired)`);
+      return;
+    }
+    if (registered.leaseMs > DEFAULT_LEASE_MS) {
+      await this.store.extendLease(job, registered.leaseMs);
+    }
+
+    try {
+      await registered.handler(job.payload, job);
+      await this.store.complete(job);
+    } catch (error) {
+      const message = error?.message || String(error);
+      if (job.attempts >= job.max_attempts) {
+        await this.store.fail(job, message, null);
+        console.error(`☠️ [Jobs] ${job.type} #${job.id} failed ${job.attempts}x — moved to dead-letter list: ${message}`);
+      } else {
+        const retryAt = new Date(Date.now() + retryDelayMs(job.attempts));
+        await this.store.fail(job, message, retryAt);
+        console.error(`❌ [Jobs] ${job.type} #${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying at ${retryAt.toISOString()}: ${message}`);
+      }
+    }
+  }
+
+  list(options) {
+    return this.store.list(options);
+  }
+
+  // Put a dead job back in the queue with a fresh set of attempts
+  retry(id, userId = null) {
+    return this.store.retry(id, userId);
+  }
+
+  // Keys of dead jobs starting with `prefix` — schedulers skip these until retried
+  deadKeys(prefix) {
+    return this.store.deadKeys(prefix);
+  }
+
+  // Delete finished jobs older than `olderThanMs`
+  prune(olderThanMs = 24 * 60 * 60 * 1000) {
+    return this.store.prune(olderThanMs);
+  }
+}
+
+// ─── PostgreSQL store ─────────────────────────────────────────────────────────
+
+class PgJobStore {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async enqueue(jobs) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO jobs (type, key, payload, run_at, max_attempts)
+       SELECT type, key, payload, run_at, max_attempts
+       FROM jsonb_to_recordset($1::jsonb)
+         AS j(type TEXT, key TEXT, payload JSONB, run_at TIMESTAMPTZ, max_attempts INT)
+       ON CONFLICT (key) WHERE status IN ('pending', 'running') DO NOTHING
+       RETURNING *`,
+      [JSON.stringify(jobs)]
+    );
+    return rows.map(fromRow);
+  }
+
+  async claim(workerId, leaseMs) {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs
+       SET status = 'running', attempts = attempts + 1, locked_by = $1,
+           lease_until = now() + $2 * interval '1 millisecond', updated_at = now()
+       WHERE id = (
+         SELECT id FROM jobs
+         WHERE (status = 'pending' AND run_at <= now())
+            OR (status = 'running' AND lease_until < now())
+         ORDER BY run_at, id
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [workerId, leaseMs]
+    );
+    return rows[0] ? fromRow(rows[0]) : null;
+  }
+
+  async extendLease(job, leaseMs) {
+    await this.pool.query(
+      `UPDATE jobs SET lease_until = now() + $3 * interval '1 millisecond', updated_at = now()
+       WHERE id = $1 AND locked_by = $2`,
+      [job.id, job.locked_by, leaseMs]
+    );
+  }
+
+  async complete(job) {
+    await this.pool.query(
+      `UPDATE jobs SET status = 'done', lease_until = NULL, finished_at = now(), updated_at = now()
+       WHERE id = $1 AND locked_by = $2`,
+      [job.id, job.locked_by]
+    );
+  }
+
+  // retryAt = null moves the job to the dead-letter list
+  async fail(job, error, retryAt) {
+    await this.pool.query(
+      `UPDATE jobs
+       SET status = CASE WHEN $3::timestamptz IS NULL THEN 'dead' ELSE 'pending' END,
+           run_at = COALESCE($3::timestamptz, run_at),
+           finished_at = CASE WHEN $3::timestamptz IS NULL THEN now() END,
+           last_error = $4, lease_until = NULL, locked_by = NULL, updated_at = now()
+       WHERE id = $1 AND locked_by = $2`,
+      [job.id, job.locked_by, retryAt, error]
+    );
+  }
+
+  async list({ status = 'dead', userId = null, limit = 100 } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM jobs
+       WHERE status = $1 AND ($2::bigint IS NULL OR jsonb_bigint(payload, 'user_id') = $2)
+       ORDER BY updated_at DESC
+       LIMIT $3`,
+      [status, userId, limit]
+    );
+    return rows.map(fromRow);
+  }
+
+  async retry(id, userId) {
+    if (!/^\d+$/.test(String(id))) return null;
+    const { rows } = await this.pool.query(
+      `UPDATE jobs
+       SET status = 'pending', attempts = 0, run_at = now(), finished_at = NULL, updated_at = now()
+       WHERE id = $1 AND status = 'dead'
+         AND ($2::bigint IS NULL OR jsonb_bigint(payload, 'user_id') = $2)
+         AND NOT EXISTS (
+           SELECT 1 FROM jobs live
+           WHERE live.key = jobs.key AND live.status IN ('pending', 'running')
+         )
+       RETURNING *`,
+      [id, userId]
+    );
+    return rows[0] ? fromRow(rows[0]) : null;
+  }
+
+  async deadKeys(prefix) {
+    const { rows } = await this.pool.query(
+      `SELECT DISTINCT key FROM jobs WHERE status = 'dead' AND starts_with(key, $1)`,
+      [prefix]
+    );
+    return new Set(rows.map(r => r.key));
+  }
+
+  async prune(olderThanMs) {
+    const { rowCount } = await this.pool.query(
+      `DELETE FROM jobs WHERE status = 'done' AND finished_at < now() - $1 * interval '1 millisecond'`,
+      [olderThanMs]
+    );
+    return rowCount;
+  }
+}
+
+function fromRow(row) {
+  return {
+    ...row,
+    id: Number(row.id),
+    run_at: row.run_at?.toISOString(),
+    lease_until: row.lease_until?.toISOString() || null,
+    created_at: row.created_at?.toISOString(),
+    updated_at: row.updated_at?.toISOString(),
+    finished_at: row.finished_at?.toISOString() || null
+  };
+}
+
+// ─── JSON file store ──────────────────────────────────────────────────────────
+// Single-process only: db.data is the source of truth and every change is
+// written straight away. Handlers call db.read() (which swaps db.data), so
+// jobs are always looked up again by id rather than held on to.
+
+class JsonJobStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get jobs() {
+    if (!this.db.data.jobs) this.db.data.jobs = [];
+    return this.db.data.jobs;
+  }
+
+  find(id) {
+    return this.jobs.find(j => String(j.id) === String(id));
+  }
+
+  async enqueue(jobs) {
+    const liveKeys = new Set(this.jobs.filter(j => j.key && ACTIVE_STATUSES.includes(j.status)).map(j => j.key));
+    const now = new Date().toISOString();
+    const added = [];
+    for (const { type, key, payload, run_at, max_attempts } of jobs) {
+      if (key && liveKeys.has(key)) continue;
+      if (key) liveKeys.add(key);
+      const job = {
+        id: randomUUID(),
+        type,
+        key,
+        payload,
+        status: 'pending',
+        run_at,
+        attempts: 0,
+        max_attempts,
+        locked_by: null,
+        lease_until: null,
+        last_error: null,
+        created_at: now,
+        updated_at: now,
+        finished_at: null
+      };
+      this.jobs.push(job);
+      added.push({ ...job });
+    }
+    if (added.length > 0) await this.db.write();
+    return added;
+  }
+
+  async claim(workerId, leaseMs) {
+    const now = Date.now();
+    const job = this.jobs
+      .filter(j =>
+        (j.status === 'pending' && Date.parse(j.run_at) <= now) ||
+        (j.status === 'running' && Date.parse(j.lease_until) < now)
+      )
+      .sort((a, b) => Date.parse(a.run_at) - Date.parse(b.run_at))[0];
+    if (!job) return null;
+
+    job.status = 'running';
+    job.attempts += 1;
+    job.locked_by = workerId;
+    job.lease_until = new Date(now + leaseMs).toISOString();
+    job.updated_at = new Date(now).toISOString();
+    await this.db.write();
+    return { ...job };
+  }
+
+  async update(job, changes) {
+    const live = this.find(job.id);
+    if (!live || live.locked_by !== job.locked_by) return;
+    Object.assign(live, changes, { updated_at: new Date().toISOString() });
+    await this.db.write();
+  }
+
+  extendLease(job, leaseMs) {
+    return this.update(job, { lease_until: new Date(Date.now() + leaseMs).toISOString() });
+  }
+
+  complete(job) {
+    return this.update(job, { status: 'done', lease_until: null, finished_at: new Date().toISOString() });
+  }
+
+  fail(job, error, retryAt) {
+    return this.update(job, {
+      status: retryAt ? 'pending' : 'dead',
+      run_at: retryAt ? retryAt.toISOString() : job.run_at,
+      finished_at: retryAt ? null : new Date().toISOString(),
+      last_error: error,
+      lease_until: null,
+      locked_by: null
+    });
+  }
+
+  async list({ status = 'dead', userId = null, limit = 100 } = {}) {
+    return this.jobs
+      .filter(j => j.status === status && (userId == null || String(j.payload?.user_id) === String(userId)))
+      .sort((a, b) => Date.parse(b.updated_at) - Date.parse(a.updated_at))
+      .slice(0, limit)
+      .map(j => ({ ...j }));
+  }
+
+  async retry(id, userId) {
+    const job = this.find(id);
+    if (!job || job.status !== 'dead') return null;
+    if (userId != null && String(job.payload?.user_id) !== String(userId)) return null;
+    if (job.key && this.jobs.some(j => j.key === job.key && ACTIVE_STATUSES.includes(j.status))) return null;
+
+    Object.assign(job, {
+      status: 'pending',
+      attempts: 0,
+      run_at: new Date().toISOString(),
+      finished_at: null,
+      updated_at: new Date().toISOString()
+    });
+    await this.db.write();
+    return { ...job };
+  }
+
+  async deadKeys(prefix) {
+    return new Set(this.jobs.filter(j => j.status === 'dead' && j.key?.startsWith(prefix)).map(j => j.key));
+  }
+
+  async prune(olderThanMs) {
+    const cutoff = Date.now() - olderThanMs;
+    const before = this.jobs.length;
+    this.db.data.jobs = this.jobs.filter(j => !(j.status === 'done' && Date.parse(j.finished_at) < cutoff));
+    const removed = before - this.db.data.jobs.length;
+    if (removed > 0) await this.db.write();
+    return removed;
+  }
+}
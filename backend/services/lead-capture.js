@@ -0,0 +1,264 @@
+import { db, ids } from '../storage/db.js';
+import { aiLeadProcessor } from './lead-processor.js';
+import { routeLead } from './routing.js';
+import { isValidTimezone } from './send-window.js';
+import { queue } from './queue.js';
+
+/**
+ * Lead capture — turns a form submission into a lead. Used by the
+ * lead-capture webhook (POST /api/webhooks/leads/:token) and by lead forms
+ * built in the app (services/lead-forms.js).
+ *
+ * A preset reads the tool's payload into `answers` ({ question: answer }):
+ *   generic  — a flat JSON object, e.g. { "email": "...", "first_name": "..." }
+ *   typeform — form_response.answers (labelled by field ref, else question title)
+ *   webflow  — payload.data of a form_submission webhook (or data, for v1)
+ *   facebook — Lead Ads field_data: [{ name, values }]
+ *   hubspot  — contact properties ({ email: { value } }), fields: [{ name, value }], or flat
+ * Answers are then matched to lead fields by name (FIELD_ALIASES), after any
+ * explicit field_map on the token. Everything submitted is kept on the lead as
+ * form_answers and passed to lead profiling.
+ *
+ * Submissions are deduplicated by email within the account: a repeat fills in
+ * the lead's blank fields instead of creating a second lead.
+ *
+ * New leads are saved and answered straight away. AI profiling and routing
+ * run afterwards as a `lead_profile` job — an LLM call can take up to a
+ * minute, and form tools that time out retry the submission.
+ */
+
+export const FIELD_PRESETS = ['generic', 'typeform', 'webflow', 'facebook', 'hubspot'];
+
+export const LEAD_FIELDS = ['email', 'first_name', 'last_name', 'name', 'company', 'phone', 'message', 'source', 'territory', 'timezone'];
+
+// Common names for each lead field, after normalizeKey()
+const FIELD_ALIASES = {
+  email: ['email', 'email_address', 'e_mail', 'your_email', 'work_email', 'business_email'],
+  first_name: ['first_name', 'firstname', 'first', 'given_name', 'fname'],
+  last_name: ['last_name', 'lastname', 'last', 'surname', 'family_name', 'lname'],
+  name: ['name', 'full_name', 'fullname', 'your_name', 'contact_name'],
+  company: ['company', 'company_name', 'organization', 'organisation', 'business', 'business_name'],
+  phone: ['phone', 'phone_number', 'mobile', 'mobilephone', 'mobile_phone', 'telephone', 'tel', 'your_phone'],
+  message: ['message', 'your_message', 'comments', 'comment', 'notes', 'details', 'how_can_we_help'],
+  source: ['source', 'lead_source', 'utm_source'],
+  territory: ['territory', 'region', 'country'],
+  timezone: ['timezone', 'time_zone']
+};
+
+const ALIAS_INDEX = Object.fromEntries(
+  Object.entries(FIELD_ALIASES).flatMap(([field, aliases]) => aliases.map(alias => [alias, field]))
+);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const normalizeKey = (key) => String(key).toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// The lead field a column or question name usually means ("E-mail Address" → email), or null
+export const leadFieldFor = (label) => ALIAS_INDEX[normalizeKey(label)] || null;
+
+// Strings, numbers and booleans as text; lists joined; anything else dropped
+function answerText(value) {
+  if (Array.isArray(value)) return value.map(answerText).filter(Boolean).join(', ');
+  if (value == null || typeof value === 'object') return '';
+  return String(value).trim();
+}
+
+function flatAnswers(object = {}) {
+  const answers = {};
+  for (const [key, value] of Object.entries(object || {})) {
+    const text = answerText(value);
+    if (text) answers[key] = text;
+  }
+  return answers;
+}
+
+function typeformAnswers(body) {
+  const response = body.form_response || {};
+  const titles = Object.fromEntries((response.definition?.fields || []).map(f => [f.id, f.title]));
+  const answers = {};
+  const hints = {};
+  for (const answer of response.answers || []) {
+    const field = answer.field || {};
+    // Auto-generated refs are UUIDs — the question title reads better
+    const label = field.ref && !/^[0-9a-f-]{36}$/i.test(field.ref) ? field.ref : (titles[field.id] || field.ref || field.id);
+    const raw = answer[answer.type];
+    const text = answer.type === 'choice' ? answerText(raw?.label ?? raw?.other)
+      : answer.type === 'choices' ? answerText(raw?.labels)
+        : answerText(raw);
+    if (!label || !text) continue;
+    answers[label] = text;
+    if (answer.type === 'email') hints.email = hints.email || text;
+    if (answer.type === 'phone_number') hints.phone = hints.phone || text;
+  }
+  return { answers: { ...flatAnswers(response.hidden), ...answers }, hints };
+}
+
+function facebookAnswers(body) {
+  const fieldData = body.field_data || body.value?.field_data || [];
+  const answers = {};
+  for (const { name, values } of fieldData) {
+    const text = answerText(values);
+    if (name && text) answers[name] = text;
+  }
+  return { answers, hints: {} };
+}
+
+function hubspotAnswers(body) {
+  if (body.properties && typeof body.properties === 'object') {
+    const answers = {};
+    for (const [name, property] of Object.entries(body.properties)) {
+      const text = answerText(property && typeof property === 'object' ? property.value : property);
+      if (text) answers[name] = text;
+    }
+    return { answers, hints: {} };
+  }
+  if (Array.isArray(body.fields)) {
+    return { answers: Object.fromEntries(body.fields.map(f => [f.name, answerText(f.value)]).filter(([name, text]) => name && text)), hints: {} };
+  }
+  return { answers: flatAnswers(body), hints: {} };
+}
+
+/**
+ * Read a submission with a preset. Returns { answers, hints } — hints are
+ * fields the tool typed explicitly (e.g. Typeform's email question).
+ */
+export function extractSubmission(preset, body = {}) {
+  switch (preset) {
+    case 'typeform':
+      return typeformAnswers(body);
+    case 'webflow':
+      return { answers: flatAnswers(body.payload?.data || body.data || body), hints: {} };
+    case 'facebook':
+      return facebookAnswers(body);
+    case 'hubspot':
+      return hubspotAnswers(body);
+    default:
+      return { answers: flatAnswers(body), hints: {} };
+  }
+}
+
+/**
+ * Match answers to lead fields. `fieldMap` ({ "form field": "lead field" })
+ * wins over the built-in names; a "name" answer is split into first and last.
+ */
+export function mapFields(answers, { fieldMap = {}, hints = {} } = {}) {
+  const explicit = Object.fromEntries(Object.entries(fieldMap).map(([from, to]) => [normalizeKey(from), to]));
+  const fields = { ...hints };
+  for (const [label, value] of Object.entries(answers)) {
+    const key = normalizeKey(label);
+    const target = explicit[key] || ALIAS_INDEX[key];
+    if (target && LEAD_FIELDS.includes(target) && fields[target] === undefined) fields[target] = value;
+  }
+
+  if (fields.name) {
+    const [first, ...rest] = fields.name.split(/\s+/);
+    if (!fields.first_name) fields.first_name = first;
+    if (!fields.last_name && rest.length) fields.last_name = rest.join(' ');
+  }
+  delete fields.name;
+
+  // No email question we recognise — take the first answer that is an address
+  if (!fields.email) fields.email = Object.values(answers).find(value => EMAIL_PATTERN.test(value));
+  if (fields.email) fields.email = fields.email.trim().toLowerCase();
+  return fields;
+}
+
+export const isValidEmail = (email) => EMAIL_PATTERN.test(email || '');
+
+const FILLABLE_FIELDS = ['first_name', 'last_name', 'company', 'phone', 'territory', 'timezone'];
+
+const answersText = (answers) => Object.entries(answers).map(([question, answer]) => `${question}: ${answer}`).join('\n');
+
+/**
+ * Create a lead from mapped fields, or fill in the blanks on the account's
+ * existing lead with that email. `origin` is copied onto a new lead (e.g.
+ * { ingest_token_id }). Returns { lead, duplicate }. Caller persists db.data,
+ * then calls queueLeadProfiling() for a new lead.
+ */
+export async function captureLead({ userId, workspaceId, fields, answers = {}, source, origin = {} }) {
+  const timezone = isValidTimezone(fields.timezone) ? fields.timezone : null;
+  const existing = db.data.leads.find(l => l.user_id === userId && (l.email || '').toLowerCase().trim() === fields.email);
+  if (existing) {
+    for (const field of FILLABLE_FIELDS) {
+      const value = field === 'timezone' ? timezone : fields[field];
+      if (!existing[field] && value) existing[field] = value;
+    }
+    existing.form_answers = { ...existing.form_answers, ...answers };
+    existing.capture_count = (existing.capture_count || 1) + 1;
+    existing.last_captured_at = new Date().toISOString();
+    existing.updated_at = existing.last_captured_at;
+    return { lead: existing, duplicate: true };
+  }
+
+  const lead = {
+    id: await ids.next('leads'),
+    user_id: userId,
+    owner_id: null,
+    email: fields.email,
+    first_name: fields.first_name || '',
+    last_name: fields.last_name || '',
+    company: fields.company || '',
+    phone: fields.phone || '',
+    timezone,
+    source: fields.source || source || 'webhook',
+    territory: fields.territory || null,
+    status: 'new',
+    ai_intent: null,
+    form_answers: answers,
+    ...origin,
+    last_captured_at: new Date().toISOString(),
+    created_at: new Date().toISOString()
+  };
+
+  // Allocating the id can wait on the database — another submission could have added the lead meanwhile
+  const raced = db.data.leads.find(l => l.user_id === userId && (l.email || '').toLowerCase().trim() === lead.email);
+  if (raced) return { lead: raced, duplicate: true };
+
+  // Unassigned (visible to the whole team) until routing runs after profiling
+  db.data.leads.push(lead);
+  return { lead, duplicate: false };
+}
+
+// Profile and route a new lead in the background, once it is saved
+export function queueLeadProfiling(lead, { workspaceId, message = null }) {
+  return queue.enqueue('lead_profile', { user_id: lead.user_id, lead_id: lead.id, workspace_id: workspaceId, message }, {
+    key: `lead-profile:${lead.id}`
+  });
+}
+
+/**
+ * Job handler: AI profiling for a captured lead, then routing rules — after
+ * profiling, so score rules see opportunity_score. A failed profile still
+ * routes the lead; someone assigning it meanwhile wins over routing.
+ */
+export async function profileCapturedLead({ user_id, lead_id, workspace_id, message }) {
+  await db.read();
+  const lead = db.data.leads.find(l => l.id === lead_id && l.user_id === user_id);
+  if (!lead) return;
+
+  let result = null;
+  try {
+    const productProfile = db.data.product_profiles.find(p => p.user_id === user_id);
+    result = await aiLeadProcessor.processNewLead({
+      lead_source: lead.source,
+      name: `${lead.first_name} ${lead.last_name}`.trim(),
+      email: lead.email,
+      company: lead.company,
+      message,
+      form_answers: answersText(lead.form_answers || {})
+    }, productProfile?.product_description ? {
+      product_info: [productProfile.product_name, productProfile.product_description].filter(Boolean).join(' — ')
+    } : {});
+  } catch (error) {
+    console.error('Lead profiling error:', error.message);
+  }
+
+  // Profiling takes a while — carry on with fresh data
+  await db.read();
+  const live = db.data.leads.find(l => l.id === lead_id);
+  if (!live) return;
+  if (result) aiLeadProcessor.applyProcessingResult(live, result);
+  if (live.owner_id == null) live.owner_id = routeLead(live, workspace_id) ?? null;
+  live.updated_at = new Date().toISOString();
+  await db.write();
+}
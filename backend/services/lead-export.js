@@ -0,0 +1,170 @@
+import { PassThrough } from 'stream';
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { db } from '../storage/db.js';
+import { toCsv } from './csv.js';
+import { filterLeads } from './lead-filters.js';
+
+/**
+ * Lead export — the lead list as CSV, XLSX or JSON, with the same filters as
+ * GET /api/leads (services/lead-filters.js). Used by GET /api/leads/export,
+ * which streams the file, and by scheduled exports (services/export-schedules.js),
+ * which email it as an attachment.
+ *
+ * `columns` picks what goes in, in order: any of EXPORT_COLUMNS, or
+ * "custom:<key>" for a custom field from a lead import.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const CUSTOM_PREFIX = 'custom:';
+const BATCH_SIZE = 500;
+
+// Column → its value on a lead. `ctx` has lookups for names (see exportContext).
+export const EXPORT_COLUMNS = {
+  id: (lead) => lead.id,
+  email: (lead) => lead.email,
+  first_name: (lead) => lead.first_name,
+  last_name: (lead) => lead.last_name,
+  company: (lead) => lead.company,
+  phone: (lead) => lead.phone,
+  status: (lead) => lead.status,
+  ai_intent: (lead) => lead.ai_intent,
+  ai_reasoning: (lead) => lead.ai_reasoning,
+  objection_subtype: (lead) => lead.objection_subtype,
+  opportunity_score: (lead) => lead.opportunity_score,
+  intent_level: (lead) => lead.intent_level,
+  buying_stage: (lead) => lead.buying_stage,
+  source: (lead) => lead.source,
+  territory: (lead) => lead.territory,
+  timezone: (lead) => lead.timezone,
+  owner: (lead, ctx) => ctx.owners.get(lead.owner_id) ?? null,
+  sequence: (lead, ctx) => ctx.sequences.get(lead.enrolled_sequence_id) ?? null,
+  sequence_step: (lead) => lead.sequence_current_step,
+  sequence_completed: (lead) => lead.sequence_completed,
+  email_count: (lead) => lead.email_count,
+  follow_up_count: (lead) => lead.follow_up_count,
+  last_reply: (lead) => lead.last_reply,
+  last_reply_date: (lead) => lead.last_reply_date,
+  last_email_sent_date: (lead) => lead.last_email_sent_date,
+  tags: (lead) => lead.tags || [],
+  created_at: (lead) => lead.created_at,
+  updated_at: (lead) => lead.updated_at
+};
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  'id', 'email', 'first_name', 'last_name', 'company', 'phone', 'status', 'ai_intent',
+  'opportunity_score', 'source', 'owner', 'sequence', 'tags', 'created_at'
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+export const exportContentType = (format) => CONTENT_TYPES[format];
+export const exportFileName = (format, date = new Date()) => `leads-${date.toISOString().slice(0, 10)}.${format}`;
+
+// "id,email,custom:plan" → a list of columns; an empty value means the defaults
+export function parseExportColumns(value) {
+  if (Array.isArray(value)) return value.length ? value.map(String) : DEFAULT_EXPORT_COLUMNS;
+  const columns = String(value ?? '').split(',').map(column => column.trim()).filter(Boolean);
+  return columns.length ? columns : DEFAULT_EXPORT_COLUMNS;
+}
+
+// Returns an error message, or null when every column is known
+export function exportColumnsError(columns) {
+  const unknown = columns.find(column =>
+    !EXPORT_COLUMNS[column] && !(column.startsWith(CUSTOM_PREFIX) && column.length > CUSTOM_PREFIX.length)
+  );
+  if (unknown) return `Unknown column "${unknown}" — use ${Object.keys(EXPORT_COLUMNS).join(', ')} or custom:<key>`;
+  if (new Set(columns).size !== columns.length) return 'Each column can only be exported once';
+  return null;
+}
+
+// Owner emails and sequence names, looked up once per export
+export function exportContext(userId) {
+  const owners = new Map((db.data.users || []).map(u => [u.id, u.email]));
+  const sequences = new Map((db.data.sequences || []).filter(s => s.user_id === userId).map(s => [s.id, s.name]));
+  return { owners, sequences };
+}
+
+/**
+ * The account's leads matching `filters`, oldest first so exports line up
+ * from one run to the next. `memberId` is who "owner=me" means.
+ */
+export function leadsToExport(userId, filters = {}, { memberId = null } = {}) {
+  const leads = filterLeads(db.data.leads.filter(l => l.user_id === userId), filters, { memberId });
+  return [...leads].sort((a, b) => (a.created_at || '').localeCompare(b.created_at || '') || a.id - b.id);
+}
+
+export function exportRow(lead, columns, ctx) {
+  return columns.map(column => {
+    const value = column.startsWith(CUSTOM_PREFIX)
+      ? lead.custom_fields?.[column.slice(CUSTOM_PREFIX.length)]
+      : EXPORT_COLUMNS[column](lead, ctx);
+    return value ?? null;
+  });
+}
+
+// Lists (tags) as one cell in CSV and XLSX; JSON keeps them as arrays
+const flatRow = (row) => row.map(value => Array.isArray(value) ? value.join('; ') : value);
+
+// Write, waiting for the stream to drain when its buffer is full. Stops if the
+// download was cancelled, rather than waiting for a drain that never comes.
+async function write(stream, chunk) {
+  if (stream.destroyed) throw new Error('Export stream closed');
+  if (!stream.write(chunk)) await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+}
+
+async function writeCsv(stream, leads, columns, ctx) {
+  await write(stream, toCsv([columns]));
+  for (let i = 0; i < leads.length; i += BATCH_SIZE) {
+    await write(stream, toCsv(leads.slice(i, i + BATCH_SIZE).map(lead => flatRow(exportRow(lead, columns, ctx)))));
+  }
+}
+
+async function writeJson(stream, leads, columns, ctx) {
+  await write(stream, '[');
+  for (let i = 0; i < leads.length; i += BATCH_SIZE) {
+    const batch = leads.slice(i, i + BATCH_SIZE).map(lead => {
+      const row = exportRow(lead, columns, ctx);
+      return JSON.stringify(Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+    });
+    await write(stream, (i ? ',\n' : '\n') + batch.join(',\n'));
+  }
+  await write(stream, '\n]\n');
+}
+
+async function writeXlsx(stream, leads, columns, ctx) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Leads');
+  sheet.addRow(columns).commit();
+  for (const lead of leads) {
+    sheet.addRow(flatRow(exportRow(lead, columns, ctx))).commit();
+  }
+  await workbook.commit();
+}
+
+/**
+ * Write leads to a stream (an HTTP response, or a buffer for email). The
+ * stream is ended when done — XLSX ends it itself.
+ */
+export async function writeExport(stream, format, leads, columns, ctx) {
+  if (format === 'xlsx') return writeXlsx(stream, leads, columns, ctx);
+  if (format === 'json') await writeJson(stream, leads, columns, ctx);
+  else await writeCsv(stream, leads, columns, ctx);
+  stream.end();
+}
+
+// The whole file in memory, for an email attachment
+export async function exportBuffer(format, leads, columns, ctx) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const ended = once(stream, 'end');
+  await writeExport(stream, format, leads, columns, ctx);
+  await ended;
+  return Buffer.concat(chunks);
+}
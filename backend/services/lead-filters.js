@@ -0,0 +1,103 @@
+/**
+ * Lead list filters, shared by GET /api/leads, the lead export and scheduled
+ * exports (services/lead-export.js). Filters come from the query string:
+ *
+ *   status, ai_intent    one value or a comma-separated list; ai_intent=none for leads without one
+ *   owner                me, a member's user id, or none for unassigned leads
+ *   sequence_id          leads enrolled in that sequence, or none
+ *   created_from/_to     YYYY-MM-DD or ISO dates, both inclusive
+ *   created_within_days  created in the last N days (handy for scheduled exports)
+ *   tags                 comma-separated; leads with any of them
+ */
+
+export const LEAD_FILTERS = ['status', 'ai_intent', 'owner', 'sequence_id', 'created_from', 'created_to', 'created_within_days', 'tags'];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+/**
+ * A lead's tags from an array or a "vip, conference" / "vip; conference"
+ * string — trimmed, without repeats (ignoring case).
+ */
+export function normalizeTags(value) {
+  const tags = Array.isArray(value) ? value : String(value ?? '').split(/[,;]/);
+  const seen = new Set();
+  return tags
+    .map(tag => String(tag ?? '').trim().slice(0, MAX_TAG_LENGTH))
+    .filter(tag => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()))
+    .slice(0, MAX_TAGS);
+}
+
+// Check filters from a query string or a saved export. Returns an error message, or null when valid.
+export function leadFilterError(filters = {}) {
+  for (const key of ['created_from', 'created_to']) {
+    if (filters[key] && Number.isNaN(Date.parse(filters[key]))) return `${key} must be a date like 2026-01-31`;
+  }
+  const days = filters.created_within_days;
+  if (days !== undefined && days !== '' && !(Number.isInteger(Number(days)) && Number(days) > 0)) {
+    return 'created_within_days must be a whole number of days';
+  }
+  const sequence = filters.sequence_id;
+  if (sequence !== undefined && sequence !== '' && sequence !== 'none' && !Number.isInteger(Number(sequence))) {
+    return 'sequence_id must be a sequence id or none';
+  }
+  const owner = filters.owner;
+  if (owner !== undefined && owner !== '' && !['me', 'none'].includes(owner) && !Number.isInteger(Number(owner))) {
+    return 'owner must be me, none or a member\'s user id';
+  }
+  return null;
+}
+
+// Just the filters that are set, as strings — what a saved export keeps
+export function pickLeadFilters(source = {}) {
+  return Object.fromEntries(LEAD_FILTERS
+    .filter(key => source[key] !== undefined && source[key] !== null && source[key] !== '')
+    .map(key => [key, String(source[key])]));
+}
+
+/**
+ * Apply filters to a list of leads. `memberId` is who "owner=me" means.
+ * Assumes leadFilterError() passed.
+ */
+export function filterLeads(leads, filters = {}, { memberId = null } = {}) {
+  let result = leads;
+
+  if (filters.status) {
+    const statuses = list(filters.status);
+    result = result.filter(l => statuses.includes(l.status));
+  }
+  if (filters.ai_intent) {
+    const intents = list(filters.ai_intent);
+    result = result.filter(l => intents.includes(l.ai_intent || 'none'));
+  }
+  if (filters.owner) {
+    const owner = filters.owner === 'me' ? memberId : filters.owner === 'none' ? null : Number(filters.owner);
+    result = result.filter(l => (l.owner_id ?? null) === owner);
+  }
+  if (filters.sequence_id) {
+    const sequenceId = filters.sequence_id === 'none' ? null : Number(filters.sequence_id);
+    result = result.filter(l => (l.enrolled_sequence_id ?? null) === sequenceId);
+  }
+
+  // A date-only "to" covers that whole day
+  const from = filters.created_from ? Date.parse(filters.created_from) : null;
+  const to = filters.created_to
+    ? Date.parse(filters.created_to) + (isDateOnly(filters.created_to) ? 24 * 60 * 60 * 1000 - 1 : 0)
+    : null;
+  const since = filters.created_within_days ? Date.now() - Number(filters.created_within_days) * 24 * 60 * 60 * 1000 : null;
+  if (from !== null || to !== null || since !== null) {
+    result = result.filter(l => {
+      const created = Date.parse(l.created_at);
+      return (from === null || created >= from) && (to === null || created <= to) && (since === null || created >= since);
+    });
+  }
+
+  if (filters.tags) {
+    const wanted = list(filters.tags).map(tag => tag.toLowerCase());
+    result = result.filter(l => (l.tags || []).some(tag => wanted.includes(tag.toLowerCase())));
+  }
+  return result;
+}
@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+import { db } from '../storage/db.js';
+import { getUserPlan, isPlanActive } from './billing.js';
+import { LEAD_FIELDS } from './lead-capture.js';
+
+/**
+ * Lead forms — simple forms built in the app and embedded on a site with a
+ * script tag or an iframe. Both load the hosted page
+ * (GET /api/lead-forms/public/:publicId); the script tag just creates the
+ * iframe and keeps it sized to the form.
+ *
+ * A form (lead_forms) has fields ({ key, label, type, required, options,
+ * maps_to }), an optional consent checkbox, a thank-you message or redirect,
+ * and an optional sequence new leads are enrolled in. Submissions go through
+ * the same capture path as the lead webhook (services/lead-capture.js).
+ *
+ * Spam: a hidden honeypot field real visitors never fill in, plus per-visitor
+ * and per-form rate limits on submissions (routes/lead-forms.js).
+ */
+
+export const FORM_FIELD_TYPES = ['text', 'email', 'tel', 'textarea', 'select', 'checkbox'];
+export const HONEYPOT_FIELD = '_hp_website';
+const MAX_FIELDS = 30;
+const FIELD_KEY = /^[a-z][a-z0-9_]{0,39}$/;
+
+// Lead fields a form field can fill in
+const MAPPABLE_FIELDS = LEAD_FIELDS.filter(field => field !== 'source');
+
+export const DEFAULT_FORM_FIELDS = [
+  { key: 'email', label: 'Email', type: 'email', required: true, maps_to: 'email' },
+  { key: 'first_name', label: 'First name', type: 'text', required: false, maps_to: 'first_name' },
+  { key: 'last_name', label: 'Last name', type: 'text', required: false, maps_to: 'last_name' },
+  { key: 'company', label: 'Company', type: 'text', required: false, maps_to: 'company' },
+  { key: 'message', label: 'How can we help?', type: 'textarea', required: false, maps_to: 'message' }
+];
+
+export const DEFAULT_THANK_YOU = "Thanks! We'll be in touch shortly.";
+
+export const newPublicId = () => 'frm_' + crypto.randomBytes(9).toString('base64url');
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+function validateField(field, index) {
+  const where = `fields[${index}]`;
+  if (!field || typeof field !== 'object') return `${where} must be an object`;
+  if (!FIELD_KEY.test(field.key || '')) return `${where}.key must be lowercase letters, digits and underscores`;
+  if (typeof field.label !== 'string' || !field.label.trim() || field.label.length > 200) return `${where}.label is required (up to 200 characters)`;
+  if (!FORM_FIELD_TYPES.includes(field.type)) return `${where}.type must be one of ${FORM_FIELD_TYPES.join(', ')}`;
+  if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0 ||
+    field.options.some(option => typeof option !== 'string' || !option.trim()))) {
+    return `${where}.options must list the choices for a select field`;
+  }
+  if (field.maps_to != null && !MAPPABLE_FIELDS.includes(field.maps_to)) {
+    return `${where}.maps_to must be one of ${MAPPABLE_FIELDS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Check a form definition from the API. Returns an error message, or null when
+ * valid. `userId` is needed to check sequence_id.
+ */
+export function validateLeadForm(body, { userId, partial = false } = {}) {
+  const { name, fields, consent, thank_you_message, redirect_url, sequence_id } = body;
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  }
+  if (fields !== undefined) {
+    if (!Array.isArray(fields) || fields.length === 0 || fields.length > MAX_FIELDS) {
+      return `fields must list 1 to ${MAX_FIELDS} fields`;
+    }
+    for (const [index, field] of fields.entries()) {
+      const error = validateField(field, index);
+      if (error) return error;
+    }
+    const keys = fields.map(f => f.key);
+    if (new Set(keys).size !== keys.length) return 'Field keys must be unique';
+    const emailField = fields.find(f => f.maps_to === 'email');
+    if (!emailField || !emailField.required) return 'A required field must map to email';
+  }
+  if (consent != null) {
+    if (typeof consent !== 'object') return 'consent must be { enabled, text, required }';
+    if (consent.enabled && (typeof consent.text !== 'string' || !consent.text.trim())) return 'consent.text is required when consent is enabled';
+  }
+  if (thank_you_message != null && (typeof thank_you_message !== 'string' || thank_you_message.length > 1000)) {
+    return 'thank_you_message must be text of up to 1000 characters';
+  }
+  if (redirect_url && !isHttpUrl(redirect_url)) return 'redirect_url must start with https:// or http://';
+  if (sequence_id != null && !db.data.sequences.some(s => s.id === Number(sequence_id) && s.user_id === userId)) {
+    return 'sequence_id must be one of your sequences';
+  }
+  return null;
+}
+
+// Normalise a valid form definition for storage
+export function formSettings(body) {
+  return {
+    ...(body.name !== undefined && { name: body.name.trim() }),
+    ...(body.fields !== undefined && {
+      fields: body.fields.map(f => ({
+        key: f.key,
+        label: f.label.trim(),
+        type: f.type,
+        required: !!f.required,
+        ...(f.type === 'select' && { options: f.options.map(o => o.trim()) }),
+        maps_to: f.maps_to || null
+      }))
+    }),
+    ...(body.consent !== undefined && {
+      consent: body.consent?.enabled
+        ? { enabled: true, text: body.consent.text.trim(), required: body.consent.required !== false }
+        : { enabled: false }
+    }),
+    ...(body.thank_you_message !== undefined && { thank_you_message: body.thank_you_message || DEFAULT_THANK_YOU }),
+    ...(body.redirect_url !== undefined && { redirect_url: body.redirect_url || null }),
+    ...(body.sequence_id !== undefined && { sequence_id: body.sequence_id == null ? null : Number(body.sequence_id) }),
+    ...(body.submit_label !== undefined && { submit_label: String(body.submit_label || '').trim() || 'Submit' }),
+    ...(body.source !== undefined && { source: body.source || null }),
+    ...(body.enabled !== undefined && { enabled: !!body.enabled })
+  };
+}
+
+const CHECKED = ['on', 'true', '1', 'yes'];
+const isChecked = (value) => value === true || CHECKED.includes(String(value ?? '').toLowerCase());
+
+/**
+ * Read a submission against the form. Returns { error } or
+ * { answers, fieldMap, consentGiven } — answers are keyed by field label,
+ * fieldMap maps those labels to lead fields (for mapFields).
+ */
+export function readSubmission(form, body) {
+  const answers = {};
+  const fieldMap = {};
+  for (const field of form.fields) {
+    const raw = body[field.key];
+    let value = field.type === 'checkbox' ? (isChecked(raw) ? 'Yes' : '') : String(raw ?? '').trim();
+    if (value.length > 5000) value = value.slice(0, 5000);
+    if (field.required && !value) return { error: `${field.label} is required` };
+    if (field.type === 'select' && value && !field.options.includes(value)) return { error: `Pick one of the options for ${field.label}` };
+    if (!value) continue;
+    answers[field.label] = value;
+    if (field.maps_to) fieldMap[field.label] = field.maps_to;
+  }
+
+  const consentGiven = !!form.consent?.enabled && isChecked(body.consent);
+  if (form.consent?.enabled && form.consent.required && !consentGiven) {
+    return { error: 'Please tick the consent box to continue' };
+  }
+  return { answers, fieldMap, consentGiven };
+}
+
+/**
+ * Enroll a captured lead in the form's sequence. Step 1 is left to the
+ * scheduler (it goes out on its next tick, or after the step's delay), so the
+ * visitor isn't kept waiting on a send. Returns why it didn't, or null.
+ * Caller persists db.data.
+ */
+export function enrollFromForm(lead, form) {
+  const sequence = db.data.sequences.find(s => s.id === form.sequence_id && s.user_id === form.user_id);
+  if (!sequence) return 'sequence_missing';
+  if (lead.enrolled_sequence_id && lead.sequence_completed === false) return 'already_enrolled';
+  if (['bounced', 'dead', 'replied', 'interested'].includes(lead.status)) return 'lead_not_eligible';
+
+  const user = db.data.users.find(u => u.id === form.user_id);
+  if (!isPlanActive(user)) return 'plan_expired';
+  const { limits } = getUserPlan(user);
+  const activeLeads = db.data.leads.filter(l =>
+    l.user_id === form.user_id && l.enrolled_sequence_id && !l.sequence_completed && l.status !== 'dead'
+  ).length;
+  if (limits.active_leads_limit !== null && activeLeads + 1 > limits.active_leads_limit) return 'lead_limit_reached';
+
+  const steps = db.data.sequence_steps.filter(s => s.sequence_id === sequence.id);
+  if (steps.length === 0) return 'sequence_empty';
+
+  // Same as enrolling by hand: new leads mean the sequence should be running
+  if (!sequence.is_active) sequence.is_active = true;
+  Object.assign(lead, {
+    enrolled_sequence_id: sequence.id,
+    sequence_current_step: 0,
+    sequence_last_step_key: null,
+    sequence_send_slot: null,
+    sequence_throttled_since: null,
+    sequence_exit_reason: null,
+    sequence_paused: false,
+    sequence_last_sent: new Date().toISOString(), // start of step 1's delay
+    sequence_completed: false,
+    sequence_total_steps: steps.length
+  });
+  return null;
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+export const formUrl = (form) => `${appUrl()}/api/lead-forms/public/${form.public_id}`;
+
+// The snippets the form builder shows for embedding a form
+export function embedCodes(form) {
+  const url = formUrl(form);
+  return {
+    url,
+    script: `<script src="${url}/embed.js" async></script>`,
+    iframe: `<iframe src="${url}" style="width:100%;border:0;min-height:480px" title="${escapeHtml(form.name)}"></iframe>`
+  };
+}
+
+function renderField(field) {
+  const id = `f_${field.key}`;
+  const required = field.required ? ' required' : '';
+  const label = `${escapeHtml(field.label)}${field.required ? ' <span class="req">*</span>' : ''}`;
+  switch (field.type) {
+    case 'textarea':
+      return `<label for="${id}">${label}</label><textarea id="${id}" name="${field.key}" rows="4"${required}></textarea>`;
+    case 'select':
+      return `<label for="${id}">${label}</label><select id="${id}" name="${field.key}"${required}><option value="">Choose…</option>` +
+        field.options.map(o => `<option>${escapeHtml(o)}</option>`).join('') + '</select>';
+    case 'checkbox':
+      return `<label class="check"><input type="checkbox" name="${field.key}" value="yes"${required}> ${label}</label>`;
+    default:
+      return `<label for="${id}">${label}</label><input id="${id}" type="${field.type}" name="${field.key}"${required}>`;
+  }
+}
+
+// The hosted form page — what the iframe and the script tag load
+export function renderFormPage(form) {
+  const consent = form.consent?.enabled
+    ? `<label class="check"><input type="checkbox" name="consent" value="yes"${form.consent.required ? ' required' : ''}> ${escapeHtml(form.consent.text)}</label>`
+    : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(form.name)}</title>
+<style>
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; background: transparent; }
+  form, .done { max-width: 560px; margin: 0 auto; padding: 16px; }
+  label { display: block; font-size: 14px; font-weight: 500; margin: 12px 0 4px; }
+  label.check { display: flex; gap: 8px; align-items: flex-start; font-weight: 400; }
+  input:not([type=checkbox]), select, textarea { width: 100%; box-sizing: border-box; padding: 8px 10px; border: 1px solid #d1d5db; border-radius: 8px; font: inherit; }
+  button { margin-top: 16px; padding: 10px 18px; border: 0; border-radius: 8px; background: #2563eb; color: #fff; font: inherit; font-weight: 600; cursor: pointer; }
+  button:disabled { opacity: .6; }
+  .req { color: #dc2626; }
+  .error { color: #dc2626; font-size: 14px; margin-top: 12px; }
+  .hp { position: absolute; left: -10000px; width: 1px; height: 1px; overflow: hidden; }
+</style>
+</head>
+<body>
+<form id="zt-form">
+  ${form.fields.map(renderField).join('\n  ')}
+  ${consent}
+  <div class="hp" aria-hidden="true"><label>Leave this empty <input type="text" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off"></label></div>
+  <button type="submit">${escapeHtml(form.submit_label || 'Submit')}</button>
+  <p class="error" id="zt-error" hidden></p>
+</form>
+<div class="done" id="zt-done" hidden></div>
+<script>
+(function () {
+  var form = document.getElementById('zt-form');
+  var errorBox = document.getElementById('zt-error');
+  function resize() {
+    if (window.parent !== window) window.parent.postMessage({ type: 'zerotouch-form:height', id: ${JSON.stringify(form.public_id)}, height: document.body.scrollHeight }, '*');
+  }
+  window.addEventListener('load', resize);
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    if (!form.reportValidity()) return;
+    var data = {};
+    new FormData(form).forEach(function (value, key) { data[key] = value; });
+    var button = form.querySelector('button');
+    button.disabled = true;
+    errorBox.hidden = true;
+    fetch(location.pathname.replace(/\\/$/, '') + '/submit', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    }).then(function (response) {
+      return response.json().then(function (body) { return { ok: response.ok, body: body }; });
+    }).then(function (result) {
+      if (!result.ok) throw new Error(result.body.error || 'Something went wrong');
+      if (result.body.redirect_url) { window.top.location.href = result.body.redirect_url; return; }
+      form.hidden = true;
+      var done = document.getElementById('zt-done');
+      done.textContent = result.body.message;
+      done.hidden = false;
+      resize();
+    }).catch(function (error) {
+      errorBox.textContent = error.message;
+      errorBox.hidden = false;
+      button.disabled = false;
+      resize();
+    });
+  });
+})();
+</script>
+</body>
+</html>`;
+}
+
+// The script-tag embed: drops an iframe of the hosted page where the tag is and sizes it to fit
+export function renderEmbedScript(form) {
+  return `(function () {
+  var id = ${JSON.stringify(form.public_id)};
+  var script = document.currentScript;
+  var frame = document.createElement('iframe');
+  frame.src = script.src.replace(/\\/embed\\.js(\\?.*)?$/, '');
+  frame.title = ${JSON.stringify(form.name)};
+  frame.style.cssText = 'width:100%;border:0;min-height:200px;height:480px';
+  script.parentNode.insertBefore(frame, script);
+  window.addEventListener('message', function (event) {
+    if (event.source === frame.contentWindow && event.data && event.data.type === 'zerotouch-form:height' && event.data.id === id) {
+      frame.style.height = event.data.height + 'px';
+    }
+  });
+})();
+`;
+}
+
+// What the form builder shows for a form
+export function publicLeadForm(form) {
+  return {
+    id: form.id,
+    public_id: form.public_id,
+    name: form.name,
+    fields: form.fields,
+    consent: form.consent,
+    thank_you_message: form.thank_you_message,
+    redirect_url: form.redirect_url,
+    submit_label: form.submit_label,
+    sequence_id: form.sequence_id,
+    source: form.source,
+    enabled: form.enabled,
+    submissions_count: form.submissions_count || 0,
+    last_submission_at: form.last_submission_at || null,
+    embed: embedCodes(form),
+    created_by: form.created_by,
+    created_at: form.created_at,
+    updated_at: form.updated_at || null
+  };
+}
@@ -0,0 +1,473 @@
+import dns from 'dns/promises';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { db, ids, uploadedRows } from '../storage/db.js';
+import { parseCsv } from './csv.js';
+import { LEAD_FIELDS, normalizeKey, leadFieldFor, isValidEmail } from './lead-capture.js';
+import { isValidTimezone } from './send-window.js';
+import { isSuppressed } from './suppression.js';
+import { routeLead } from './routing.js';
+import { normalizeTags } from './lead-filters.js';
+
+/**
+ * Lead import — CSV and XLSX files uploaded to /api/lead-imports.
+ *
+ * 1. Upload: the file is read here (the first sheet of a workbook). Its rows
+ *    are kept aside (storage/uploaded-rows.js) until the import has run, and
+ *    the import record (lead_imports) gets a suggested column mapping — a saved
+ *    mapping (import_mappings) whose columns all appear in the file, else
+ *    matched by column name. Columns that aren't a lead field become custom
+ *    fields ("custom:<key>", stored on lead.custom_fields).
+ * 2. Start: with the mapping, what to do with duplicates and whether to check
+ *    MX records. Small files are imported in the request; bigger ones by a
+ *    `lead_import` job that records its progress after every chunk of rows.
+ *
+ * A row whose email is already a lead (or appears earlier in the file) is a
+ * duplicate: `skip` leaves the lead alone, `update` overwrites it with the
+ * row's values, `merge` only fills in its blanks. Every row that isn't
+ * imported or updated is listed with the reason in the import's report.
+ */
+
+export const DUPLICATE_MODES = ['skip', 'update', 'merge'];
+export const CUSTOM_FIELD_PREFIX = 'custom:';
+export const MAX_IMPORT_ROWS = 20000;
+export const INLINE_IMPORT_ROWS = 250; // at most this many rows are imported within the request
+const CHUNK_SIZE = 250;
+const CUSTOM_KEY = /^[a-z][a-z0-9_]{0,39}$/;
+const UPLOAD_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Lead fields a column can fill in ("name" is split into first and last; tags
+// are split on commas or semicolons)
+export const IMPORT_FIELDS = [...LEAD_FIELDS.filter(field => field !== 'message'), 'tags'];
+const TAG_HEADERS = ['tags', 'tag', 'labels'];
+// What a duplicate row may change on the existing lead
+const DUPLICATE_FIELDS = ['first_name', 'last_name', 'company', 'phone', 'territory', 'timezone'];
+
+const MX_TIMEOUT_MS = 4000;
+const MX_CONCURRENCY = 10;
+const MX_CACHE_MS = 60 * 60 * 1000;
+const resolver = new dns.Resolver({ timeout: MX_TIMEOUT_MS, tries: 2 });
+const mxCache = new Map(); // domain → { accepts, at }
+// A domain that always has MX records. If it doesn't resolve, the resolver is
+// down or filtered and "no such domain" answers can't be trusted.
+const DNS_CANARY = 'gmail.com';
+let dnsCheckedAt = 0;
+let dnsWorks = false;
+
+export const findImport = (id) => db.data.lead_imports.find(i => i.id === id);
+
+const domainOf = (email) => email.split('@')[1];
+
+// ─── Reading files ───────────────────────────────────────────────────────────
+
+function cellText(cell) {
+  if (cell.value instanceof Date) return cell.value.toISOString().slice(0, 10);
+  return String(cell.text ?? '').trim();
+}
+
+async function readWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets.find(ws => ws.state === 'visible' && ws.actualRowCount > 0) || workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow(row => {
+    const cells = [];
+    for (let column = 1; column <= sheet.columnCount; column++) cells.push(cellText(row.getCell(column)));
+    rows.push(cells);
+  });
+  return rows;
+}
+
+// Spreadsheet apps in some locales export with ";" or tabs — go by the header line
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, header.split(delimiter).length]);
+  return counts.reduce((best, count) => (count[1] > best[1] ? count : best))[0];
+}
+
+// Blank headers get a name and repeated ones a number, so every column can be mapped
+function uniqueHeaders(row) {
+  const seen = {};
+  return row.map((value, index) => {
+    const header = String(value || '').trim() || `Column ${index + 1}`;
+    seen[header] = (seen[header] || 0) + 1;
+    return seen[header] > 1 ? `${header} (${seen[header]})` : header;
+  });
+}
+
+/**
+ * Read an uploaded CSV or XLSX file. Returns { headers, rows } — rows are
+ * arrays of text in header order — or { error }.
+ */
+export async function readImportFile(buffer, fileName = '') {
+  const extension = path.extname(fileName).toLowerCase();
+  if (extension === '.xls') return { error: 'Old .xls workbooks can\'t be read — save the file as .xlsx or CSV' };
+  if (!['.xlsx', '.csv', '.tsv', '.txt'].includes(extension)) return { error: 'Upload a .csv or .xlsx file' };
+
+  let table;
+  if (extension === '.xlsx') {
+    try {
+      table = await readWorkbook(buffer);
+    } catch {
+      return { error: 'That doesn\'t look like an Excel workbook' };
+    }
+  } else {
+    const text = buffer.toString('utf-8');
+    table = parseCsv(text, { delimiter: detectDelimiter(text) });
+  }
+
+  const [headerRow, ...rows] = table.filter(row => row.some(value => String(value).trim()));
+  if (!headerRow || rows.length === 0) return { error: 'The file needs a header row and at least one lead' };
+  if (rows.length > MAX_IMPORT_ROWS) return { error: `Files can have up to ${MAX_IMPORT_ROWS} rows — split it into smaller files` };
+
+  const headers = uniqueHeaders(headerRow);
+  return { headers, rows: rows.map(row => headers.map((_, index) => String(row[index] ?? '').trim())) };
+}
+
+// ─── Column mapping ──────────────────────────────────────────────────────────
+
+/**
+ * A mapping for the file's columns: each column to a lead field by name, else
+ * to a custom field. With no email-like header, the column whose values look
+ * like addresses is taken as email.
+ */
+export function suggestMapping(headers, rows = []) {
+  const used = new Set();
+  const mapping = Object.fromEntries(headers.map(header => {
+    const field = TAG_HEADERS.includes(normalizeKey(header)) ? 'tags' : leadFieldFor(header);
+    if (IMPORT_FIELDS.includes(field) && !used.has(field)) {
+      used.add(field);
+      return [header, field];
+    }
+    const key = normalizeKey(header);
+    return [header, CUSTOM_KEY.test(key) ? CUSTOM_FIELD_PREFIX + key : null];
+  }));
+
+  if (!used.has('email')) {
+    const sample = rows.slice(0, 20);
+    const index = headers.findIndex((_, column) =>
+      sample.filter(row => isValidEmail(row[column])).length > sample.length / 2
+    );
+    if (index !== -1) mapping[headers[index]] = 'email';
+  }
+  return mapping;
+}
+
+// The account's most recently saved mapping that covers every column it names, if any
+export function savedMappingFor(userId, headers) {
+  return db.data.import_mappings
+    .filter(m => m.user_id === userId && Object.keys(m.mapping).every(column => headers.includes(column)))
+    .sort((a, b) => (b.updated_at || b.created_at).localeCompare(a.updated_at || a.created_at))[0] || null;
+}
+
+/**
+ * The mapping an upload starts with: the suggested one, overridden by the
+ * matching saved mapping. Returns { mapping, saved }.
+ */
+export function initialMapping(userId, headers, rows) {
+  const mapping = suggestMapping(headers, rows);
+  const saved = savedMappingFor(userId, headers);
+  if (!saved) return { mapping, saved: null };
+  const savedTargets = Object.values(saved.mapping).filter(Boolean);
+  for (const [column, target] of Object.entries(mapping)) {
+    if (savedTargets.includes(target)) mapping[column] = null;
+  }
+  return { mapping: { ...mapping, ...saved.mapping }, saved };
+}
+
+function mappingError(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'mapping must be an object of { "column": "lead field" }';
+  }
+  const targets = Object.values(mapping).filter(Boolean);
+  for (const target of targets) {
+    if (typeof target !== 'string') return 'mapping values must be lead field names, "custom:<key>" or null';
+    if (target.startsWith(CUSTOM_FIELD_PREFIX)) {
+      if (!CUSTOM_KEY.test(target.slice(CUSTOM_FIELD_PREFIX.length))) {
+        return `Custom field "${target}" must be custom: followed by lowercase letters, digits and underscores`;
+      }
+    } else if (!IMPORT_FIELDS.includes(target)) {
+      return `Unknown lead field "${target}" — use one of ${IMPORT_FIELDS.join(', ')}, or custom:<key>`;
+    }
+  }
+  const repeated = targets.find((target, index) => targets.indexOf(target) !== index);
+  if (repeated) return `More than one column is mapped to ${repeated}`;
+  if (!targets.includes('email')) return 'Map a column to email';
+  return null;
+}
+
+/**
+ * Check the options an import is started with. Returns an error message, or
+ * null when valid.
+ */
+export function validateImportOptions({ mapping, duplicate_mode, check_mx }, headers) {
+  const error = mappingError(mapping);
+  if (error) return error;
+  const unknown = Object.keys(mapping).find(column => !headers.includes(column));
+  if (unknown) return `The file has no column "${unknown}"`;
+  if (duplicate_mode !== undefined && !DUPLICATE_MODES.includes(duplicate_mode)) {
+    return `duplicate_mode must be one of ${DUPLICATE_MODES.join(', ')}`;
+  }
+  if (check_mx !== undefined && typeof check_mx !== 'boolean') return 'check_mx must be true or false';
+  return null;
+}
+
+// Check a mapping to save for later imports. Returns an error message, or null when valid.
+export function validateSavedMapping({ name, mapping, duplicate_mode }, { partial = false } = {}) {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  }
+  if (!partial || mapping !== undefined) {
+    const error = mappingError(mapping);
+    if (error) return error;
+  }
+  if (duplicate_mode !== undefined && !DUPLICATE_MODES.includes(duplicate_mode)) {
+    return `duplicate_mode must be one of ${DUPLICATE_MODES.join(', ')}`;
+  }
+  return null;
+}
+
+// A row's lead fields and custom fields under the import's mapping
+function mapRow(headers, mapping, row) {
+  const fields = {};
+  const custom = {};
+  headers.forEach((header, index) => {
+    const target = mapping[header];
+    const value = row[index];
+    if (!target || !value) return;
+    if (target.startsWith(CUSTOM_FIELD_PREFIX)) custom[target.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+    else fields[target] = value;
+  });
+
+  if (fields.name) {
+    const [first, ...rest] = fields.name.split(/\s+/);
+    if (!fields.first_name) fields.first_name = first;
+    if (!fields.last_name && rest.length) fields.last_name = rest.join(' ');
+  }
+  delete fields.name;
+  if (fields.email) fields.email = fields.email.toLowerCase();
+  if (fields.timezone && !isValidTimezone(fields.timezone)) delete fields.timezone;
+  if (fields.tags) fields.tags = normalizeTags(fields.tags);
+  return { fields, custom };
+}
+
+// ─── MX checks ───────────────────────────────────────────────────────────────
+
+async function lookupMailDomain(domain) {
+  try {
+    const records = await resolver.resolveMx(domain);
+    // A "null MX" (RFC 7505) says the domain never takes mail
+    return records.some(record => record.exchange && record.exchange !== '.');
+  } catch (error) {
+    if (error.code === 'ENOTFOUND') return false;
+    if (error.code !== 'ENODATA') return null;
+  }
+  // No MX record: mail goes to the domain's own address (RFC 5321 §5.1)
+  try {
+    return (await resolver.resolve4(domain)).length > 0;
+  } catch (error) {
+    return ['ENODATA', 'ENOTFOUND'].includes(error.code) ? false : null;
+  }
+}
+
+/**
+ * Whether a domain can receive email: true, false (no such domain, or no MX
+ * or A record), or null when DNS didn't answer — treated as deliverable.
+ */
+export async function domainAcceptsMail(domain) {
+  const cached = mxCache.get(domain);
+  if (cached && Date.now() - cached.at < MX_CACHE_MS) return cached.accepts;
+  const accepts = await lookupMailDomain(domain);
+  if (accepts !== null) mxCache.set(domain, { accepts, at: Date.now() });
+  return accepts;
+}
+
+async function dnsAvailable() {
+  if (Date.now() - dnsCheckedAt < MX_CACHE_MS / 6) return dnsWorks;
+  dnsWorks = await lookupMailDomain(DNS_CANARY) === true;
+  dnsCheckedAt = Date.now();
+  return dnsWorks;
+}
+
+// Look up every domain in a chunk. `unavailable` when DNS isn't answering.
+async function checkDomains(rows) {
+  if (!(await dnsAvailable())) return { results: new Map(), unavailable: true };
+  const domains = [...new Set(rows.map(({ fields }) => fields.email).filter(isValidEmail).map(domainOf))];
+  const results = new Map();
+  for (let i = 0; i < domains.length; i += MX_CONCURRENCY) {
+    const batch = domains.slice(i, i + MX_CONCURRENCY);
+    const answers = await Promise.all(batch.map(domainAcceptsMail));
+    batch.forEach((domain, index) => results.set(domain, answers[index]));
+  }
+  return { results, unavailable: false };
+}
+
+// ─── Importing ───────────────────────────────────────────────────────────────
+
+function applyDuplicate(lead, { fields, custom }, mode) {
+  for (const field of DUPLICATE_FIELDS) {
+    if (fields[field] && (mode === 'update' || !lead[field])) lead[field] = fields[field];
+  }
+  lead.custom_fields = mode === 'update' ? { ...lead.custom_fields, ...custom } : { ...custom, ...lead.custom_fields };
+  // Tags are added to the lead's, in either mode
+  if (fields.tags?.length) lead.tags = normalizeTags([...(lead.tags || []), ...fields.tags]);
+  lead.updated_at = new Date().toISOString();
+}
+
+// Import one row. Returns { outcome: created | updated | skipped | failed, reason }.
+async function importRow(record, values, leadsByEmail, mailDomains) {
+  const { fields, custom } = values;
+  if (!fields.email) return { outcome: 'failed', reason: 'No email address' };
+  if (!isValidEmail(fields.email)) return { outcome: 'failed', reason: 'Not a valid email address' };
+  const domain = domainOf(fields.email);
+  if (mailDomains?.get(domain) === false) return { outcome: 'failed', reason: `${domain} doesn't accept email (no MX record)` };
+  if (isSuppressed(record.user_id, fields.email)) return { outcome: 'skipped', reason: 'On your suppression list' };
+
+  const existing = leadsByEmail.get(fields.email);
+  if (existing) {
+    if (record.duplicate_mode === 'skip') {
+      return { outcome: 'skipped', reason: existing.lead_import_id === record.id ? 'Repeats an earlier row' : `Already a lead (#${existing.id})` };
+    }
+    applyDuplicate(existing, values, record.duplicate_mode);
+    return { outcome: 'updated' };
+  }
+
+  const lead = {
+    id: await ids.next('leads'),
+    user_id: record.user_id,
+    owner_id: null,
+    email: fields.email,
+    first_name: fields.first_name || '',
+    last_name: fields.last_name || '',
+    company: fields.company || '',
+    phone: fields.phone || '',
+    timezone: fields.timezone || null,
+    source: fields.source || record.source || 'import',
+    territory: fields.territory || null,
+    status: 'new',
+    ai_intent: null,
+    custom_fields: custom,
+    tags: fields.tags || [],
+    lead_import_id: record.id,
+    created_at: new Date().toISOString()
+  };
+  lead.owner_id = routeLead(lead, record.workspace_id) ?? record.created_by;
+  db.data.leads.push(lead);
+  leadsByEmail.set(lead.email, lead);
+  return { outcome: 'created' };
+}
+
+const COUNTS = { created: 'created_count', updated: 'updated_count', skipped: 'skipped_count', failed: 'error_count' };
+
+async function importRows(importId) {
+  await db.read();
+  let record = findImport(importId);
+  if (!record || !['queued', 'processing'].includes(record.status)) return;
+  record.status = 'processing';
+  record.started_at = record.started_at || new Date().toISOString();
+  await db.write();
+
+  const rows = await uploadedRows.load(importId);
+  if (!rows) {
+    Object.assign(record, { status: 'failed', error: 'The uploaded file is no longer available — upload it again', completed_at: new Date().toISOString() });
+    await db.write();
+    return;
+  }
+
+  // Chunk by chunk, saving progress after each — a retried job carries on where it stopped
+  while (record.processed_rows < record.total_rows) {
+    const start = record.processed_rows;
+    const chunk = rows.slice(start, start + CHUNK_SIZE).map(row => mapRow(record.headers, record.mapping, row));
+    const mail = record.check_mx && !record.mx_unavailable ? await checkDomains(chunk) : null;
+
+    // The lookups take a while — carry on with fresh data
+    await db.read();
+    record = findImport(importId);
+    if (!record || record.status !== 'processing') return; // deleted or cancelled meanwhile
+    if (mail?.unavailable) {
+      record.mx_unavailable = true;
+      console.log(`⚠️ Import ${record.id}: DNS isn't answering, importing the rest without MX checks`);
+    }
+
+    const leadsByEmail = new Map(db.data.leads
+      .filter(l => l.user_id === record.user_id && l.email)
+      .map(l => [l.email.toLowerCase().trim(), l]));
+    for (const [offset, values] of chunk.entries()) {
+      const { outcome, reason } = await importRow(record, values, leadsByEmail, mail?.results);
+      record[COUNTS[outcome]] += 1;
+      if (reason) record.issues.push({ row: start + offset + 2, email: values.fields.email || '', outcome, reason }); // row 1 is the header
+    }
+    record.processed_rows = start + chunk.length;
+    record.updated_at = new Date().toISOString();
+    await db.write();
+  }
+
+  record.status = 'completed';
+  record.completed_at = new Date().toISOString();
+  await db.write();
+  await uploadedRows.remove(importId);
+  console.log(`📥 Import ${record.id} (${record.file_name}): ${record.created_count} created, ${record.updated_count} updated, ${record.skipped_count} skipped, ${record.error_count} failed`);
+}
+
+// Job handler (also called directly for small files). Throws so the queue retries.
+export async function runLeadImport({ import_id }, job) {
+  try {
+    await importRows(import_id);
+  } catch (error) {
+    // Out of retries — say so on the import instead of leaving it "processing"
+    if (!job || job.attempts >= job.max_attempts) {
+      await db.read();
+      const record = findImport(import_id);
+      if (record) Object.assign(record, { status: 'failed', error: error.message, completed_at: new Date().toISOString() });
+      await db.write();
+      await uploadedRows.remove(import_id);
+    }
+    throw error;
+  }
+}
+
+// Drop uploads that were never started. Returns how many were removed.
+export async function pruneLeadImports() {
+  await db.read();
+  const cutoff = Date.now() - UPLOAD_RETENTION_MS;
+  const stale = db.data.lead_imports.filter(i => i.status === 'uploaded' && Date.parse(i.created_at) < cutoff);
+  if (stale.length === 0) return 0;
+  db.data.lead_imports = db.data.lead_imports.filter(i => !stale.includes(i));
+  await db.write();
+  for (const record of stale) await uploadedRows.remove(record.id);
+  return stale.length;
+}
+
+// The per-row report as CSV rows: every row that wasn't imported or updated, and why
+export function importReport(record) {
+  return [['row', 'email', 'outcome', 'reason'], ...record.issues.map(i => [i.row, i.email, i.outcome, i.reason])];
+}
+
+// What the app shows for an import
+export function publicLeadImport(record) {
+  return {
+    id: record.id,
+    file_name: record.file_name,
+    status: record.status,
+    headers: record.headers,
+    mapping: record.mapping,
+    mapping_id: record.mapping_id,
+    duplicate_mode: record.duplicate_mode,
+    check_mx: record.check_mx,
+    source: record.source,
+    total_rows: record.total_rows,
+    processed_rows: record.processed_rows,
+    progress: record.total_rows ? Math.round((record.processed_rows / record.total_rows) * 100) : 0,
+    created_count: record.created_count,
+    updated_count: record.updated_count,
+    skipped_count: record.skipped_count,
+    error_count: record.error_count,
+    mx_unavailable: !!record.mx_unavailable,
+    error: record.error || null,
+    created_by: record.created_by,
+    created_at: record.created_at,
+    started_at: record.started_at || null,
+    completed_at: record.completed_at || null
+  };
+}
@@ -1,9 +1,4 @@
-import OpenAI from 'openai';
-import { db } from '../config/database.js';
-
-const openai = process.env.OPENAI_API_KEY 
-  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  : null;
+import * as llm from './llm/index.js';
 
 /**
  * AI Lead Processor - Intelligent Lead Classification & Action System
@@ -20,76 +15,54 @@ export class AILeadProcessor {
    * Main processing function - takes raw lead, returns intelligent analysis
    */
   async processNewLead(leadInput, businessContext = {}) {
-    const {
-      lead_source,
-      name,
-      email,
-      company,
-      message,
-      form_answers,
-      context
-    } = leadInput;
-
-    const {
-      product_info = 'ZeroTouch Mail AI & Email Follow-up System',
-      user_goal = 'recover lost leads and book sales calls',
-      industry = 'SaaS',
-      typical_deal_size = '$500-5000',
-      sales_cycle_length = '7-30 days'
-    } = businessContext;
+    const context = {
+      product_info: 'ZeroTouch Mail AI & Email Follow-up System',
+      user_goal: 'recover lost leads and book sales calls',
+      industry: 'SaaS',
+      typical_deal_size: '$500-5000',
+      sales_cycle_length: '7-30 days',
+      ...businessContext
+    };
 
-    // If OpenAI is available, use advanced AI processing
-    if (openai) {
-      return await this.aiProcessLead(leadInput, businessContext);
+    // If an AI provider is configured, use advanced AI processing
+    if (llm.isConfigured()) {
+      return await this.aiProcessLead(leadInput, context);
     }
 
     // Otherwise use rule-based fallback
-    return this.ruleBasedProcessLead(leadInput, businessContext);
+    return this.ruleBasedProcessLead(leadInput, context);
   }
 
   /**
-   * AI-Powered Lead Processing (GPT-4)
+   * AI-Powered Lead Processing (extraction model, JSON mode)
    */
   async aiProcessLead(leadInput, businessContext) {
     const prompt = this.buildProcessingPrompt(leadInput, businessContext);
 
     try {
-      const response = await openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert sales lead analyst. You process new leads and make intelligent decisions about how to handle them. Always respond with valid JSON only."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
+      const { data: result } = await llm.complete('extraction', {
         temperature: 0.3,
-        response_format: { type: "json_object" }
+        system: 'You are an expert sales lead analyst. You process new leads and make intelligent decisions about how to handle them.',
+        prompt,
+        json: true,
+        stub: () => this.ruleBasedProcessLead(leadInput, businessContext)
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
-
-      // Log the AI decision
-      await this.logProcessingDecision({
-        input: leadInput,
-        output: result,
-        method: 'ai',
-        model: 'gpt-4-turbo-preview',
-        tokens: response.usage.total_tokens
-      });
+      if (!result.lead_profile) {
+        throw new Error('Response is missing lead_profile');
+      }
 
+      console.log(`🧠 Lead profiled by AI: ${leadInput.email} → ${result.lead_profile.intent_level} intent`);
       return result;
 
     } catch (error) {
-      console.error('AI Lead Processing Error:', error);
+      console.error('AI Lead Processing Error:', error.message);
       // Fallback to rule-based
       return this.ruleBasedProcessLead(leadInput, businessContext);
     }
   }
 
+
   /**
    * Build the AI processing prompt
    */
@@ -357,57 +330,33 @@ ANALYZE AND RESPOND WITH JSON NOW:`;
   }
 
   /**
-   * Log processing decision for analytics
+   * Copy the processing result onto a lead record (mutates it — caller writes the db).
+   * Only fills in names/company the user left blank.
    */
-  async logProcessingDecision(data) {
-    try {
-      await db.createAIDecision({
-        decision_type: 'lead_processing',
-        input_data: data.input,
-        output_data: data.output,
-        model_used: data.model || 'rule-based',
-        tokens_used: data.tokens || 0,
-        processing_time_ms: Date.now()
-      });
-    } catch (error) {
-      console.error('Error logging processing decision:', error);
-    }
-  }
+  applyProcessingResult(lead, processingResult) {
+    const { cleaned_data = {}, lead_profile = {}, system_state = {} } = processingResult;
+
+    if (!lead.first_name && cleaned_data.first_name) lead.first_name = cleaned_data.first_name;
+    if (!lead.last_name && cleaned_data.last_name) lead.last_name = cleaned_data.last_name;
+    if (!lead.company && cleaned_data.company) lead.company = cleaned_data.company;
+
+    lead.intent_level = (lead_profile.intent_level || 'unknown').toUpperCase();
+    lead.buying_stage = lead_profile.buying_stage || null;
+    lead.opportunity_score = lead_profile.opportunity_score ?? null;
+    lead.lead_profile = {
+      inferred_role: cleaned_data.inferred_role || null,
+      company_size: cleaned_data.inferred_company_size || null,
+      lead_type: lead_profile.lead_type || null,
+      urgency: lead_profile.urgency || null,
+      pain_points: lead_profile.pain_points || [],
+      risk_factors: lead_profile.risk_factors || [],
+      recommended_strategy: system_state.recommended_strategy || null,
+      priority: system_state.priority || null
+    };
+    lead.processing_result = processingResult;
+    lead.profiled_at = new Date().toISOString();
 
-  /**
-   * Update lead with processing results
-   */
-  async updateLeadWithProcessing(leadId, processingResult) {
-    const { cleaned_data, lead_profile, system_state } = processingResult;
-
-    await db.updateLead(leadId, {
-      // Update cleaned data
-      first_name: cleaned_data.first_name,
-      last_name: cleaned_data.last_name,
-      company: cleaned_data.company,
-      
-      // Store profile data in metadata
-      metadata: {
-        inferred_role: cleaned_data.inferred_role,
-        company_size: cleaned_data.inferred_company_size,
-        lead_type: lead_profile.lead_type,
-        intent_level: lead_profile.intent_level,
-        buying_stage: lead_profile.buying_stage,
-        urgency: lead_profile.urgency,
-        opportunity_score: lead_profile.opportunity_score,
-        pain_points: lead_profile.pain_points,
-        risk_factors: lead_profile.risk_factors
-      },
-      
-      // Update system state
-      status: system_state.status,
-      intent_level: lead_profile.intent_level.toUpperCase(),
-      
-      // Store processing result
-      processing_result: processingResult
-    });
-
-    return processingResult;
+    return lead;
   }
 }
 
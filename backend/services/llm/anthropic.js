@@ -0,0 +1,39 @@
+import fetch from 'node-fetch';
+import { httpError } from './errors.js';
+
+export const DEFAULT_MODELS = {
+  classification: 'claude-haiku-4-5-20251001',
+  drafting: 'claude-sonnet-4-6',
+  extraction: 'claude-sonnet-4-6'
+};
+
+export function isConfigured() {
+  return !!process.env.ANTHROPIC_API_KEY && process.env.ANTHROPIC_API_KEY !== 'demo-mode';
+}
+
+export async function complete({ model, system, messages, maxTokens, temperature, signal }) {
+  const response = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': process.env.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      ...(temperature != null && { temperature }),
+      ...(system && { system }),
+      messages
+    }),
+    signal
+  });
+
+  if (!response.ok) throw await httpError('Anthropic', response);
+
+  const data = await response.json();
+  return {
+    text: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+    usage: { input_tokens: data.usage?.input_tokens || 0, output_tokens: data.usage?.output_tokens || 0 }
+  };
+}
@@ -0,0 +1,24 @@
+// Error thrown by the LLM client. `retryable` marks failures worth another
+// attempt (timeouts, rate limits, overloaded/5xx responses, malformed JSON).
+export class LLMError extends Error {
+  constructor(message, { code = 'llm_error', status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Turn a non-2xx provider response into an LLMError
+export async function httpError(provider, response) {
+  const body = await response.text().catch(() => '');
+  const retryAfter = Number(response.headers.get('retry-after'));
+  return new LLMError(`${provider} API returned ${response.status}: ${body.substring(0, 200)}`, {
+    code: response.status === 429 ? 'rate_limited' : 'http_error',
+    status: response.status,
+    retryable: response.status === 408 || response.status === 409 || response.status === 429 || response.status >= 500,
+    retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null
+  });
+}
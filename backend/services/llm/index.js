@@ -0,0 +1,134 @@
+import * as anthropic from './anthropic.js';
+import * as openai from './openai.js';
+import * as stub from './stub.js';
+import { LLMError } from './errors.js';
+
+export { LLMError };
+
+const PROVIDERS = { anthropic, openai, stub };
+
+// Per-task defaults. Models can be overridden with LLM_<TASK>_MODEL,
+// e.g. LLM_DRAFTING_MODEL=claude-opus-4-1.
+const TASKS = {
+  classification: { maxTokens: 200, timeoutMs: 15_000 },  // intent, objection type, appointment detection
+  drafting: { maxTokens: 400, timeoutMs: 45_000 },        // replies, follow-ups, outreach, polishing
+  extraction: { maxTokens: 1500, timeoutMs: 60_000 }      // structured data out of free text
+};
+
+const RETRY_BASE_MS = 500;
+const JSON_INSTRUCTION = 'Respond with valid JSON only — no markdown, no explanation.';
+
+/**
+ * Which provider to use: LLM_PROVIDER if set, otherwise whichever API key is
+ * present (Anthropic first). Null when no provider is configured.
+ */
+export function getProviderName() {
+  const configured = process.env.LLM_PROVIDER?.trim().toLowerCase();
+  if (configured) {
+    if (!PROVIDERS[configured]) throw new LLMError(`Unknown LLM_PROVIDER "${configured}"`, { code: 'not_configured' });
+    return PROVIDERS[configured].isConfigured() ? configured : null;
+  }
+  if (anthropic.isConfigured()) return 'anthropic';
+  if (openai.isConfigured()) return 'openai';
+  return null;
+}
+
+export function isConfigured() {
+  return getProviderName() !== null;
+}
+
+export function getModel(task, providerName = getProviderName()) {
+  return process.env[`LLM_${task.toUpperCase()}_MODEL`] || PROVIDERS[providerName]?.DEFAULT_MODELS[task] || null;
+}
+
+/**
+ * Run one completion for `task` ('classification' | 'drafting' | 'extraction').
+ *
+ * request: { prompt | messages, system, maxTokens, temperature, json, stub }
+ *   json — ask for a JSON object and return it parsed as `data`
+ *   stub — answer used by the offline provider (value or function)
+ *
+ * Returns { text, data, provider, model, usage }. Timeouts, rate limits,
+ * 5xx responses and unparseable JSON are retried with exponential backoff
+ * (LLM_MAX_RETRIES, default 2); anything else throws an LLMError straight away.
+ */
+export async function complete(task, request) {
+  const taskConfig = TASKS[task];
+  if (!taskConfig) throw new Error(`Unknown LLM task "${task}"`);
+
+  const providerName = getProviderName();
+  if (!providerName) {
+    throw new LLMError('No AI provider configured. Set ANTHROPIC_API_KEY or OPENAI_API_KEY in backend .env.', { code: 'not_configured' });
+  }
+
+  const provider = PROVIDERS[providerName];
+  const model = getModel(task, providerName);
+  const timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || taskConfig.timeoutMs;
+  const maxRetries = process.env.LLM_MAX_RETRIES != null ? Number(process.env.LLM_MAX_RETRIES) : 2;
+  const system = request.json
+    ? [request.system, JSON_INSTRUCTION].filter(Boolean).join('\n\n')
+    : request.system;
+  const params = {
+    task,
+    model,
+    system,
+    messages: request.messages || [{ role: 'user', content: request.prompt }],
+    maxTokens: request.maxTokens || taskConfig.maxTokens,
+    temperature: request.temperature,
+    json: !!request.json,
+    stub: request.stub
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const result = await provider.complete({ ...params, signal: controller.signal });
+      const text = result.text.trim();
+      return {
+        text,
+        data: params.json ? parseJson(text) : undefined,
+        provider: providerName,
+        model,
+        usage: result.usage
+      };
+    } catch (error) {
+      const llmError = toLLMError(error, controller.signal.aborted, timeoutMs);
+      if (!llmError.retryable || attempt >= maxRetries) throw llmError;
+
+      const delay = llmError.retryAfterMs ?? RETRY_BASE_MS * 2 ** attempt;
+      console.warn(`⚠️ [LLM] ${task} via ${providerName} failed (attempt ${attempt + 1}/${maxRetries + 1}): ${llmError.message} — retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Parse a JSON reply, tolerating ```json fences and text around the object
+export function parseJson(text) {
+  const unfenced = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    const start = unfenced.search(/[{[]/);
+    const end = Math.max(unfenced.lastIndexOf('}'), unfenced.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(unfenced.substring(start, end + 1));
+      } catch {
+        // fall through
+      }
+    }
+    throw new LLMError(`Model did not return valid JSON: ${text.substring(0, 100)}`, { code: 'invalid_json', retryable: true });
+  }
+}
+
+function toLLMError(error, timedOut, timeoutMs) {
+  if (error instanceof LLMError) return error;
+  if (timedOut || error.name === 'AbortError') {
+    return new LLMError(`Timed out after ${timeoutMs}ms`, { code: 'timeout', retryable: true });
+  }
+  // Network failures (DNS, connection reset, ...) are worth another try
+  return new LLMError(error.message, { code: 'network_error', retryable: error.type === 'system' || !!error.code });
+}
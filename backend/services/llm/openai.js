@@ -0,0 +1,38 @@
+import fetch from 'node-fetch';
+import { httpError } from './errors.js';
+
+export const DEFAULT_MODELS = {
+  classification: 'gpt-4o-mini',
+  drafting: 'gpt-4o',
+  extraction: 'gpt-4o'
+};
+
+export function isConfigured() {
+  return !!process.env.OPENAI_API_KEY;
+}
+
+export async function complete({ model, system, messages, maxTokens, temperature, json, signal }) {
+  const response = await fetch(`${process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      ...(temperature != null && { temperature }),
+      ...(json && { response_format: { type: 'json_object' } }),
+      messages: system ? [{ role: 'system', content: system }, ...messages] : messages
+    }),
+    signal
+  });
+
+  if (!response.ok) throw await httpError('OpenAI', response);
+
+  const data = await response.json();
+  return {
+    text: data.choices[0]?.message?.content || '',
+    usage: { input_tokens: data.usage?.prompt_tokens || 0, output_tokens: data.usage?.completion_tokens || 0 }
+  };
+}
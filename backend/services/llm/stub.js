@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+
+// Offline provider (LLM_PROVIDER=stub) — no network, same answer for the same
+// prompt every time. Callers pass `stub` with a realistic answer (usually
+// their rule-based fallback); otherwise JSON requests get `{}` and text
+// requests get a placeholder tagged with a hash of the prompt.
+
+export const DEFAULT_MODELS = {
+  classification: 'stub',
+  drafting: 'stub',
+  extraction: 'stub'
+};
+
+export function isConfigured() {
+  return true;
+}
+
+export async function complete({ task, system, messages, json, stub }) {
+  let text;
+  if (stub !== undefined) {
+    const value = typeof stub === 'function' ? await stub() : stub;
+    text = typeof value === 'string' ? value : JSON.stringify(value);
+  } else if (json) {
+    text = '{}';
+  } else {
+    const prompt = [system, ...messages.map(m => m.content)].filter(Boolean).join('\n');
+    const digest = crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 8);
+    text = `[offline ${task} response ${digest}]`;
+  }
+  return { text, usage: { input_tokens: 0, output_tokens: 0 } };
+}
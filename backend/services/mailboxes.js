@@ -0,0 +1,125 @@
+import { db } from '../storage/db.js';
+import { canSendEmail } from './email.js';
+import { nextSendAt } from './throttle.js';
+
+/**
+ * Connected mailboxes. A user can connect several Gmail, Outlook and SMTP
+ * mailboxes — each is an email_settings record; one is the default
+ * (is_default, else the oldest). Leads are pinned to the mailbox that first
+ * contacted them (lead.mailbox_id) so threads and replies stay in one inbox.
+ *
+ * Sequences choose how their steps are sent:
+ *   mailbox_rotation: 'pin'    — the lead's pinned mailbox; new leads go to the next mailbox in rotation (default)
+ *                     'rotate' — every step goes out from the next mailbox in rotation
+ *   mailbox_ids: [ids]         — only rotate across these (default: every connected mailbox)
+ * Rotation picks the mailbox that can send soonest under its send limits, so
+ * load spreads across mailboxes and a throttled one is skipped.
+ */
+
+export const MAILBOX_ROTATIONS = ['pin', 'rotate'];
+
+export function userMailboxes(userId) {
+  return (db.data.email_settings || [])
+    .filter(s => s.user_id === userId)
+    .sort((a, b) => a.id - b.id);
+}
+
+export function getMailbox(userId, mailboxId) {
+  if (mailboxId == null) return null;
+  return (db.data.email_settings || []).find(s => s.user_id === userId && String(s.id) === String(mailboxId)) || null;
+}
+
+export function defaultMailbox(userId) {
+  const mailboxes = userMailboxes(userId);
+  return mailboxes.find(m => m.is_default) || mailboxes[0] || null;
+}
+
+// The user's mailbox for an address — reconnecting it updates that record
+export function mailboxByEmail(userId, email) {
+  const address = (email || '').toLowerCase().trim();
+  return userMailboxes(userId).find(m => (m.email || '').toLowerCase().trim() === address) || null;
+}
+
+// The mailbox a `mailbox_id` request parameter refers to, or the default one
+export function requestedMailbox(userId, mailboxId) {
+  return mailboxId != null && mailboxId !== '' ? getMailbox(userId, mailboxId) : defaultMailbox(userId);
+}
+
+// The candidate that can send soonest; ties go to the one used least today
+function pickMailbox(candidates, now = Date.now()) {
+  const today = new Date(now).toISOString().slice(0, 10);
+  return [...candidates].sort((a, b) =>
+    nextSendAt(a, now) - nextSendAt(b, now) ||
+    (a.send_log?.[today] || 0) - (b.send_log?.[today] || 0) ||
+    a.id - b.id
+  )[0] || null;
+}
+
+/**
+ * The mailbox to send a lead's next email from. Without a sequence: the lead's
+ * pinned mailbox, else the default. Returns null when no mailbox can send.
+ */
+export function mailboxForLead(lead, sequence = null, now = Date.now()) {
+  const sending = userMailboxes(lead.user_id).filter(canSendEmail);
+  const pinned = sending.find(m => m.id === lead.mailbox_id);
+
+  if (!sequence) {
+    const fallback = defaultMailbox(lead.user_id);
+    return pinned || (canSendEmail(fallback) ? fallback : sending[0] || null);
+  }
+
+  const allowed = sequence.mailbox_ids?.length ? sending.filter(m => sequence.mailbox_ids.includes(m.id)) : sending;
+  const candidates = allowed.length > 0 ? allowed : sending;
+  if (sequence.mailbox_rotation !== 'rotate' && pinned && candidates.includes(pinned)) return pinned;
+  return pickMailbox(candidates, now);
+}
+
+// Remember the first mailbox that emailed a lead
+export function pinLeadMailbox(lead, mailbox) {
+  if (lead && mailbox && lead.mailbox_id == null) lead.mailbox_id = mailbox.id;
+}
+
+/**
+ * Remove a mailbox. Leads pinned to it get re-pinned by their next email and
+ * sequences stop rotating onto it. Caller persists db.data.
+ */
+export function disconnectMailbox(mailbox) {
+  const index = db.data.email_settings.indexOf(mailbox);
+  if (index > -1) db.data.email_settings.splice(index, 1);
+  for (const lead of db.data.leads || []) {
+    if (lead.mailbox_id === mailbox.id) lead.mailbox_id = null;
+  }
+  for (const sequence of db.data.sequences || []) {
+    if (sequence.mailbox_ids?.includes(mailbox.id)) {
+      sequence.mailbox_ids = sequence.mailbox_ids.filter(id => id !== mailbox.id);
+    }
+  }
+}
+
+// Check sequence mailbox options from the API. Returns an error message, or null when valid.
+export function validateMailboxOptions(userId, { mailbox_rotation, mailbox_ids }) {
+  if (mailbox_rotation != null && !MAILBOX_ROTATIONS.includes(mailbox_rotation)) {
+    return `mailbox_rotation must be one of ${MAILBOX_ROTATIONS.join(', ')}`;
+  }
+  if (mailbox_ids != null) {
+    if (!Array.isArray(mailbox_ids)) return 'mailbox_ids must be an array';
+    const unknown = mailbox_ids.find(id => !getMailbox(userId, id));
+    if (unknown !== undefined) return `No connected mailbox with id ${unknown}`;
+  }
+  return null;
+}
+
+// What the settings page shows for a mailbox — never credentials
+export function publicMailbox(mailbox) {
+  return {
+    id: mailbox.id,
+    provider: mailbox.provider,
+    email: mailbox.email,
+    from_name: mailbox.from_name || '',
+    is_default: mailbox.id === defaultMailbox(mailbox.user_id)?.id,
+    can_send: canSendEmail(mailbox),
+    token_invalid: mailbox.token_invalid || false,
+    last_checked: mailbox.last_checked || null,
+    created_at: mailbox.created_at || null
+  };
+}
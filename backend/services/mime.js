@@ -0,0 +1,28 @@
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+
+/**
+ * Build a raw RFC 822 message with our own threading headers. Resolves to a Buffer.
+ * message: { from, to, subject, html, messageId, inReplyTo, references, headers, attachments }
+ * (attachments use our stored shape — base64 `content`, `content_type`).
+ * Used for SMTP, IMAP Sent-folder appends and Microsoft Graph MIME sends.
+ */
+export function buildRawMessage(message) {
+  return new MailComposer({
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    html: message.html,
+    messageId: message.messageId,
+    inReplyTo: message.inReplyTo || undefined,
+    references: message.references || undefined,
+    headers: message.headers || {},
+    attachments: (message.attachments || [])
+      .filter(att => att.content)
+      .map(att => ({
+        filename: att.filename,
+        content: att.content,
+        encoding: 'base64',
+        contentType: att.content_type || 'application/octet-stream'
+      }))
+  }).compile().build();
+}
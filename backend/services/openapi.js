@@ -0,0 +1,144 @@
+import { readFileSync, readdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { authenticate } from '../middleware/auth.js';
+import { requiredScope, SCOPES } from './api-keys.js';
+
+/**
+ * OpenAPI 3 description of the REST API, generated from the Express app: every
+ * route behind authenticate(), with its path parameters, the API key scope and
+ * workspace role it needs, and a summary taken from the comment above the
+ * route in routes/*.js. Served at /api/docs.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROUTES_DIR = path.join(__dirname, '../routes');
+const { version } = JSON.parse(readFileSync(path.join(__dirname, '../package.json'), 'utf-8'));
+
+// Express 4 keeps a router's mount path only as a regexp, e.g. /^\/api\/leads\/?(?=\/|$)/i
+function mountPath(layer) {
+  if (layer.regexp.fast_slash) return '';
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\\\//g, '/');
+}
+
+// `// comment` lines directly above each router.<method>('<path>' in the route files
+function routeComments() {
+  const files = {};
+  for (const file of readdirSync(ROUTES_DIR).filter(f => f.endsWith('.js'))) {
+    const lines = readFileSync(path.join(ROUTES_DIR, file), 'utf-8').split('\n');
+    const routes = {};
+    lines.forEach((line, index) => {
+      const match = line.match(/^router\.(get|post|put|patch|delete)\('([^']+)'/);
+      if (!match) return;
+      const comment = [];
+      for (let i = index - 1; i >= 0 && /^\s*\/\//.test(lines[i]); i--) {
+        comment.unshift(lines[i].replace(/^\s*\/\/\s?/, ''));
+      }
+      routes[`${match[1]} ${match[2]}`] = comment;
+    });
+    files[file] = routes;
+  }
+  return files;
+}
+
+// The route file a router came from: the one defining the most of its routes,
+// and on a tie the one with fewest others ('/' and '/:id' are everywhere)
+function sourceComments(routes, files) {
+  let best = {};
+  let bestScore = [0, 0];
+  for (const comments of Object.values(files)) {
+    const hits = routes.filter(({ method, routePath }) => `${method} ${routePath}` in comments).length;
+    const score = [hits, -Object.keys(comments).length];
+    if (score[0] > bestScore[0] || (score[0] === bestScore[0] && score[1] > bestScore[1])) [best, bestScore] = [comments, score];
+  }
+  return best;
+}
+
+function routerRoutes(router) {
+  return router.stack.filter(layer => layer.route).flatMap(layer =>
+    Object.keys(layer.route.methods).filter(method => method !== '_all').map(method => ({
+      method,
+      routePath: layer.route.path,
+      handlers: layer.route.stack.map(l => l.handle)
+    }))
+  );
+}
+
+function operation(method, mount, routePath, handlers, comment = []) {
+  const scope = requiredScope(method.toUpperCase(), mount, routePath);
+  const role = handlers.find(h => h.minimumRole)?.minimumRole || 'member';
+  const tag = scope?.split(':')[0] || mount.replace(/^\/api/, '').split('/')[1] || 'api';
+  const parameters = [...routePath.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name, in: 'path', required: true, schema: { type: 'string' }
+  }));
+
+  return {
+    tags: [tag],
+    ...(comment.length > 0 && { summary: comment[0] }),
+    ...(comment.length > 1 && { description: comment.join(' ') }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(['post', 'put', 'patch'].includes(method) && {
+      requestBody: { content: { 'application/json': { schema: { type: 'object' } } } }
+    }),
+    security: scope ? [{ bearerAuth: [] }, { apiKey: [] }] : [{ bearerAuth: [] }],
+    'x-required-scope': scope,
+    'x-minimum-role': role,
+    responses: {
+      200: { description: 'Success' },
+      400: { $ref: '#/components/responses/Error' },
+      401: { $ref: '#/components/responses/Error' },
+      403: { $ref: '#/components/responses/Error' },
+      ...(scope && { 429: { $ref: '#/components/responses/Error' } })
+    }
+  };
+}
+
+export function buildOpenApiSpec(app) {
+  const files = routeComments();
+  const paths = {};
+
+  for (const layer of app._router.stack) {
+    if (layer.name !== 'router') continue;
+    const mount = mountPath(layer);
+    if (!mount.startsWith('/api')) continue;
+
+    const routes = routerRoutes(layer.handle).filter(r => r.handlers.includes(authenticate));
+    const comments = sourceComments(routes, files);
+    for (const { method, routePath, handlers } of routes) {
+      const openApiPath = (mount + routePath).replace(/\/$/, '').replace(/:(\w+)/g, '{$1}') || '/';
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][method] = operation(method, mount, routePath, handlers, comments[`${method} ${routePath}`]);
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'ZeroTouch Mail AI API',
+      version,
+      description:
+        'Authenticate with a login token or an API key (`Authorization: Bearer ztk_...` or `X-API-Key`). ' +
+        'Each operation lists the API key scope it needs in `x-required-scope` (null: login only) and the ' +
+        'workspace role in `x-minimum-role`. A `:write` scope includes `:read`. API keys are rate limited per ' +
+        'minute; responses carry X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset. ' +
+        `Scopes: ${SCOPES.join(', ')}.`
+    },
+    servers: [{ url: (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '') }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Login JWT from /api/auth/login, or an API key' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      responses: {
+        Error: {
+          description: 'Error',
+          content: { 'application/json': { schema: { type: 'object', properties: { error: { type: 'string' } } } } }
+        }
+      }
+    },
+    paths
+  };
+}
@@ -0,0 +1,284 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { db, ids } from '../storage/db.js';
+import { queue } from './queue.js';
+
+/**
+ * Outbound webhooks — push lead and reply events to a CRM, Slack or Zapier.
+ *
+ * Each endpoint (webhook_endpoints) has a URL, the events it wants ('*' for
+ * all) and a signing secret. emitEvent() records one delivery
+ * (webhook_deliveries) per subscribed endpoint and queues a `webhook_delivery`
+ * job; failures are retried by the job queue with exponential backoff
+ * (30s, 1m, 2m ... up to 8 attempts). Every attempt is logged on the delivery,
+ * and any delivery can be sent again from the log.
+ *
+ * Requests are JSON POSTs of { id, event, created_at, data } with headers
+ *   X-ZeroTouch-Event:     the event name
+ *   X-ZeroTouch-Delivery:  the delivery id
+ *   X-ZeroTouch-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the endpoint secret>
+ */
+
+export const WEBHOOK_EVENTS = [
+  'reply.received',        // a lead replied and the reply was classified
+  'lead.intent_changed',   // a lead's AI intent changed
+  'appointment.detected',  // an appointment was spotted in a reply
+  'draft.needs_action',    // an AI draft needs a human (needs_follow_up)
+  'sequence.completed',    // a lead finished a sequence
+  'appointment.won'        // an appointment's outcome was marked won
+];
+
+export const MAX_DELIVERY_ATTEMPTS = 8;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const ATTEMPT_LOG_SIZE = 10;
+const DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Addresses a webhook must never reach: loopback, private, link-local (cloud
+// metadata lives at 169.254.169.254), carrier-grade NAT, multicast and reserved.
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata.google.internal'];
+const BLOCKED_HOST_SUFFIXES = ['.localhost', '.internal', '.local'];
+
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Why a webhook URL's host is off limits, judged from the URL alone, or null
+function blockedHostReason(url) {
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (BLOCKED_HOSTNAMES.includes(host) || BLOCKED_HOST_SUFFIXES.some(suffix => host.endsWith(suffix))) {
+    return 'url must be a public address, not a local or internal host';
+  }
+  if (net.isIP(host) && isBlockedAddress(host)) return 'url must be a public address, not a private or reserved IP';
+  return null;
+}
+
+// DNS lookup for deliveries that refuses private addresses. The check runs on
+// the addresses the socket then connects to, so a host can't pass a check and
+// resolve somewhere inside the network a moment later (DNS rebinding).
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    callback(null, address, family);
+  });
+}
+
+const deliveryAgents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+export const newWebhookSecret = () => 'whsec_' + crypto.randomBytes(24).toString('base64url');
+
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// The lead fields every event carries
+export function leadSummary(lead) {
+  return {
+    id: lead.id,
+    email: lead.email,
+    first_name: lead.first_name || '',
+    last_name: lead.last_name || '',
+    company: lead.company || '',
+    status: lead.status || null,
+    ai_intent: lead.ai_intent || null,
+    owner_id: lead.owner_id ?? null,
+    opportunity_score: lead.opportunity_score ?? null
+  };
+}
+
+// Payload of the draft.needs_action event
+export function draftNeedsActionEvent(lead, draft) {
+  return {
+    lead: leadSummary(lead),
+    draft: {
+      id: draft.id,
+      status: draft.status,
+      ai_intent: draft.ai_intent,
+      reply_subject: draft.reply_subject,
+      reply_text: draft.reply_text,
+      draft_body: draft.draft_body
+    }
+  };
+}
+
+// Check endpoint settings from the API. Returns an error message, or null when valid.
+export function validateEndpointOptions({ url, events }, { partial = false } = {}) {
+  if (!partial || url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'url must be a valid URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must start with https:// or http://';
+    const blocked = blockedHostReason(parsed);
+    if (blocked) return blocked;
+  }
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) return 'events must list at least one event (or "*")';
+    const unknown = events.find(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown !== undefined) return `Unknown event "${unknown}"`;
+  }
+  return null;
+}
+
+async function queueDelivery(endpoint, payload) {
+  const delivery = {
+    id: await ids.next('webhook_deliveries'),
+    user_id: endpoint.user_id,
+    endpoint_id: endpoint.id,
+    event: payload.event,
+    event_id: payload.id,
+    payload,
+    status: 'pending',
+    attempts: [],
+    created_at: new Date().toISOString()
+  };
+  db.data.webhook_deliveries.push(delivery);
+  await db.write();
+  await queue.enqueue('webhook_delivery', { user_id: endpoint.user_id, delivery_id: delivery.id }, {
+    maxAttempts: MAX_DELIVERY_ATTEMPTS
+  });
+  return delivery;
+}
+
+/**
+ * Tell the account's subscribed endpoints that `event` happened. Never throws —
+ * a broken webhook must not stop the reply pipeline or a send.
+ */
+export async function emitEvent(userId, event, data) {
+  try {
+    const endpoints = (db.data.webhook_endpoints || []).filter(e =>
+      e.user_id === userId && e.enabled && (e.events.includes('*') || e.events.includes(event))
+    );
+    if (endpoints.length === 0) return;
+
+    const payload = { id: `evt_${crypto.randomUUID()}`, event, created_at: new Date().toISOString(), data };
+    for (const endpoint of endpoints) {
+      await queueDelivery(endpoint, payload);
+    }
+    console.log(`📣 ${event} → ${endpoints.length} webhook endpoint(s) for user ${userId}`);
+  } catch (error) {
+    console.error(`❌ [Webhooks] Could not queue ${event}:`, error.message);
+  }
+}
+
+// A test ping for one endpoint, whatever events it subscribes to
+export function sendTestEvent(endpoint) {
+  return queueDelivery(endpoint, {
+    id: `evt_${crypto.randomUUID()}`,
+    event: 'webhook.test',
+    created_at: new Date().toISOString(),
+    data: { message: 'Test event from ZeroTouch Mail AI' }
+  });
+}
+
+// Send a logged delivery again, as a new delivery of the same event
+export function redeliver(delivery, endpoint) {
+  return queueDelivery(endpoint, delivery.payload);
+}
+
+// Job handler: POST the delivery's payload. Throws on failure so the queue retries.
+export async function deliverWebhook({ delivery_id }, job) {
+  await db.read();
+  const delivery = db.data.webhook_deliveries.find(d => d.id === delivery_id);
+  if (!delivery) return;
+  const endpoint = db.data.webhook_endpoints.find(e => e.id === delivery.endpoint_id);
+  if (!endpoint || !endpoint.enabled) {
+    delivery.status = 'skipped';
+    await db.write();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  const attempt = { at: new Date().toISOString(), status_code: null, error: null, duration_ms: null };
+  try {
+    // IP literals never go through DNS — check those here
+    const blocked = blockedHostReason(new URL(endpoint.url));
+    if (blocked) throw new Error(blocked);
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ZeroTouchMail-Webhooks/1.0',
+        'X-ZeroTouch-Event': delivery.event,
+        'X-ZeroTouch-Delivery': String(delivery.id),
+        'X-ZeroTouch-Signature': signPayload(endpoint.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      agent: (url) => deliveryAgents[url.protocol],
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    attempt.status_code = response.status;
+    if (response.status >= 300 && response.status < 400) attempt.error = `HTTP ${response.status} — redirects are not followed`;
+    else if (!response.ok) attempt.error = `HTTP ${response.status}`;
+  } catch (error) {
+    attempt.error = error.name === 'AbortError' ? 'Timed out' : error.message;
+  }
+  attempt.duration_ms = Date.now() - started;
+
+  // The POST can take a while — record the attempt on the live record
+  await db.read();
+  const live = db.data.webhook_deliveries.find(d => d.id === delivery_id);
+  if (!live) return;
+  live.attempts = [...live.attempts, attempt].slice(-ATTEMPT_LOG_SIZE);
+  live.attempt_count = (live.attempt_count || 0) + 1;
+  live.last_attempt_at = attempt.at;
+
+  if (!attempt.error) {
+    live.status = 'delivered';
+    live.delivered_at = attempt.at;
+    await db.write();
+    return;
+  }
+
+  const finalAttempt = job.attempts >= job.max_attempts;
+  live.status = finalAttempt ? 'failed' : 'retrying';
+  await db.write();
+  throw new Error(`Webhook ${endpoint.url} failed: ${attempt.error}`);
+}
+
+// Drop delivery logs older than 30 days. Returns how many went.
+export async function pruneWebhookDeliveries() {
+  await db.read();
+  const cutoff = Date.now() - DELIVERY_RETENTION_MS;
+  const before = db.data.webhook_deliveries.length;
+  db.data.webhook_deliveries = db.data.webhook_deliveries.filter(d => Date.parse(d.created_at) >= cutoff);
+  const pruned = before - db.data.webhook_deliveries.length;
+  if (pruned > 0) await db.write();
+  return pruned;
+}
+
+// What the settings page shows for an endpoint — the secret only as a hint
+export function publicEndpoint(endpoint) {
+  return {
+    id: endpoint.id,
+    url: endpoint.url,
+    description: endpoint.description || '',
+    events: endpoint.events,
+    enabled: endpoint.enabled,
+    secret_preview: `whsec_…${endpoint.secret.slice(-4)}`,
+    created_by: endpoint.created_by ?? null,
+    created_at: endpoint.created_at,
+    updated_at: endpoint.updated_at || null
+  };
+}
@@ -0,0 +1,311 @@
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import { db } from '../storage/db.js';
+import { ingestInboundMessage } from './inbound.js';
+import { buildRawMessage } from './mime.js';
+
+// Microsoft 365 / Outlook.com mailboxes via Microsoft Graph.
+// MS_GRAPH_URL and MS_LOGIN_URL can point at a mock server for local testing.
+const GRAPH_URL = () => process.env.MS_GRAPH_URL || 'https://graph.microsoft.com/v1.0';
+const LOGIN_URL = () => `${process.env.MS_LOGIN_URL || 'https://login.microsoftonline.com'}/${process.env.MICROSOFT_TENANT_ID || 'common'}/oauth2/v2.0`;
+
+const SCOPES = ['offline_access', 'User.Read', 'Mail.ReadWrite', 'Mail.Send'];
+
+// Graph allows at most 4230 minutes (~3 days) for mail subscriptions
+const SUBSCRIPTION_LIFETIME_MS = 4200 * 60 * 1000;
+
+// Refresh access tokens that expire within 5 minutes
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Raised when the refresh token is revoked or expired — the user has to reconnect
+class OutlookAuthError extends Error {}
+
+const RECONNECT_MESSAGE = 'Outlook authentication expired. Please DISCONNECT and RECONNECT Outlook in Settings.';
+
+// ─── OAuth ───────────────────────────────────────────────────────────────────
+
+export function getOutlookAuthUrl(state) {
+  const params = new URLSearchParams({
+    client_id: process.env.MICROSOFT_CLIENT_ID || '',
+    response_type: 'code',
+    redirect_uri: process.env.MICROSOFT_REDIRECT_URI || '',
+    response_mode: 'query',
+    scope: SCOPES.join(' '),
+    prompt: 'consent',
+    state
+  });
+  return `${LOGIN_URL()}/authorize?${params}`;
+}
+
+async function requestToken(params) {
+  const response = await fetch(`${LOGIN_URL()}/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: process.env.MICROSOFT_CLIENT_ID || '',
+      client_secret: process.env.MICROSOFT_CLIENT_SECRET || '',
+      scope: SCOPES.join(' '),
+      ...params
+    })
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = data.error_description || data.error || `HTTP ${response.status}`;
+    if (data.error === 'invalid_grant') throw new OutlookAuthError(message);
+    throw new Error(`Microsoft token request failed: ${message}`);
+  }
+  return {
+    access_token: data.access_token,
+    refresh_token: data.refresh_token,
+    token_expiry: Date.now() + (data.expires_in || 3600) * 1000
+  };
+}
+
+// Exchange the OAuth callback code for tokens
+export function exchangeOutlookCode(code) {
+  return requestToken({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: process.env.MICROSOFT_REDIRECT_URI || ''
+  });
+}
+
+// Return a valid access token, refreshing (and saving) it when it is about to expire.
+// Microsoft rotates refresh tokens on every refresh, so the new one is always stored.
+async function getAccessToken(settings) {
+  if (settings.token_invalid) {
+    throw new OutlookAuthError(RECONNECT_MESSAGE);
+  }
+  if (settings.access_token && settings.token_expiry > Date.now() + TOKEN_REFRESH_MARGIN_MS) {
+    return settings.access_token;
+  }
+
+  console.log(`🔄 Refreshing Outlook access token for user ${settings.user_id}...`);
+  let tokens;
+  try {
+    tokens = await requestToken({ grant_type: 'refresh_token', refresh_token: settings.refresh_token });
+  } catch (error) {
+    if (error instanceof OutlookAuthError) {
+      console.error(`❌ Outlook refresh token rejected for user ${settings.user_id}: ${error.message}`);
+      await db.read();
+      const dbSettings = db.data.email_settings.find(s => s.id === settings.id);
+      if (dbSettings) {
+        dbSettings.token_invalid = true;
+        dbSettings.token_invalid_since = new Date().toISOString();
+        await db.write();
+      }
+      settings.token_invalid = true;
+      throw new OutlookAuthError(RECONNECT_MESSAGE);
+    }
+    throw error;
+  }
+
+  await db.read();
+  const dbSettings = db.data.email_settings.find(s => s.id === settings.id);
+  for (const target of [dbSettings, settings]) {
+    if (!target) continue;
+    target.access_token = tokens.access_token;
+    target.token_expiry = tokens.token_expiry;
+    if (tokens.refresh_token) target.refresh_token = tokens.refresh_token;
+  }
+  if (dbSettings) await db.write();
+
+  return tokens.access_token;
+}
+
+// Call Graph as the mailbox owner. Returns parsed JSON (or null for empty responses).
+async function graphRequest(settings, path, { method = 'GET', body, headers = {} } = {}) {
+  const accessToken = await getAccessToken(settings);
+  const response = await fetch(`${GRAPH_URL()}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      ...(body && typeof body !== 'string' && { 'Content-Type': 'application/json' }),
+      ...headers
+    },
+    body: body && typeof body !== 'string' ? JSON.stringify(body) : body
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(`Graph ${method} ${path} failed: ${data.error?.message || `HTTP ${response.status}`}`);
+    error.status = response.status;
+    throw error;
+  }
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+// Signed-in user's mailbox address (used by the OAuth callback)
+export async function getOutlookProfile(accessToken) {
+  const response = await fetch(`${GRAPH_URL()}/me?$select=mail,userPrincipalName,displayName`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  if (!response.ok) throw new Error(`Graph /me failed: HTTP ${response.status}`);
+  const data = await response.json();
+  return { email: (data.mail || data.userPrincipalName || '').toLowerCase(), name: data.displayName || '' };
+}
+
+// ─── Sending ─────────────────────────────────────────────────────────────────
+
+// Send a message built by sendEmail. Graph accepts the raw MIME as base64, which
+// keeps our own Message-ID / In-Reply-To / References headers intact.
+// Graph saves a copy to Sent Items itself.
+export async function sendViaOutlook(settings, message) {
+  const raw = await buildRawMessage(message);
+
+  try {
+    await graphRequest(settings, '/me/sendMail', {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: raw.toString('base64')
+    });
+  } catch (error) {
+    console.error('❌ Failed to send email via Outlook:', error.message);
+    if (error instanceof OutlookAuthError || error.status === 401) {
+      throw new Error(RECONNECT_MESSAGE);
+    }
+    throw new Error(`Outlook send failed: ${error.message}`);
+  }
+
+  console.log(`✅ Email sent via Outlook to ${message.to} (messageId: ${message.messageId})`);
+  return { accepted: [message.to] };
+}
+
+// ─── Receiving ───────────────────────────────────────────────────────────────
+
+const MESSAGE_FIELDS = 'id,subject,from,toRecipients,body,internetMessageId,internetMessageHeaders,hasAttachments,receivedDateTime';
+
+// Fetch one Graph message, hand it to the inbound pipeline and mark it read
+export async function ingestOutlookMessage(settings, userId, graphMessageId) {
+  const id = encodeURIComponent(graphMessageId);
+  const message = await graphRequest(settings, `/me/messages/${id}?$select=${MESSAGE_FIELDS}`, {
+    headers: { Prefer: 'outlook.body-content-type="text"' }
+  });
+
+  const header = (name) =>
+    (message.internetMessageHeaders || []).find(h => h.name.toLowerCase() === name)?.value || null;
+
+  let attachments = [];
+  if (message.hasAttachments) {
+    const list = await graphRequest(settings, `/me/messages/${id}/attachments?$select=name,contentType,size`);
+    attachments = (list?.value || []).map(a => ({ filename: a.name, content_type: a.contentType, size: a.size }));
+  }
+
+  const result = await ingestInboundMessage({
+    from: message.from?.emailAddress?.address || '',
+    to: (message.toRecipients || []).map(r => r.emailAddress?.address).filter(Boolean),
+    subject: message.subject || '(No Subject)',
+    text: message.body?.content || '',
+    html: '',
+    message_id: message.internetMessageId || header('message-id'),
+    in_reply_to: header('in-reply-to'),
+    attachments
+  }, { userId, settings, source: 'outlook' });
+
+  if (!result.skipped) {
+    try {
+      await graphRequest(settings, `/me/messages/${id}`, { method: 'PATCH', body: { isRead: true } });
+    } catch (readErr) {
+      // Not critical — duplicates are caught by Message-ID
+    }
+  }
+
+  return result;
+}
+
+// Poll the inbox for messages from the last 7 days (fallback to change notifications)
+export async function checkOutlookReplies(settings, userId) {
+  console.log('🔍 Checking Outlook for new replies...');
+
+  const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+  const params = new URLSearchParams({
+    $filter: `receivedDateTime ge ${since}`,
+    $orderby: 'receivedDateTime desc',
+    $select: 'id',
+    $top: '50'
+  });
+  const list = await graphRequest(settings, `/me/mailFolders/inbox/messages?${params}`);
+  const messages = list?.value || [];
+  console.log(`📬 Found ${messages.length} inbox messages`);
+
+  const newReplies = [];
+  for (const message of messages) {
+    try {
+      const result = await ingestOutlookMessage(settings, userId, message.id);
+      if (!result.skipped) newReplies.push(result);
+    } catch (msgError) {
+      console.error(`❌ Error processing Outlook message ${message.id}:`, msgError.message);
+    }
+  }
+
+  console.log(`✅ Outlook check complete — ${newReplies.length} new replies`);
+  return newReplies;
+}
+
+// ─── Change Notifications ────────────────────────────────────────────────────
+
+// Graph only delivers notifications to a public HTTPS endpoint
+export function canUseOutlookPush() {
+  return /^https:\/\//.test(process.env.APP_URL || '');
+}
+
+// Create (or renew) the inbox subscription that calls /api/outlook/webhook
+export async function setupOutlookSubscription(settings, userId) {
+  console.log(`\n🔔 Setting up Outlook change notifications for user ${userId}...`);
+  const expirationDateTime = new Date(Date.now() + SUBSCRIPTION_LIFETIME_MS).toISOString();
+
+  let subscription = null;
+  if (settings.outlook_subscription_id) {
+    try {
+      subscription = await graphRequest(settings, `/subscriptions/${settings.outlook_subscription_id}`, {
+        method: 'PATCH',
+        body: { expirationDateTime }
+      });
+    } catch (error) {
+      // Subscription already expired or was removed — create a new one
+      if (error.status !== 404) throw error;
+      console.log('⚠️ Outlook subscription not found, creating a new one');
+    }
+  }
+
+  const clientState = settings.outlook_client_state || crypto.randomBytes(16).toString('hex');
+  if (!subscription) {
+    subscription = await graphRequest(settings, '/subscriptions', {
+      method: 'POST',
+      body: {
+        changeType: 'created',
+        notificationUrl: `${process.env.APP_URL.replace(/\/$/, '')}/api/outlook/webhook`,
+        resource: "me/mailFolders('inbox')/messages",
+        expirationDateTime,
+        clientState
+      }
+    });
+  }
+
+  const expiration = new Date(subscription.expirationDateTime).getTime();
+  console.log(`✅ Outlook change notifications ENABLED for user ${userId} (expires ${subscription.expirationDateTime})`);
+
+  await db.read();
+  const dbSettings = db.data.email_settings.find(s => s.id === settings.id);
+  if (dbSettings) {
+    dbSettings.push_enabled = true;
+    dbSettings.push_setup_at = new Date().toISOString();
+    dbSettings.outlook_subscription_id = subscription.id;
+    dbSettings.outlook_client_state = clientState;
+    dbSettings.push_expiration = expiration;
+    await db.write();
+  }
+
+  return { success: true, expiration };
+}
+
+// Remove the subscription when a mailbox is disconnected (best effort)
+export async function deleteOutlookSubscription(settings) {
+  if (!settings.outlook_subscription_id) return;
+  try {
+    await graphRequest(settings, `/subscriptions/${settings.outlook_subscription_id}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('⚠️ Could not delete Outlook subscription (non-fatal):', error.message);
+  }
+}
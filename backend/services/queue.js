@@ -0,0 +1,7 @@
+import { pool } from '../config/database.js';
+import { db } from '../storage/db.js';
+import { JobQueue } from './job-queue.js';
+
+// The app's one job queue. Handlers are registered in services/scheduler.js;
+// this lives on its own so services can enqueue without importing the scheduler.
+export const queue = new JobQueue({ db, pool });
@@ -0,0 +1,45 @@
+/**
+ * In-memory fixed-window rate limiter. Counts reset every `windowMs`; limits
+ * are per process, which is fine for a single backend instance.
+ *
+ *   const limiter = createRateLimiter({ windowMs: 60_000 });
+ *   const { allowed, limit, remaining, reset_at } = limiter.hit('key:12', 120);
+ */
+export function createRateLimiter({ windowMs }) {
+  const windows = new Map(); // key -> { start, count }
+
+  // Drop finished windows now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (now - window.start >= windowMs) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    hit(key, limit, now = Date.now()) {
+      let window = windows.get(key);
+      if (!window || now - window.start >= windowMs) {
+        window = { start: now, count: 0 };
+        windows.set(key, window);
+      }
+      const allowed = window.count < limit;
+      if (allowed) window.count++;
+      return {
+        allowed,
+        limit,
+        remaining: Math.max(limit - window.count, 0),
+        reset_at: window.start + windowMs
+      };
+    }
+  };
+}
+
+// Standard rate-limit headers, plus Retry-After once the limit is hit
+export function setRateLimitHeaders(res, result) {
+  res.set('X-RateLimit-Limit', String(result.limit));
+  res.set('X-RateLimit-Remaining', String(result.remaining));
+  res.set('X-RateLimit-Reset', String(Math.ceil(result.reset_at / 1000)));
+  if (!result.allowed) res.set('Retry-After', String(Math.max(Math.ceil((result.reset_at - Date.now()) / 1000), 1)));
+}
@@ -0,0 +1,100 @@
+import { db } from '../storage/db.js';
+import { getMembership } from './workspaces.js';
+
+/**
+ * Lead routing — who on the team a new lead is assigned to (lead.owner_id).
+ *
+ * A workspace's rules live on workspace.routing:
+ *   { enabled, rules: [{ type, assignees: [userIds], ...match }] }
+ * Rules are tried in order and the first match assigns the lead round-robin
+ * among its assignees. Rule types:
+ *   round_robin — every lead (use last, as the catch-all)
+ *   territory   — lead[field] (default "territory") is one of `values`
+ *   source      — lead.source is one of `values`
+ *   score       — opportunity_score (from AILeadProcessor) within min_score..max_score
+ * Matching is case-insensitive. Assignees who have left the workspace are skipped.
+ */
+
+export const ROUTING_RULE_TYPES = ['round_robin', 'territory', 'source', 'score'];
+
+const lower = (value) => String(value ?? '').trim().toLowerCase();
+
+function ruleMatches(rule, lead) {
+  switch (rule.type) {
+    case 'round_robin':
+      return true;
+    case 'territory':
+      return (rule.values || []).map(lower).includes(lower(lead[rule.field || 'territory']));
+    case 'source':
+      return (rule.values || []).map(lower).includes(lower(lead.source));
+    case 'score': {
+      const score = lead.opportunity_score;
+      if (typeof score !== 'number') return false;
+      return score >= (rule.min_score ?? 0) && score <= (rule.max_score ?? 100);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * The member a new lead should go to under the workspace's routing rules, or
+ * null when routing is off or no rule matches. Advances the matching rule's
+ * round-robin position — caller persists db.data.
+ */
+export function routeLead(lead, workspaceId) {
+  const workspace = (db.data.workspaces || []).find(w => w.id === workspaceId);
+  const routing = workspace?.routing;
+  if (!routing?.enabled) return null;
+
+  for (const rule of routing.rules || []) {
+    if (!ruleMatches(rule, lead)) continue;
+    const assignees = (rule.assignees || []).filter(userId => getMembership(workspaceId, userId));
+    if (assignees.length === 0) continue;
+
+    const position = (rule.next_index || 0) % assignees.length;
+    rule.next_index = position + 1;
+    return assignees[position];
+  }
+  return null;
+}
+
+/**
+ * Give a lead a new owner (null to unassign), keeping a record of past owners.
+ * Threads, drafts and interactions are keyed by lead, so the conversation
+ * history comes along and the new owner gets its unread reply notifications.
+ */
+export function assignLead(lead, ownerId, { assignedBy = null, reason = 'manual' } = {}) {
+  if ((lead.owner_id ?? null) === ownerId) return;
+  lead.assignment_history = [
+    ...(lead.assignment_history || []),
+    { from: lead.owner_id ?? null, to: ownerId, by: assignedBy, reason, at: new Date().toISOString() }
+  ];
+  lead.owner_id = ownerId;
+  lead.updated_at = new Date().toISOString();
+}
+
+// Check routing settings from the API. Returns an error message, or null when valid.
+export function validateRouting(workspaceId, routing) {
+  if (!routing || typeof routing !== 'object' || Array.isArray(routing)) return 'routing must be an object';
+  if (routing.rules != null && !Array.isArray(routing.rules)) return 'rules must be an array';
+
+  for (const [index, rule] of (routing.rules || []).entries()) {
+    const label = `Rule ${index + 1}`;
+    if (!ROUTING_RULE_TYPES.includes(rule?.type)) return `${label}: type must be one of ${ROUTING_RULE_TYPES.join(', ')}`;
+    if (!Array.isArray(rule.assignees) || rule.assignees.length === 0) return `${label}: assignees must list at least one member`;
+    const stranger = rule.assignees.find(userId => !getMembership(workspaceId, userId));
+    if (stranger !== undefined) return `${label}: user ${stranger} is not a member of this workspace`;
+    if ((rule.type === 'territory' || rule.type === 'source') && (!Array.isArray(rule.values) || rule.values.length === 0)) {
+      return `${label}: values must list at least one ${rule.type}`;
+    }
+    if (rule.type === 'score') {
+      for (const field of ['min_score', 'max_score']) {
+        if (rule[field] != null && (typeof rule[field] !== 'number' || rule[field] < 0 || rule[field] > 100)) {
+          return `${label}: ${field} must be a number from 0 to 100`;
+        }
+      }
+    }
+  }
+  return null;
+}
@@ -1,144 +1,1054 @@
-import { db } from '../config/database.js';
-import { aiService } from './ai.js';
-import { emailService } from './email.js';
-
-/**
- * Check for scheduled emails that are due to be sent
- */
-export async function checkScheduledEmails() {
-  try {
-    // Get all active leads with sequences
-    const allLeads = await db.getLeads();
-    const activeLeads = allLeads.filter(lead => 
-      lead.status !== 'dead' && 
-      lead.status !== 'converted' &&
-      !lead.sequence_paused &&
-      lead.sequence_id
-    );
-
-    console.log(`📊 Checking ${activeLeads.length} active leads for scheduled emails`);
-
-    for (const lead of activeLeads) {
-      await processLeadSequence(lead);
+import cron from 'node-cron';
+import { db, ids } from '../storage/db.js';
+import { generateFollowUpEmail } from './ai.js';
+import { sendEmail, canSendEmail } from './email.js';
+import { makeOAuth2Client, checkGmailReplies, setupGmailPushNotifications } from './gmail.js';
+import { checkEmailReplies } from './imap.js';
+import { checkOutlookReplies, canUseOutlookPush, setupOutlookSubscription } from './outlook.js';
+import { isSuppressed } from './suppression.js';
+import { resolveTracking } from './tracking.js';
+import { leadTimezone, addDelay, isInSendingWindow } from './send-window.js';
+import { reserveSendSlot, cancelSendSlot } from './throttle.js';
+import { userMailboxes, getMailbox, defaultMailbox, requestedMailbox, mailboxForLead, pinLeadMailbox } from './mailboxes.js';
+import { getSequenceSteps, lastSentStep, resolveNextStep, isFinalStep, findExitCondition, conditionHolds, stepKey } from './sequence-graph.js';
+import { emitEvent, leadSummary, deliverWebhook, pruneWebhookDeliveries, MAX_DELIVERY_ATTEMPTS } from './outbound-webhooks.js';
+import { runLeadImport, pruneLeadImports } from './lead-import.js';
+import { scheduleLeadExports, sendScheduledExport } from './export-schedules.js';
+import { profileCapturedLead } from './lead-capture.js';
+import { queue } from './queue.js';
+
+export { queue };
+
+// Mailbox send slots (services/throttle.js) are booked one tick ahead, so leads
+// the mailbox can't fit in yet simply stay due until a later tick
+const FOLLOW_UP_TICK_MS = 60 * 1000;
+const SEQUENCE_TICK_MS = 30 * 1000;
+
+// A job won't send — give back the mailbox slot booked for it in lead[field]
+function dropSendSlot(lead, field) {
+  const slot = lead?.[field];
+  if (!slot) return false;
+  const mailbox = slot.mailbox_id != null && (db.data.email_settings || []).find(s => s.id === slot.mailbox_id);
+  if (mailbox && slot.at) cancelSendSlot(mailbox, slot.at);
+  lead[field] = null;
+  return true;
+}
+
+async function releaseSendSlot(lead, field) {
+  if (dropSendSlot(lead, field)) await db.write();
+}
+
+// Default follow-up rules per intent (users can override via per_intent_settings)
+const DEFAULT_FOLLOW_UP_RULES = {
+  INTERESTED: { delay_days: 1, max_attempts: 5, after_max: 'review' },
+  NOT_NOW: { delay_days: 7, max_attempts: 3, after_max: 'GHOSTING' },
+  OBJECTION: { delay_days: 3, max_attempts: 4, after_max: 'review' },
+  GHOSTING: { delay_days: 5, max_attempts: 3, after_max: 'DEAD' },
+  DEAD: { delay_days: 30, max_attempts: 1, after_max: 'closed_by_system' }
+};
+
+// Work out whether a lead's follow-up rules call for anything right now.
+// Returns { action: 'send' | 'after_max', intent, rules, followUpCount } or null.
+function getFollowUpAction(user, lead) {
+  const followUpRules = user.per_intent_settings || DEFAULT_FOLLOW_UP_RULES;
+  const autoModeEnabled = user.auto_mode_enabled || false;
+
+  // Skip leads that haven't been contacted yet
+  if (!lead.initial_email_sent && !lead.last_email_sent_date) {
+    return null;
+  }
+
+  // Skip leads where a human has taken over — but not in auto mode (AI always continues)
+  if (lead.ai_paused_by_human === true && !autoModeEnabled) {
+    return null;
+  }
+
+  // Skip leads that are closed, customers or whose address bounces
+  if (lead.status === 'customer' || lead.status === 'closed_by_system' || lead.status === 'bounced') {
+    return null;
+  }
+
+  // Skip leads manually paused from follow-up rules
+  if (lead.follow_up_paused === true) {
+    return null;
+  }
+
+  // Skip unsubscribed addresses and suppressed domains
+  if (isSuppressed(lead.user_id, lead.email)) {
+    return null;
+  }
+
+  // Skip leads currently in an active (non-paused) sequence — sequence has priority
+  // If sequence is paused (e.g. customer replied), follow-up rules take over
+  if (lead.enrolled_sequence_id && lead.sequence_completed === false && !lead.sequence_paused) {
+    return null;
+  }
+
+  // The user's sending window applies to follow-ups (delays in business days, local send hours)
+  const window = user.sending_window || null;
+  const timezone = leadTimezone(lead, window);
+  const now = Date.now();
+
+  // Skip leads whose sequence just completed — use sequence_last_sent as the
+  // actual last email time so we don't immediately fire another follow-up
+  if (lead.enrolled_sequence_id && lead.sequence_completed === true && lead.sequence_last_sent) {
+    const intent = lead.ai_intent || 'GHOSTING';
+    const rules = followUpRules[intent];
+    if (rules) {
+      const dueAt = addDelay(new Date(lead.sequence_last_sent).getTime(), rules.delay_days, rules.delay_unit, window, timezone);
+      if (now < dueAt) {
+        return null; // Not enough time has passed since sequence ended
+      }
     }
+  }
 
-    return { processed: activeLeads.length };
-  } catch (error) {
-    console.error('Scheduler error:', error);
-    throw error;
+  // Get follow-up rules for this lead's intent/status
+  const intent = lead.ai_intent || 'GHOSTING'; // Default to GHOSTING if no intent
+  const rules = followUpRules[intent];
+
+  if (!rules) {
+    return null;
+  }
+
+  // Use follow_up_count (not email_count) so max_attempts = N means exactly N follow-ups.
+  // email_count includes the initial email and would consume one slot silently.
+  const followUpCount = lead.follow_up_count || 0;
+  const lastEmailDate = new Date(lead.last_email_sent_date || lead.initial_email_sent_date);
+
+  // Not time for a follow-up yet
+  if (now < addDelay(lastEmailDate.getTime(), rules.delay_days, rules.delay_unit, window, timezone)) {
+    return null;
   }
+
+  const action = followUpCount < rules.max_attempts ? 'send' : 'after_max';
+  // Outside the lead's sending hours — it goes out in the next valid slot
+  if (action === 'send' && !isInSendingWindow(now, window, timezone)) {
+    return null;
+  }
+
+  return {
+    action,
+    intent,
+    rules,
+    followUpCount
+  };
+}
+
+// Whether a due follow-up goes out by itself (auto mode) rather than as a draft for approval
+function autoSendsFollowUp(user, intent) {
+  const intentAllowedInAuto = intent === 'INTERESTED' ||
+                              intent === 'NOT_NOW' ||
+                              intent === 'GHOSTING' ||
+                              (intent === 'OBJECTION' && user.auto_mode_include_objections);
+  return !!user.auto_mode_enabled && intentAllowedInAuto;
 }
 
-/**
- * Process a single lead's sequence
- */
-async function processLeadSequence(lead) {
+// Enqueue a follow-up job for every lead that is due one
+async function scheduleFollowUps() {
   try {
-    // Get the sequence
-    const sequence = await db.findSequenceById(lead.sequence_id);
-    if (!sequence || !sequence.is_active) {
-      return;
-    }
+    console.log('🔄 Scheduling follow-up emails...');
+    await db.read();
 
-    // Get sequence steps
-    const steps = await db.getSequenceSteps(sequence.id);
-    if (!steps || steps.length === 0) {
-      return;
+    // Leads whose follow-up ran out of retries wait for a manual retry
+    const deadKeys = await queue.deadKeys('follow-up:');
+    const now = Date.now();
+    const jobs = [];
+
+    for (const user of db.data.users) {
+      if (!userMailboxes(user.id).some(m => m.email)) {
+        continue; // Skip users without email configuration
+      }
+
+      // Check if user has emergency paused auto-mode
+      if (user.auto_mode_paused === true) {
+        console.log(`⏸️  Auto-mode paused for user ${user.id} — skipping follow-ups`);
+        continue;
+      }
+
+      for (const lead of db.data.leads.filter(l => l.user_id === user.id)) {
+        const next = getFollowUpAction(user, lead);
+        if (!next) continue;
+
+        const key = `follow-up:${lead.id}:${next.followUpCount}`;
+        if (deadKeys.has(key)) continue;
+
+        // Emails that go out by themselves wait for a slot on the lead's mailbox
+        let runAt = new Date(now);
+        let mailboxId = null;
+        if (next.action === 'send' && autoSendsFollowUp(user, next.intent)) {
+          if (lead.follow_up_send_slot?.count === next.followUpCount) continue; // already booked
+          const mailbox = mailboxForLead(lead);
+          const slot = mailbox ? reserveSendSlot(mailbox, { now, within: FOLLOW_UP_TICK_MS }) : null;
+          if (slot === null) continue; // mailbox throttled — stays due
+          runAt = new Date(slot);
+          mailboxId = mailbox.id;
+          lead.follow_up_send_slot = { count: next.followUpCount, at: runAt.toISOString(), mailbox_id: mailboxId };
+        }
+        jobs.push({ type: 'follow_up', payload: { user_id: user.id, lead_id: lead.id, mailbox_id: mailboxId }, key, runAt });
+      }
     }
 
-    // Get current step
-    const currentStep = lead.current_step || 0;
-    if (currentStep >= steps.length) {
-      console.log(`✅ Lead ${lead.email} completed sequence`);
-      await db.updateLead(lead.id, { 
-        status: 'sequence_completed',
-        sequence_paused: true 
-      });
-      return;
+    const queued = await queue.enqueueMany(jobs);
+    await db.write(); // booked slots
+    if (queued.length > 0) {
+      console.log(`📬 Queued ${queued.length} follow-up job(s)`);
     }
+  } catch (error) {
+    console.error('Error scheduling follow-ups:', error);
+  }
+}
+
+// Send (or draft) one lead's next follow-up — runs as a 'follow_up' job
+async function processFollowUp({ user_id, lead_id, mailbox_id = null }) {
+  await db.read();
 
-    const step = steps[currentStep];
+  const user = db.data.users.find(u => u.id === user_id);
+  const lead = db.data.leads.find(l => l.id === lead_id && l.user_id === user_id);
+  // The mailbox the slot was booked on, else the lead's own
+  const booked = getMailbox(user_id, mailbox_id);
+  const settings = canSendEmail(booked) ? booked : lead && (mailboxForLead(lead) || defaultMailbox(user_id));
+  if (!user || !lead || !settings || !settings.email || user.auto_mode_paused === true) {
+    return releaseSendSlot(lead, 'follow_up_send_slot');
+  }
 
-    // Check if it's time to send
-    const interactions = await db.getEmailInteractions(lead.id);
-    const lastSent = interactions
-      .filter(i => i.direction === 'sent')
-      .sort((a, b) => new Date(b.sent_at) - new Date(a.sent_at))[0];
+  // Re-check against fresh data — the lead may have replied, been paused or
+  // already had this follow-up sent since the job was queued
+  const next = getFollowUpAction(user, lead);
+  if (!next) return releaseSendSlot(lead, 'follow_up_send_slot');
 
-    let shouldSend = false;
+  const { intent, rules, followUpCount } = next;
+  let sent = false;
 
-    if (!lastSent) {
-      // First email - check if delay has passed since enrollment
-      const enrollmentTime = lead.sequence_started_at
-        ? new Date(lead.sequence_started_at).getTime()
-        : new Date(lead.updated_at).getTime();
+  if (next.action === 'send') {
+    // Generate follow-up email
+    console.log(`📧 Generating follow-up for ${lead.first_name} ${lead.last_name} (attempt ${followUpCount + 1}/${rules.max_attempts})`);
 
-      const daysSinceEnrollment = Math.floor(
-        (Date.now() - enrollmentTime) / (1000 * 60 * 60 * 24)
-      );
+    const result = await generateFollowUpEmail(lead, followUpCount + 1, intent, user.id);
+    const followUpBody = result?.body;
+    const abVariant = result?.variant || 'A';
 
-      if (daysSinceEnrollment >= step.delay_days) {
-        shouldSend = true;
+    if (followUpBody) {
+      // Increment AI generation counter for this user
+      const uIdxFollowUp = db.data.users.findIndex(u => u.id === user.id);
+      if (uIdxFollowUp !== -1) {
+        db.data.users[uIdxFollowUp].ai_generations_this_month =
+          (db.data.users[uIdxFollowUp].ai_generations_this_month || 0) + 1;
       }
-    } else {
-      // Check if delay has passed since last email
-      const daysSinceLastEmail = Math.floor(
-        (Date.now() - new Date(lastSent.sent_at).getTime()) / (1000 * 60 * 60 * 24)
-      );
 
-      if (daysSinceLastEmail >= step.delay_days) {
-        shouldSend = true;
+      // Track A/B send count for this user+intent
+      if (!db.data.ab_results) db.data.ab_results = [];
+      let abRecord = db.data.ab_results.find(r => r.user_id === user.id && r.intent === intent);
+      if (!abRecord) {
+        abRecord = { id: await ids.next('ab_results'), user_id: user.id, intent, variant_a_sends: 0, variant_a_replies: 0, variant_b_sends: 0, variant_b_replies: 0, winner: null, created_at: new Date().toISOString() };
+        db.data.ab_results.push(abRecord);
+      }
+      if (abVariant === 'A') abRecord.variant_a_sends++;
+      else abRecord.variant_b_sends++;
+
+      // Auto-select winner after 10 sends per variant
+      if (!abRecord.winner && abRecord.variant_a_sends >= 10 && abRecord.variant_b_sends >= 10) {
+        const rateA = abRecord.variant_a_replies / abRecord.variant_a_sends;
+        const rateB = abRecord.variant_b_replies / abRecord.variant_b_sends;
+        abRecord.winner = rateA >= rateB ? 'A' : 'B';
+        console.log(`🏆 A/B winner for ${intent}: Variant ${abRecord.winner} (A: ${(rateA * 100).toFixed(1)}% vs B: ${(rateB * 100).toFixed(1)}%)`);
+      }
+
+      // Check if auto mode is enabled for this intent
+      if (autoSendsFollowUp(user, intent)) {
+        // Send immediately (fully automated) — a send failure throws so the job is retried
+        const senderName = `${user.company_name || 'Your Team'}`;
+        await sendEmail(settings, lead.email, `Following up - ${lead.company || 'our conversation'}`, followUpBody, senderName, {
+          lead_id: lead.id
+        });
+        sent = true;
+
+        // Re-find lead in db.data — generateFollowUpEmail calls db.read() internally
+        // which replaces db.data, detaching the old `lead` reference. Must use findIndex.
+        const liveLeadIdx = db.data.leads.findIndex(l => l.id === lead.id);
+        if (liveLeadIdx !== -1) {
+          db.data.leads[liveLeadIdx].follow_up_count = followUpCount + 1;
+          db.data.leads[liveLeadIdx].email_count = (db.data.leads[liveLeadIdx].email_count || 0) + 1;
+          db.data.leads[liveLeadIdx].last_email_sent_date = new Date().toISOString();
+          pinLeadMailbox(db.data.leads[liveLeadIdx], settings);
+        }
+
+        // Store in email history with ab_variant for reply tracking
+        const emailHistoryId = await ids.next('email_history');
+        db.data.email_history.push({
+          id: emailHistoryId,
+          lead_id: lead.id,
+          user_id: user.id,
+          email_type: 'follow_up',
+          subject: `Following up - ${lead.company || 'our conversation'}`,
+          body: followUpBody,
+          ab_variant: abVariant,
+          sent_at: new Date().toISOString(),
+          status: 'sent'
+        });
+
+        console.log(`✅ Follow-up sent to ${lead.email} (AUTO mode, Variant ${abVariant})`);
+      } else {
+        // Create draft for approval (MANUAL mode or OBJECTION requires review)
+        const newDraftId = await ids.next('ai_drafts');
+        db.data.ai_drafts.push({
+          id: newDraftId,
+          lead_id: lead.id,
+          user_id: user.id,
+          draft_body: followUpBody,
+          ai_intent: intent,
+          ab_variant: abVariant,
+          status: 'pending',
+          created_at: new Date().toISOString()
+        });
+
+        console.log(`📝 Follow-up draft created for ${lead.email} (MANUAL mode, Variant ${abVariant})`);
       }
     }
+  } else {
+    // Max attempts reached - apply after_max action
+    console.log(`⚠️ Max attempts reached for ${lead.first_name} ${lead.last_name} - applying after_max: ${rules.after_max}`);
 
-    if (shouldSend) {
-      console.log(`📤 Sending step ${currentStep + 1} to ${lead.email}`);
+    if (rules.after_max === 'review') {
+      lead.status = 'review';
+    } else if (rules.after_max === 'closed_by_system') {
+      lead.status = 'closed_by_system';
+    } else {
+      // Change intent (e.g., NOT_NOW -> GHOSTING)
+      lead.ai_intent = rules.after_max;
+      lead.status = rules.after_max.toLowerCase();
+    }
+    // Reset follow_up_count so the next intent's max_attempts starts from zero
+    lead.follow_up_count = 0;
+    lead.updated_at = new Date().toISOString();
+  }
 
-      // Generate personalized email
-      const personalizedEmail = await aiService.generatePersonalizedEmail(lead, step.email_template);
+  // The booked mailbox slot is spent — or given back when no email went out (draft, after_max)
+  const liveLead = db.data.leads.find(l => l.id === lead_id);
+  if (sent && liveLead) liveLead.follow_up_send_slot = null;
+  else dropSendSlot(liveLead, 'follow_up_send_slot');
 
-      // Send email with attachments
-      await emailService.sendFollowUpEmail(lead, personalizedEmail, {
-        sequence_id: sequence.id,
-        step_number: currentStep,
-        attachments: step.attachments || []
-      });
+  await db.write();
+}
+
+// ============================================================
+// SEQUENCE STEP SCHEDULER
+// Sends sequence steps based on each step's delay_days/delay_unit,
+// following branches and wait-until conditions (services/sequence-graph.js)
+// ============================================================
+
+// Where a lead stands in its sequence right now. Returns null when nothing is
+// due, { complete: true } once the lead has reached the end (or met an exit
+// condition — exitReason), or the step to send.
+// lead.sequence_current_step counts the steps sent so far.
+function getDueSequenceStep(lead, now = Date.now()) {
+  const seqId = lead.enrolled_sequence_id;
+  const sequence = (db.data.sequences || []).find(s => s.id === seqId);
+  if (!sequence || !sequence.is_active) return null;
+
+  const steps = getSequenceSteps(seqId);
+
+  const exitReason = findExitCondition(sequence, lead);
+  if (exitReason) return { sequence, steps, complete: true, exitReason };
+
+  // Branches are evaluated when the step comes due, so opens/clicks/replies since the last email count.
+  // Fall back to plain order if the last step was removed in the editor.
+  const fromStep = lastSentStep(lead, steps);
+  const step = (fromStep || lead.sequence_current_step === 0)
+    ? resolveNextStep(steps, fromStep, lead)
+    : steps[lead.sequence_current_step] || null;
+  if (!step) {
+    return { sequence, steps, complete: true };
+  }
+
+  // The sequence's sending window, else the user's; in the lead's timezone
+  const user = (db.data.users || []).find(u => u.id === lead.user_id);
+  const window = sequence.sending_window || user?.sending_window || null;
+  const timezone = leadTimezone(lead, window);
+
+  const lastSent = new Date(lead.sequence_last_sent).getTime();
+  const unit = step.delay_unit || 'days';
+  if (now < addDelay(lastSent, step.delay_days, unit, window, timezone)) return null; // not time yet
+
+  // Wait-until: hold the step until its condition holds or the timeout runs out
+  if (step.wait_until && !conditionHolds(step.wait_until, lead)) {
+    const timeout = step.wait_timeout_days;
+    if (timeout == null || now < addDelay(lastSent, step.delay_days + timeout, unit, window, timezone)) return null;
+  }
+
+  // Outside the window (night, weekend, holiday) — deferred to the next valid slot
+  if (!isInSendingWindow(now, window, timezone)) return null;
+  return { sequence, steps, step };
+}
+
+// Payload of the sequence.completed webhook event
+const sequenceCompletedEvent = (lead) => ({
+  lead: leadSummary(lead),
+  sequence_id: lead.enrolled_sequence_id,
+  exit_reason: lead.sequence_exit_reason || null
+});
+
+// Mark a lead's sequence finished; deactivate the sequence once every enrolled lead is done
+function completeLeadSequence(lead) {
+  lead.sequence_completed = true;
+
+  const seqId = lead.enrolled_sequence_id;
+  const allEnrolledLeads = db.data.leads.filter(l => l.enrolled_sequence_id === seqId);
+  const allCompleted = allEnrolledLeads.length > 0 && allEnrolledLeads.every(l => l.sequence_completed === true);
+  if (allCompleted) {
+    const sequence = db.data.sequences.find(s => s.id === seqId);
+    if (sequence && sequence.is_active) {
+      sequence.is_active = false;
+      console.log(`🔒 All leads completed sequence "${sequence.name}" — auto-deactivated`);
+    }
+  }
+}
+
+function isSequenceRunning(lead) {
+  return lead.enrolled_sequence_id &&
+    lead.sequence_completed === false &&
+    !lead.sequence_paused &&
+    lead.status !== 'bounced' && // address hard-bounced — see services/bounce.js
+    !isSuppressed(lead.user_id, lead.email) &&
+    lead.sequence_last_sent;
+}
+
+// Enqueue a job for every enrolled lead whose next step is due
+async function scheduleSequenceSteps() {
+  try {
+    console.log('📅 Scheduling sequence steps...');
+    await db.read();
 
-      // Update lead to next step
-      await db.updateLead(lead.id, {
-        current_step: currentStep + 1,
-        last_interaction: new Date().toISOString()
+    const now = Date.now();
+    // Steps that ran out of retries wait for a manual retry
+    const deadKeys = await queue.deadKeys('sequence-step:');
+    const jobs = [];
+    let throttled = 0;
+
+    for (const lead of (db.data.leads || []).filter(isSequenceRunning)) {
+      // Check if user has emergency paused auto-mode
+      const leadUser = (db.data.users || []).find(u => u.id === lead.user_id);
+      if (leadUser && leadUser.auto_mode_paused === true) {
+        console.log(`⏸️  Auto-mode paused for user ${lead.user_id} — skipping sequence step for ${lead.email}`);
+        continue;
+      }
+
+      const due = getDueSequenceStep(lead, now);
+      if (!due) continue;
+
+      const key = `sequence-step:${lead.id}:${lead.sequence_current_step}`;
+      if (deadKeys.has(key)) continue;
+      if (lead.sequence_send_slot?.step_index === lead.sequence_current_step) continue; // already booked
+
+      // Book a slot on the mailbox the sequence sends this lead from; leads it
+      // can't fit in this tick show as throttled
+      const mailbox = due.complete ? null : mailboxForLead(lead, due.sequence, now);
+      let runAt = new Date(now);
+      if (mailbox) {
+        const slot = reserveSendSlot(mailbox, { now, within: SEQUENCE_TICK_MS });
+        if (slot === null) {
+          if (!lead.sequence_throttled_since) lead.sequence_throttled_since = new Date(now).toISOString();
+          throttled++;
+          continue;
+        }
+        runAt = new Date(slot);
+        lead.sequence_send_slot = { step_index: lead.sequence_current_step, at: runAt.toISOString(), mailbox_id: mailbox.id };
+      }
+      lead.sequence_throttled_since = null;
+      jobs.push({
+        type: 'sequence_step',
+        payload: { user_id: lead.user_id, lead_id: lead.id, step_index: lead.sequence_current_step, mailbox_id: mailbox?.id ?? null },
+        key,
+        runAt
       });
     }
+
+    const queued = await queue.enqueueMany(jobs);
+    await db.write(); // booked slots and throttled flags
+    if (queued.length > 0) {
+      console.log(`📬 Queued ${queued.length} sequence step job(s)`);
+    }
+    if (throttled > 0) {
+      console.log(`🚦 ${throttled} sequence step(s) held back by mailbox send limits`);
+    }
   } catch (error) {
-    console.error(`Error processing lead ${lead.id}:`, error);
+    console.error('❌ Sequence scheduling error:', error.message);
   }
 }
 
-/**
- * Enroll a lead in a sequence
- */
-export async function enrollLeadInSequence(leadId, sequenceId) {
+// Send one lead's next sequence step — runs as a 'sequence_step' job
+async function processSequenceStep({ lead_id, step_index, mailbox_id = null }) {
+  await db.read();
+
+  const lead = (db.data.leads || []).find(l => l.id === lead_id);
+  if (!lead) return;
+  // Skip if the lead moved on since the job was queued (step already sent, paused, unenrolled)
+  if (!isSequenceRunning(lead) || lead.sequence_current_step !== step_index) {
+    return releaseSendSlot(lead, 'sequence_send_slot');
+  }
+
+  const user = db.data.users.find(u => u.id === lead.user_id);
+  if (user && user.auto_mode_paused === true) return releaseSendSlot(lead, 'sequence_send_slot');
+
+  const due = getDueSequenceStep(lead);
+  if (!due) return releaseSendSlot(lead, 'sequence_send_slot');
+
+  if (due.complete) {
+    // End of the path (or an exit condition) — mark complete so AI auto-send can take over
+    dropSendSlot(lead, 'sequence_send_slot');
+    if (due.exitReason) lead.sequence_exit_reason = due.exitReason;
+    completeLeadSequence(lead);
+    await db.write();
+    console.log(`✅ Sequence complete for lead ${lead.email}${due.exitReason ? ` — exit condition ${due.exitReason}` : ''} — handing off to AI auto-send`);
+    await emitEvent(lead.user_id, 'sequence.completed', sequenceCompletedEvent(lead));
+    return;
+  }
+
+  const { sequence, steps, step: nextStep } = due;
+  // The mailbox the slot was booked on, unless it was disconnected since
+  const booked = getMailbox(lead.user_id, mailbox_id);
+  const settings = canSendEmail(booked) ? booked : mailboxForLead(lead, sequence);
+  if (!settings) return releaseSendSlot(lead, 'sequence_send_slot');
+
+  const replaceVars = (text) => (text || '')
+    .replace(/\{\{first_name\}\}/g, lead.first_name || '')
+    .replace(/\{\{last_name\}\}/g, lead.last_name || '')
+    .replace(/\{\{company\}\}/g, lead.company || '')
+    .replace(/\{\{email\}\}/g, lead.email || '')
+    .replace(/\{\{phone\}\}/g, lead.phone || '');
+
+  const subject = replaceVars(nextStep.subject || sequence.name);
+  const html = replaceVars(nextStep.email_template);
+
+  // A send failure throws so the queue retries this step with backoff
+  const emailResult = await sendEmail(settings, lead.email, subject, html, user ? user.company_name : null, {
+    attachments: nextStep.attachments || [],
+    lead_id: lead.id,
+    unsubscribe: true,
+    tracking: resolveTracking(user, sequence)
+  });
+  console.log(`📤 Sequence step ${stepKey(nextStep)} sent to ${lead.email}`);
+
+  // Record interaction
+  if (!db.data.email_interactions) db.data.email_interactions = [];
+  const interactionId = await ids.next('email_interactions');
+  db.data.email_interactions.push({
+    id: interactionId,
+    lead_id: lead.id,
+    sequence_id: lead.enrolled_sequence_id,
+    step_number: nextStep.step_number,
+    step_key: stepKey(nextStep),
+    direction: 'sent',
+    mailbox_id: settings.id,
+    subject,
+    body: html,
+    message_id: emailResult?.threading_message_id || null,
+    tracking_id: emailResult?.tracking_id || null,
+    sent_at: new Date().toISOString(),
+    created_at: new Date().toISOString()
+  });
+
+  // Advance the lead to the next step — re-find it, sendEmail reads the db
+  const liveLead = db.data.leads.find(l => l.id === lead.id);
+  let completed = false;
+  if (liveLead) {
+    liveLead.sequence_current_step = step_index + 1;
+    liveLead.sequence_last_step_key = stepKey(nextStep);
+    liveLead.sequence_send_slot = null;
+    liveLead.sequence_last_sent = new Date().toISOString();
+    pinLeadMailbox(liveLead, settings);
+    // Also update last_email_sent_date so follow-up rules use the correct time
+    liveLead.last_email_sent_date = new Date().toISOString();
+    // Check if this was the last step (branching steps decide when the next one comes due)
+    if (isFinalStep(steps, nextStep)) {
+      completeLeadSequence(liveLead);
+      completed = true;
+      console.log(`✅ Last step sent to ${lead.email} — sequence complete, AI auto-send will take over`);
+    }
+  }
+
+  await db.write();
+  if (completed) await emitEvent(liveLead.user_id, 'sequence.completed', sequenceCompletedEvent(liveLead));
+}
+
+// ─── Appointment Reminders ──────────────────────────────────────────────────────
+
+// Default reminder rules (each user can override via /api/settings/reminders)
+export const DEFAULT_REMINDER_RULES = [
+  { value: 3, unit: 'days',    minutes: 4320 },
+  { value: 1, unit: 'hours',   minutes: 60   },
+  { value: 15, unit: 'minutes', minutes: 15  }
+];
+
+function formatReminderLabel(rule) {
+  return rule.unit === 'days'
+    ? `${rule.value} day${rule.value !== 1 ? 's' : ''}`
+    : rule.unit === 'hours'
+    ? `${rule.value} hour${rule.value !== 1 ? 's' : ''}`
+    : `${rule.value} minute${rule.value !== 1 ? 's' : ''}`;
+}
+
+// Enqueue a reminder job for every appointment reminder that falls due now
+async function scheduleAppointmentReminders() {
+  try {
+    await db.read();
+    const now = Date.now();
+    const scheduled = (db.data.appointments || []).filter(a => a.status === 'scheduled');
+    const jobs = [];
+
+    for (const apt of scheduled) {
+      const aptTime = new Date(`${apt.date}T${apt.time}`).getTime();
+      if (isNaN(aptTime)) continue;
+
+      const timeUntilMs = aptTime - now;
+
+      // Get this user's configured reminder rules (fall back to defaults)
+      const user = db.data.users.find(u => u.id === apt.user_id);
+      const rules = user?.reminder_rules || DEFAULT_REMINDER_RULES;
+
+      for (const rule of rules) {
+        const offsetMs = rule.minutes * 60_000;
+        if (apt.reminders_sent?.[String(rule.minutes)]) continue; // already sent for this rule
+
+        // Fire within a ±5 min window around the configured offset
+        if (timeUntilMs > 0 && timeUntilMs <= offsetMs + 5 * 60_000 && timeUntilMs > offsetMs - 5 * 60_000) {
+          jobs.push({
+            type: 'appointment_reminder',
+            payload: { user_id: apt.user_id, appointment_id: apt.id, rule },
+            key: `appointment-reminder:${apt.id}:${rule.minutes}`
+          });
+        }
+      }
+    }
+
+    await queue.enqueueMany(jobs);
+  } catch (err) {
+    console.error('Appointment reminder check error:', err);
+  }
+}
+
+// Send one appointment reminder — runs as an 'appointment_reminder' job
+async function processAppointmentReminder({ appointment_id, rule }) {
+  await db.read();
+  const apt = (db.data.appointments || []).find(a => a.id === appointment_id);
+  if (!apt || apt.status !== 'scheduled') return;
+
+  const key = String(rule.minutes);
+  if (apt.reminders_sent?.[key]) return;
+
+  // Don't send a late reminder for an appointment that has already started
+  const aptTime = new Date(`${apt.date}T${apt.time}`).getTime();
+  if (isNaN(aptTime) || aptTime <= Date.now()) return;
+
+  const lead = db.data.leads.find(l => l.id === apt.lead_id);
+  const emailSettings = lead ? mailboxForLead(lead) : null;
+  if (!lead || !emailSettings) return;
+
+  const dateObj = new Date(aptTime);
+  const formattedDate = dateObj.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+  const label = formatReminderLabel(rule);
+  const body = `Hi ${lead.first_name || lead.email},\n\nReminder: your appointment is in ${label}!\n\n📅 ${formattedDate}\n⏰ Time: ${apt.time}${apt.timezone ? ` (${apt.timezone})` : ''}\n⏱ Duration: ${apt.duration_minutes || 30} minutes\n${apt.meeting_link ? `🔗 Join here: ${apt.meeting_link}\n` : ''}\nSee you soon!`;
+  await sendEmail(emailSettings, lead.email, `Appointment reminder: ${label} away`, body);
+
+  // sendEmail may re-read the db — mark the live record
+  const liveApt = db.data.appointments.find(a => a.id === appointment_id);
+  if (liveApt) {
+    liveApt.reminders_sent = { ...(liveApt.reminders_sent || {}), [key]: true };
+    await db.write();
+  }
+  console.log(`🔔 ${label} reminder sent to ${lead.email} (apt ${apt.id})`);
+}
+
+// ─── Proactive Gmail Token Refresh ──────────────────────────────────────────
+// Prevents email send failures due to expired access tokens by refreshing
+// proactively every 5 minutes (Gmail tokens last 1 hour)
+const TOKEN_REFRESH_WINDOW_MS = 10 * 60 * 1000;
+
+function needsTokenRefresh(settings) {
+  // Skip accounts marked as needing reconnection (prevent hammering Google API)
+  if (settings.provider !== 'gmail' || !settings.refresh_token || settings.token_invalid) return false;
+  // Refresh if token expires within 10 minutes OR is already expired
+  return !(settings.token_expiry && settings.token_expiry > Date.now() + TOKEN_REFRESH_WINDOW_MS);
+}
+
+async function scheduleGmailTokenRefreshes() {
+  try {
+    await db.read();
+    const jobs = (db.data.email_settings || []).filter(needsTokenRefresh).map(settings => ({
+      type: 'gmail_token_refresh',
+      payload: { user_id: settings.user_id, mailbox_id: settings.id },
+      key: `gmail-token-refresh:${settings.id}`
+    }));
+    await queue.enqueueMany(jobs);
+  } catch (err) {
+    console.error('❌ [TokenRefresh] Job error:', err.message);
+  }
+}
+
+// Refresh one mailbox's access token — runs as a 'gmail_token_refresh' job
+async function processGmailTokenRefresh({ user_id, mailbox_id }) {
+  await db.read();
+  const settings = requestedMailbox(user_id, mailbox_id);
+  if (!settings || !needsTokenRefresh(settings)) return; // Still fresh — skip
+
+  console.log(`🔄 [TokenRefresh] Refreshing token for user ${settings.user_id} (${settings.email})...`);
+
   try {
-    await db.updateLead(leadId, {
-      sequence_id: sequenceId,
-      current_step: 0,
-      status: 'active',
-      sequence_paused: false,
-      sequence_started_at: new Date().toISOString()
+    // Create a fresh OAuth2 client for this user (avoids race conditions with the global singleton)
+    const authClient = makeOAuth2Client({
+      access_token: settings.access_token,
+      refresh_token: settings.refresh_token,
+      expiry_date: settings.token_expiry
     });
 
-    console.log(`✅ Enrolled lead ${leadId} in sequence ${sequenceId}`);
-    
-    // Trigger immediate processing to send first email
-    const lead = await db.findLeadById(leadId);
-    if (lead) {
-      await processLeadSequence(lead);
+    const { credentials } = await authClient.refreshAccessToken();
+
+    const dbSettings = db.data.email_settings.find(s => s.id === settings.id);
+    if (dbSettings) {
+      dbSettings.access_token = credentials.access_token;
+      dbSettings.token_expiry = credentials.expiry_date;
+      // Save new refresh_token if Google rotated it — critical to prevent invalid_grant
+      if (credentials.refresh_token) dbSettings.refresh_token = credentials.refresh_token;
+      dbSettings.updated_at = new Date().toISOString();
+      await db.write();
+      console.log(`✅ [TokenRefresh] Token refreshed for user ${settings.user_id} — expires ${new Date(credentials.expiry_date).toISOString()}`);
+    }
+  } catch (err) {
+    // Detect permanently broken refresh_token (invalid_grant = token revoked/expired)
+    if (err.message.includes('invalid_grant') || err.response?.data?.error === 'invalid_grant') {
+      console.error(`❌ [TokenRefresh] PERMANENT FAILURE for user ${settings.user_id}: refresh_token is invalid. User must reconnect Gmail.`);
+
+      // Mark this account as needing reconnection to stop repeated failed refresh attempts
+      const dbSettings = db.data.email_settings.find(s => s.id === settings.id);
+      if (dbSettings) {
+        dbSettings.token_invalid = true;
+        dbSettings.token_invalid_since = new Date().toISOString();
+        await db.write();
+        console.log(`✅ Marked user ${settings.user_id} email settings with token_invalid flag`);
+      }
+      return;
     }
+    // Temporary error (network, rate limit, etc.) — let the queue retry
+    throw err;
+  }
+}
 
-    return { success: true };
+// ─── Gmail Watch Renewal ─────────────────────────────────────────────────────
+// Gmail push notification watches expire after 7 days. Renew every 6 hours so
+// there's always at least 18h of buffer before expiry.
+function needsWatchRenewal(settings) {
+  if (settings.provider !== 'gmail' || !settings.push_enabled || settings.token_invalid) return false;
+  const expiresAt = parseInt(settings.push_expiration || 0);
+  const twentyFourHours = 24 * 60 * 60 * 1000;
+  // Only renew if expiring within 24h or expiration unknown
+  return !(expiresAt && expiresAt - Date.now() > twentyFourHours);
+}
+
+async function scheduleGmailWatchRenewals() {
+  if (!process.env.GOOGLE_CLOUD_PROJECT_ID) return; // Push not configured — skip
+  try {
+    await db.read();
+    const jobs = (db.data.email_settings || []).filter(needsWatchRenewal).map(settings => ({
+      type: 'gmail_watch_renew',
+      payload: { user_id: settings.user_id, mailbox_id: settings.id },
+      key: `gmail-watch-renew:${settings.id}`
+    }));
+    await queue.enqueueMany(jobs);
+  } catch (err) {
+    console.error('❌ [WatchRenew] Job error:', err.message);
+  }
+}
+
+// Renew one mailbox's push watch — runs as a 'gmail_watch_renew' job
+async function processGmailWatchRenewal({ user_id, mailbox_id }) {
+  await db.read();
+  const settings = requestedMailbox(user_id, mailbox_id);
+  if (!settings || !needsWatchRenewal(settings)) return;
+
+  console.log(`🔄 [WatchRenew] Renewing Gmail watch for user ${user_id}...`);
+  await setupGmailPushNotifications(settings, user_id);
+  console.log(`✅ [WatchRenew] Watch renewed for user ${user_id}`);
+}
+
+// ─── Gmail Reply Polling ─────────────────────────────────────────────────────
+// Fallback poll every 5 minutes — catches any emails missed by push (push failure, watch expired, etc.)
+function canPollGmail(settings) {
+  // Skip accounts with invalid/revoked tokens
+  return settings.provider === 'gmail' && settings.access_token && !settings.token_invalid;
+}
+
+async function scheduleGmailChecks() {
+  try {
+    await db.read();
+    const jobs = (db.data.email_settings || []).filter(canPollGmail).map(settings => ({
+      type: 'gmail_check',
+      payload: { user_id: settings.user_id, mailbox_id: settings.id },
+      key: `gmail-check:${settings.id}`
+    }));
+    await queue.enqueueMany(jobs);
   } catch (error) {
-    console.error('Error enrolling lead:', error);
-    throw error;
+    console.error('Auto email check error:', error);
+  }
+}
+
+// Check one mailbox for replies — runs as a 'gmail_check' job
+async function processGmailCheck({ user_id, mailbox_id }) {
+  await db.read();
+  const settings = requestedMailbox(user_id, mailbox_id);
+  if (!settings || !canPollGmail(settings)) return;
+
+  console.log(`🔄 Auto-checking emails for user ${user_id}...`);
+  const newReplies = await checkGmailReplies(settings, user_id);
+
+  if (newReplies.length > 0) {
+    console.log(`✉️  Found ${newReplies.length} new replies for user ${user_id}`);
+  }
+
+  // checkGmailReplies re-reads the db — update the live settings record
+  const liveSettings = db.data.email_settings.find(s => s.id === settings.id);
+  if (liveSettings) {
+    liveSettings.last_checked = new Date().toISOString();
+    await db.write();
   }
 }
+
+// ─── IMAP Reply Polling ──────────────────────────────────────────────────────
+// SMTP mailboxes have no push — poll their IMAP inbox every 5 minutes
+function canPollImap(settings) {
+  return settings.provider === 'smtp' && !!settings.imap?.host;
+}
+
+async function scheduleImapChecks() {
+  try {
+    await db.read();
+    const jobs = (db.data.email_settings || []).filter(canPollImap).map(settings => ({
+      type: 'imap_check',
+      payload: { user_id: settings.user_id, mailbox_id: settings.id },
+      key: `imap-check:${settings.id}`
+    }));
+    await queue.enqueueMany(jobs);
+  } catch (error) {
+    console.error('Auto IMAP check error:', error);
+  }
+}
+
+// Check one IMAP mailbox for replies — runs as an 'imap_check' job
+async function processImapCheck({ user_id, mailbox_id }) {
+  await db.read();
+  const settings = requestedMailbox(user_id, mailbox_id);
+  if (!settings || !canPollImap(settings)) return;
+
+  console.log(`🔄 Auto-checking IMAP inbox for user ${user_id}...`);
+  const newReplies = await checkEmailReplies(settings, user_id);
+
+  if (newReplies.length > 0) {
+    console.log(`✉️  Found ${newReplies.length} new replies for user ${user_id}`);
+  }
+
+  const liveSettings = db.data.email_settings.find(s => s.id === settings.id);
+  if (liveSettings) {
+    liveSettings.last_checked = new Date().toISOString();
+    await db.write();
+  }
+}
+
+// ─── Outlook Subscription Renewal ────────────────────────────────────────────
+// Graph mail subscriptions last about 3 days. Renew every 6 hours once one is
+// within 24h of expiring; mailboxes without a subscription get one created.
+function needsSubscriptionRenewal(settings) {
+  if (settings.provider !== 'outlook' || !settings.access_token || settings.token_invalid) return false;
+  const expiresAt = parseInt(settings.push_expiration || 0);
+  return !(settings.outlook_subscription_id && expiresAt - Date.now() > 24 * 60 * 60 * 1000);
+}
+
+async function scheduleOutlookSubscriptionRenewals() {
+  if (!canUseOutlookPush()) return; // No public https URL — polling only
+  try {
+    await db.read();
+    const jobs = (db.data.email_settings || []).filter(needsSubscriptionRenewal).map(settings => ({
+      type: 'outlook_subscription_renew',
+      payload: { user_id: settings.user_id, mailbox_id: settings.id },
+      key: `outlook-subscription-renew:${settings.id}`
+    }));
+    await queue.enqueueMany(jobs);
+  } catch (err) {
+    console.error('❌ [SubscriptionRenew] Job error:', err.message);
+  }
+}
+
+// Renew (or recreate) one mailbox's subscription — runs as an 'outlook_subscription_renew' job
+async function processOutlookSubscriptionRenewal({ user_id, mailbox_id }) {
+  await db.read();
+  const settings = requestedMailbox(user_id, mailbox_id);
+  if (!settings || !needsSubscriptionRenewal(settings)) return;
+
+  console.log(`🔄 [SubscriptionRenew] Renewing Outlook subscription for user ${user_id}...`);
+  await setupOutlookSubscription(settings, user_id);
+}
+
+// ─── Outlook Reply Polling ───────────────────────────────────────────────────
+// Fallback poll every 5 minutes — catches anything change notifications missed
+function canPollOutlook(settings) {
+  return settings.provider === 'outlook' && !!settings.access_token && !settings.token_invalid;
+}
+
+async function scheduleOutlookChecks() {
+  try {
+    await db.read();
+    const jobs = (db.data.email_settings || []).filter(canPollOutlook).map(settings => ({
+      type: 'outlook_check',
+      payload: { user_id: settings.user_id, mailbox_id: settings.id },
+      key: `outlook-check:${settings.id}`
+    }));
+    await queue.enqueueMany(jobs);
+  } catch (error) {
+    console.error('Auto Outlook check error:', error);
+  }
+}
+
+// Check one Outlook mailbox for replies — runs as an 'outlook_check' job
+async function processOutlookCheck({ user_id, mailbox_id }) {
+  await db.read();
+  const settings = requestedMailbox(user_id, mailbox_id);
+  if (!settings || !canPollOutlook(settings)) return;
+
+  console.log(`🔄 Auto-checking Outlook inbox for user ${user_id}...`);
+  const newReplies = await checkOutlookReplies(settings, user_id);
+
+  if (newReplies.length > 0) {
+    console.log(`✉️  Found ${newReplies.length} new replies for user ${user_id}`);
+  }
+
+  // checkOutlookReplies re-reads the db — update the live settings record
+  const liveSettings = db.data.email_settings.find(s => s.id === settings.id);
+  if (liveSettings) {
+    liveSettings.last_checked = new Date().toISOString();
+    await db.write();
+  }
+}
+
+// ─── Queued Sends ────────────────────────────────────────────────────────────
+// One-off sends (/api/send-email, drafts bulk-send) that didn't fit the mailbox's
+// send limits straight away wait in the queue for the slot booked for them.
+
+// Send one queued email — runs as a 'queued_email' job at its slot
+async function processQueuedEmail({ user_id, lead_id, mailbox_id = null, subject, body, options = {}, draft_id = null }) {
+  await db.read();
+  const lead = db.data.leads.find(l => l.id === lead_id && l.user_id === user_id);
+  const booked = getMailbox(user_id, mailbox_id);
+  const settings = canSendEmail(booked) ? booked : lead && mailboxForLead(lead);
+  if (!lead || !canSendEmail(settings) || isSuppressed(user_id, lead.email)) return;
+
+  // A queued draft may have been rejected or sent by hand in the meantime
+  const draft = draft_id ? (db.data.ai_drafts || []).find(d => d.id === draft_id) : null;
+  if (draft_id && draft?.status !== 'queued') return;
+
+  await sendEmail(settings, lead.email, subject, body || '', null, { ...options, lead_id: lead.id });
+  console.log(`📤 Queued email sent to ${lead.email}`);
+
+  // sendEmail may re-read the db — update the live records
+  const liveLead = db.data.leads.find(l => l.id === lead_id);
+  pinLeadMailbox(liveLead, settings);
+  if (draft_id) {
+    const liveDraft = db.data.ai_drafts.find(d => d.id === draft_id);
+    if (liveDraft) {
+      liveDraft.status = 'sent';
+      liveDraft.sent_at = new Date().toISOString();
+      liveDraft.final_body = liveDraft.draft_body;
+    }
+    if (liveLead) liveLead.status = 'replied';
+  }
+  await db.write();
+}
+
+// ─── Background Jobs ─────────────────────────────────────────────────────────
+// Cron ticks only work out what is due and enqueue one job per lead, mailbox
+// or appointment. The queue worker runs those jobs with leases and retries, so
+// a second instance or a restart mid-run can't send the same email twice.
+queue.register('follow_up', processFollowUp);
+queue.register('sequence_step', processSequenceStep);
+queue.register('appointment_reminder', processAppointmentReminder);
+queue.register('queued_email', processQueuedEmail);
+queue.register('gmail_check', processGmailCheck, { leaseMs: 15 * 60 * 1000, maxAttempts: 3 });
+queue.register('gmail_token_refresh', processGmailTokenRefresh, { maxAttempts: 3 });
+queue.register('gmail_watch_renew', processGmailWatchRenewal, { maxAttempts: 3 });
+queue.register('imap_check', processImapCheck, { leaseMs: 15 * 60 * 1000, maxAttempts: 3 });
+queue.register('outlook_check', processOutlookCheck, { leaseMs: 15 * 60 * 1000, maxAttempts: 3 });
+queue.register('outlook_subscription_renew', processOutlookSubscriptionRenewal, { maxAttempts: 3 });
+queue.register('webhook_delivery', deliverWebhook, { maxAttempts: MAX_DELIVERY_ATTEMPTS });
+queue.register('lead_import', runLeadImport, { leaseMs: 30 * 60 * 1000, maxAttempts: 3 });
+queue.register('lead_export_email', sendScheduledExport, { leaseMs: 10 * 60 * 1000, maxAttempts: 3 });
+queue.register('lead_profile', profileCapturedLead, { maxAttempts: 3 });
+
+// Start the cron ticks that feed the queue, and the queue worker itself
+export function startScheduler() {
+  // Check appointment reminders every minute
+  cron.schedule('* * * * *', async () => {
+    await scheduleAppointmentReminders();
+  });
+
+  // Queue follow-ups every minute (supports minute-level delay rules)
+  cron.schedule('* * * * *', async () => {
+    await scheduleFollowUps();
+  });
+
+  // Queue sequence steps every 30 seconds for more punctual timing
+  cron.schedule('* * * * *', async () => {
+    await scheduleSequenceSteps();
+    // Run again after 30s for better precision (cron only supports 1min minimum)
+    setTimeout(() => scheduleSequenceSteps(), 30000);
+  });
+
+  // Poll Gmail every 5 minutes as a fallback to push notifications
+  cron.schedule('*/5 * * * *', async () => {
+    await scheduleGmailChecks();
+  });
+
+  // Poll IMAP inboxes of SMTP mailboxes every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    await scheduleImapChecks();
+  });
+
+  // Poll Outlook inboxes every 5 minutes as a fallback to change notifications
+  cron.schedule('*/5 * * * *', async () => {
+    await scheduleOutlookChecks();
+  });
+
+  // Renew Gmail push watches every 6 hours (watches expire after 7 days)
+  cron.schedule('0 */6 * * *', async () => {
+    await scheduleGmailWatchRenewals();
+  });
+
+  // Renew Outlook subscriptions every 6 hours (subscriptions expire after ~3 days)
+  cron.schedule('0 */6 * * *', async () => {
+    await scheduleOutlookSubscriptionRenewals();
+  });
+
+  // Proactively refresh Gmail tokens every 5 minutes — prevents mid-send token expiry
+  cron.schedule('*/5 * * * *', async () => {
+    await scheduleGmailTokenRefreshes();
+  });
+
+  // Queue scheduled lead exports that are due every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    await scheduleLeadExports();
+  });
+
+  // Clear out finished jobs, old webhook delivery logs and unstarted imports once an hour (dead jobs are kept)
+  cron.schedule('0 * * * *', async () => {
+    try {
+      const pruned = await queue.prune();
+      if (pruned > 0) console.log(`🧹 Pruned ${pruned} finished job(s)`);
+      const deliveries = await pruneWebhookDeliveries();
+      if (deliveries > 0) console.log(`🧹 Pruned ${deliveries} webhook delivery log(s)`);
+      const uploads = await pruneLeadImports();
+      if (uploads > 0) console.log(`🧹 Pruned ${uploads} unstarted lead import(s)`);
+    } catch (err) {
+      console.error('❌ [Jobs] Prune error:', err.message);
+    }
+  });
+
+  // Also run immediately on startup to catch any tokens that expired while server was down
+  setTimeout(() => scheduleGmailTokenRefreshes(), 5000);
+
+  queue.start();
+}
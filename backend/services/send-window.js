@@ -0,0 +1,266 @@
+/**
+ * Sending windows — when sequence steps and follow-ups may go out, in the lead's local time.
+ *
+ * window: {
+ *   days: [1, 2, 3, 4, 5]                      allowed weekdays, 0 = Sunday (default: every day)
+ *   hours: [{ start: '09:00', end: '17:00' }]  allowed local time ranges (default: all day)
+ *   business_days: true                        count delays in days as business days (Mon–Fri, not holidays)
+ *   holiday_calendar: 'US' | 'UK'              public holidays to skip
+ *   holidays: ['2026-12-24']                   extra dates to skip
+ *   timezone: 'America/New_York'               for leads without a known timezone (default UTC)
+ * }
+ *
+ * A lead's timezone is lead.timezone when set, otherwise inferred from the
+ * country calling code of an international phone number (+44…).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Country calling code → representative timezone. Countries spanning several
+// zones get their most populous one — set lead.timezone for anything finer.
+const CALLING_CODE_TIMEZONES = {
+  1: 'America/New_York', 7: 'Europe/Moscow', 20: 'Africa/Cairo', 27: 'Africa/Johannesburg',
+  30: 'Europe/Athens', 31: 'Europe/Amsterdam', 32: 'Europe/Brussels', 33: 'Europe/Paris',
+  34: 'Europe/Madrid', 36: 'Europe/Budapest', 39: 'Europe/Rome', 40: 'Europe/Bucharest',
+  41: 'Europe/Zurich', 43: 'Europe/Vienna', 44: 'Europe/London', 45: 'Europe/Copenhagen',
+  46: 'Europe/Stockholm', 47: 'Europe/Oslo', 48: 'Europe/Warsaw', 49: 'Europe/Berlin',
+  51: 'America/Lima', 52: 'America/Mexico_City', 54: 'America/Argentina/Buenos_Aires',
+  55: 'America/Sao_Paulo', 56: 'America/Santiago', 57: 'America/Bogota', 60: 'Asia/Kuala_Lumpur',
+  61: 'Australia/Sydney', 62: 'Asia/Jakarta', 63: 'Asia/Manila', 64: 'Pacific/Auckland',
+  65: 'Asia/Singapore', 66: 'Asia/Bangkok', 81: 'Asia/Tokyo', 82: 'Asia/Seoul',
+  84: 'Asia/Ho_Chi_Minh', 86: 'Asia/Shanghai', 90: 'Europe/Istanbul', 91: 'Asia/Kolkata',
+  92: 'Asia/Karachi', 234: 'Africa/Lagos', 254: 'Africa/Nairobi', 351: 'Europe/Lisbon',
+  353: 'Europe/Dublin', 358: 'Europe/Helsinki', 852: 'Asia/Hong_Kong', 886: 'Asia/Taipei',
+  966: 'Asia/Riyadh', 971: 'Asia/Dubai', 972: 'Asia/Jerusalem'
+};
+
+export const HOLIDAY_CALENDARS = ['US', 'UK'];
+
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Only numbers written in international form (+44…, 0044…) say which country they are in
+export function inferTimezoneFromPhone(phone) {
+  const match = String(phone || '').trim().match(/^(?:\+|00)\s*([\d\s().-]+)/);
+  if (!match) return null;
+  const digits = match[1].replace(/\D/g, '');
+  for (const length of [3, 2, 1]) {
+    const timezone = CALLING_CODE_TIMEZONES[digits.slice(0, length)];
+    if (timezone) return timezone;
+  }
+  return null;
+}
+
+export function leadTimezone(lead, window = null) {
+  if (isValidTimezone(lead?.timezone)) return lead.timezone;
+  return inferTimezoneFromPhone(lead?.phone) || (isValidTimezone(window?.timezone) ? window.timezone : 'UTC');
+}
+
+// ─── Time zone arithmetic ────────────────────────────────────────────────────
+
+const formatters = new Map();
+
+// Local calendar date and minute of day at an instant
+function localParts(ms, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timezone).formatToParts(new Date(ms)).map(p => [p.type, p.value]));
+  return { year: +parts.year, month: +parts.month, day: +parts.day, minutes: +parts.hour * 60 + +parts.minute };
+}
+
+// The instant a local date + minute of day happens in the timezone (handles DST shifts)
+function zonedToUtc({ year, month, day }, minutes, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = (ms) => {
+    const local = localParts(ms, timezone);
+    return Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes) - Math.floor(ms / 60000) * 60000;
+  };
+  const guess = wallClock - offsetAt(wallClock);
+  const offset = offsetAt(guess);
+  return wallClock - offset;
+}
+
+// Calendar date `days` after a local date, with its weekday and YYYY-MM-DD key
+function addCalendarDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+    key: date.toISOString().slice(0, 10)
+  };
+}
+
+// ─── Holidays ────────────────────────────────────────────────────────────────
+
+const isoDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+
+// nth weekday of a month (n = -1 for the last one)
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return isoDate(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0));
+  return isoDate(year, month, lastDay.getUTCDate() - ((lastDay.getUTCDay() - weekday + 7) % 7));
+}
+
+// Gregorian Easter Sunday (anonymous algorithm)
+function easterSunday(year) {
+  const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30, i = Math.floor(c / 4), k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7, m = Math.floor((a + 11 * h + 22 * l) / 451);
+  return { month: Math.floor((h + l - 7 * m + 114) / 31), day: ((h + l - 7 * m + 114) % 31) + 1 };
+}
+
+// US: Saturday holidays are observed on Friday, Sunday ones on Monday
+function usObserved(year, month, day) {
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return isoDate(year, month, day + (weekday === 6 ? -1 : weekday === 0 ? 1 : 0));
+}
+
+// UK: weekend holidays move to the next free weekday
+function ukObserved(year, month, day, taken) {
+  let shift = 0;
+  let date;
+  do {
+    date = new Date(Date.UTC(year, month - 1, day + shift++));
+  } while ([0, 6].includes(date.getUTCDay()) || taken.includes(date.toISOString().slice(0, 10)));
+  return date.toISOString().slice(0, 10);
+}
+
+const holidayCache = new Map();
+
+function publicHolidays(calendar, year) {
+  const cacheKey = `${calendar}:${year}`;
+  if (holidayCache.has(cacheKey)) return holidayCache.get(cacheKey);
+
+  let dates = [];
+  if (calendar === 'US') {
+    // A Saturday New Year's Day is observed on Friday Dec 31, in the year before
+    dates = [
+      usObserved(year, 1, 1), usObserved(year + 1, 1, 1), nthWeekday(year, 1, 1, 3), nthWeekday(year, 2, 1, 3),
+      nthWeekday(year, 5, 1, -1), usObserved(year, 6, 19), usObserved(year, 7, 4),
+      nthWeekday(year, 9, 1, 1), nthWeekday(year, 10, 1, 2), usObserved(year, 11, 11),
+      nthWeekday(year, 11, 4, 4), usObserved(year, 12, 25)
+    ];
+  } else if (calendar === 'UK') {
+    // England & Wales bank holidays
+    const easter = easterSunday(year);
+    const christmas = ukObserved(year, 12, 25, []);
+    dates = [
+      ukObserved(year, 1, 1, []), isoDate(year, easter.month, easter.day - 2), isoDate(year, easter.month, easter.day + 1),
+      nthWeekday(year, 5, 1, 1), nthWeekday(year, 5, 1, -1), nthWeekday(year, 8, 1, -1),
+      christmas, ukObserved(year, 12, 26, [christmas])
+    ];
+  }
+
+  const set = new Set(dates);
+  holidayCache.set(cacheKey, set);
+  return set;
+}
+
+function isHoliday(date, window) {
+  if ((window.holidays || []).includes(date.key)) return true;
+  return !!window.holiday_calendar && publicHolidays(window.holiday_calendar, date.year).has(date.key);
+}
+
+// ─── Windows ─────────────────────────────────────────────────────────────────
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+function sendRanges(window) {
+  const ranges = (window.hours || []).length > 0 ? window.hours : [{ start: '00:00', end: '24:00' }];
+  return ranges.map(r => ({ start: toMinutes(r.start), end: toMinutes(r.end) })).sort((a, b) => a.start - b.start);
+}
+
+function isSendDay(date, window) {
+  const days = window.days?.length ? window.days : [0, 1, 2, 3, 4, 5, 6];
+  return days.includes(date.weekday) && !isHoliday(date, window);
+}
+
+function isBusinessDay(date, window) {
+  return date.weekday >= 1 && date.weekday <= 5 && !isHoliday(date, window);
+}
+
+/**
+ * When a delay started at fromMs runs out. With business_days, whole days only
+ * count weekdays that aren't holidays, keeping the local time of day.
+ */
+export function addDelay(fromMs, amount, unit, window, timezone) {
+  const unitMs = unit === 'minutes' ? 60 * 1000 : DAY_MS;
+  if (!window?.business_days || unit === 'minutes' || !(amount > 0)) return fromMs + (amount || 0) * unitMs;
+
+  const start = localParts(fromMs, timezone);
+  let date = addCalendarDays(start, 0);
+  for (let counted = 0; counted < Math.floor(amount);) {
+    date = addCalendarDays(date, 1);
+    if (isBusinessDay(date, window)) counted++;
+  }
+  return zonedToUtc(date, start.minutes, timezone) + (amount % 1) * DAY_MS;
+}
+
+// First moment at or after fromMs that falls inside the window (fromMs itself when there is no window)
+export function nextSendTime(fromMs, window, timezone) {
+  if (!window) return fromMs;
+  const start = localParts(fromMs, timezone);
+  const ranges = sendRanges(window);
+
+  for (let offset = 0; offset <= 370; offset++) {
+    const date = addCalendarDays(start, offset);
+    if (!isSendDay(date, window)) continue;
+    for (const range of ranges) {
+      const rangeEnd = zonedToUtc(date, range.end, timezone);
+      if (fromMs < rangeEnd) return Math.max(fromMs, zonedToUtc(date, range.start, timezone));
+    }
+  }
+  return fromMs; // no valid slot within a year — don't hold mail forever
+}
+
+export function isInSendingWindow(ms, window, timezone) {
+  return nextSendTime(ms, window, timezone) <= ms;
+}
+
+// Check a window from the API. Returns an error message, or null when valid.
+export function validateSendingWindow(window) {
+  if (window === null) return null;
+  if (typeof window !== 'object' || Array.isArray(window)) return 'sending_window must be an object or null';
+
+  const { days, hours, holiday_calendar, holidays, timezone } = window;
+  if (days !== undefined && (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+    return 'sending_window.days must list weekdays 0 (Sunday) to 6 (Saturday)';
+  }
+  if (hours !== undefined) {
+    if (!Array.isArray(hours)) return 'sending_window.hours must be an array of { start, end }';
+    for (const range of hours) {
+      const valid = /^\d{1,2}:\d{2}$/.test(range?.start) && /^\d{1,2}:\d{2}$/.test(range?.end);
+      if (!valid || toMinutes(range.start) >= toMinutes(range.end) || toMinutes(range.end) > 24 * 60) {
+        return 'sending_window.hours ranges need start < end, as "HH:MM" (end up to "24:00")';
+      }
+    }
+  }
+  if (holiday_calendar != null && !HOLIDAY_CALENDARS.includes(holiday_calendar)) {
+    return `sending_window.holiday_calendar must be one of ${HOLIDAY_CALENDARS.join(', ')}`;
+  }
+  if (holidays !== undefined && (!Array.isArray(holidays) || holidays.some(d => !/^\d{4}-\d{2}-\d{2}$/.test(d)))) {
+    return 'sending_window.holidays must be a list of YYYY-MM-DD dates';
+  }
+  if (timezone != null && !isValidTimezone(timezone)) return `Unknown timezone "${timezone}"`;
+  return null;
+}
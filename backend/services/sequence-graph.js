@@ -0,0 +1,189 @@
+import { db } from '../storage/db.js';
+
+/**
+ * Branching sequences.
+ *
+ * Steps form a graph keyed by step.key (stable across edits, defaults to the step number):
+ *   next              — key of the default next step; null ends the sequence;
+ *                       omitted = the step with the following step_number (plain linear sequences)
+ *   branches          — [{ when, goto }] checked in order when the next step comes due;
+ *                       the first match wins, goto null ends the sequence
+ *   wait_until        — once its delay has passed, hold the step until this condition holds…
+ *   wait_timeout_days — …or until this much longer has passed (same delay_unit as delay_days)
+ * A sequence may also have exit_conditions: [condition] — any match ends the lead's run.
+ *
+ * A condition is { type, value? } or an array of them (all must hold):
+ *   opened / not_opened, clicked / not_clicked — the last sequence email (human events only)
+ *   replied / not_replied                      — a reply since the last sequence email
+ *   intent  (value: 'OBJECTION' or a list)     — such a reply, classified with one of these intents
+ *   status  (value: 'interested' or a list)    — the lead's current status
+ */
+
+export const CONDITION_TYPES = ['opened', 'not_opened', 'clicked', 'not_clicked', 'replied', 'not_replied', 'intent', 'status'];
+
+const REPLY_CONDITIONS = ['replied', 'intent'];
+
+export function stepKey(step) {
+  return step.key != null && step.key !== '' ? String(step.key) : String(step.step_number);
+}
+
+export function getSequenceSteps(sequenceId) {
+  return (db.data.sequence_steps || [])
+    .filter(s => s.sequence_id === sequenceId)
+    .sort((a, b) => a.step_number - b.step_number);
+}
+
+// The step a lead was sent last. Leads enrolled before branching only have a step count.
+export function lastSentStep(lead, steps) {
+  if (lead.sequence_last_step_key != null) {
+    return steps.find(s => stepKey(s) === lead.sequence_last_step_key) || null;
+  }
+  return lead.sequence_current_step > 0 ? steps[lead.sequence_current_step - 1] || null : null;
+}
+
+// Most recent email of the lead's current sequence
+function lastSequenceEmail(lead) {
+  return (db.data.email_interactions || [])
+    .filter(i => i.lead_id === lead.id && i.sequence_id === lead.enrolled_sequence_id && i.direction === 'sent')
+    .pop() || null;
+}
+
+function listOf(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+export function conditionHolds(condition, lead, lastEmail = lastSequenceEmail(lead)) {
+  if (Array.isArray(condition)) return condition.every(c => conditionHolds(c, lead, lastEmail));
+
+  const since = new Date(lastEmail?.sent_at || lead.sequence_last_sent || 0).getTime();
+  const replied = !!lead.last_reply_date && new Date(lead.last_reply_date).getTime() > since;
+
+  switch (condition.type) {
+    case 'opened': return !!lastEmail?.opened_at;
+    case 'not_opened': return !lastEmail?.opened_at;
+    case 'clicked': return !!lastEmail?.clicked_at;
+    case 'not_clicked': return !lastEmail?.clicked_at;
+    case 'replied': return replied;
+    case 'not_replied': return !replied;
+    case 'intent': return replied && listOf(condition.value).includes(lead.ai_intent);
+    case 'status': return listOf(condition.value).includes(lead.status);
+    default: return false;
+  }
+}
+
+function mentionsReply(condition) {
+  return listOf(condition).some(c => REPLY_CONDITIONS.includes(c.type));
+}
+
+// Default transition: explicit next, else the following step by step_number
+function defaultNextStep(steps, step) {
+  if (step.next === null) return null;
+  if (step.next !== undefined) return steps.find(s => stepKey(s) === String(step.next)) || null;
+  return steps.find(s => s.step_number > step.step_number) || null;
+}
+
+// Where a lead goes after `fromStep` (null = not started). Returns the step, or null to finish.
+export function resolveNextStep(steps, fromStep, lead, lastEmail = lastSequenceEmail(lead)) {
+  if (!fromStep) return steps[0] || null;
+  for (const branch of fromStep.branches || []) {
+    if (conditionHolds(branch.when, lead, lastEmail)) {
+      return branch.goto == null ? null : steps.find(s => stepKey(s) === String(branch.goto)) || null;
+    }
+  }
+  return defaultNextStep(steps, fromStep);
+}
+
+// A step with no branches and nowhere to go ends the sequence as soon as it is sent
+export function isFinalStep(steps, step) {
+  return !(step.branches || []).length && !defaultNextStep(steps, step);
+}
+
+// Description of the first exit condition the lead meets, or null
+export function findExitCondition(sequence, lead, lastEmail = lastSequenceEmail(lead)) {
+  const match = (sequence.exit_conditions || []).find(c => conditionHolds(c, lead, lastEmail));
+  return match ? listOf(match).map(c => c.value ? `${c.type}:${listOf(c.value).join('|')}` : c.type).join('+') : null;
+}
+
+/**
+ * Whether a reply should leave the lead's sequence running instead of pausing it:
+ * the last step opted out of stop_on_reply, or one of its reply branches matches now.
+ * Call after the reply has been recorded on the lead (last_reply_date, ai_intent).
+ */
+export function continuesOnReply(lead) {
+  const step = lastSentStep(lead, getSequenceSteps(lead.enrolled_sequence_id));
+  if (!step) return false;
+  if (step.stop_on_reply === false) return true;
+  const lastEmail = lastSequenceEmail(lead);
+  return (step.branches || []).some(b => mentionsReply(b.when) && conditionHolds(b.when, lead, lastEmail));
+}
+
+function validateCondition(condition, label) {
+  const parts = listOf(condition);
+  if (parts.length === 0) return `${label}: condition is empty`;
+  for (const part of parts) {
+    if (!part || !CONDITION_TYPES.includes(part.type)) {
+      return `${label}: unknown condition type "${part?.type}" (expected one of ${CONDITION_TYPES.join(', ')})`;
+    }
+    if (['intent', 'status'].includes(part.type) && !listOf(part.value).filter(Boolean).length) {
+      return `${label}: "${part.type}" needs a value`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a step graph from the editor. Steps are in step_number order with key
+ * already filled in. Returns an error message, or null when the graph is valid.
+ * Loops are rejected so a lead can never cycle through the same emails forever.
+ */
+export function validateSequenceGraph(steps, exitConditions = []) {
+  const keys = new Set();
+  for (const step of steps) {
+    if (keys.has(step.key)) return `Duplicate step key "${step.key}"`;
+    keys.add(step.key);
+  }
+
+  const targetError = (target, label) =>
+    target != null && !keys.has(String(target)) ? `${label}: no step with key "${target}"` : null;
+
+  for (const step of steps) {
+    const label = `Step "${step.key}"`;
+    const error = targetError(step.next, `${label} next`) ||
+      (step.wait_until != null && validateCondition(step.wait_until, `${label} wait_until`));
+    if (error) return error;
+    if (step.branches != null && !Array.isArray(step.branches)) return `${label}: branches must be an array`;
+    for (const [i, branch] of (step.branches || []).entries()) {
+      const branchError = validateCondition(branch?.when, `${label} branch ${i + 1}`) ||
+        targetError(branch.goto, `${label} branch ${i + 1}`);
+      if (branchError) return branchError;
+    }
+  }
+
+  if (!Array.isArray(exitConditions)) return 'exit_conditions must be an array';
+  for (const [i, condition] of exitConditions.entries()) {
+    const error = validateCondition(condition, `Exit condition ${i + 1}`);
+    if (error) return error;
+  }
+
+  // Depth-first walk over every edge to find loops
+  const state = {};
+  const visit = (step) => {
+    const key = step.key;
+    if (state[key] === 'done') return null;
+    if (state[key] === 'visiting') return `Steps loop back to "${key}" — sequences can't repeat steps`;
+    state[key] = 'visiting';
+    const targets = [...(step.branches || []).map(b => b.goto), defaultNextStep(steps, step)?.key];
+    for (const target of targets) {
+      const next = target != null && steps.find(s => s.key === String(target));
+      const error = next && visit(next);
+      if (error) return error;
+    }
+    state[key] = 'done';
+    return null;
+  };
+  for (const step of steps) {
+    const error = visit(step);
+    if (error) return error;
+  }
+  return null;
+}
@@ -0,0 +1,69 @@
+import nodemailer from 'nodemailer';
+import { appendToSentFolder } from './imap.js';
+import { buildRawMessage } from './mime.js';
+
+// SMTP sending for non-Gmail mailboxes (Outlook, Zoho, company mail servers).
+// settings.smtp: { host, port, secure, user, pass, allow_self_signed }
+//   secure — implicit TLS (port 465). When false, STARTTLS is required.
+//   allow_self_signed — skip certificate verification for internal servers.
+
+function createTransport(smtp) {
+  const port = Number(smtp.port) || 587;
+  const secure = smtp.secure ?? port === 465;
+  return nodemailer.createTransport({
+    host: smtp.host,
+    port,
+    secure,
+    requireTLS: !secure,
+    auth: { user: smtp.user, pass: smtp.pass },
+    tls: { rejectUnauthorized: !smtp.allow_self_signed },
+    connectionTimeout: 15000,
+    greetingTimeout: 15000
+  });
+}
+
+// Log in to the SMTP server without sending anything
+export async function testSmtpConnection(smtp) {
+  const transport = createTransport(smtp);
+  try {
+    await transport.verify();
+  } finally {
+    transport.close();
+  }
+}
+
+// Send one message built by sendEmail (see buildRawMessage for its shape)
+export async function sendViaSmtp(settings, message) {
+  const raw = await buildRawMessage(message);
+
+  const transport = createTransport(settings.smtp);
+  let info;
+  try {
+    info = await transport.sendMail({
+      envelope: { from: settings.email, to: message.to },
+      raw
+    });
+  } catch (error) {
+    console.error('❌ Failed to send email via SMTP:', error.message);
+    if (error.code === 'EAUTH') {
+      throw new Error('SMTP login failed. Check the username and password in Settings.');
+    }
+    throw new Error(`SMTP send failed: ${error.message}`);
+  } finally {
+    transport.close();
+  }
+
+  console.log(`✅ Email sent via SMTP to ${message.to} (messageId: ${message.messageId})`);
+
+  // Keep a copy in the mailbox's Sent folder — failures here must not fail the send
+  if (settings.imap?.host && settings.save_to_sent !== false) {
+    try {
+      const folder = await appendToSentFolder(settings, raw);
+      console.log(`📁 Saved copy to "${folder}"`);
+    } catch (appendError) {
+      console.error('⚠️ Could not save sent copy to IMAP (non-fatal):', appendError.message);
+    }
+  }
+
+  return { id: info.messageId, accepted: info.accepted, rejected: info.rejected };
+}
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import { db, ids } from '../storage/db.js';
+import { JWT_SECRET } from '../middleware/auth.js';
+
+// Per-user suppression list: addresses and whole domains we must never email.
+// Records: { id, user_id, type: 'email' | 'domain', value, reason, created_at }
+//   reason — 'unsubscribe' (link or List-Unsubscribe), 'manual', 'import'
+
+export class SuppressedRecipientError extends Error {
+  constructor(email, entry) {
+    super(`${email} is on your suppression list (${entry.type === 'domain' ? `domain ${entry.value}` : entry.reason})`);
+    this.code = 'SUPPRESSED';
+  }
+}
+
+// "Jane <Jane@Example.com>" / "@example.com" / "example.com" → { type, value }, or null if invalid
+export function parseSuppressionValue(raw) {
+  const value = String(raw || '').trim().toLowerCase().replace(/^.*<(.+)>.*$/, '$1').trim();
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return { type: 'email', value };
+  const domain = value.replace(/^\*?@/, '');
+  if (/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) return { type: 'domain', value: domain };
+  return null;
+}
+
+// Matching suppression entry for this address, if any. Reads db.data as loaded by the caller.
+export function findSuppression(userId, email) {
+  const address = String(email || '').trim().toLowerCase();
+  const domain = address.split('@')[1];
+  return (db.data.suppressions || []).find(s =>
+    s.user_id === userId &&
+    ((s.type === 'email' && s.value === address) || (s.type === 'domain' && s.value === domain))
+  ) || null;
+}
+
+export function isSuppressed(userId, email) {
+  return !!findSuppression(userId, email);
+}
+
+// Add an entry unless it is already listed. Returns { entry, created }. Caller writes the db.
+export async function addSuppression(userId, raw, reason = 'manual') {
+  const parsed = typeof raw === 'string' ? parseSuppressionValue(raw) : raw;
+  if (!parsed) return { entry: null, created: false };
+
+  if (!db.data.suppressions) db.data.suppressions = [];
+  const existing = db.data.suppressions.find(s =>
+    s.user_id === userId && s.type === parsed.type && s.value === parsed.value
+  );
+  if (existing) return { entry: existing, created: false };
+
+  const entry = {
+    id: await ids.next('suppressions'),
+    user_id: userId,
+    type: parsed.type,
+    value: parsed.value,
+    reason,
+    created_at: new Date().toISOString()
+  };
+  db.data.suppressions.push(entry);
+  return { entry, created: true };
+}
+
+// ─── Unsubscribe links ───────────────────────────────────────────────────────
+// Token = base64url("<userId>:<email>") + "." + HMAC — no db lookup needed and
+// can't be forged to unsubscribe someone else's address.
+
+const UNSUBSCRIBE_SECRET = process.env.UNSUBSCRIBE_SECRET || JWT_SECRET;
+
+function sign(payload) {
+  return crypto.createHmac('sha256', UNSUBSCRIBE_SECRET).update(payload).digest('base64url').slice(0, 22);
+}
+
+export function createUnsubscribeToken(userId, email) {
+  const payload = Buffer.from(`${userId}:${String(email).trim().toLowerCase()}`).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns { userId, email } or null when the token is malformed or tampered with
+export function verifyUnsubscribeToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+  const expected = sign(payload);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+  const decoded = Buffer.from(payload, 'base64url').toString('utf-8');
+  const separator = decoded.indexOf(':');
+  const userId = parseInt(decoded.slice(0, separator));
+  const email = decoded.slice(separator + 1);
+  return userId && email ? { userId, email } : null;
+}
+
+export function unsubscribeUrl(userId, email) {
+  const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${appUrl}/api/unsubscribe/${createUnsubscribeToken(userId, email)}`;
+}
+
+// Footer link plus the RFC 2369 / RFC 8058 one-click headers for a marketing email
+export function unsubscribeParts(userId, email) {
+  const url = unsubscribeUrl(userId, email);
+  return {
+    footer: `<p style="font-size:12px;color:#888;margin-top:24px;">Don't want to hear from us? <a href="${url}" style="color:#888;">Unsubscribe</a></p>`,
+    headers: {
+      'List-Unsubscribe': `<${url}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
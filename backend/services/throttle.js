@@ -0,0 +1,140 @@
+import { db } from '../storage/db.js';
+import { warmupAllowance } from './warmup.js';
+
+/**
+ * Per-mailbox send throttling.
+ *
+ * Every mailbox (email_settings record) has a daily cap and a minimum gap
+ * between sends, plus random jitter so mail doesn't go out on a fixed beat:
+ *   settings.throttle       = { daily_cap, min_interval_seconds, jitter_seconds }  (defaults below)
+ *   settings.throttle_state = { day, sent, next_at }  — sends booked on `day` (UTC) and the next free slot
+ * A mailbox in warm-up (services/warmup.js) is held to the lower of its cap and the warm-up allowance.
+ *
+ * Callers book a slot with reserveSendSlot() before sending and persist db.data,
+ * or use bookSendSlot() around sendEmail(). A booked send that won't happen is
+ * given back with cancelSendSlot().
+ * Slots only move forward, so sends come out in the order they were booked.
+ */
+
+export const DEFAULT_THROTTLE = {
+  daily_cap: 200,
+  min_interval_seconds: 60,
+  jitter_seconds: 30
+};
+
+const LIMITS = {
+  daily_cap: [1, 10000],
+  min_interval_seconds: [0, 3600],
+  jitter_seconds: [0, 3600]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEND_LOG_DAYS = 90;
+
+const utcDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+export function mailboxThrottle(settings) {
+  return { ...DEFAULT_THROTTLE, ...(settings?.throttle || {}) };
+}
+
+// Check a throttle config from the API. Returns an error message, or null when valid.
+export function validateThrottle(throttle) {
+  if (!throttle || typeof throttle !== 'object' || Array.isArray(throttle)) return 'throttle must be an object';
+  for (const [field, value] of Object.entries(throttle)) {
+    const range = LIMITS[field];
+    if (!range) return `Unknown throttle field "${field}"`;
+    if (!Number.isInteger(value) || value < range[0] || value > range[1]) {
+      return `${field} must be a whole number from ${range[0]} to ${range[1]}`;
+    }
+  }
+  return null;
+}
+
+// The most the mailbox may send on a YYYY-MM-DD day
+function dailyCap(settings, day) {
+  const allowance = warmupAllowance(settings, day);
+  const { daily_cap } = mailboxThrottle(settings);
+  return allowance === null ? daily_cap : Math.min(daily_cap, allowance);
+}
+
+// The earliest slot the mailbox can book at or after `now`, and the day it counts against
+function nextSlot(settings, now) {
+  const state = settings.throttle_state || {};
+  let at = Math.max(now, state.next_at || 0);
+  let day = utcDay(at);
+  let sent = state.day === day ? state.sent || 0 : 0;
+
+  // Today's cap is used up — overflow rolls to the start of the next day
+  while (sent >= dailyCap(settings, day)) {
+    at = Date.parse(day) + DAY_MS;
+    day = utcDay(at);
+    sent = 0;
+  }
+  return { at, day, sent };
+}
+
+// When the mailbox could next send (ms), for picking between mailboxes
+export function nextSendAt(settings, now = Date.now()) {
+  return nextSlot(settings, now).at;
+}
+
+/**
+ * Book the next send slot on a mailbox. Returns the time the email may go out,
+ * or null (nothing booked) when that would be more than `within` ms from now.
+ */
+export function reserveSendSlot(settings, { now = Date.now(), within = Infinity } = {}) {
+  const { min_interval_seconds, jitter_seconds } = mailboxThrottle(settings);
+  const slot = nextSlot(settings, now);
+  if (slot.at > now + within) return null;
+
+  const gapMs = (min_interval_seconds + Math.random() * jitter_seconds) * 1000;
+  settings.throttle_state = { day: slot.day, sent: slot.sent + 1, next_at: slot.at + Math.round(gapMs) };
+
+  // Per-day totals for warm-up history, trimmed to the last few months
+  const cutoff = utcDay(now - SEND_LOG_DAYS * DAY_MS);
+  const log = Object.fromEntries(Object.entries(settings.send_log || {}).filter(([day]) => day >= cutoff));
+  log[slot.day] = (log[slot.day] || 0) + 1;
+  settings.send_log = log;
+  return slot.at;
+}
+
+/**
+ * Give back a slot booked for a send that won't happen (step cancelled, lead
+ * paused), so it stops counting against the daily cap and warm-up history.
+ * The gap after it stays: later slots are already booked behind it.
+ */
+export function cancelSendSlot(settings, at) {
+  const day = utcDay(Date.parse(at));
+  const state = settings.throttle_state;
+  if (state?.day === day && state.sent > 0) state.sent--;
+  if (settings.send_log?.[day] > 0) settings.send_log[day]--;
+}
+
+/**
+ * Book a slot on a mailbox by id and save it straight away — sendEmail can
+ * re-read the db (token refresh), which would drop a booking held only in memory.
+ */
+export async function bookSendSlot(mailboxId, options) {
+  const settings = (db.data.email_settings || []).find(s => s.id === mailboxId);
+  if (!settings) return null;
+  const slot = reserveSendSlot(settings, options);
+  if (slot !== null) await db.write();
+  return slot;
+}
+
+// Where the mailbox stands, for settings and sequence status
+export function throttleStatus(settings, now = Date.now()) {
+  const throttle = mailboxThrottle(settings);
+  const state = settings?.throttle_state || {};
+  const today = utcDay(now);
+  const capToday = settings ? dailyCap(settings, today) : throttle.daily_cap;
+  // Bookings already rolled over into a later day mean today is full
+  const sentToday = state.day === today ? state.sent || 0 : state.day > today ? capToday : 0;
+  return {
+    ...throttle,
+    warmup_allowance: settings ? warmupAllowance(settings, today) : null,
+    sent_today: sentToday,
+    remaining_today: Math.max(capToday - sentToday, 0),
+    next_send_at: settings ? new Date(nextSlot(settings, now).at).toISOString() : null
+  };
+}
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import { ids, records } from '../storage/db.js';
+import { JWT_SECRET } from '../middleware/auth.js';
+import { pickLeadCampaign } from './bounce.js';
+
+// Open and click tracking for outgoing mail.
+// Each tracked message gets a random tracking_id, stored on its email_interactions
+// record. Pixel and link URLs carry an HMAC-signed token encoding the lead, that
+// tracking id and (for links) the target URL, so events land on the exact sequence
+// step or draft that was sent and nobody can forge events or redirects.
+
+const TRACKING_SECRET = process.env.TRACKING_SECRET || JWT_SECRET;
+
+// Events this soon after sending are scanners and prefetchers, not people
+const MACHINE_WINDOW_MS = 30 * 1000;
+
+// 1x1 transparent GIF
+export const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+function appUrl() {
+  return (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', TRACKING_SECRET).update(payload).digest('base64url').slice(0, 22);
+}
+
+// Token = base64url("<leadId>:<trackingId>[:<url>]") + "." + HMAC
+export function createTrackingToken(leadId, trackingId, url = null) {
+  const payload = Buffer.from([leadId, trackingId, url].filter(v => v !== null).join(':')).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns { leadId, trackingId, url } or null when the token is malformed or tampered with
+export function verifyTrackingToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+  const expected = sign(payload);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+  const decoded = Buffer.from(payload, 'base64url').toString('utf-8');
+  const [leadId, trackingId, ...rest] = decoded.split(':');
+  const url = rest.length > 0 ? rest.join(':') : null;
+  if (!parseInt(leadId) || !trackingId) return null;
+  return { leadId: parseInt(leadId), trackingId, url };
+}
+
+/**
+ * What to track for a send: the sequence's own setting wins when it is set
+ * (true/false), otherwise the user's default. Users track both unless they opt out.
+ */
+export function resolveTracking(user, sequence = null) {
+  const pick = (field) => typeof sequence?.[field] === 'boolean' ? sequence[field] : user?.[field] !== false;
+  return { opens: pick('track_opens'), clicks: pick('track_clicks') };
+}
+
+/**
+ * Add the open pixel and rewrite http(s) links to signed click URLs.
+ * Returns { html, tracking_id } — tracking_id is null when nothing is tracked.
+ */
+export function applyTracking(html, { opens, clicks }, leadId) {
+  if ((!opens && !clicks) || !leadId) return { html, tracking_id: null };
+
+  const trackingId = crypto.randomBytes(12).toString('base64url');
+  let tracked = html;
+
+  if (clicks) {
+    tracked = tracked.replace(/(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi, (match, prefix, quote, rawUrl) => {
+      const url = rawUrl.replace(/&amp;/g, '&');
+      return `${prefix}${quote}${appUrl()}/api/track/c/${createTrackingToken(leadId, trackingId, url)}${quote}`;
+    });
+  }
+
+  if (opens) {
+    tracked += `<img src="${appUrl()}/api/track/o/${createTrackingToken(leadId, trackingId)}.gif" width="1" height="1" alt="" style="display:none;border:0;" />`;
+  }
+
+  return { html: tracked, tracking_id: trackingId };
+}
+
+// ─── Bot / prefetch detection ────────────────────────────────────────────────
+// Machine fetches are still stored (flagged bot: true) but never count as engagement.
+
+const SCANNER_AGENT = /bot|crawl|spider|slurp|preview|scanner|safelinks|barracuda|mimecast|proofpoint|forcepoint|symantec|trend ?micro|sophos|fireeye|headless|phantomjs|curl|wget|python|go-http-client|java\/|okhttp|axios|node-fetch|libwww/i;
+
+/**
+ * Why a tracking request looks automated, or null for a likely human.
+ *   apple_mpp   — Apple Mail Privacy Protection fetches every image on delivery
+ *   image_proxy — Gmail / Yahoo image proxies fetching for the inbox, not a reader
+ *   prefetch    — HEAD requests and Purpose: prefetch hints
+ *   scanner     — security gateways and link checkers
+ *   too_fast    — within seconds of sending, before anyone could read it
+ */
+export function detectMachineEvent({ method, headers = {}, ip }, interaction = null) {
+  const agent = headers['user-agent'] || '';
+  const purpose = `${headers.purpose || ''} ${headers['sec-purpose'] || ''} ${headers['x-purpose'] || ''} ${headers['x-moz'] || ''}`;
+
+  if (method === 'HEAD' || /prefetch|preview/i.test(purpose)) return 'prefetch';
+  if (!agent || SCANNER_AGENT.test(agent)) return 'scanner';
+  if (/GoogleImageProxy|ggpht\.com|YahooMailProxy/i.test(agent)) return 'image_proxy';
+  // MPP uses a bare "Mozilla/5.0" agent from Apple's 17.0.0.0/8 range
+  if (agent.trim() === 'Mozilla/5.0' || /^(::ffff:)?17\./.test(ip || '')) return 'apple_mpp';
+
+  const sentAt = interaction?.sent_at ? new Date(interaction.sent_at).getTime() : 0;
+  if (sentAt && Date.now() - sentAt < MACHINE_WINDOW_MS) return 'too_fast';
+  return null;
+}
+
+/**
+ * Record an open/click from a verified token against the interaction that carries
+ * its tracking id. `request` is { method, headers, ip } for bot detection.
+ * Returns the event, or null when the token doesn't match a sent message.
+ */
+export async function recordTrackingEvent({ leadId, trackingId, url }, eventType, request) {
+  // Pixels load with every opened email — look up just this message, not the whole database
+  const interaction = await records.findOne('email_interactions', { tracking_id: trackingId });
+  if (!interaction || interaction.lead_id !== leadId) return null;
+
+  const lead = await records.findOne('leads', { id: interaction.lead_id });
+  const campaign = lead
+    ? pickLeadCampaign(lead, await records.find('campaigns', { user_id: lead.user_id }), await records.find('lead_sources', { lead_id: lead.id }))
+    : null;
+  const botReason = detectMachineEvent(request, interaction);
+  const now = new Date().toISOString();
+
+  // Campaign counters count each message once
+  const firstOfKind = !botReason &&
+    !(await records.find('email_events', { interaction_id: interaction.id, event_type: eventType })).some(e => !e.bot);
+
+  const event = await records.insert('email_events', {
+    id: await ids.next('email_events'),
+    user_id: lead?.user_id || interaction.user_id || null,
+    lead_id: interaction.lead_id,
+    campaign_id: campaign?.id || null,
+    interaction_id: interaction.id,
+    sequence_id: interaction.sequence_id ?? null,
+    step_number: interaction.step_number ?? null,
+    draft_id: interaction.draft_id ?? null,
+    event_type: eventType,
+    ...(url && { url }),
+    bot: !!botReason,
+    bot_reason: botReason,
+    user_agent: (request.headers?.['user-agent'] || '').slice(0, 300) || null,
+    timestamp: now
+  });
+
+  if (botReason) {
+    console.log(`🤖 ${eventType} on message ${interaction.id} flagged as ${botReason}`);
+    return event;
+  }
+
+  // First human open/click on the message itself, for quick lookups
+  const firstField = eventType === 'open' ? 'opened_at' : 'clicked_at';
+  if (!interaction[firstField]) {
+    interaction[firstField] = now;
+    await records.update('email_interactions', interaction);
+  }
+  if (campaign && firstOfKind) {
+    const counter = eventType === 'open' ? 'opens' : 'clicks';
+    campaign.stats = campaign.stats || {};
+    campaign.stats[counter] = (campaign.stats[counter] || 0) + 1;
+    await records.update('campaigns', campaign);
+  }
+  return event;
+}
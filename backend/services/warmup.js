@@ -0,0 +1,129 @@
+import { db } from '../storage/db.js';
+
+/**
+ * Mailbox warm-up — a new mailbox starts at a small daily volume that grows
+ * by a percentage each day until it reaches the target, then the normal send
+ * limits take over. Enforced by the send throttle (services/throttle.js).
+ *
+ *   settings.warmup = { enabled, start_volume, growth_percent, target_volume, started_at }
+ *   settings.send_log = { 'YYYY-MM-DD': sends booked that day }  (kept by the throttle)
+ */
+
+export const DEFAULT_WARMUP = {
+  start_volume: 20,
+  growth_percent: 20,
+  target_volume: 200
+};
+
+const LIMITS = {
+  start_volume: [1, 10000],
+  growth_percent: [1, 100],
+  target_volume: [1, 10000]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const utcDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Check warm-up settings from the API. Returns an error message, or null when valid.
+export function validateWarmup(warmup) {
+  for (const [field, value] of Object.entries(warmup)) {
+    if (field === 'enabled') {
+      if (typeof value !== 'boolean') return 'enabled must be true or false';
+      continue;
+    }
+    const range = LIMITS[field];
+    if (!range) return `Unknown warm-up field "${field}"`;
+    if (!Number.isInteger(value) || value < range[0] || value > range[1]) {
+      return `${field} must be a whole number from ${range[0]} to ${range[1]}`;
+    }
+  }
+  const { start_volume, target_volume } = { ...DEFAULT_WARMUP, ...warmup };
+  if (start_volume > target_volume) return 'start_volume can\'t be above target_volume';
+  return null;
+}
+
+// A warm-up that starts now, for newly connected mailboxes
+export function newWarmup(overrides = {}) {
+  return { enabled: true, ...DEFAULT_WARMUP, ...overrides, started_at: new Date().toISOString() };
+}
+
+function rampVolume(warmup, dayNumber) {
+  const volume = Math.floor(warmup.start_volume * (1 + warmup.growth_percent / 100) ** dayNumber);
+  return Math.min(volume, warmup.target_volume);
+}
+
+// Days since the warm-up started (0 on its first day) for a YYYY-MM-DD day
+function warmupDayNumber(warmup, day) {
+  return Math.round((Date.parse(day) - Date.parse(utcDay(Date.parse(warmup.started_at)))) / DAY_MS);
+}
+
+/**
+ * How many emails the warm-up allows on a YYYY-MM-DD day, or null when it
+ * doesn't apply (off, not started, or the ramp has reached its target).
+ */
+export function warmupAllowance(settings, day) {
+  const warmup = settings?.warmup;
+  if (!warmup?.enabled || !warmup.started_at) return null;
+  const dayNumber = Math.max(warmupDayNumber(warmup, day), 0);
+  const volume = rampVolume(warmup, dayNumber);
+  // The ramp's last day is the first one at the target — after that it's done
+  if (dayNumber > 0 && rampVolume(warmup, dayNumber - 1) >= warmup.target_volume) return null;
+  return volume;
+}
+
+// When the ramp first reaches its target (YYYY-MM-DD)
+function completionDay(warmup) {
+  let dayNumber = 0;
+  while (rampVolume(warmup, dayNumber) < warmup.target_volume) dayNumber++;
+  return utcDay(Date.parse(warmup.started_at) + dayNumber * DAY_MS);
+}
+
+/**
+ * Warm-up progress for the dashboard: today's allowance, and per day since it
+ * started the allowance, sends and the bounce and reply rates on those sends.
+ */
+export function warmupStatus(settings, now = Date.now()) {
+  const warmup = { ...DEFAULT_WARMUP, enabled: false, ...(settings?.warmup || {}) };
+  if (!warmup.started_at) return { ...warmup, history: [] };
+
+  const today = utcDay(now);
+  const completesOn = completionDay(warmup);
+  const userId = settings.user_id;
+  const countByDay = (items, field) => items.reduce((acc, item) => {
+    const day = item[field]?.slice(0, 10);
+    if (day) acc[day] = (acc[day] || 0) + 1;
+    return acc;
+  }, {});
+  // Bounces and replies for another of the user's mailboxes don't count (older ones aren't tagged with one)
+  const bounces = countByDay((db.data.email_events || []).filter(e =>
+    e.user_id === userId && e.event_type === 'bounce' && (e.mailbox_id == null || e.mailbox_id === settings.id)
+  ), 'timestamp');
+  const replies = countByDay((db.data.email_threads || []).filter(t =>
+    t.user_id === userId && (t.mailbox_id == null || t.mailbox_id === settings.id)
+  ), 'received_at');
+
+  const history = [];
+  for (let day = utcDay(Date.parse(warmup.started_at)); day <= today; day = utcDay(Date.parse(day) + DAY_MS)) {
+    const sent = settings.send_log?.[day] || 0;
+    history.push({
+      day,
+      allowance: rampVolume(warmup, warmupDayNumber(warmup, day)),
+      sent,
+      bounces: bounces[day] || 0,
+      replies: replies[day] || 0,
+      bounce_rate: sent > 0 ? Math.round(((bounces[day] || 0) / sent) * 1000) / 10 : null,
+      reply_rate: sent > 0 ? Math.round(((replies[day] || 0) / sent) * 1000) / 10 : null
+    });
+  }
+
+  return {
+    ...warmup,
+    day: warmupDayNumber(warmup, today) + 1,
+    allowance_today: warmup.enabled ? warmupAllowance(settings, today) : null,
+    sent_today: settings.send_log?.[today] || 0,
+    completes_on: completesOn,
+    complete: today > completesOn,
+    history: history.slice(-60)
+  };
+}
@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import { db, ids } from '../storage/db.js';
+
+/**
+ * Workspaces — a team working one shared pipeline.
+ *
+ * A workspace's records (leads, sequences, templates, product profiles,
+ * mailboxes, settings and billing) are stored under its account: the user id
+ * in workspace.account_id, kept in each record's `user_id` as before. Every
+ * user gets a personal workspace whose account is themselves, so data from
+ * before workspaces needs no migration. authenticate() resolves the signed-in
+ * user's active workspace and sets
+ *   req.userId    — the workspace account, so `user_id === req.userId` scoping covers the team
+ *   req.memberId  — the person signed in
+ *   req.workspaceId, req.role
+ *
+ * Roles, lowest first:
+ *   member — works the shared pipeline: leads, sequences, templates, drafts
+ *   admin  — also settings, mailboxes and members
+ *   owner  — also billing and handing over ownership (one per workspace)
+ */
+
+export const ROLES = ['member', 'admin', 'owner'];
+
+const INVITATION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+export const roleAtLeast = (role, minimum) => ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+
+export function getWorkspace(workspaceId) {
+  return (db.data.workspaces || []).find(w => w.id === workspaceId) || null;
+}
+
+export function workspaceMembers(workspaceId) {
+  return (db.data.workspace_members || []).filter(m => m.workspace_id === workspaceId);
+}
+
+export function getMembership(workspaceId, userId) {
+  return (db.data.workspace_members || []).find(m => m.workspace_id === workspaceId && m.user_id === userId) || null;
+}
+
+// A new user's own workspace. Caller persists db.data.
+export async function createPersonalWorkspace(user) {
+  const workspace = {
+    id: await ids.next('workspaces'),
+    name: user.company_name || user.email,
+    account_id: user.id,
+    created_at: new Date().toISOString()
+  };
+  db.data.workspaces.push(workspace);
+  db.data.workspace_members.push({
+    id: await ids.next('workspace_members'),
+    workspace_id: workspace.id,
+    user_id: user.id,
+    role: 'owner',
+    joined_at: new Date().toISOString()
+  });
+  return workspace;
+}
+
+// The membership a request acts through: the user's active workspace, else
+// their personal one, else any they belong to
+export function activeMembership(user) {
+  const memberships = (db.data.workspace_members || []).filter(m => m.user_id === user.id);
+  return chooseMembership(user, memberships, db.data.workspaces || []);
+}
+
+// Of a user's memberships: the workspace they switched to, else their own, else the first
+export function chooseMembership(user, memberships, workspaces) {
+  const accountOf = (membership) => workspaces.find(w => w.id === membership.workspace_id)?.account_id;
+  return memberships.find(m => m.workspace_id === user.active_workspace_id) ||
+    memberships.find(m => accountOf(m) === user.id) ||
+    memberships[0] || null;
+}
+
+export function pendingInvitations(workspaceId) {
+  const now = Date.now();
+  return (db.data.workspace_invitations || []).filter(i =>
+    i.workspace_id === workspaceId && !i.accepted_at && Date.parse(i.expires_at) > now
+  );
+}
+
+// Members plus outstanding invitations — what counts against the plan's seats
+export function seatsUsed(workspaceId) {
+  return workspaceMembers(workspaceId).length + pendingInvitations(workspaceId).length;
+}
+
+// Caller persists db.data
+export async function createInvitation(workspaceId, { email, role, invitedBy }) {
+  const invitation = {
+    id: await ids.next('workspace_invitations'),
+    workspace_id: workspaceId,
+    email: email.trim().toLowerCase(),
+    role,
+    token: crypto.randomBytes(24).toString('hex'),
+    invited_by: invitedBy,
+    created_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + INVITATION_TTL_MS).toISOString(),
+    accepted_at: null
+  };
+  db.data.workspace_invitations.push(invitation);
+  return invitation;
+}
+
+export function findInvitation(token) {
+  const invitation = (db.data.workspace_invitations || []).find(i => i.token === token);
+  if (!invitation || invitation.accepted_at || Date.parse(invitation.expires_at) <= Date.now()) return null;
+  return invitation;
+}
+
+// Join the invitation's workspace and make it the user's active one. Caller persists db.data.
+export async function acceptInvitation(invitation, user) {
+  if (!getMembership(invitation.workspace_id, user.id)) {
+    db.data.workspace_members.push({
+      id: await ids.next('workspace_members'),
+      workspace_id: invitation.workspace_id,
+      user_id: user.id,
+      role: invitation.role,
+      joined_at: new Date().toISOString()
+    });
+  }
+  invitation.accepted_at = new Date().toISOString();
+  invitation.accepted_by = user.id;
+  user.active_workspace_id = invitation.workspace_id;
+}
+
+export function publicMember(member) {
+  const user = (db.data.users || []).find(u => u.id === member.user_id);
+  return {
+    user_id: member.user_id,
+    email: user?.email || null,
+    role: member.role,
+    joined_at: member.joined_at
+  };
+}
+
+export function publicInvitation(invitation) {
+  return {
+    id: invitation.id,
+    email: invitation.email,
+    role: invitation.role,
+    invited_by: invitation.invited_by,
+    created_at: invitation.created_at,
+    expires_at: invitation.expires_at
+  };
+}
@@ -0,0 +1,251 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { existsSync } from 'fs';
+import path from 'path';
+import { pool } from '../config/database.js';
+import { createIdAllocator, syncIdSequences } from './ids.js';
+import { repairDuplicateIds } from './integrity.js';
+import { runMigrations } from './migrate.js';
+import { PgAdapter } from './pg-adapter.js';
+import { createRecordStore } from './records.js';
+import { createUploadedRowStore } from './uploaded-rows.js';
+
+// Use persistent disk on Render (/mnt/data is the mounted disk), or the working directory for local development
+const dataDir = existsSync('/mnt/data') ? '/mnt/data' : '.';
+
+// Use PostgreSQL when DATABASE_URL is set; otherwise fall back to the JSON file
+let adapter;
+if (pool) {
+  adapter = new PgAdapter(pool);
+  console.log('🐘 Using PostgreSQL storage');
+} else {
+  adapter = new JSONFile(path.join(dataDir, 'db.json'));
+}
+export const db = new Low(adapter, {});
+export const ids = createIdAllocator(db, pool);
+export const records = createRecordStore(db, pool);
+export const uploadedRows = createUploadedRowStore(pool, path.join(dataDir, 'lead-imports'));
+
+// Helper function to ensure all database tables exist (defined first)
+function ensureDbTables() {
+  if (!db.data) db.data = {};
+  if (!db.data.users) db.data.users = [];
+  if (!db.data.leads) db.data.leads = [];
+  if (!db.data.sequences) db.data.sequences = [];
+  if (!db.data.sequence_steps) db.data.sequence_steps = [];
+  if (!db.data.campaigns) db.data.campaigns = [];
+  if (!db.data.email_events) db.data.email_events = [];
+  if (!db.data.lead_sources) db.data.lead_sources = [];
+  if (!db.data.email_settings) db.data.email_settings = [];
+  if (!db.data.ai_drafts) db.data.ai_drafts = [];
+  if (!db.data.email_threads) db.data.email_threads = [];
+  if (!db.data.email_history) db.data.email_history = [];
+  if (!db.data.product_profiles) db.data.product_profiles = [];
+  if (!db.data.seller_profiles) db.data.seller_profiles = [];
+  if (!db.data.email_templates) db.data.email_templates = [];
+  if (!db.data.winning_emails) db.data.winning_emails = [];
+  if (!db.data.ab_results) db.data.ab_results = [];
+  if (!db.data.appointments) db.data.appointments = [];
+  if (!db.data.subscriptions) db.data.subscriptions = [];
+  if (!db.data.email_interactions) db.data.email_interactions = [];
+  if (!db.data.suppressions) db.data.suppressions = [];
+  if (!db.data.workspaces) db.data.workspaces = [];
+  if (!db.data.workspace_members) db.data.workspace_members = [];
+  if (!db.data.workspace_invitations) db.data.workspace_invitations = [];
+  if (!db.data.api_keys) db.data.api_keys = [];
+  if (!db.data.webhook_endpoints) db.data.webhook_endpoints = [];
+  if (!db.data.webhook_deliveries) db.data.webhook_deliveries = [];
+  if (!db.data.ingest_tokens) db.data.ingest_tokens = [];
+  if (!db.data.lead_forms) db.data.lead_forms = [];
+  if (!db.data.lead_imports) db.data.lead_imports = [];
+  if (!db.data.import_mappings) db.data.import_mappings = [];
+  if (!db.data.export_schedules) db.data.export_schedules = [];
+}
+
+// Load the database, create missing collections and bring old records up to date.
+// Runs once at startup, before any router touches db.data.
+export async function initDb() {
+  if (pool) await runMigrations(pool);
+
+  // Read database and ensure all tables exist
+  await db.read();
+  ensureDbTables();
+  await db.write(); // Persist any newly created tables
+
+  // Integrity check — ids used to be `length + 1`, which repeats after deletes
+  if (pool) await syncIdSequences(pool);
+  const renumbered = await repairDuplicateIds(db.data, ids);
+  for (const [collection, count] of Object.entries(renumbered)) {
+    console.log(`✓ Renumbered ${count} duplicate id(s) in ${collection}`);
+  }
+
+  // Billing migrations — add billing fields to existing users and ensure subscriptions exists
+  if (db.data.users && db.data.users.length > 0) {
+    let billingMigrationNeeded = false;
+    const trialDays = 14;
+    db.data.users = db.data.users.map(user => {
+      if (!user.plan) {
+        const trialEnd = new Date(new Date(user.created_at || new Date()).getTime() + trialDays * 24 * 60 * 60 * 1000);
+        user.plan = 'trial';
+        user.plan_status = 'trialing';
+        user.trial_ends_at = trialEnd.toISOString();
+        user.stripe_customer_id = null;
+        user.stripe_subscription_id = null;
+        user.ai_generations_this_month = 0;
+        user.ai_generations_reset_at = new Date().toISOString();
+        billingMigrationNeeded = true;
+      }
+      return user;
+    });
+    if (billingMigrationNeeded) {
+      console.log('✓ Migrated existing users with billing/trial fields');
+    }
+  }
+
+  // Ensure product_profiles exists even in older databases
+  if (!db.data.product_profiles) {
+    db.data.product_profiles = [];
+  }
+
+  // Ensure seller_profiles exists in older databases
+  if (!db.data.seller_profiles) {
+    db.data.seller_profiles = [];
+  }
+
+  // Ensure email_templates exists
+  if (!db.data.email_templates) {
+    db.data.email_templates = [];
+  }
+
+  // Migrate email_history records to include html_body and attachments fields
+  if (db.data.email_history && db.data.email_history.length > 0) {
+    let migrationNeeded = false;
+    db.data.email_history = db.data.email_history.map(record => {
+      if (!record.html_body) {
+        record.html_body = record.body ? record.body.replace(/\n/g, '<br>') : '';
+        migrationNeeded = true;
+      }
+      if (!record.attachments) {
+        record.attachments = [];
+        migrationNeeded = true;
+      }
+      return record;
+    });
+    if (migrationNeeded) {
+      console.log('✓ Migrated email_history records to include html_body and attachments fields');
+    }
+  }
+
+  // Migrate email_threads to include notified field for notification system
+  if (db.data.email_threads && db.data.email_threads.length > 0) {
+    let migrationNeeded = false;
+    db.data.email_threads = db.data.email_threads.map(thread => {
+      if (thread.notified === undefined) {
+        thread.notified = true; // Mark existing threads as already notified to avoid spam
+        migrationNeeded = true;
+      }
+      return thread;
+    });
+    if (migrationNeeded) {
+      console.log('✓ Migrated email_threads to include notified field for notifications');
+    }
+  }
+
+  // Migrate users to unified auto_mode_enabled setting
+  if (db.data.users && db.data.users.length > 0) {
+    let migrationNeeded = false;
+    db.data.users = db.data.users.map(user => {
+      if (user.auto_mode_enabled === undefined) {
+        // Consolidate existing auto-send settings into new unified auto_mode_enabled
+        user.auto_mode_enabled = (user.email_mode === 'AUTO' || user.auto_send_all === true);
+        user.auto_mode_include_objections = false; // Default to safe behavior - require manual review for objections
+        migrationNeeded = true;
+      }
+      return user;
+    });
+    if (migrationNeeded) {
+      console.log('✓ Migrated users to unified auto_mode_enabled setting');
+    }
+  }
+
+  // Every user works inside a workspace — give users from before workspaces
+  // their personal one (its account is their own id, so their data is already in it)
+  let personalWorkspaces = 0;
+  for (const user of db.data.users) {
+    if (db.data.workspaces.some(w => w.account_id === user.id)) continue;
+    const workspaceId = await ids.next('workspaces');
+    db.data.workspaces.push({
+      id: workspaceId,
+      name: user.company_name || user.email,
+      account_id: user.id,
+      created_at: new Date().toISOString()
+    });
+    db.data.workspace_members.push({
+      id: await ids.next('workspace_members'),
+      workspace_id: workspaceId,
+      user_id: user.id,
+      role: 'owner',
+      joined_at: new Date().toISOString()
+    });
+    personalWorkspaces++;
+  }
+  if (personalWorkspaces > 0) {
+    console.log(`✓ Created ${personalWorkspaces} personal workspace(s)`);
+  }
+
+  // Mailboxes are looked up by id now that a user can connect several — older
+  // OAuth records were saved without one
+  let unnumberedMailboxes = 0;
+  for (const settings of db.data.email_settings) {
+    if (settings.id == null) {
+      settings.id = await ids.next('email_settings');
+      unnumberedMailboxes++;
+    }
+  }
+  if (unnumberedMailboxes > 0) {
+    console.log(`✓ Gave ${unnumberedMailboxes} mailbox(es) an id`);
+  }
+
+  // Lead imports used to keep the uploaded file's rows on the record
+  let movedUploads = 0;
+  for (const record of db.data.lead_imports) {
+    if (!('rows' in record)) continue;
+    if (Array.isArray(record.rows)) {
+      await uploadedRows.save(record.id, record.rows);
+      movedUploads++;
+    }
+    delete record.rows;
+  }
+  if (movedUploads > 0) {
+    console.log(`✓ Moved the rows of ${movedUploads} lead import(s) out of the database`);
+  }
+
+  // Startup cleanup: resolve stale Action Required drafts for leads that already have
+  // a newer correct (non-clarification) pending draft. This clears old holding-reply
+  // drafts that were created before the AI was improved to answer product questions.
+  if (db.data.ai_drafts && db.data.ai_drafts.length > 0) {
+    let staleResolved = 0;
+    const pendingDrafts = db.data.ai_drafts.filter(d => d.status === 'pending');
+    pendingDrafts.forEach(d => {
+      if (!d.needs_follow_up && !d.clarification_needed) {
+        // This is a correct draft — resolve any older stale Action Required drafts for the same lead
+        db.data.ai_drafts.forEach(old => {
+          if (
+            old.lead_id === d.lead_id &&
+            old.status === 'pending' &&
+            (old.needs_follow_up || old.clarification_needed) &&
+            new Date(old.created_at) < new Date(d.created_at)
+          ) {
+            old.status = 'resolved';
+            staleResolved++;
+          }
+        });
+      }
+    });
+    if (staleResolved > 0) {
+      console.log(`✓ Resolved ${staleResolved} stale Action Required draft(s) — leads already have correct AI replies`);
+    }
+  }
+
+  await db.write();
+}
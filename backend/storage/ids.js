@@ -0,0 +1,59 @@
+import { COLLECTIONS } from './schema.js';
+
+/**
+ * Central ID allocator. Every new record's `id` comes from here so ids are
+ * never reused, even after deletes.
+ *
+ * On PostgreSQL each collection has a `<collection>_id_seq` sequence, which is
+ * safe across instances. With the JSON file the high-water marks live in
+ * db.data.id_sequences and are saved with the next db.write().
+ */
+export function createIdAllocator(db, pool) {
+  const issued = {}; // highest id handed out by this process, per collection
+
+  async function next(collection) {
+    if (!COLLECTIONS.includes(collection)) {
+      throw new Error(`Unknown collection "${collection}"`);
+    }
+
+    if (pool) {
+      const { rows } = await pool.query(`SELECT nextval('${collection}_id_seq') AS id`);
+      return Number(rows[0].id);
+    }
+
+    if (!db.data.id_sequences) db.data.id_sequences = {};
+    const id = Math.max(
+      issued[collection] || 0,
+      db.data.id_sequences[collection] || 0,
+      maxId(db.data[collection])
+    ) + 1;
+    issued[collection] = id;
+    db.data.id_sequences[collection] = id;
+    return id;
+  }
+
+  return { next };
+}
+
+// Move every PostgreSQL id sequence past the largest id already stored, e.g.
+// after an import or when rows were written by an older build.
+export async function syncIdSequences(client) {
+  for (const collection of COLLECTIONS) {
+    await client.query(
+      `SELECT setval('${collection}_id_seq', GREATEST(t.high, 1), t.high > 0)
+       FROM (SELECT GREATEST(
+         (SELECT COALESCE(MAX(id), 0) FROM ${collection}),
+         (SELECT CASE WHEN is_called THEN last_value ELSE 0 END FROM ${collection}_id_seq)
+       ) AS high) t`
+    );
+  }
+}
+
+export function maxId(records = []) {
+  let max = 0;
+  for (const record of records) {
+    const id = Number(record?.id);
+    if (Number.isFinite(id) && id > max) max = id;
+  }
+  return max;
+}
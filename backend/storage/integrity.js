@@ -0,0 +1,100 @@
+// Startup integrity check for duplicate ids left behind by the old
+// `length + 1` id scheme.
+
+// Collections checked for duplicate ids
+const CHECKED_COLLECTIONS = ['leads', 'ai_drafts', 'email_threads', 'email_interactions'];
+
+// Collections whose records point at a lead through `lead_id`
+const LEAD_REFERENCES = [
+  'ai_drafts',
+  'email_threads',
+  'email_interactions',
+  'email_history',
+  'email_events',
+  'winning_emails',
+  'appointments'
+];
+
+/**
+ * Give every duplicate record (all but the first with a given id) a fresh id
+ * from the allocator. When leads are renumbered, records that referenced the
+ * shared id are re-pointed at the lead they most likely belong to.
+ *
+ * Mutates `data` in place; returns { collection: renumberedCount }.
+ */
+export async function repairDuplicateIds(data, ids) {
+  const renumbered = {};
+
+  for (const collection of CHECKED_COLLECTIONS) {
+    const duplicates = findDuplicates(data[collection] || []);
+    if (duplicates.size === 0) continue;
+
+    // Work out which lead each reference belongs to before any ids change
+    const owners = collection === 'leads' ? matchLeadReferences(data, duplicates) : new Map();
+
+    let count = 0;
+    for (const records of duplicates.values()) {
+      for (const record of records.slice(1)) {
+        record.id = await ids.next(collection);
+        count++;
+      }
+    }
+    for (const [ref, lead] of owners) ref.lead_id = lead.id;
+
+    renumbered[collection] = count;
+  }
+
+  return renumbered;
+}
+
+// Map of id -> records sharing it, only for ids used more than once
+function findDuplicates(records) {
+  const byId = new Map();
+  for (const record of records) {
+    if (record?.id == null) continue;
+    const key = String(record.id);
+    if (!byId.has(key)) byId.set(key, []);
+    byId.get(key).push(record);
+  }
+  for (const [key, group] of byId) {
+    if (group.length < 2) byId.delete(key);
+  }
+  return byId;
+}
+
+function matchLeadReferences(data, duplicates) {
+  const owners = new Map();
+  for (const collection of LEAD_REFERENCES) {
+    for (const ref of data[collection] || []) {
+      const candidates = ref?.lead_id != null ? duplicates.get(String(ref.lead_id)) : null;
+      if (candidates) owners.set(ref, pickOwner(ref, candidates));
+    }
+  }
+  return owners;
+}
+
+// Prefer a lead of the same user, then one whose email appears on the record,
+// then the newest lead that already existed when the record was created.
+function pickOwner(ref, candidates) {
+  let pool = candidates;
+  if (ref.user_id != null) {
+    const sameUser = pool.filter(l => String(l.user_id) === String(ref.user_id));
+    if (sameUser.length > 0) pool = sameUser;
+  }
+  if (pool.length === 1) return pool[0];
+
+  const haystack = [ref.lead_email, ref.email, ref.from, ref.to]
+    .filter(Boolean).join(' ').toLowerCase();
+  const byEmail = pool.filter(l => l.email && haystack.includes(l.email.toLowerCase()));
+  if (byEmail.length === 1) return byEmail[0];
+  if (byEmail.length > 1) pool = byEmail;
+
+  const refTime = Date.parse(ref.created_at || ref.sent_at || ref.received_at || ref.timestamp);
+  if (!Number.isNaN(refTime)) {
+    const earlier = pool
+      .filter(l => Date.parse(l.created_at) <= refTime)
+      .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+    if (earlier.length > 0) return earlier[0];
+  }
+  return pool[0];
+}
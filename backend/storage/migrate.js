@@ -0,0 +1,67 @@
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary advisory lock id so two instances booting together don't both migrate
+const MIGRATION_LOCK_ID = 48151623;
+
+/**
+ * Apply any storage/migrations/*.sql files that haven't run yet, in filename
+ * order. Each file runs in its own transaction and is recorded in
+ * schema_migrations.
+ */
+export async function runMigrations(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+
+    const { rows } = await client.query('SELECT name FROM schema_migrations');
+    const applied = new Set(rows.map(r => r.name));
+    const files = (await readdir(MIGRATIONS_DIR)).filter(f => f.endsWith('.sql')).sort();
+
+    for (const file of files) {
+      if (applied.has(file)) continue;
+      const sql = await readFile(path.join(MIGRATIONS_DIR, file), 'utf8');
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+        console.log(`✓ Applied migration ${file}`);
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw new Error(`Migration ${file} failed: ${error.message}`);
+      }
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+// `npm run migrate`
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { pool } = await import('../config/database.js');
+  if (!pool) {
+    console.error('❌ DATABASE_URL is not set');
+    process.exit(1);
+  }
+  try {
+    await runMigrations(pool);
+    console.log('✅ Database schema is up to date');
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
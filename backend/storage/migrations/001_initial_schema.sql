@@ -0,0 +1,240 @@
+-- Initial schema: one table per db.json collection.
+--
+-- Every record is stored whole in `data` so existing code keeps working with
+-- plain objects. `pk` is the storage row key; the app-level `id` and the
+-- foreign keys we filter on are generated from `data` so they can be indexed.
+
+CREATE OR REPLACE FUNCTION jsonb_bigint(doc JSONB, key TEXT) RETURNS BIGINT
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE WHEN doc->>key ~ '^-?[0-9]{1,18}$' THEN (doc->>key)::BIGINT END
+$$;
+
+CREATE TABLE users (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  email TEXT GENERATED ALWAYS AS (lower(data->>'email')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX users_id_idx ON users (id);
+CREATE INDEX users_email_idx ON users (email);
+
+CREATE TABLE leads (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  email TEXT GENERATED ALWAYS AS (lower(data->>'email')) STORED,
+  status TEXT GENERATED ALWAYS AS (data->>'status') STORED,
+  enrolled_sequence_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'enrolled_sequence_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX leads_id_idx ON leads (id);
+CREATE INDEX leads_user_id_idx ON leads (user_id);
+CREATE INDEX leads_user_email_idx ON leads (user_id, email);
+CREATE INDEX leads_enrolled_sequence_id_idx ON leads (enrolled_sequence_id);
+
+CREATE TABLE sequences (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX sequences_id_idx ON sequences (id);
+CREATE INDEX sequences_user_id_idx ON sequences (user_id);
+
+CREATE TABLE sequence_steps (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  sequence_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'sequence_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX sequence_steps_id_idx ON sequence_steps (id);
+CREATE INDEX sequence_steps_sequence_id_idx ON sequence_steps (sequence_id);
+
+CREATE TABLE campaigns (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX campaigns_id_idx ON campaigns (id);
+CREATE INDEX campaigns_user_id_idx ON campaigns (user_id);
+
+CREATE TABLE email_events (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  lead_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'lead_id')) STORED,
+  campaign_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'campaign_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX email_events_id_idx ON email_events (id);
+CREATE INDEX email_events_lead_id_idx ON email_events (lead_id);
+CREATE INDEX email_events_campaign_id_idx ON email_events (campaign_id);
+
+CREATE TABLE lead_sources (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX lead_sources_id_idx ON lead_sources (id);
+CREATE INDEX lead_sources_user_id_idx ON lead_sources (user_id);
+
+CREATE TABLE email_settings (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  email TEXT GENERATED ALWAYS AS (lower(data->>'email')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX email_settings_id_idx ON email_settings (id);
+CREATE INDEX email_settings_user_id_idx ON email_settings (user_id);
+CREATE INDEX email_settings_email_idx ON email_settings (email);
+
+CREATE TABLE ai_drafts (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  lead_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'lead_id')) STORED,
+  status TEXT GENERATED ALWAYS AS (data->>'status') STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX ai_drafts_id_idx ON ai_drafts (id);
+CREATE INDEX ai_drafts_user_id_idx ON ai_drafts (user_id);
+CREATE INDEX ai_drafts_lead_id_idx ON ai_drafts (lead_id);
+
+CREATE TABLE email_threads (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  lead_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'lead_id')) STORED,
+  gmail_message_id TEXT GENERATED ALWAYS AS (data->>'gmail_message_id') STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX email_threads_id_idx ON email_threads (id);
+CREATE INDEX email_threads_lead_id_idx ON email_threads (lead_id);
+CREATE INDEX email_threads_gmail_message_id_idx ON email_threads (gmail_message_id);
+
+CREATE TABLE email_history (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  lead_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'lead_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX email_history_id_idx ON email_history (id);
+CREATE INDEX email_history_lead_id_idx ON email_history (lead_id);
+
+CREATE TABLE product_profiles (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX product_profiles_id_idx ON product_profiles (id);
+CREATE INDEX product_profiles_user_id_idx ON product_profiles (user_id);
+
+CREATE TABLE seller_profiles (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX seller_profiles_id_idx ON seller_profiles (id);
+CREATE INDEX seller_profiles_user_id_idx ON seller_profiles (user_id);
+
+CREATE TABLE email_templates (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX email_templates_id_idx ON email_templates (id);
+CREATE INDEX email_templates_user_id_idx ON email_templates (user_id);
+
+CREATE TABLE winning_emails (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX winning_emails_id_idx ON winning_emails (id);
+CREATE INDEX winning_emails_user_id_idx ON winning_emails (user_id);
+
+CREATE TABLE ab_results (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX ab_results_id_idx ON ab_results (id);
+CREATE INDEX ab_results_user_id_idx ON ab_results (user_id);
+
+CREATE TABLE appointments (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  lead_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'lead_id')) STORED,
+  status TEXT GENERATED ALWAYS AS (data->>'status') STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX appointments_id_idx ON appointments (id);
+CREATE INDEX appointments_user_id_idx ON appointments (user_id);
+CREATE INDEX appointments_lead_id_idx ON appointments (lead_id);
+
+CREATE TABLE subscriptions (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX subscriptions_id_idx ON subscriptions (id);
+CREATE INDEX subscriptions_user_id_idx ON subscriptions (user_id);
+
+CREATE TABLE email_interactions (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  lead_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'lead_id')) STORED,
+  message_id TEXT GENERATED ALWAYS AS (data->>'message_id') STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX email_interactions_id_idx ON email_interactions (id);
+CREATE INDEX email_interactions_lead_id_idx ON email_interactions (lead_id);
+CREATE INDEX email_interactions_message_id_idx ON email_interactions (message_id);
@@ -0,0 +1,42 @@
+-- Per-collection id sequences used by storage/ids.js. Seeded past the
+-- largest id already stored so new records never reuse one.
+
+CREATE SEQUENCE users_id_seq;
+CREATE SEQUENCE leads_id_seq;
+CREATE SEQUENCE sequences_id_seq;
+CREATE SEQUENCE sequence_steps_id_seq;
+CREATE SEQUENCE campaigns_id_seq;
+CREATE SEQUENCE email_events_id_seq;
+CREATE SEQUENCE lead_sources_id_seq;
+CREATE SEQUENCE email_settings_id_seq;
+CREATE SEQUENCE ai_drafts_id_seq;
+CREATE SEQUENCE email_threads_id_seq;
+CREATE SEQUENCE email_history_id_seq;
+CREATE SEQUENCE product_profiles_id_seq;
+CREATE SEQUENCE seller_profiles_id_seq;
+CREATE SEQUENCE email_templates_id_seq;
+CREATE SEQUENCE winning_emails_id_seq;
+CREATE SEQUENCE ab_results_id_seq;
+CREATE SEQUENCE appointments_id_seq;
+CREATE SEQUENCE subscriptions_id_seq;
+CREATE SEQUENCE email_interactions_id_seq;
+
+SELECT setval('users_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM users;
+SELECT setval('leads_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM leads;
+SELECT setval('sequences_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM sequences;
+SELECT setval('sequence_steps_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM sequence_steps;
+SELECT setval('campaigns_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM campaigns;
+SELECT setval('email_events_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM email_events;
+SELECT setval('lead_sources_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM lead_sources;
+SELECT setval('email_settings_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM email_settings;
+SELECT setval('ai_drafts_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM ai_drafts;
+SELECT setval('email_threads_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM email_threads;
+SELECT setval('email_history_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM email_history;
+SELECT setval('product_profiles_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM product_profiles;
+SELECT setval('seller_profiles_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM seller_profiles;
+SELECT setval('email_templates_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM email_templates;
+SELECT setval('winning_emails_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM winning_emails;
+SELECT setval('ab_results_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM ab_results;
+SELECT setval('appointments_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM appointments;
+SELECT setval('subscriptions_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM subscriptions;
+SELECT setval('email_interactions_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM email_interactions;
@@ -0,0 +1,27 @@
+-- Durable background job queue (services/job-queue.js).
+--
+-- status: pending -> running -> done, or back to pending with a later run_at
+-- after a failure, or dead once max_attempts is used up. A job whose lease
+-- expires while running (crashed worker) can be claimed again.
+
+CREATE TABLE jobs (
+  id BIGSERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  key TEXT,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending',
+  run_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 5,
+  locked_by TEXT,
+  lease_until TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ
+);
+
+-- Only one live job per key (e.g. one pending step per lead)
+CREATE UNIQUE INDEX jobs_active_key_idx ON jobs (key) WHERE status IN ('pending', 'running');
+CREATE INDEX jobs_due_idx ON jobs (run_at) WHERE status IN ('pending', 'running');
+CREATE INDEX jobs_dead_idx ON jobs (updated_at) WHERE status = 'dead';
@@ -0,0 +1,17 @@
+-- Per-user suppression list (services/suppression.js): addresses and domains
+-- that must never be emailed.
+
+CREATE TABLE suppressions (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  value TEXT GENERATED ALWAYS AS (lower(data->>'value')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX suppressions_id_idx ON suppressions (id);
+CREATE INDEX suppressions_user_id_value_idx ON suppressions (user_id, value);
+
+CREATE SEQUENCE suppressions_id_seq;
+SELECT setval('suppressions_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM suppressions;
@@ -0,0 +1,46 @@
+-- Workspaces (services/workspaces.js): teams sharing one pipeline. Records stay
+-- keyed by user_id — a workspace's account_id is the user id its data lives under.
+
+CREATE TABLE workspaces (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  account_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'account_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX workspaces_id_idx ON workspaces (id);
+CREATE INDEX workspaces_account_id_idx ON workspaces (account_id);
+
+CREATE TABLE workspace_members (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  workspace_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'workspace_id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX workspace_members_id_idx ON workspace_members (id);
+CREATE INDEX workspace_members_workspace_id_idx ON workspace_members (workspace_id);
+CREATE INDEX workspace_members_user_id_idx ON workspace_members (user_id);
+
+CREATE TABLE workspace_invitations (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  workspace_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'workspace_id')) STORED,
+  token TEXT GENERATED ALWAYS AS (data->>'token') STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX workspace_invitations_id_idx ON workspace_invitations (id);
+CREATE INDEX workspace_invitations_workspace_id_idx ON workspace_invitations (workspace_id);
+CREATE INDEX workspace_invitations_token_idx ON workspace_invitations (token);
+
+CREATE SEQUENCE workspaces_id_seq;
+CREATE SEQUENCE workspace_members_id_seq;
+CREATE SEQUENCE workspace_invitations_id_seq;
+SELECT setval('workspaces_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM workspaces;
+SELECT setval('workspace_members_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM workspace_members;
+SELECT setval('workspace_invitations_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM workspace_invitations;
@@ -0,0 +1,17 @@
+-- API keys (services/api-keys.js). Only a SHA-256 hash of each key is stored.
+
+CREATE TABLE api_keys (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  key_hash TEXT GENERATED ALWAYS AS (data->>'key_hash') STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX api_keys_id_idx ON api_keys (id);
+CREATE INDEX api_keys_user_id_idx ON api_keys (user_id);
+CREATE INDEX api_keys_key_hash_idx ON api_keys (key_hash);
+
+CREATE SEQUENCE api_keys_id_seq;
+SELECT setval('api_keys_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM api_keys;
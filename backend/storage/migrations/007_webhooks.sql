@@ -0,0 +1,30 @@
+-- Outbound webhooks (services/outbound-webhooks.js): endpoints and their delivery log.
+
+CREATE TABLE webhook_endpoints (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX webhook_endpoints_id_idx ON webhook_endpoints (id);
+CREATE INDEX webhook_endpoints_user_id_idx ON webhook_endpoints (user_id);
+
+CREATE TABLE webhook_deliveries (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  endpoint_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'endpoint_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX webhook_deliveries_id_idx ON webhook_deliveries (id);
+CREATE INDEX webhook_deliveries_user_id_idx ON webhook_deliveries (user_id);
+CREATE INDEX webhook_deliveries_endpoint_id_idx ON webhook_deliveries (endpoint_id);
+
+CREATE SEQUENCE webhook_endpoints_id_seq;
+SELECT setval('webhook_endpoints_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM webhook_endpoints;
+CREATE SEQUENCE webhook_deliveries_id_seq;
+SELECT setval('webhook_deliveries_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM webhook_deliveries;
@@ -0,0 +1,17 @@
+-- Lead-capture webhook tokens (services/ingest-tokens.js). Only a SHA-256 hash of each token is stored.
+
+CREATE TABLE ingest_tokens (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  token_hash TEXT GENERATED ALWAYS AS (data->>'token_hash') STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX ingest_tokens_id_idx ON ingest_tokens (id);
+CREATE INDEX ingest_tokens_user_id_idx ON ingest_tokens (user_id);
+CREATE INDEX ingest_tokens_token_hash_idx ON ingest_tokens (token_hash);
+
+CREATE SEQUENCE ingest_tokens_id_seq;
+SELECT setval('ingest_tokens_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM ingest_tokens;
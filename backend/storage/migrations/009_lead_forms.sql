@@ -0,0 +1,17 @@
+-- Embeddable lead forms (services/lead-forms.js). public_id is the id used in embed URLs.
+
+CREATE TABLE lead_forms (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  public_id TEXT GENERATED ALWAYS AS (data->>'public_id') STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX lead_forms_id_idx ON lead_forms (id);
+CREATE INDEX lead_forms_user_id_idx ON lead_forms (user_id);
+CREATE INDEX lead_forms_public_id_idx ON lead_forms (public_id);
+
+CREATE SEQUENCE lead_forms_id_seq;
+SELECT setval('lead_forms_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM lead_forms;
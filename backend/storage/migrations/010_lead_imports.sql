@@ -0,0 +1,30 @@
+-- CSV/XLSX lead imports (services/lead-import.js) and saved column mappings.
+-- An import keeps the file's rows in data until it has run.
+
+CREATE TABLE lead_imports (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX lead_imports_id_idx ON lead_imports (id);
+CREATE INDEX lead_imports_user_id_idx ON lead_imports (user_id);
+
+CREATE SEQUENCE lead_imports_id_seq;
+SELECT setval('lead_imports_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM lead_imports;
+
+CREATE TABLE import_mappings (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX import_mappings_id_idx ON import_mappings (id);
+CREATE INDEX import_mappings_user_id_idx ON import_mappings (user_id);
+
+CREATE SEQUENCE import_mappings_id_seq;
+SELECT setval('import_mappings_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM import_mappings;
@@ -0,0 +1,15 @@
+-- Scheduled lead exports (services/export-schedules.js), emailed to workspace members.
+
+CREATE TABLE export_schedules (
+  pk BIGSERIAL PRIMARY KEY,
+  id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'id')) STORED,
+  user_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'user_id')) STORED,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX export_schedules_id_idx ON export_schedules (id);
+CREATE INDEX export_schedules_user_id_idx ON export_schedules (user_id);
+
+CREATE SEQUENCE export_schedules_id_seq;
+SELECT setval('export_schedules_id_seq', GREATEST(MAX(id), 1), MAX(id) IS NOT NULL) FROM export_schedules;
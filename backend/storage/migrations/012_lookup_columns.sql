@@ -0,0 +1,12 @@
+-- Columns for lookups made without loading the whole database (storage/records.js):
+-- tracking hits find their message by tracking_id, then earlier events on it
+-- and the lead's campaign sources.
+
+ALTER TABLE email_interactions ADD COLUMN tracking_id TEXT GENERATED ALWAYS AS (data->>'tracking_id') STORED;
+CREATE INDEX email_interactions_tracking_id_idx ON email_interactions (tracking_id);
+
+ALTER TABLE email_events ADD COLUMN interaction_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'interaction_id')) STORED;
+CREATE INDEX email_events_interaction_id_idx ON email_events (interaction_id);
+
+ALTER TABLE lead_sources ADD COLUMN lead_id BIGINT GENERATED ALWAYS AS (jsonb_bigint(data, 'lead_id')) STORED;
+CREATE INDEX lead_sources_lead_id_idx ON lead_sources (lead_id);
@@ -0,0 +1,9 @@
+-- The rows of uploaded lead import files (storage/uploaded-rows.js), out of
+-- lead_imports.data so they aren't rewritten with every change to the import.
+-- Removed once the import has run; initDb() moves any rows still in data here.
+
+CREATE TABLE lead_import_rows (
+  import_id BIGINT PRIMARY KEY,
+  rows JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1,46 @@
+-- Change log for the collection tables, so storage/pg-adapter.js can refresh
+-- its in-memory copy with just the rows that changed since its last read
+-- instead of loading every table again.
+--
+-- Triggers add a row per insert, update and delete (pk NULL after a TRUNCATE:
+-- reload the whole table). Entries are pruned after an hour; an instance that
+-- hasn't read for that long loads everything again.
+--
+-- New collection tables need `SELECT track_row_changes('<table>');` in their migration.
+
+CREATE TABLE row_changes (
+  seq BIGSERIAL PRIMARY KEY,
+  collection TEXT NOT NULL,
+  pk BIGINT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+CREATE INDEX row_changes_changed_at_idx ON row_changes (changed_at);
+
+CREATE FUNCTION log_row_change() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'TRUNCATE' THEN
+    INSERT INTO row_changes (collection, pk) VALUES (TG_TABLE_NAME, NULL);
+  ELSIF TG_OP = 'DELETE' THEN
+    INSERT INTO row_changes (collection, pk) VALUES (TG_TABLE_NAME, OLD.pk);
+  ELSE
+    INSERT INTO row_changes (collection, pk) VALUES (TG_TABLE_NAME, NEW.pk);
+  END IF;
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE FUNCTION track_row_changes(collection TEXT) RETURNS void AS $$
+BEGIN
+  EXECUTE format('CREATE TRIGGER %I AFTER INSERT OR UPDATE OR DELETE ON %I FOR EACH ROW EXECUTE FUNCTION log_row_change()', collection || '_row_changes', collection);
+  EXECUTE format('CREATE TRIGGER %I AFTER TRUNCATE ON %I FOR EACH STATEMENT EXECUTE FUNCTION log_row_change()', collection || '_truncated', collection);
+END
+$$ LANGUAGE plpgsql;
+
+SELECT track_row_changes(collection) FROM unnest(ARRAY[
+  'users', 'leads', 'sequences', 'sequence_steps', 'campaigns', 'email_events', 'lead_sources',
+  'email_settings', 'ai_drafts', 'email_threads', 'email_history', 'product_profiles',
+  'seller_profiles', 'email_templates', 'winning_emails', 'ab_results', 'appointments',
+  'subscriptions', 'email_interactions', 'suppressions', 'workspaces', 'workspace_members',
+  'workspace_invitations', 'api_keys', 'webhook_endpoints', 'webhook_deliveries', 'ingest_tokens',
+  'lead_forms', 'lead_imports', 'import_mappings', 'export_schedules'
+]) AS collection;
@@ -0,0 +1,205 @@
+import { COLLECTIONS } from './schema.js';
+import { createRepositories, ROW_KEY } from './repository.js';
+
+const FULL_RELOAD_AFTER_MS = 30 * 60 * 1000; // well within the change log's hour (see pruneChanges)
+const PRUNE_EVERY_MS = 10 * 60 * 1000;
+const LATE_COMMIT_WINDOW = '1 minute'; // changes logged shortly before a read may commit after it
+
+/**
+ * lowdb adapter backed by PostgreSQL.
+ *
+ * The first read() loads every collection into the familiar db.data shape.
+ * Later reads only fetch rows the row_changes log (migration 014) says were
+ * changed since — by another instance, or through storage/records.js — and
+ * patch them into the same db.data in place. db.data is never swapped out, so
+ * a change a handler hasn't written yet survives another handler's read.
+ *
+ * write() only touches rows that changed since the last read: new records are
+ * inserted, edited ones updated and missing ones deleted, all in one
+ * transaction. Jobs that work on different leads therefore no longer
+ * overwrite each other.
+ *
+ * Reads and writes run one at a time. Two overlapping writes would otherwise
+ * both diff against the same snapshot and insert a new record twice.
+ */
+export class PgAdapter {
+  constructor(pool) {
+    this.pool = pool;
+    this.repos = createRepositories(pool);
+    this.snapshot = new Map(); // collection -> Map(pk -> serialized record)
+    this.pending = Promise.resolve();
+    this.data = null; // db.data, as last read or written
+    this.lastSeq = 0; // row_changes read up to here
+    this.syncedAt = null; // database time of the last read
+    this.syncedLocally = 0;
+    this.prunedAt = 0;
+  }
+
+  // Run `task` after every read and write started before it
+  serialize(task) {
+    const run = this.pending.then(task);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  read() {
+    return this.serialize(() => this.load());
+  }
+
+  write(data) {
+    return this.serialize(() => this.save(data));
+  }
+
+  load() {
+    if (!this.data || Date.now() - this.syncedLocally > FULL_RELOAD_AFTER_MS) return this.loadAll();
+    return this.loadChanges();
+  }
+
+  async loadAll() {
+    // Mark the change log first — anything that lands while loading is fetched again next time
+    const { rows: [mark] } = await this.pool.query('SELECT COALESCE(MAX(seq), 0) AS seq, now() AS now FROM row_changes');
+    const union = COLLECTIONS
+      .map(name => `SELECT '${name}' AS collection, pk, data FROM ${name}`)
+      .join(' UNION ALL ');
+    const { rows } = await this.pool.query(`${union} ORDER BY collection, pk`);
+
+    const data = Object.fromEntries(COLLECTIONS.map(name => [name, []]));
+    const snapshot = new Map(COLLECTIONS.map(name => [name, new Map()]));
+    for (const row of rows) {
+      const pk = Number(row.pk);
+      row.data[ROW_KEY] = pk;
+      data[row.collection].push(row.data);
+      snapshot.get(row.collection).set(pk, JSON.stringify(row.data));
+    }
+
+    this.snapshot = snapshot;
+    this.data = data;
+    this.markSynced(Number(mark.seq), mark.now);
+    return data;
+  }
+
+  async loadChanges() {
+    const { rows } = await this.pool.query(
+      `SELECT now() AS now, c.seq, c.collection, c.pk FROM (SELECT 1) AS one
+       LEFT JOIN row_changes c ON c.seq > $1 OR c.changed_at > $2::timestamptz - interval '${LATE_COMMIT_WINDOW}'`,
+      [this.lastSeq, this.syncedAt]
+    );
+
+    const changed = new Map(); // collection -> Set of pks, or null to reload the whole table
+    let lastSeq = this.lastSeq;
+    for (const row of rows) {
+      if (row.seq === null || !this.repos[row.collection]) continue;
+      lastSeq = Math.max(lastSeq, Number(row.seq));
+      if (row.pk === null) changed.set(row.collection, null);
+      else if (changed.get(row.collection) !== null) {
+        if (!changed.has(row.collection)) changed.set(row.collection, new Set());
+        changed.get(row.collection).add(Number(row.pk));
+      }
+    }
+    for (const [name, pks] of changed) await this.refresh(name, pks);
+
+    this.markSynced(lastSeq, rows[0].now);
+    return this.data;
+  }
+
+  // Bring a collection's records up to date with the rows in `pks` (every row when null)
+  async refresh(name, pks) {
+    const { rows } = pks
+      ? await this.pool.query(`SELECT pk, data FROM ${name} WHERE pk = ANY($1::bigint[])`, [[...pks]])
+      : await this.pool.query(`SELECT pk, data FROM ${name} ORDER BY pk`);
+    if (!this.snapshot.has(name)) this.snapshot.set(name, new Map());
+    if (!this.data[name]) this.data[name] = [];
+    const snapshot = this.snapshot.get(name);
+    const records = this.data[name];
+    const byPk = new Map(records.filter(record => record[ROW_KEY]).map(record => [record[ROW_KEY], record]));
+
+    const found = new Map(rows.map(row => [Number(row.pk), row.data]));
+    for (const [pk, fresh] of found) {
+      // Our own writes come back through the log too — leave those alone
+      if (snapshot.has(pk) && canonical(fresh) === canonical(JSON.parse(snapshot.get(pk)))) continue;
+      fresh[ROW_KEY] = pk;
+      snapshot.set(pk, JSON.stringify(fresh));
+      const record = byPk.get(pk);
+      if (record) {
+        // In place — a handler may be holding on to the record
+        for (const key of Object.keys(record)) delete record[key];
+        Object.assign(record, fresh);
+      } else {
+        records.push(fresh);
+      }
+    }
+
+    const gone = new Set([...(pks || byPk.keys())].filter(pk => !found.has(pk)));
+    if (gone.size === 0) return;
+    for (const pk of gone) snapshot.delete(pk);
+    this.data[name] = records.filter(record => !gone.has(record[ROW_KEY]));
+  }
+
+  markSynced(seq, at) {
+    this.lastSeq = seq;
+    this.syncedAt = at;
+    this.syncedLocally = Date.now();
+  }
+
+  // Drop change log entries older than an hour, every few minutes
+  async pruneChanges() {
+    if (Date.now() - this.prunedAt < PRUNE_EVERY_MS) return;
+    this.prunedAt = Date.now();
+    await this.pool.query(`DELETE FROM row_changes WHERE changed_at < now() - interval '1 hour'`)
+      .catch(error => console.error('❌ [Storage] Could not prune row_changes:', error.message));
+  }
+
+  async save(data) {
+    this.data = data;
+    const nextSnapshot = new Map();
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const [name, records] of Object.entries(data || {})) {
+        const repo = this.repos[name];
+        if (!repo) {
+          throw new Error(`No table for collection "${name}" — add it to storage/schema.js and a migration`);
+        }
+
+        const previous = this.snapshot.get(name) || new Map();
+        const current = new Map();
+        for (const record of records) {
+          const json = JSON.stringify(record);
+          const pk = record[ROW_KEY];
+          if (pk && previous.has(pk) && !current.has(pk)) {
+            if (previous.get(pk) !== json) await repo.update(pk, json, client);
+            current.set(pk, json);
+          } else {
+            // New record (or a second copy of an existing one) gets its own row
+            const newPk = await repo.insert(json, client);
+            record[ROW_KEY] = newPk;
+            current.set(newPk, json);
+          }
+        }
+
+        for (const pk of previous.keys()) {
+          if (!current.has(pk)) await repo.remove(pk, client);
+        }
+        nextSnapshot.set(name, current);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    for (const [name, current] of nextSnapshot) this.snapshot.set(name, current);
+    await this.pruneChanges();
+  }
+}
+
+// JSON with object keys sorted — jsonb doesn't keep them in the order they were written
+function canonical(value) {
+  return JSON.stringify(value, (key, item) => item && typeof item === 'object' && !Array.isArray(item)
+    ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]))
+    : item);
+}
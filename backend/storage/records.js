@@ -0,0 +1,61 @@
+import { createRepositories, ROW_KEY } from './repository.js';
+
+/**
+ * Targeted record access for hot paths — authentication, the lead list,
+ * tracking hits — that shouldn't load the whole database with db.read().
+ *
+ * On PostgreSQL each call queries one table (Repository.find). The JSON file
+ * is single-process, so db.data is already current and is filtered in memory.
+ * Records found here are not part of db.data on PostgreSQL: save changes to
+ * them with update(), not db.write().
+ *
+ *   find('leads', { user_id: 7 })             every match
+ *   findOne('api_keys', { key_hash })         the first match, or null
+ *   find('email_threads', { lead_id: [1, 2] }) matches any of the values
+ */
+export function createRecordStore(db, pool) {
+  const repos = pool ? createRepositories(pool) : null;
+
+  const matches = (record, match) => Object.entries(match).every(([field, value]) =>
+    Array.isArray(value) ? value.includes(record[field]) : record[field] === value
+  );
+
+  function repo(collection) {
+    if (!repos[collection]) throw new Error(`Unknown collection "${collection}"`);
+    return repos[collection];
+  }
+
+  async function find(collection, match = {}) {
+    // "Any of none" matches nothing — no need to ask
+    if (Object.values(match).some(value => Array.isArray(value) && value.length === 0)) return [];
+    if (pool) return repo(collection).find(match);
+    return (db.data[collection] || []).filter(record => matches(record, match));
+  }
+
+  async function findOne(collection, match) {
+    return (await find(collection, match))[0] || null;
+  }
+
+  async function insert(collection, record) {
+    if (pool) {
+      record[ROW_KEY] = await repo(collection).insert(record);
+      return record;
+    }
+    if (!db.data[collection]) db.data[collection] = [];
+    db.data[collection].push(record);
+    await db.write();
+    return record;
+  }
+
+  // Save a record found with find() / findOne()
+  async function update(collection, record) {
+    if (pool) {
+      if (!record[ROW_KEY]) throw new Error(`Can't update a ${collection} record that wasn't loaded from storage`);
+      await repo(collection).update(record[ROW_KEY], record);
+      return;
+    }
+    await db.write();
+  }
+
+  return { find, findOne, insert, update };
+}
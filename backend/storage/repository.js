@@ -0,0 +1,139 @@
+import { COLLECTIONS } from './schema.js';
+
+// Storage row key of a record loaded from PostgreSQL. Symbol keys are ignored
+// by JSON.stringify but survive `{ ...record }` copies, so a record that gets
+// replaced with an edited copy still maps back to its original row.
+export const ROW_KEY = Symbol('storage.pk');
+
+/**
+ * Table access for one collection. Records are plain objects stored whole in
+ * the `data` column; `pk` is the storage row key (the app-level `id` is just
+ * another indexed field).
+ */
+export class Repository {
+  constructor(pool, table) {
+    if (!COLLECTIONS.includes(table)) {
+      throw new Error(`Unknown collection "${table}"`);
+    }
+    this.pool = pool;
+    this.table = table;
+  }
+
+  async all(client = this.pool) {
+    const { rows } = await client.query(`SELECT pk, data FROM ${this.table} ORDER BY pk`);
+    return rows.map(row => attachRowKey(row.data, row.pk));
+  }
+
+  async findById(id, client = this.pool) {
+    const { rows } = await client.query(
+      `SELECT pk, data FROM ${this.table} WHERE id = $1 ORDER BY pk LIMIT 1`,
+      [id]
+    );
+    return rows[0] ? attachRowKey(rows[0].data, rows[0].pk) : null;
+  }
+
+  /**
+   * Records whose fields equal `match`: { field: value }, or { field: [values] }
+   * for any of them. Fields with a generated column (see storage/migrations)
+   * are compared on it, so its index is used; others are compared in `data`.
+   */
+  async find(match, client = this.pool) {
+    const columns = await generatedColumns(this.pool);
+    const conditions = [];
+    const params = [];
+    for (const [field, value] of Object.entries(match)) {
+      if (!FIELD_NAME.test(field)) throw new Error(`Invalid field name "${field}"`);
+      const values = Array.isArray(value) ? value : [value];
+      const type = columns.get(`${this.table}.${field}`);
+      if (type === 'bigint') {
+        // Non-numeric values can't match a numeric column (jsonb_bigint makes them NULL)
+        params.push(values.map(Number).filter(Number.isSafeInteger));
+        conditions.push(`${field} = ANY($${params.length}::bigint[])`);
+      } else if (type === 'text') {
+        params.push(values.map(String));
+        conditions.push(`${field} = ANY($${params.length}::text[])`);
+      } else {
+        params.push(values.map(v => JSON.stringify(v ?? null)));
+        conditions.push(`data->'${field}' = ANY($${params.length}::jsonb[])`);
+      }
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { rows } = await client.query(`SELECT pk, data FROM ${this.table} ${where} ORDER BY pk`, params);
+    return rows.map(row => attachRowKey(row.data, row.pk));
+  }
+
+  async count(client = this.pool) {
+    const { rows } = await client.query(`SELECT count(*)::int AS count FROM ${this.table}`);
+    return rows[0].count;
+  }
+
+  // Returns the new row's pk
+  async insert(record, client = this.pool) {
+    const { rows } = await client.query(
+      `INSERT INTO ${this.table} (data) VALUES ($1::jsonb) RETURNING pk`,
+      [serialize(record)]
+    );
+    return Number(rows[0].pk);
+  }
+
+  // Bulk insert that keeps the array order (used by the db.json importer)
+  async insertMany(records, client = this.pool) {
+    if (records.length === 0) return 0;
+    const { rowCount } = await client.query(
+      `INSERT INTO ${this.table} (data)
+       SELECT value FROM jsonb_array_elements($1::jsonb) WITH ORDINALITY ORDER BY ordinality`,
+      [serialize(records)]
+    );
+    return rowCount;
+  }
+
+  async update(pk, record, client = this.pool) {
+    await client.query(
+      `UPDATE ${this.table} SET data = $2::jsonb, updated_at = now() WHERE pk = $1`,
+      [pk, serialize(record)]
+    );
+  }
+
+  async remove(pk, client = this.pool) {
+    await client.query(`DELETE FROM ${this.table} WHERE pk = $1`, [pk]);
+  }
+
+  async truncate(client = this.pool) {
+    await client.query(`TRUNCATE ${this.table} RESTART IDENTITY`);
+  }
+}
+
+const FIELD_NAME = /^[a-z_][a-z0-9_]*$/;
+const columnCache = new WeakMap(); // pool → Promise<Map("table.column" → bigint | text)>
+
+// Generated columns that hold a field as-is. Lowercased ones (emails) would
+// change what matches, so those lookups go through `data`.
+function generatedColumns(pool) {
+  if (!columnCache.has(pool)) {
+    const loading = pool.query(
+      `SELECT table_name, column_name, data_type, generation_expression FROM information_schema.columns
+       WHERE table_schema = current_schema() AND is_generated = 'ALWAYS'`
+    ).then(({ rows }) => new Map(rows
+      .filter(row => row.data_type === 'bigint' || (row.data_type === 'text' && !/lower\(/i.test(row.generation_expression || '')))
+      .map(row => [`${row.table_name}.${row.column_name}`, row.data_type])));
+    // Don't cache a failed lookup
+    loading.catch(() => columnCache.delete(pool));
+    columnCache.set(pool, loading);
+  }
+  return columnCache.get(pool);
+}
+
+export function createRepositories(pool) {
+  return Object.fromEntries(COLLECTIONS.map(name => [name, new Repository(pool, name)]));
+}
+
+function attachRowKey(record, pk) {
+  record[ROW_KEY] = Number(pk);
+  return record;
+}
+
+// jsonb rejects NUL characters, which do turn up in scraped email bodies
+function serialize(record) {
+  const json = typeof record === 'string' ? record : JSON.stringify(record);
+  return json.replace(/\\u0000/g, '');
+}
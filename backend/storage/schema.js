@@ -0,0 +1,37 @@
+// Collections persisted by the storage layer. Each one is a table of the same
+// name (see storage/migrations) and an array on db.data — keep this list in
+// sync with ensureDbTables() in server.js. A new table's migration also needs
+// `SELECT track_row_changes('<table>');` (migration 014) so reads pick up its changes.
+export const COLLECTIONS = [
+  'users',
+  'leads',
+  'sequences',
+  'sequence_steps',
+  'campaigns',
+  'email_events',
+  'lead_sources',
+  'email_settings',
+  'ai_drafts',
+  'email_threads',
+  'email_history',
+  'product_profiles',
+  'seller_profiles',
+  'email_templates',
+  'winning_emails',
+  'ab_results',
+  'appointments',
+  'subscriptions',
+  'email_interactions',
+  'suppressions',
+  'workspaces',
+  'workspace_members',
+  'workspace_invitations',
+  'api_keys',
+  'webhook_endpoints',
+  'webhook_deliveries',
+  'ingest_tokens',
+  'lead_forms',
+  'lead_imports',
+  'import_mappings',
+  'export_schedules'
+];
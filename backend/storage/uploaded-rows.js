@@ -0,0 +1,54 @@
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * The rows of an uploaded lead import file (services/lead-import.js), kept
+ * apart from db.data so a 20,000-row upload isn't rewritten on every
+ * db.write(). They are only needed until the import has run.
+ *
+ * On PostgreSQL they go in the lead_import_rows table; with the JSON file,
+ * in one file per import under `dir`.
+ *
+ *   save(importId, rows)   rows is an array of arrays of cell values
+ *   load(importId)         the rows, or null when they are gone
+ *   remove(importId)
+ */
+export function createUploadedRowStore(pool, dir) {
+  if (pool) {
+    return {
+      async save(importId, rows) {
+        await pool.query(
+          `INSERT INTO lead_import_rows (import_id, rows) VALUES ($1, $2::jsonb)
+           ON CONFLICT (import_id) DO UPDATE SET rows = EXCLUDED.rows`,
+          [importId, JSON.stringify(rows)]
+        );
+      },
+      async load(importId) {
+        const { rows } = await pool.query('SELECT rows FROM lead_import_rows WHERE import_id = $1', [importId]);
+        return rows[0]?.rows ?? null;
+      },
+      async remove(importId) {
+        await pool.query('DELETE FROM lead_import_rows WHERE import_id = $1', [importId]);
+      }
+    };
+  }
+
+  const fileFor = (importId) => path.join(dir, `${Number(importId)}.json`);
+  return {
+    async save(importId, rows) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(fileFor(importId), JSON.stringify(rows));
+    },
+    async load(importId) {
+      try {
+        return JSON.parse(await readFile(fileFor(importId), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async remove(importId) {
+      await rm(fileFor(importId), { force: true });
+    }
+  };
+}
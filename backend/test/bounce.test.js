@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDeliveryStatus, classifyBounce, detectBounce, originalMessageId } from '../services/bounce.js';
+
+const deliveryStatus = (action, status, diagnostic = '') => [
+  'Reporting-MTA: dns; mx.example.com',
+  '',
+  'Final-Recipient: rfc822; Jane@Example.com',
+  `Action: ${action}`,
+  `Status: ${status}`,
+  ...(diagnostic ? [`Diagnostic-Code: smtp; ${diagnostic}`] : [])
+].join('\r\n');
+
+test('parseDeliveryStatus reads one entry per recipient block', () => {
+  assert.deepEqual(parseDeliveryStatus(deliveryStatus('failed', '5.1.1', '550 5.1.1 user unknown')), [
+    { email: 'jane@example.com', action: 'failed', status: '5.1.1', diagnostic: '550 5.1.1 user unknown' }
+  ]);
+});
+
+test('parseDeliveryStatus unfolds continuation lines', () => {
+  const [recipient] = parseDeliveryStatus('Final-Recipient: rfc822; a@b.com\nAction: failed\nStatus: 5.7.1\nDiagnostic-Code: smtp; 550 5.7.1\n  blocked by policy');
+  assert.equal(recipient.diagnostic, '550 5.7.1 blocked by policy');
+});
+
+test('classifyBounce tells hard, soft and mailbox full apart', () => {
+  assert.equal(classifyBounce({ action: 'failed', status: '5.1.1' }), 'hard');
+  assert.equal(classifyBounce({ action: 'failed', status: '4.4.7' }), 'soft');
+  assert.equal(classifyBounce({ action: 'failed', status: '5.2.2' }), 'mailbox_full');
+  assert.equal(classifyBounce({ action: 'failed', status: null, diagnostic: 'Mailbox is full' }), 'mailbox_full');
+  assert.equal(classifyBounce({ action: 'failed', status: null, diagnostic: '421 try again later' }), 'soft');
+});
+
+test('classifyBounce ignores delivered, relayed and delayed notices', () => {
+  for (const action of ['delivered', 'relayed', 'expanded', 'delayed']) {
+    assert.equal(classifyBounce({ action, status: '4.4.1' }), null, action);
+  }
+});
+
+test('detectBounce uses the delivery-status part when there is one', () => {
+  assert.deepEqual(detectBounce({ delivery_status: deliveryStatus('failed', '5.1.1') }).recipients.map(r => [r.email, r.type]), [
+    ['jane@example.com', 'hard']
+  ]);
+  assert.equal(detectBounce({ delivery_status: deliveryStatus('delayed', '4.4.1') }), null);
+});
+
+test('detectBounce reads plain-text notices from the mail system', () => {
+  const bounce = detectBounce({
+    from: 'Mail Delivery Subsystem <mailer-daemon@googlemail.com>',
+    subject: 'Delivery Status Notification (Failure)',
+    text: "Your message wasn't delivered to jane@example.com because the address couldn't be found.\n\n550 5.1.1 The email account does not exist."
+  });
+  assert.deepEqual(bounce.recipients.map(r => [r.email, r.type, r.status]), [['jane@example.com', 'hard', '5.1.1']]);
+});
+
+test('detectBounce skips delay warnings', () => {
+  assert.equal(detectBounce({
+    from: 'Mail Delivery Subsystem <mailer-daemon@googlemail.com>',
+    subject: 'Delivery Status Notification (Delay)',
+    text: 'There was a temporary problem delivering your message to jane@example.com. Gmail will retry for 46 more hours.'
+  }), null);
+});
+
+test('detectBounce leaves a lead writing about an undeliverable email alone', () => {
+  assert.equal(detectBounce({ from: 'jane@example.com', subject: 'Undeliverable package', text: 'Where is my order?' }), null);
+});
+
+test('originalMessageId prefers In-Reply-To, then the returned headers', () => {
+  assert.equal(originalMessageId({ in_reply_to: '<sent@us>', text: 'Message-ID: <other@us>' }), '<sent@us>');
+  assert.equal(originalMessageId({ message_id: '<dsn@them>', text: 'Original headers:\nMessage-ID: <sent@us>\n' }), '<sent@us>');
+  assert.equal(originalMessageId({ message_id: '<dsn@them>', text: 'Message-ID: <dsn@them>' }), null);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv, neutralizeFormula } from '../services/csv.js';
+
+test('parseCsv handles quotes, escaped quotes and newlines in fields', () => {
+  assert.deepEqual(parseCsv('email,note\r\na@b.com,"said ""hi"", then\nleft"\n\n'), [
+    ['email', 'note'],
+    ['a@b.com', 'said "hi", then\nleft']
+  ]);
+});
+
+test('toCsv quotes fields that need it', () => {
+  assert.equal(toCsv([['a', 'b,c', 'd"e', null]]), 'a,"b,c","d""e",\n');
+});
+
+test('formula-like text gets a leading quote', () => {
+  for (const value of ['=HYPERLINK("http://x")', '+SUM(A1)', '-2+3', '@cmd', '\tx', '\r=1']) {
+    assert.equal(neutralizeFormula(value), `'${value}`, JSON.stringify(value));
+  }
+  assert.equal(toCsv([['=1+1']]), "'=1+1\n");
+});
+
+test('numbers and phone numbers are left as they are', () => {
+  for (const value of ['-12.5', '+44 20 7946 0958', '+1 (555) 010-9999', '-']) {
+    assert.equal(neutralizeFormula(value), value, value);
+  }
+  assert.equal(neutralizeFormula(-3), -3);
+  assert.equal(neutralizeFormula('plain'), 'plain');
+});
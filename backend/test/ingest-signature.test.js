@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { verifySignature } from '../services/ingest-tokens.js';
+
+const secret = 'shh';
+const body = '{"email":"jane@example.com"}';
+const hmac = (payload, encoding) => crypto.createHmac('sha256', secret).update(payload).digest(encoding);
+
+const request = (headers, extra = {}) => ({
+  method: 'POST',
+  protocol: 'https',
+  originalUrl: '/api/webhooks/leads/zti_abc',
+  get: (name) => ({ host: 'app.example.com', ...headers })[name.toLowerCase()],
+  ...extra
+});
+const verify = (preset, headers) => verifySignature({ preset, signing_secret: secret }, request(headers), Buffer.from(body));
+
+test('generic: sha256=<hex> in X-Signature-256 or X-Hub-Signature-256', () => {
+  assert.equal(verify('generic', { 'x-signature-256': `sha256=${hmac(body, 'hex')}` }), true);
+  assert.equal(verify('facebook', { 'x-hub-signature-256': `sha256=${hmac(body, 'hex')}` }), true);
+  assert.equal(verify('generic', { 'x-signature-256': `sha256=${hmac(body + ' ', 'hex')}` }), false);
+  assert.equal(verify('generic', {}), false);
+});
+
+test('typeform: base64 HMAC in Typeform-Signature', () => {
+  assert.equal(verify('typeform', { 'typeform-signature': `sha256=${hmac(body, 'base64')}` }), true);
+  assert.equal(verify('typeform', { 'typeform-signature': `sha256=${hmac(body, 'hex')}` }), false);
+});
+
+test('webflow: signs the timestamp too, and stale timestamps fail', () => {
+  const now = String(Date.now());
+  assert.equal(verify('webflow', { 'x-webflow-timestamp': now, 'x-webflow-signature': hmac(`${now}:${body}`, 'hex') }), true);
+  const old = String(Date.now() - 10 * 60 * 1000);
+  assert.equal(verify('webflow', { 'x-webflow-timestamp': old, 'x-webflow-signature': hmac(`${old}:${body}`, 'hex') }), false);
+});
+
+test('hubspot: v3 signature over method, URL, body and timestamp', () => {
+  const appUrl = process.env.APP_URL;
+  delete process.env.APP_URL;
+  try {
+    const now = String(Date.now());
+    const signed = hmac(`POST${'https://app.example.com/api/webhooks/leads/zti_abc'}${body}${now}`, 'base64');
+    assert.equal(verify('hubspot', { 'x-hubspot-request-timestamp': now, 'x-hubspot-signature-v3': signed }), true);
+    assert.equal(verify('hubspot', { 'x-hubspot-request-timestamp': now, 'x-hubspot-signature-v3': hmac(body, 'base64') }), false);
+  } finally {
+    if (appUrl !== undefined) process.env.APP_URL = appUrl;
+  }
+});
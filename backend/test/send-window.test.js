@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextSendTime, isInSendingWindow, addDelay, validateSendingWindow } from '../services/send-window.js';
+
+const at = (iso) => Date.parse(iso);
+const weekdays = { days: [1, 2, 3, 4, 5], hours: [{ start: '09:00', end: '17:00' }] };
+
+test('a time inside the window sends right away', () => {
+  const now = at('2026-03-04T10:30:00Z'); // Wednesday
+  assert.equal(nextSendTime(now, weekdays, 'UTC'), now);
+  assert.equal(isInSendingWindow(now, weekdays, 'UTC'), true);
+});
+
+test('after hours waits for the next morning', () => {
+  assert.equal(new Date(nextSendTime(at('2026-03-04T18:00:00Z'), weekdays, 'UTC')).toISOString(), '2026-03-05T09:00:00.000Z');
+});
+
+test('weekends wait for Monday', () => {
+  assert.equal(new Date(nextSendTime(at('2026-03-07T10:00:00Z'), weekdays, 'UTC')).toISOString(), '2026-03-09T09:00:00.000Z');
+});
+
+test('hours are in the lead\'s time zone, across daylight saving', () => {
+  // New York is UTC-5 in winter and UTC-4 in summer
+  assert.equal(new Date(nextSendTime(at('2026-01-06T12:00:00Z'), weekdays, 'America/New_York')).toISOString(), '2026-01-06T14:00:00.000Z');
+  assert.equal(new Date(nextSendTime(at('2026-07-07T12:00:00Z'), weekdays, 'America/New_York')).toISOString(), '2026-07-07T13:00:00.000Z');
+});
+
+test('US holidays move to the observed weekday', () => {
+  const window = { holiday_calendar: 'US' };
+  assert.equal(isInSendingWindow(at('2026-07-03T12:00:00Z'), window, 'UTC'), false); // July 4 is a Saturday
+  assert.equal(isInSendingWindow(at('2026-07-06T12:00:00Z'), window, 'UTC'), true);
+  assert.equal(isInSendingWindow(at('2023-01-02T12:00:00Z'), window, 'UTC'), false); // Jan 1 was a Sunday
+});
+
+test('a Saturday New Year\'s Day is observed on Dec 31 of the year before', () => {
+  const window = { holiday_calendar: 'US' };
+  assert.equal(isInSendingWindow(at('2021-12-31T12:00:00Z'), window, 'UTC'), false);
+  assert.equal(isInSendingWindow(at('2027-12-31T12:00:00Z'), window, 'UTC'), false);
+  assert.equal(isInSendingWindow(at('2026-12-31T12:00:00Z'), window, 'UTC'), true);
+});
+
+test('UK bank holidays roll past Christmas', () => {
+  const window = { holiday_calendar: 'UK' };
+  // Christmas 2027 is a Saturday: bank holidays on Monday 27th and Tuesday 28th
+  assert.equal(isInSendingWindow(at('2027-12-27T12:00:00Z'), window, 'UTC'), false);
+  assert.equal(isInSendingWindow(at('2027-12-28T12:00:00Z'), window, 'UTC'), false);
+  assert.equal(isInSendingWindow(at('2027-12-29T12:00:00Z'), window, 'UTC'), true);
+});
+
+test('business-day delays skip weekends and holidays', () => {
+  const window = { business_days: true, holiday_calendar: 'US' };
+  // Friday + 1 is Monday; Thursday Dec 24 + 1 skips Christmas and the weekend
+  assert.equal(new Date(addDelay(at('2026-03-06T10:00:00Z'), 1, 'days', window, 'UTC')).toISOString(), '2026-03-09T10:00:00.000Z');
+  assert.equal(new Date(addDelay(at('2026-12-24T10:00:00Z'), 1, 'days', window, 'UTC')).toISOString(), '2026-12-28T10:00:00.000Z');
+  assert.equal(addDelay(at('2026-03-06T10:00:00Z'), 30, 'minutes', window, 'UTC'), at('2026-03-06T10:30:00Z'));
+});
+
+test('validateSendingWindow accepts null and rejects bad shapes', () => {
+  assert.equal(validateSendingWindow(null), null);
+  assert.equal(validateSendingWindow(weekdays), null);
+  assert.equal(validateSendingWindow([]), 'sending_window must be an object or null');
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSequenceGraph } from '../services/sequence-graph.js';
+
+const step = (key, step_number, extra = {}) => ({ key, step_number, ...extra });
+
+test('a straight line of steps is valid', () => {
+  assert.equal(validateSequenceGraph([step('a', 1), step('b', 2), step('c', 3)]), null);
+});
+
+test('branches to later steps are valid', () => {
+  assert.equal(validateSequenceGraph([
+    step('a', 1, { branches: [{ when: { type: 'replied' }, goto: 'c' }] }),
+    step('b', 2),
+    step('c', 3)
+  ], [{ type: 'status', value: 'won' }]), null);
+});
+
+test('duplicate keys are rejected', () => {
+  assert.equal(validateSequenceGraph([step('a', 1), step('a', 2)]), 'Duplicate step key "a"');
+});
+
+test('targets must name an existing step', () => {
+  assert.match(validateSequenceGraph([step('a', 1, { next: 'z' })]), /next: no step with key "z"/);
+  assert.match(validateSequenceGraph([step('a', 1, { branches: [{ when: { type: 'opened' }, goto: 'z' }] })]), /branch 1: no step with key "z"/);
+});
+
+test('conditions must be known and complete', () => {
+  assert.match(validateSequenceGraph([step('a', 1, { wait_until: { type: 'bounced' } })]), /unknown condition type "bounced"/);
+  assert.match(validateSequenceGraph([step('a', 1, { wait_until: [] })]), /condition is empty/);
+  assert.match(validateSequenceGraph([step('a', 1)], [{ type: 'intent' }]), /Exit condition 1: "intent" needs a value/);
+  assert.equal(validateSequenceGraph([step('a', 1)], {}), 'exit_conditions must be an array');
+});
+
+test('loops are rejected', () => {
+  assert.match(validateSequenceGraph([step('a', 1), step('b', 2, { next: 'a' })]), /loop back to "a"/);
+  assert.match(validateSequenceGraph([
+    step('a', 1),
+    step('b', 2, { branches: [{ when: { type: 'not_opened' }, goto: 'b' }] })
+  ]), /loop back to "b"/);
+});